@@ -5,7 +5,30 @@ import ResultsTable from './components/ResultsTable.jsx';
 import PolicySearch from './components/PolicySearch.jsx';
 import NumericTextInput from './components/NumericTextInput.jsx';
 import InfoTooltip from './components/InfoTooltip.jsx';
-import { getProcessColor, ALICE_COLOR, BOB_COLOR, CHARLIE_COLOR } from './utils/colors.js';
+import LinkMatrixEditor from './components/LinkMatrixEditor.jsx';
+import ProbabilityScheduleControl from './components/ProbabilityScheduleControl.jsx';
+import ByzantineControl from './components/ByzantineControl.jsx';
+import CrashControl from './components/CrashControl.jsx';
+import DelayControl from './components/DelayControl.jsx';
+import TopologyControl from './components/TopologyControl.jsx';
+import SymbolicTheoryPanel from './components/SymbolicTheoryPanel.jsx';
+import AsymmetricChannelHeatmap from './components/AsymmetricChannelHeatmap.jsx';
+import ExperimentStoragePanel from './components/ExperimentStoragePanel.jsx';
+import { ExpectedErrorTable } from './VisualizationComponents.jsx';
+import { getProcessColor, ALICE_COLOR, BOB_COLOR, CHARLIE_COLOR, CRASHED_COLOR } from './utils/colors.js';
+import { getAlgorithm, getAlgorithmBadgeClass, isAlgorithmApplicable, listAlgorithms } from './algorithms/registry.js';
+import { getDeliveryModel, getDeliveryParams, listDeliveryModels } from './delivery/registry.js';
+import { isUniformLinkMatrix, resizeLinkMatrix } from './delivery/linkMatrix.js';
+import { normalizeProbabilitySchedule } from './delivery/schedule.js';
+import { normalizeDelayModel } from './delivery/delay.js';
+import { normalizeTopology } from './delivery/topology.js';
+import { CONDITIONING_EVENTS, DEFAULT_CONDITIONING_EVENT, maxConditioningK, resolveConditioningEvent } from './delivery/conditioning.js';
+import { EXACT_DELIVERY_MODES, EXACT_MAX_PROCESSES } from './theory/exact.js';
+import { twoProcessChannel } from './theory/asymmetricChannel.js';
+import { rangeCellTheory, resolveMeetingPoint, runRangeRepetition } from './workers/tasks.js';
+import { getSimulationPool } from './workers/workerPool.js';
+import { decodeConfigCode, encodeConfigCode } from './utils/configCode.js';
+import { createExperimentStore, experimentId, resultVariance } from './storage/experimentStore.js';
 import {
   LineChart,
   Line,
@@ -143,34 +166,6 @@ function MeetingPointEditor({
 
 
 
-function resolveMeetingPoint(actualAlgo, customMP, dimensions) {
-
-  if (actualAlgo === 'RECURSIVE AMP') {
-    let alpha;
-    if (Array.isArray(customMP) && customMP.length > 0) alpha = Number(customMP[0]);
-    else alpha = Number(customMP);
-    if (!Number.isFinite(alpha)) alpha = 0.5;
-    return Math.max(0, Math.min(1, alpha));
-  }
-
-  // AMP (y similares) -> vector de longitud = dimensions
-  if (Array.isArray(customMP) && customMP.length === dimensions) {
-    return customMP.map(v => {
-      const x = Number(v);
-      return Number.isFinite(x) ? Math.max(0, Math.min(1, x)) : 0.5;
-    });
-  }
-
-
-  const num = Number(customMP);
-  if (Number.isFinite(num)) {
-    const v = Math.max(0, Math.min(1, num));
-    return Array(dimensions).fill(v);
-  }
-
-  // default seguro
-  return Array(dimensions).fill(0.5);
-}
 
 
 
@@ -688,11 +683,11 @@ function NProcessesControl({
       // Reset algoritmos de 3 procesos (los que siguen siendo solo 3p)
       if (n === 3) {
         const has3PAlgos = selectedAlgorithms.some(a => 
-          ["SELFISH", "CYCLIC", "BIASED0"].includes(a)
+          getAlgorithm(a)?.constraints.processCount === 3
         );
         if (has3PAlgos) {
           setSelectedAlgorithms(prev => 
-            prev.filter(a => !["SELFISH", "CYCLIC", "BIASED0"].includes(a))
+            prev.filter(a => getAlgorithm(a)?.constraints.processCount !== 3)
           );
           addLog("3-process algorithms removed (now have 4 processes)", "warning");
         }
@@ -715,11 +710,11 @@ function NProcessesControl({
       // Reset algorithms if we're moving away from 3 processes
       if (n === 4) {
         const has3PAlgos = selectedAlgorithms.some(a => 
-          ["SELFISH", "CYCLIC", "BIASED0"].includes(a)
+          getAlgorithm(a)?.constraints.processCount === 3
         );
         if (has3PAlgos) {
           setSelectedAlgorithms(prev => 
-            prev.filter(a => !["SELFISH", "CYCLIC", "BIASED0"].includes(a))
+            prev.filter(a => getAlgorithm(a)?.constraints.processCount !== 3)
           );
           addLog("3-process algorithms removed (now have 2 processes)", "warning");
         }
@@ -847,11 +842,11 @@ function NProcessesControl({
                 // Reset 3-process algorithms if switching to continuous
                 if (newMode === 'continuous' && processValues.length === 3) {
                   const has3PAlgos = selectedAlgorithms.some(a => 
-                    ["SELFISH", "CYCLIC", "BIASED0", "PREF1", "PREF0", "SWEEP"].includes(a)
+                    getAlgorithm(a)?.constraints.binaryOnly
                   );
                   if (has3PAlgos) {
                     setSelectedAlgorithms(prev => 
-                      prev.filter(a => !["SELFISH", "CYCLIC", "BIASED0", "PREF1", "PREF0", "SWEEP"].includes(a))
+                      prev.filter(a => !getAlgorithm(a)?.constraints.binaryOnly)
                     );
                     addLog("Binary-only algorithms removed (switched to continuous mode)", "warning");
                   }
@@ -1088,14 +1083,9 @@ function ExperimentComparison({ experiments }) {
       // For each data point in the experiment
       experiment.results.forEach(result => {
         // Calculate variance if available in discrepancies array
-        let variance = 0;
-        let stdDev = 0;
-        
-        if (result.discrepancies && result.discrepancies.length > 1) {
-          const mean = result.discrepancy;
-          variance = result.discrepancies.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / result.discrepancies.length;
-          stdDev = Math.sqrt(variance);
-        }
+        // (compacted runs keep only std, see storage/experimentStore.js)
+        const variance = resultVariance(result) ?? 0;
+        const stdDev = Math.sqrt(variance);
         
         // Normalize values if enabled
         const normalizedP = normalizeProbability ? 
@@ -1379,9 +1369,8 @@ function ExperimentComparison({ experiments }) {
                     let countWithVariance = 0;
                     
                     exp.results.forEach(result => {
-                      if (result.discrepancies && result.discrepancies.length > 1) {
-                        const mean = result.discrepancy;
-                        const variance = result.discrepancies.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / result.discrepancies.length;
+                      const variance = resultVariance(result);
+                      if (variance != null) {
                         totalVariance += variance;
                         countWithVariance++;
                       }
@@ -1586,9 +1575,8 @@ function ExperimentComparison({ experiments }) {
                       let count = 0;
                       
                       exp.results.forEach(result => {
-                        if (result.discrepancies && result.discrepancies.length > 1) {
-                          const mean = result.discrepancy;
-                          const variance = result.discrepancies.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / result.discrepancies.length;
+                        const variance = resultVariance(result);
+                        if (variance != null) {
                           totalVariance += variance;
                           count++;
                         }
@@ -2319,24 +2307,23 @@ function HistogramPlot({ discrepancies, theoretical, experimental, repetitions,
 }
 
   
-const ALGORITHM_COLOR_MAP = {
-  "RECURSIVE AMP": "#8b5cf6",
-  "AMP": "#10b981",
-  "FV": "#ef4444",
-  "MIN": "#f59e0b",
-  "LEADER": "#2563eb",
-  "COURTEOUS": "#FF6B35",
-  "PREF1": "#f59e0b",
-  "PREF0": "#84cc16",
-  "SWEEP": "#0f766e",
-  "auto": "#6b7280"
-};
+const ALGORITHM_COLOR_MAP = Object.fromEntries(
+  listAlgorithms({ includePseudo: true, includeUnlisted: true }).map((entry) => [entry.id, entry.color])
+);
 
-const DELIVERY_MODE_LABELS = {
-  standard: 'Standard',
-  guaranteed: 'Guaranteed',
-  'process-dependent': 'Broadcast'
-};
+const DELIVERY_MODE_LABELS = Object.fromEntries(
+  listDeliveryModels().map((model) => [model.id, model.label])
+);
+
+// Las curvas exactas enumeran patrones en cada punto: grilla más gruesa que las fórmulas
+const EXACT_PLOT_STEPS = 50;
+
+// Barrido de p en el pool de workers: bloques de repeticiones por celda y refresco de la UI
+const RANGE_CHUNKS_PER_CELL = 20;
+const RANGE_REFRESH_MS = 200;
+
+// Espera tras el último cambio de la barra lateral antes de autoguardar la configuración
+const AUTOSAVE_DELAY_MS = 1000;
 
 function buildExperimentRunKey(p, actualAlgorithm, deliveryMode) {
   return `${p}_${actualAlgorithm}_${deliveryMode}`;
@@ -2347,28 +2334,7 @@ function resolveDisplayAlgorithm(displayAlgorithm, p) {
 }
 
 function getAlgorithmBadgeClasses(algorithm) {
-  switch (algorithm) {
-    case "RECURSIVE AMP":
-      return "bg-purple-100 text-purple-700";
-    case "AMP":
-      return "bg-green-100 text-green-700";
-    case "FV":
-      return "bg-red-100 text-red-700";
-    case "MIN":
-      return "bg-yellow-100 text-yellow-700";
-    case "LEADER":
-      return "bg-blue-100 text-blue-700";
-    case "COURTEOUS":
-      return "bg-orange-100 text-orange-700";
-    case "PREF1":
-      return "bg-amber-100 text-amber-800";
-    case "PREF0":
-      return "bg-lime-100 text-lime-800";
-    case "SWEEP":
-      return "bg-teal-100 text-teal-800";
-    default:
-      return "bg-gray-100 text-gray-700";
-  }
+  return getAlgorithmBadgeClass(algorithm);
 }
 
 function findResultAtProbability(results, target) {
@@ -2473,7 +2439,11 @@ function TheoryPlot({
   meetingPoint = 0.5,
   selectedAlgorithms = [],
   deliveryMode = 'standard',
-  selectedDeliveryModes = []
+  selectedDeliveryModes = [],
+  leaderIndex = 0,
+  pSchedule = null,
+  deliveryParams = {},
+  linkMatrix = null
 }) {
   const steps = 100;
   const selectedRound = rounds;
@@ -2487,58 +2457,68 @@ function TheoryPlot({
   const n = processValues.length;
   const m = processValues.filter(v => v === 0).length;
 
-  // Generar datos para AMP
-  const ampData = [];
-  const fvData = [];
-  for (let i = 0; i <= steps; i++) {
-    const p = i / steps;
-    const q = 1 - p;
-    let ampD, fvD;
+  const binaryValues = processValues.every(v => v === 0 || v === 1);
 
+  // AMP / FV: fórmulas cerradas con 2 procesos; con n > 2 y entradas binarias, la cadena
+  // exacta sobre los conteos de valores (todas las rondas, no solo la primera)
+  const ampFvTheory = useCallback((which, p) => {
+    const q = 1 - p;
     if (n === 2) {
-      ampD = Math.pow(q, selectedRound);
-      fvD = Math.pow(p*p + q*q, selectedRound);
-    } else {
-      const A = Math.pow(1 - Math.pow(q, n - m), m);
-      const B = Math.pow(1 - Math.pow(q, m), n - m);
-      let ampV = 1 - (meetingPoint * A + (1 - meetingPoint) * B);
-      let fvV = 1 - (Math.pow(q, m*(n-m)) * (A + B));
-      for (let r = 1; r < selectedRound; r++) {
-        ampV *= (1 - p);
-        fvV *= (p*p + q*q);
+      // Matriz de enlaces: canal asimétrico con p_AB y p_BA (sin él, no hay curva)
+      if (!isUniformLinkMatrix(linkMatrix)) {
+        const channel = twoProcessChannel({ p, linkMatrix, initialValues: processValues, meetingPoint });
+        return channel ? SimulationEngine.calculateExpectedDiscrepancyMultiRound(p, selectedRound, which, null, channel) : null;
       }
-      ampD = ampV;
-      fvD = fvV;
+      return which === 'AMP' ? Math.pow(q, selectedRound) : Math.pow(p*p + q*q, selectedRound);
+    }
+    if (binaryValues) {
+      return SimulationEngine.calculateExpectedDiscrepancyNProcesses(p, n, m, which, meetingPoint, null, 'standard', selectedRound);
     }
+    const A = Math.pow(1 - Math.pow(q, n - m), m);
+    const B = Math.pow(1 - Math.pow(q, m), n - m);
+    let V = (which === 'AMP')
+      ? 1 - (meetingPoint * A + (1 - meetingPoint) * B)
+      : 1 - (Math.pow(q, m*(n-m)) * (A + B));
+    for (let r = 1; r < selectedRound; r++) {
+      V *= (which === 'AMP') ? (1 - p) : (p*p + q*q);
+    }
+    return V;
+  }, [n, m, meetingPoint, selectedRound, binaryValues, linkMatrix, processValues]);
 
-    // Solo marcar como original si hay datos experimentales en este p
-    const hasExperimentalAtP = validExperimentalData.some(exp => 
-      Math.abs(exp.p - p) < 0.01
-    );
-    ampData.push({ p, discrepancy: ampD, __isOriginal: hasExperimentalAtP });
-    fvData.push({ p, discrepancy: fvD, __isOriginal: hasExperimentalAtP });
-  }
+  const ampFvCurves = useMemo(() => {
+    const grid = Array.from({ length: steps + 1 }, (_, i) => i / steps);
+    return {
+      amp: grid.map((p) => ({ p, discrepancy: ampFvTheory('AMP', p) })),
+      fv: grid.map((p) => ({ p, discrepancy: ampFvTheory('FV', p) }))
+    };
+  }, [ampFvTheory]);
+
+  // Solo marcar como original si hay datos experimentales en este p
+  const markOriginal = (point) => ({
+    ...point,
+    __isOriginal: validExperimentalData.some(exp => Math.abs(exp.p - point.p) < 0.01)
+  });
+  const ampData = ampFvCurves.amp.map(markOriginal);
+  const fvData = ampFvCurves.fv.map(markOriginal);
 
   const courteousModes = Array.from(new Set(
     ((selectedDeliveryModes && selectedDeliveryModes.length > 0)
       ? selectedDeliveryModes
-      : [deliveryMode]).filter((mode) => ['standard', 'process-dependent'].includes(mode))
+      : [deliveryMode]).filter((mode) => ['standard', 'process-dependent', 'receiver-dependent', 'k-of-n'].includes(mode))
   ));
   const allBinary = processValues.every(v => v === 0 || v === 1);
 
+  // Cadena exacta sobre los conteos de 0 y 1 para cada modo (no la primera ronda elevada a r)
+  const courteousTheory = (p, mode) => SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+    p, n, m, 'COURTEOUS', meetingPoint, processValues, mode, selectedRound, { deliveryParams: deliveryParams[mode] }
+  );
+
   const courteousTheorySeries = allBinary
     ? courteousModes.map((mode) => {
         const data = [];
         for (let i = 0; i <= steps; i++) {
           const p = i / steps;
-          const zeroCount = processValues.filter(v => v === 0).length;
-          const oneCount = processValues.length - zeroCount;
-          const singleRoundDiscrepancy = (zeroCount === 0 || oneCount === 0)
-            ? 0
-            : SimulationEngine.courteousFormula(p, zeroCount, oneCount);
-          const discrepancy = typeof singleRoundDiscrepancy === 'number'
-            ? Math.pow(singleRoundDiscrepancy, selectedRound)
-            : null;
+          const discrepancy = courteousTheory(p, mode);
           const hasExperimentalAtP = validExperimentalData.some(exp =>
             Math.abs(exp.p - p) < 0.01
           );
@@ -2547,8 +2527,8 @@ function TheoryPlot({
         return {
           mode,
           name: `COURTEOUS (${DELIVERY_MODE_LABELS[mode] || mode} Theory)`,
-          stroke: mode === 'process-dependent' ? '#7c3aed' : '#FF6B35',
-          dash: mode === 'process-dependent' ? '6 3' : '5 5',
+          stroke: mode === 'standard' ? '#FF6B35' : getDeliveryModel(mode).chartStyle.color,
+          dash: mode === 'standard' ? '5 5' : mode === 'process-dependent' ? '6 3' : getDeliveryModel(mode).chartStyle.dash,
           data
         };
       })
@@ -2591,29 +2571,13 @@ function TheoryPlot({
   const ensureHalfPoint = (arr, which) => {
     const hasHalf = arr.some(d => Math.abs(d.p - 0.5) < 1e-12);
     if (!hasHalf) {
-      const p = 0.5, q = 0.5;
+      const p = 0.5;
       let D;
       
       if (which === 'COURTEOUS' && allBinary) {
-        const zeroCount = processValues.filter(v => v === 0).length;
-        const oneCount = processValues.length - zeroCount;
-        D = zeroCount === 0 || oneCount === 0
-          ? 0
-          : Math.pow(SimulationEngine.courteousFormula(0.5, zeroCount, oneCount), selectedRound);
-      } else if (n === 2) {
-        D = which === 'AMP'
-          ? Math.pow(q, selectedRound)
-          : Math.pow(p*p + q*q, selectedRound);
+        D = courteousTheory(p, 'standard');
       } else {
-        const A = Math.pow(1 - Math.pow(q, n - m), m);
-        const B = Math.pow(1 - Math.pow(q, m), n - m);
-        let V = (which === 'AMP')
-          ? 1 - (meetingPoint * A + (1 - meetingPoint) * B)
-          : 1 - (Math.pow(q, m*(n-m)) * (A + B));
-        for (let r = 1; r < selectedRound; r++) {
-          V *= (which === 'AMP') ? (1 - p) : (p*p + q*q);
-        }
-        D = V;
+        D = ampFvTheory(which, p);
       }
       arr.push({ p: 0.5, discrepancy: D, __isOriginal: true });
       arr.sort((a, b) => a.p - b.p);
@@ -2625,16 +2589,7 @@ function TheoryPlot({
   courteousTheorySeries.forEach((series) => {
     const hasHalf = series.data.some(d => Math.abs(d.p - 0.5) < 1e-12);
     if (!hasHalf) {
-      const zeroCount = processValues.filter(v => v === 0).length;
-      const oneCount = processValues.length - zeroCount;
-      const halfDiscrepancy = zeroCount === 0 || oneCount === 0
-        ? 0
-        : SimulationEngine.courteousFormula(0.5, zeroCount, oneCount);
-      series.data.push({
-        p: 0.5,
-        discrepancy: typeof halfDiscrepancy === 'number' ? Math.pow(halfDiscrepancy, selectedRound) : null,
-        __isOriginal: true
-      });
+      series.data.push({ p: 0.5, discrepancy: courteousTheory(0.5, series.mode), __isOriginal: true });
       series.data.sort((a, b) => a.p - b.p);
     }
   });
@@ -2645,6 +2600,89 @@ function TheoryPlot({
   const showPref1 = (displayCurves?.theoreticalPref1 ?? false) && allBinary && selectedRound === 1;
   const showPref0 = (displayCurves?.theoreticalPref0 ?? false) && allBinary && selectedRound === 1;
   const showExp = displayCurves?.experimental && validExperimentalData.length > 0;
+  const showExact = (displayCurves?.theoreticalExact ?? false) && n >= 2 && n <= EXACT_MAX_PROCESSES;
+
+  // Curvas exactas por enumeración (una por algoritmo y modo). Guaranteed queda fuera
+  // porque el rango lo condiciona con el muestreador ≥K y no con un enlace forzado.
+  const exactCurves = useMemo(() => {
+    if (!showExact) return [];
+    const modeList = Array.from(new Set(
+      ((selectedDeliveryModes && selectedDeliveryModes.length > 0) ? selectedDeliveryModes : [deliveryMode])
+        .filter((mode) => mode !== 'guaranteed' && EXACT_DELIVERY_MODES.includes(mode))
+    ));
+    const grid = Array.from({ length: EXACT_PLOT_STEPS + 1 }, (_, i) => i / EXACT_PLOT_STEPS);
+    const series = [];
+    selectedAlgorithms.forEach((algo) => {
+      modeList.forEach((mode) => {
+        const data = grid.map((p) => ({
+          p,
+          discrepancy: SimulationEngine.calculateExactDiscrepancy(p, algo, processValues, selectedRound, mode, meetingPoint, {
+            leaderIndex,
+            pSchedule,
+            deliveryParams: deliveryParams[mode]
+          })
+        }));
+        if (data.every((point) => point.discrepancy === null)) return;
+        series.push({
+          algo,
+          mode,
+          name: `${algo} (${DELIVERY_MODE_LABELS[mode] || mode} exact)`,
+          stroke: ALGORITHM_COLOR_MAP[algo] || '#6b7280',
+          dash: mode === 'standard' ? '1 3' : '2 4',
+          data
+        });
+      });
+    });
+    return series;
+  }, [showExact, selectedAlgorithms, selectedDeliveryModes, deliveryMode, processValues, selectedRound, meetingPoint, leaderIndex, pSchedule, deliveryParams]);
+  const exactSeries = exactCurves.map((series) => ({
+    ...series,
+    data: series.data.map((point) => ({
+      ...point,
+      __isOriginal: validExperimentalData.some(exp => Math.abs(exp.p - point.p) < 0.01)
+    }))
+  }));
+
+  // LEADER, MIN y RECURSIVE AMP: fórmulas cerradas para cualquier n (R-AMP con n > 2
+  // por la recursión sobre formas, que se corta si crecen demasiado), una serie por modo
+  const showLeader = displayCurves?.theoreticalLeader ?? false;
+  const showMin = displayCurves?.theoreticalMin ?? false;
+  const showRecursiveAmp = displayCurves?.theoreticalRecursiveAmp ?? false;
+  const ruleCurves = useMemo(() => {
+    const algos = [showLeader && 'LEADER', showMin && 'MIN', showRecursiveAmp && 'RECURSIVE AMP'].filter(Boolean);
+    if (algos.length === 0 || n < 2 || pSchedule) return [];
+    const modeList = Array.from(new Set(
+      ((selectedDeliveryModes && selectedDeliveryModes.length > 0) ? selectedDeliveryModes : [deliveryMode])
+        .filter((mode) => mode === 'standard' || mode === 'process-dependent')
+    ));
+    const grid = Array.from({ length: EXACT_PLOT_STEPS + 1 }, (_, i) => i / EXACT_PLOT_STEPS);
+    const series = [];
+    algos.forEach((algo) => {
+      modeList.forEach((mode) => {
+        const theory = (p) => SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+          p, n, m, algo, meetingPoint, processValues, mode, selectedRound, { leaderIndex }
+        );
+        // Si p = 1/2 no sale, el resto de la grilla tampoco (mismo número de estados)
+        if (theory(0.5) === null) return;
+        series.push({
+          algo,
+          mode,
+          name: `${algo} (${DELIVERY_MODE_LABELS[mode] || mode} Theory)`,
+          stroke: ALGORITHM_COLOR_MAP[algo] || '#6b7280',
+          dash: mode === 'process-dependent' ? '6 3' : '5 5',
+          data: grid.map((p) => ({ p, discrepancy: theory(p) }))
+        });
+      });
+    });
+    return series;
+  }, [showLeader, showMin, showRecursiveAmp, n, m, pSchedule, selectedDeliveryModes, deliveryMode, processValues, selectedRound, meetingPoint, leaderIndex]);
+  const ruleSeries = ruleCurves.map((series) => ({
+    ...series,
+    data: series.data.map((point) => ({
+      ...point,
+      __isOriginal: validExperimentalData.some(exp => Math.abs(exp.p - point.p) < 0.01)
+    }))
+  }));
 
   const experimentalSeries = useMemo(() => {
     if (!showExp) return [];
@@ -2653,11 +2691,9 @@ function TheoryPlot({
       ? selectedDeliveryModes
       : [deliveryMode];
 
-    const MODE_STYLE = {
-      standard: { dash: '', color: null, dot: 3 },
-      guaranteed: { dash: '6 4', color: '#0f766e', dot: 4 },
-      'process-dependent': { dash: '3 3', color: '#7c3aed', dot: 4 }
-    };
+    const MODE_STYLE = Object.fromEntries(
+      listDeliveryModels().map((model) => [model.id, model.chartStyle])
+    );
 
     const series = [];
     selectedAlgorithms.forEach(algo => {
@@ -2709,10 +2745,12 @@ function TheoryPlot({
     if (showCourteous) courteousTheorySeries.forEach((series) => addValues(series.data));
     if (showPref1) addValues(pref1Data);
     if (showPref0) addValues(pref0Data);
+    ruleSeries.forEach(series => addValues(series.data));
+    exactSeries.forEach(series => addValues(series.data));
     experimentalSeries.forEach(series => addValues(series.data));
 
     return set;
-  }, [showAMP, showFV, showCourteous, showPref1, showPref0, ampData, fvData, courteousTheorySeries, pref1Data, pref0Data, experimentalSeries]);
+  }, [showAMP, showFV, showCourteous, showPref1, showPref0, ampData, fvData, courteousTheorySeries, pref1Data, pref0Data, ruleSeries, exactSeries, experimentalSeries]);
 
   const renderTheoryTooltip = useCallback(({ active, payload, label }) => {
     if (!active || !Array.isArray(payload) || payload.length === 0) {
@@ -2873,6 +2911,36 @@ function TheoryPlot({
             />
           )}
 
+          {ruleSeries.map((series) => (
+            <Line
+              key={`rule-${series.algo}-${series.mode}`}
+              data={series.data}
+              dataKey="discrepancy"
+              name={series.name}
+              stroke={series.stroke}
+              strokeWidth={2}
+              strokeDasharray={series.dash}
+              dot={{ r: 0 }}
+              connectNulls={false}
+              activeDot={{ r: 4, fill: series.stroke }}
+            />
+          ))}
+
+          {exactSeries.map((series) => (
+            <Line
+              key={`exact-${series.algo}-${series.mode}`}
+              data={series.data}
+              dataKey="discrepancy"
+              name={series.name}
+              stroke={series.stroke}
+              strokeWidth={2}
+              strokeDasharray={series.dash}
+              dot={{ r: 0 }}
+              connectNulls={false}
+              activeDot={{ r: 4, fill: series.stroke }}
+            />
+          ))}
+
           {showExp && experimentalSeries.map(series => (
             <Line
               key={`${series.algo}-${series.mode}`}
@@ -4522,6 +4590,10 @@ function CompleteDistributedComputingSimulator() {
   const [fixYAxis, setFixYAxis]       = useState(false);
   // States for saved experiments and modal
   const [savedExperiments, setSavedExperiments] = useState([]);
+  // Biblioteca persistente (storage/experimentStore.js); null sin IndexedDB
+  const experimentStoreRef = useRef(null);
+  const [libraryReady, setLibraryReady] = useState(false);
+  const [autosavedAt, setAutosavedAt] = useState(null);
   const [showSaveModal, setShowSaveModal] = useState(false);
   const [currentExperimentToSave, setCurrentExperimentToSave] = useState(null);
   const [experimentMetadata, setExperimentMetadata] = useState({
@@ -4534,6 +4606,27 @@ function CompleteDistributedComputingSimulator() {
   const [forcedAlgorithm, setForcedAlgorithm] = useState("auto");
   const [maxValue, setMaxValue] = useState(1); // Para valores no binarios
   const [conditionedK, setConditionedK] = useState(1);
+  // Guaranteed con emisores correlacionados: cada emisor entrega a todos o a nadie (como process-dependent)
+  const [conditionedBroadcast, setConditionedBroadcast] = useState(false);
+  // Evento de progreso de guaranteed (≥K mensajes, todos oyen a alguien, grafo conexo, ...)
+  const [conditioningEvent, setConditioningEvent] = useState(DEFAULT_CONDITIONING_EVENT);
+  const [simulationSeed, setSimulationSeed] = useState("");
+  const [checkInvariants, setCheckInvariants] = useState(false);
+  // Parámetros de los modelos de entrega con perillas (p.ej. Gilbert–Elliott), por id de modelo
+  const [deliveryParams, setDeliveryParams] = useState({}); // vacío = valores por defecto
+  // Matriz de factores por enlace (null = p uniforme en todos los enlaces)
+  const [linkMatrix, setLinkMatrix] = useState(null);
+  // Topología de comunicación (null = grafo completo)
+  const [topology, setTopology] = useState(null);
+  // Calendario de p por ronda (null = mismo p en todas las rondas)
+  const [pSchedule, setPSchedule] = useState(null);
+  // Retardo multirronda de los mensajes (null = todo llega en la misma ronda)
+  const [delayModel, setDelayModel] = useState(null);
+  // Procesos bizantinos [{ index, behaviour }] (solo modo binario)
+  const [byzantineFaults, setByzantineFaults] = useState([]);
+  // Caídas [{ index, round | 'random', downtime }] (solo modo binario)
+  const [crashFaults, setCrashFaults] = useState([]);
+  const lastRangeConfigRef = useRef(null);
   const [configCode, setConfigCode] = useState("");
   const [selectedAlgorithms, setSelectedAlgorithms] = useState(["auto"]);
   const [selectedAlgorithmForDetails, setSelectedAlgorithmForDetails] = useState("auto");
@@ -4548,37 +4641,64 @@ function CompleteDistributedComputingSimulator() {
 
   useEffect(() => {
     if (dimensionMode !== 'binary') {
+      const unsupported = (algo) => !isAlgorithmApplicable(getAlgorithm(algo), { dimensionMode });
       setSelectedAlgorithms(prev => {
-        const filtered = prev.filter(algo => !['LEADER', 'PREF1', 'PREF0', 'SWEEP'].includes(algo));
+        const filtered = prev.filter(algo => !unsupported(algo));
         return filtered.length > 0 ? filtered : ['auto'];
       });
-      if (['LEADER', 'PREF1', 'PREF0', 'SWEEP'].includes(forcedAlgorithm)) {
+      if (unsupported(forcedAlgorithm)) {
         setForcedAlgorithm('auto');
       }
-      if (['LEADER', 'PREF1', 'PREF0', 'SWEEP'].includes(selectedAlgorithmForDetails)) {
+      if (unsupported(selectedAlgorithmForDetails)) {
         setSelectedAlgorithmForDetails('auto');
       }
     }
   }, [dimensionMode, forcedAlgorithm, selectedAlgorithmForDetails]);
 
   const processCount = processValues.length;
-  const is3ProcessAlgorithm = ["SELFISH", "CYCLIC", "BIASED0"].includes(algorithm);
+
+  // La matriz de enlaces sigue al número de procesos (enlaces nuevos con factor 1)
+  useEffect(() => {
+    setLinkMatrix(prev => {
+      if (!prev || prev.length === processCount) return prev;
+      const resized = resizeLinkMatrix(prev, processCount);
+      return isUniformLinkMatrix(resized) ? null : resized;
+    });
+    // Fallos fuera de rango se descartan; siempre queda al menos un proceso correcto
+    setByzantineFaults(prev => {
+      const kept = prev.filter(entry => entry.index < processCount).slice(0, Math.max(0, processCount - 1));
+      return kept.length === prev.length ? prev : kept;
+    });
+    setCrashFaults(prev => {
+      const kept = prev.filter(entry => entry.index < processCount);
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [processCount]);
+
+  const is3ProcessAlgorithm = getAlgorithm(algorithm)?.family === 'three-process';
   const [showTheoreticalCourteous, setShowTheoreticalCourteous] = useState(false);
   const [showExperimentalCourteous, setShowExperimentalCourteous] = useState(false);
 
   const selectableAlgorithms = useMemo(() => (
+    listAlgorithms({
+      includePseudo: true,
+      dimensionMode,
+      binary: processValues.every((value) => value === 0 || value === 1)
+    })
+      .filter((entry) => entry.family !== 'three-process')
+      .map((entry) => entry.id)
+  ), [dimensionMode, processValues]);
+
+  // Algorithms tied to a fixed process count get their own section in the picker
+  const fixedCountAlgorithms = useMemo(() => (
     dimensionMode === 'binary'
-      ? [
-          "auto",
-          "AMP",
-          "FV",
-          "RECURSIVE AMP",
-          "MIN",
-          "LEADER",
-          "COURTEOUS",
-          ...(processValues.every((value) => value === 0 || value === 1) ? ["PREF1", "PREF0", "SWEEP"] : [])
-        ]
-      : ["auto", "AMP", "FV", "RECURSIVE AMP", "MIN"]
+      ? listAlgorithms({
+          family: 'three-process',
+          dimensionMode,
+          processCount: processValues.length,
+          binary: processValues.every((value) => value === 0 || value === 1)
+        })
+      : []
   ), [dimensionMode, processValues]);
 
   
@@ -4798,12 +4918,18 @@ function CompleteDistributedComputingSimulator() {
     theoreticalFv: false,
     theoreticalCourteous: false,
     theoreticalPref1: false,
-    theoreticalPref0: false
+    theoreticalPref0: false,
+    theoreticalLeader: false,
+    theoreticalMin: false,
+    theoreticalRecursiveAmp: false,
+    theoreticalExact: false
   });
   const [comparisonResults, setComparisonResults] = useState(null);
   const animationTimerRef = useRef(null);
 
   const cancelRef = useRef(false);
+  // Trabajo del barrido de p en curso en el pool de workers (se cancela desde los botones)
+  const rangeJobRef = useRef(null);
 
   function handleRunCancel() {
     if (!isRunning) {
@@ -4817,41 +4943,14 @@ function CompleteDistributedComputingSimulator() {
 
   function cancelRangeExperiments() {
   cancelRef.current = true;
+  rangeJobRef.current?.cancel();
 } 
 
 const [copyMessage, setCopyMessage] = useState("");
 
 
-// --- Config code helpers (centralized) ---
-const base64ToBase64Url = (str) =>
-  str.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
-const base64UrlToBase64 = (str) => {
-  let s = str.replace(/-/g, "+").replace(/_/g, "/");
-  const pad = s.length % 4;
-  if (pad) s += "=".repeat(4 - pad);
-  return s;
-};
-function encodeConfigCode(cfg) {
-  const json = JSON.stringify(cfg);
-  return base64ToBase64Url(btoa(json));
-}
-function decodeConfigCode(code) {
-  try {
-    const json = atob(base64UrlToBase64(code));
-    return JSON.parse(json);
-  } catch (err) {
-    console.error("Error decoding config:", err);
-    return null;
-  }
-}
-
-const handleLoadConfig = () => {
-  const config = decodeConfigCode(configCode);
-  if (!config) {
-    addLog("Invalid configuration code", "error");
-    return;
-  }
-
+// Sidebar settings from a config object (config code, autosave)
+const applyConfig = (config) => {
   setProcessValues(config.initialValues || [0, 1]);
   setProbability(config.p ?? 0.5);
   setRangeExperiments({
@@ -4870,39 +4969,72 @@ const handleLoadConfig = () => {
   setSelectedDeliveryModes(config.selectedDeliveryModes || [config.deliveryMode || 'standard']);
   setFvMethod(config.fvMethod || "average");
   if (config.conditionedK) setConditionedK(config.conditionedK);
+  setConditionedBroadcast(Boolean(config.conditionedBroadcast));
+  setConditioningEvent(resolveConditioningEvent(config.conditioningEvent).id);
+  setSimulationSeed(config.seed != null ? String(config.seed) : "");
+  setCheckInvariants(Boolean(config.checkInvariants));
+  setDeliveryParams(config.deliveryParams || {});
+  setLinkMatrix(Array.isArray(config.linkMatrix) ? config.linkMatrix : null);
+  setTopology(config.topology && typeof config.topology === 'object' ? config.topology : null);
+  setPSchedule(normalizeProbabilitySchedule(config.pSchedule));
+  setDelayModel(normalizeDelayModel(config.delay));
+  setByzantineFaults(Array.isArray(config.byzantine) ? config.byzantine : []);
+  setCrashFaults(Array.isArray(config.crashes) ? config.crashes : []);
   if (Array.isArray(config.selectedAlgorithms) && config.selectedAlgorithms.length > 0) {
     setSelectedAlgorithms(config.selectedAlgorithms);
   } else if (config.algorithm) {
     setSelectedAlgorithms([config.algorithm]);
   }
+};
+
+const handleLoadConfig = () => {
+  const config = decodeConfigCode(configCode);
+  if (!config) {
+    addLog("Invalid configuration code", "error");
+    return;
+  }
 
+  applyConfig(config);
   addLog("Configuration loaded successfully", "success");
   setCopyMessage("Configuration loaded!");
   setTimeout(() => setCopyMessage(""), 2000);
 };
 
+// The sidebar settings as the config object behind "Generate config" and the autosave
+const buildConfig = () => ({
+  processCount:   processValues.length,
+  initialValues:  processValues,
+  p:              probability,
+  minP:           rangeExperiments.minP,
+  maxP:           rangeExperiments.maxP,
+  steps:          rangeExperiments.steps,
+  customSteps:    rangeExperiments.customSteps,
+  customStepValue:rangeExperiments.customStepValue,
+  algorithm:      forcedAlgorithm,
+  selectedAlgorithms,
+  fvMethod:       fvMethod,
+  meetingPoint:   meetingPoint,
+  rounds:         rounds,
+  repetitions:    repetitions,
+  leaderProcess:  leaderProcess,
+  deliveryMode:   deliveryMode,
+  selectedDeliveryModes,
+  conditionedK:   conditionedK,
+  conditionedBroadcast,
+  conditioningEvent,
+  deliveryParams,
+  linkMatrix,
+  topology,
+  pSchedule:      normalizeProbabilitySchedule(pSchedule),
+  delay:          normalizeDelayModel(delayModel),
+  byzantine:      byzantineFaults,
+  crashes:        crashFaults,
+  seed:           SimulationEngine.random.normalizeSeed(simulationSeed),
+  checkInvariants
+});
+
 const handleGenerateConfig = () => {
-  const cfg = {
-    processCount:   processValues.length,
-    initialValues:  processValues,
-    p:              probability,
-    minP:           rangeExperiments.minP,
-    maxP:           rangeExperiments.maxP,
-    steps:          rangeExperiments.steps,
-    customSteps:    rangeExperiments.customSteps,
-    customStepValue:rangeExperiments.customStepValue,
-    algorithm:      forcedAlgorithm,
-    selectedAlgorithms,
-    fvMethod:       fvMethod,
-    meetingPoint:   meetingPoint,
-    rounds:         rounds,
-    repetitions:    repetitions,
-    leaderProcess:  leaderProcess,
-    deliveryMode:   deliveryMode,
-    selectedDeliveryModes,
-    conditionedK:   conditionedK
-  };
-  const code = encodeConfigCode(cfg);
+  const code = encodeConfigCode(buildConfig());
   navigator.clipboard.writeText(code)
     .then(() => {
       setCopyMessage("Code copied!");
@@ -4914,6 +5046,71 @@ const handleGenerateConfig = () => {
     });
 };
 
+// Biblioteca de experimentos y configuración autoguardada en IndexedDB (storage/experimentStore.js)
+useEffect(() => {
+  const store = createExperimentStore();
+  experimentStoreRef.current = store;
+  if (!store) {
+    addLog("IndexedDB is not available: saved experiments will not survive a reload", "warning");
+    return undefined;
+  }
+  let cancelled = false;
+  Promise.all([store.list(), store.loadAutosave()])
+    .then(([experiments, autosave]) => {
+      if (cancelled) return;
+      // Lo guardado antes de que termine la carga se conserva, después de lo ya almacenado
+      setSavedExperiments((previous) => {
+        const storedIds = new Set(experiments.map(experimentId));
+        return [...experiments, ...previous.filter((experiment) => !storedIds.has(experimentId(experiment)))];
+      });
+      if (experiments.length > 0) addLog(`Loaded ${experiments.length} saved experiment(s)`, "info");
+      if (autosave?.config) {
+        applyConfig(autosave.config);
+        setAutosavedAt(autosave.savedAt);
+        addLog(`Restored the configuration autosaved at ${new Date(autosave.savedAt).toLocaleString()}`, "info");
+      }
+      setLibraryReady(true);
+    })
+    .catch((error) => addLog(`Could not open the experiment library: ${error.message}`, "error"));
+  return () => {
+    cancelled = true;
+    store.close();
+    experimentStoreRef.current = null;
+  };
+}, []);
+
+// El estado manda: cada cambio de savedExperiments se refleja en IndexedDB
+useEffect(() => {
+  const store = experimentStoreRef.current;
+  if (!store || !libraryReady) return;
+  store.sync(savedExperiments).catch((error) => {
+    addLog(
+      error?.name === 'QuotaExceededError'
+        ? "Browser storage is full: compact or delete large runs in Saved Experiments"
+        : `Could not store the experiment library: ${error?.message}`,
+      "error"
+    );
+  });
+}, [savedExperiments, libraryReady]);
+
+const autosaveSnapshot = JSON.stringify(buildConfig());
+useEffect(() => {
+  const store = experimentStoreRef.current;
+  if (!store || !libraryReady) return undefined;
+  const timer = setTimeout(() => {
+    store.saveAutosave(JSON.parse(autosaveSnapshot))
+      .then(() => setAutosavedAt(new Date().toISOString()))
+      .catch((error) => addLog(`Could not autosave the configuration: ${error?.message}`, "warning"));
+  }, AUTOSAVE_DELAY_MS);
+  return () => clearTimeout(timer);
+}, [autosaveSnapshot, libraryReady]);
+
+const clearAutosave = () => {
+  experimentStoreRef.current?.clearAutosave()
+    .then(() => setAutosavedAt(null))
+    .catch((error) => addLog(`Could not clear the autosave: ${error?.message}`, "warning"));
+};
+
 
 function showDetailsForProbability(p, algorithm = null) {
   // Redondear p para consistencia
@@ -4950,7 +5147,7 @@ function showDetailsForProbability(p, algorithm = null) {
           actualRounds,
           actualAlgo,
           actualMeetingPoint,
-          { leaderIndex }
+          { leaderIndex, linkMatrix, topology, pSchedule, delay: delayModel, byzantine: byzantineFaults, crashes: crashFaults }
         )
       : SimulationEngine.runNProcessExperiment(
           initialProcessValues,
@@ -4959,7 +5156,16 @@ function showDetailsForProbability(p, algorithm = null) {
           actualAlgo,
           actualMeetingPoint,
           modeForDetails,
-          { leaderIndex }
+          {
+            leaderIndex,
+            deliveryParams: deliveryParams[modeForDetails],
+            linkMatrix,
+            topology,
+            pSchedule,
+            delay: delayModel,
+            byzantine: byzantineFaults,
+            crashes: crashFaults
+          }
         );
 
     const keyWithMode = `${p}_${actualAlgo}_${modeForDetails}`;
@@ -4994,13 +5200,54 @@ function runSingleExperimentForDetails(p) {
     actualAlgorithm,
     meetingPoint,
     deliveryMode,
-    { leaderIndex }
+    {
+      leaderIndex,
+      deliveryParams: deliveryParams[deliveryMode],
+      linkMatrix,
+      topology,
+      pSchedule,
+      delay: delayModel,
+      byzantine: byzantineFaults,
+      crashes: crashFaults,
+      checkInvariants
+    }
   );
   
   setLastRunData(history);
   setSelectedProbabilityForDetails(p);
   addLog(`Generated detailed view for p=${p.toFixed(3)}`, "info");
 }
+// Mismas semillas con los mensajes atrasados entregados tarde vs. descartados, al p actual
+function compareDelayWithOmission() {
+  const actualAlgorithm = forcedAlgorithm === "auto"
+    ? (probability > 0.5 ? "AMP" : "FV")
+    : forcedAlgorithm;
+  const comparison = SimulationEngine.compareDelayWithOmission(
+    getInitialValues(),
+    probability,
+    rounds,
+    Math.max(1, repetitions),
+    actualAlgorithm,
+    meetingPoint,
+    deliveryMode,
+    {
+      leaderIndex,
+      seed: SimulationEngine.random.normalizeSeed(simulationSeed),
+      deliveryParams: deliveryParams[deliveryMode],
+      linkMatrix,
+      topology,
+      pSchedule,
+      delay: delayModel,
+      byzantine: byzantineFaults,
+      crashes: crashFaults
+    }
+  );
+  if (comparison) {
+    addLog(`Stale vs omission at p=${probability.toFixed(3)} (${actualAlgorithm}): ${comparison.stale.mean.toFixed(4)} vs ${comparison.omission.mean.toFixed(4)}`, "info");
+  }
+  return comparison;
+}
+
 // Componente para visualización detallada del experimento
 
 function ExperimentDetailViewer({ 
@@ -5009,11 +5256,34 @@ function ExperimentDetailViewer({
   meetingPoint, 
   probability,
   repetitionIndex = 0,
-  allRepetitions = null
+  allRepetitions = null,
+  onReplay = null
 }) {
   const [expandedRound, setExpandedRound] = useState(0);
   const [selectedProcess, setSelectedProcess] = useState(null);
   const [showDeliveryStats, setShowDeliveryStats] = useState(false);
+  const [replayStatus, setReplayStatus] = useState(null);
+
+  useEffect(() => {
+    setReplayStatus(null);
+  }, [experimentHistory]);
+
+  const runSeed = experimentHistory?.[0]?.seed ?? null;
+
+  const handleReplay = () => {
+    if (!onReplay) return;
+    const replayed = onReplay(experimentHistory);
+    if (!Array.isArray(replayed)) {
+      setReplayStatus({ ok: false, text: 'Replay unavailable for this run' });
+      return;
+    }
+    const trace = (history) => JSON.stringify(history.map(entry => [entry?.values, entry?.discrepancy]));
+    const ok = trace(replayed) === trace(experimentHistory);
+    setReplayStatus({
+      ok,
+      text: ok ? 'Replay matches bit-for-bit' : 'Replay differs (settings changed since the run?)'
+    });
+  };
 
   const fmt4 = (x) => (typeof x === 'number' && Number.isFinite(x) ? x.toFixed(4) : '0.0000');
   const fmt3 = (x) => (typeof x === 'number' && Number.isFinite(x) ? x.toFixed(3) : String(x ?? '—'));
@@ -5198,6 +5468,26 @@ function ExperimentDetailViewer({
           </div>
         </div>
 
+        {runSeed != null && (
+          <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-600">Seed:</span>
+            <span className="font-mono font-medium">{runSeed}</span>
+            {onReplay && (
+              <button
+                onClick={handleReplay}
+                className="px-2 py-0.5 text-xs bg-white border border-blue-300 text-blue-700 rounded hover:bg-blue-100"
+              >
+                Replay
+              </button>
+            )}
+            {replayStatus && (
+              <span className={`text-xs ${replayStatus.ok ? 'text-green-700' : 'text-red-700'}`}>
+                {replayStatus.ok ? '✓' : '✗'} {replayStatus.text}
+              </span>
+            )}
+          </div>
+        )}
+
         <button
           onClick={() => setShowDeliveryStats(!showDeliveryStats)}
           className="mt-3 text-sm text-blue-600 hover:text-blue-800 underline"
@@ -5250,6 +5540,8 @@ function ExperimentDetailViewer({
         {experimentHistory.map((round, index) => {
           const prevValues = index > 0 ? experimentHistory[index-1]?.values : null;
           const nested = getNestedMessages(round, prevValues);
+          // Procesos caídos en esta ronda (modelo crash / crash-recovery)
+          const crashedSet = new Set(Array.isArray(round?.crashed) ? round.crashed : []);
 
           return (
             <div key={index} className="bg-white rounded-lg shadow border border-gray-200">
@@ -5273,9 +5565,9 @@ function ExperimentDetailViewer({
                     {(Array.isArray(round?.values) ? round.values : []).slice(0, Math.min(10, processCount)).map((val, i) => (
                       <div
                         key={i}
-                        className="w-8 h-8 rounded-full flex items-center justify-center text-xs font-medium text-white"
-                        style={{ backgroundColor: getProcessColor(i) }}
-                        title={`${processNames[i]}: ${fmt3(val)}`}
+                        className={`w-8 h-8 rounded-full flex items-center justify-center text-xs font-medium text-white ${crashedSet.has(i) ? 'opacity-40' : ''}`}
+                        style={{ backgroundColor: crashedSet.has(i) ? CRASHED_COLOR : getProcessColor(i) }}
+                        title={`${processNames[i]}: ${fmt3(val)}${crashedSet.has(i) ? ' (crashed)' : ''}`}
                       >
                         {typeof val === 'number' ? (Number.isInteger(val) ? val : Number(val.toFixed(2))) : String(val).substring(0, 3)}
                       </div>
@@ -5314,12 +5606,15 @@ function ExperimentDetailViewer({
                         return (
                           <div 
                             key={i}
-                            className={`p-2 rounded cursor-pointer transition-all ${selectedProcess === i ? 'ring-2 ring-blue-500 bg-white' : 'bg-white hover:shadow-md'}`}
+                            className={`p-2 rounded cursor-pointer transition-all ${selectedProcess === i ? 'ring-2 ring-blue-500 bg-white' : 'bg-white hover:shadow-md'} ${crashedSet.has(i) ? 'opacity-50' : ''}`}
                             onClick={() => setSelectedProcess(selectedProcess === i ? null : i)}
                           >
                             <div className="flex items-center space-x-2">
-                              <div className="w-3 h-3 rounded-full" style={{ backgroundColor: getProcessColor(i) }} />
+                              <div className="w-3 h-3 rounded-full" style={{ backgroundColor: crashedSet.has(i) ? CRASHED_COLOR : getProcessColor(i) }} />
                               <span className="text-sm font-medium">{processNames[i]}</span>
+                              {crashedSet.has(i) && (
+                                <span className="text-[10px] px-1 rounded bg-gray-200 text-gray-600">crashed</span>
+                              )}
                             </div>
                             <div className="text-lg font-mono mt-1">{formatValue(val)}</div>
                             {hasChanged && (
@@ -5913,6 +6208,14 @@ function ExperimentDetailViewer({
 
 
 
+// Re-ejecuta una repetición con su semilla registrada y la configuración de la última corrida
+function replayRangeRepetition(history, p, actualAlgo, mode) {
+  const seed = history?.[0]?.seed;
+  const config = lastRangeConfigRef.current;
+  if (seed == null || !config) return null;
+  return runRangeRepetition(config, p, actualAlgo, mode, seed);
+}
+
 function runRangeExperiments() {
   if (isRunning) return;
 
@@ -5921,13 +6224,6 @@ function runRangeExperiments() {
   setIsRunning(true);
   setProgress(0);
   setCurrentRepetition(0);
-  const yieldEvery = 20;
-  const maybeYield = async (step = 0) => {
-    if (typeof document !== 'undefined' && document.hidden) return;
-    if (step % yieldEvery === 0) {
-      await new Promise((resolve) => setTimeout(resolve, 0));
-    }
-  };
 
   // Modo y valores iniciales
   const initialProcessValues = dimensionMode === 'binary'
@@ -5951,6 +6247,34 @@ function runRangeExperiments() {
 
   const currentDeliveryMode = deliveryMode || 'standard';
 
+  const activeSchedule = normalizeProbabilitySchedule(pSchedule);
+
+  // Semilla base: cada (rep, p, modo, algoritmo) deriva la suya y queda en su historia
+  const baseSeed = SimulationEngine.random.normalizeSeed(simulationSeed) ?? SimulationEngine.random.generateSeed();
+  const rangeConfig = {
+    dimensionMode,
+    initialValues: initialProcessValues,
+    rounds: actualRounds,
+    meetingPoint: uiMeetingPoint,
+    customMeetingPoint: (typeof customMeetingPoint !== 'undefined' && customMeetingPoint !== null) ? customMeetingPoint : meetingPoint,
+    dimensions,
+    distanceMetric,
+    leaderIndex,
+    conditionedK,
+    conditionedBroadcast,
+    conditioningEvent,
+    deliveryParams,
+    linkMatrix,
+    topology: normalizeTopology(topology, nProc) ? topology : null,
+    pSchedule: activeSchedule,
+    byzantine: dimensionMode === 'binary' ? byzantineFaults : [],
+    crashes: dimensionMode === 'binary' ? crashFaults : [],
+    delay: dimensionMode === 'binary' ? normalizeDelayModel(delayModel) : null,
+    checkInvariants,
+    baseSeed
+  };
+  lastRangeConfigRef.current = rangeConfig;
+
   // Construir rejilla de p
   const allProbabilities = [];
   const stepSize = (maxP - minP) / actualSteps;
@@ -5994,59 +6318,7 @@ function runRangeExperiments() {
         const actualAlgo = resolveDisplayAlgorithm(algoDisplay, p);
         const key = buildExperimentRunKey(p, actualAlgo, mode);
 
-        // Teoría
-        let theoretical;
-        if (dimensionMode === 'binary') {
-          if (actualAlgo === "COURTEOUS") {
-            theoretical = nProc === 3
-              ? SimulationEngine.calculate3ProcessBinaryDiscrepancy(p, "COURTEOUS", initialProcessValues, mode)
-              : SimulationEngine.calculateExpectedDiscrepancyNProcesses(
-                  p,
-                  nProc,
-                  initialProcessValues.filter((value) => value === 0).length,
-                  "COURTEOUS",
-                  uiMeetingPoint,
-                  initialProcessValues,
-                  mode,
-                  1
-                );
-            if (actualRounds > 1 && theoretical !== null) {
-              theoretical = Math.pow(theoretical, actualRounds);
-            }
-          } else if (actualAlgo === "SWEEP") {
-            theoretical = SimulationEngine.calculateExpectedDiscrepancyNProcesses(
-              p,
-              nProc,
-              initialProcessValues.filter((value) => value === 0).length,
-              actualAlgo,
-              uiMeetingPoint,
-              initialProcessValues,
-              mode,
-              actualRounds
-            );
-          } else if ((actualAlgo === "PREF1" || actualAlgo === "PREF0") && mode === 'process-dependent') {
-            theoretical = SimulationEngine.calculateExpectedDiscrepancyNProcesses(
-              p,
-              nProc,
-              initialProcessValues.filter((value) => value === 0).length,
-              actualAlgo,
-              uiMeetingPoint,
-              initialProcessValues,
-              mode,
-              actualRounds
-            );
-          } else if (actualAlgo === "PREF1" || actualAlgo === "PREF0") {
-            theoretical = null;
-          } else if (mode === 'guaranteed' && nProc === 2) {
-            theoretical = SimulationEngine.calculateTheoreticalConditionedDiscrepancy(p, actualAlgo, actualRounds);
-          } else {
-            theoretical = SimulationEngine.calculateExpectedDiscrepancy(p, actualAlgo, actualRounds, mode);
-          }
-        } else {
-          theoretical = dimensions === 2
-            ? SimulationEngine.calculateExpectedDiscrepancy(p, actualAlgo, actualRounds, mode)
-            : null;
-        }
+        const { theoretical, exactTheoretical } = rangeCellTheory(rangeConfig, p, actualAlgo, mode);
 
         results.push({
           p,
@@ -6057,6 +6329,7 @@ function runRangeExperiments() {
           discrepancy: 0,
           deliveryMode: mode,
           theoretical,
+          exactTheoretical,
           mode: dimensionMode,
           dimensions: dimensionMode === 'barycentric' ? dimensions : 2,
           processCount: nProc,
@@ -6071,232 +6344,193 @@ function runRangeExperiments() {
   setExperimentalResults(results);
   setStatsData(null);
 
-  let currentRep = 0;
+  // Una tarea por bloque de repeticiones de cada celda (p, modo, algoritmo), en el orden
+  // de results. Corren en el pool de workers (workers/workerPool.js); las semillas
+  // derivan de (rep, p, modo, algoritmo), así que el reparto no cambia los resultados.
+  const cells = [];
+  allProbabilities.forEach((p, pIndex) => {
+    modesToRun.forEach((mode, modeIndex) => {
+      algorithmsToRun.forEach((algoDisplay, algoIndex) => {
+        const actualAlgo = resolveDisplayAlgorithm(algoDisplay, p);
+        cells.push({ p, mode, actualAlgo, key: buildExperimentRunKey(p, actualAlgo, mode), seedPath: [pIndex, modeIndex, algoIndex] });
+      });
+    });
+  });
+  const cellHistories = cells.map(() => []);
+  const chunkSize = Math.max(1, Math.ceil(actualRepetitions / RANGE_CHUNKS_PER_CELL));
+  const tasks = [];
+  for (let fromRep = 0; fromRep < actualRepetitions; fromRep += chunkSize) {
+    cells.forEach((cell, cellIndex) => {
+      tasks.push({
+        kind: 'range',
+        cellIndex,
+        config: rangeConfig,
+        p: cell.p,
+        actualAlgo: cell.actualAlgo,
+        mode: cell.mode,
+        fromRep,
+        toRep: Math.min(actualRepetitions, fromRep + chunkSize),
+        seedPath: cell.seedPath
+      });
+    });
+  }
 
-  async function runNextRepetition() {
-    if (cancelRef.current) {
-      setIsRunning(false);
-      setProgress(100);
-      addLog("Simulation cancelled by user", "warning");
-      return;
-    }
+  const totalRuns = cells.length * actualRepetitions;
+  let completedRuns = 0;
+  let lastRefresh = 0;
+  const refresh = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastRefresh < RANGE_REFRESH_MS) return;
+    lastRefresh = now;
+    setExperimentalResults([...results]);
+    setCurrentRepetition(cells.length > 0 ? Math.floor(completedRuns / cells.length) : actualRepetitions);
+    setProgress(totalRuns > 0 ? Math.round((completedRuns / totalRuns) * 100) : 100);
+  };
 
-    if (currentRep >= actualRepetitions) {
-      setIsRunning(false);
-      setProgress(100);
-      setExperimentRuns(allRunsData);
-      setStatsData({
-        pValues: allProbabilities,
-        experimentResults: results.map((result) => ({
-          ...result,
-          discrepancies: Array.isArray(result.discrepancies) ? [...result.discrepancies] : []
-        })),
-        deliveryModes: modesToRun,
-        displayAlgorithms: algorithmsToRun
-      });
+  const collect = ({ histories }, _index, task) => {
+    const cell = cells[task.cellIndex];
+    const result = results[task.cellIndex];
+    histories.forEach((history, offset) => {
+      cellHistories[task.cellIndex][task.fromRep + offset] = history;
+    });
 
-      // Selección segura inicial para viewer
-      try {
-        const keys = Object.keys(allRunsData);
-        const firstValidKey = keys.find(k =>
-          Array.isArray(allRunsData[k]) &&
-          allRunsData[k].length > 0 &&
-          Array.isArray(allRunsData[k][0]) &&
-          allRunsData[k][0].length > 0
+    // Actualizar estadísticas agregadas (en orden de repetición)
+    result.discrepancies = cellHistories[task.cellIndex]
+      .filter(Boolean)
+      .map((history) => history[history.length - 1]?.discrepancy ?? 0);
+    result.samples = result.discrepancies.length;
+    result.discrepancy = result.discrepancies.reduce((s, x) => s + x, 0) / result.samples;
+
+    // Chequeo con teoría (binario + guaranteed, cadena condicionada a ≥K)
+    if (dimensionMode === 'binary' && cell.mode === 'guaranteed' && cell.p > 0 && cell.p < 1) {
+      const theo = result.theoretical;
+      const d = result.discrepancy;
+      if (Number.isFinite(d) && Number.isFinite(theo) && theo > 0 && d > theo * 1.10) {
+        console.warn(
+          `Discrepancy ${d.toFixed(6)} exceeds theoretical (conditioned) ${theo.toFixed(6)} for p=${cell.p}, algo=${cell.actualAlgo}, mode=${cell.mode}`
         );
-        if (firstValidKey) {
-          const parts = firstValidKey.split('_');
-          const pStr = parts[0];
-          const algoReal = parts[1];
-          const modeReal = parts[2] || deliveryMode;
-          const pNum = Number(pStr);
-          if (!Number.isNaN(pNum)) setSelectedProbabilityForDetails(pNum);
-          setSelectedAlgorithmForDetails(algoReal);
-          setDeliveryMode(modeReal); // mostrar en UI el primero encontrado
-          setSelectedRepetition(0);
-        } else {
-          setSelectedProbabilityForDetails(null);
-          setSelectedAlgorithmForDetails(null);
-          setSelectedRepetition(0);
-        }
-      } catch {
-        setSelectedProbabilityForDetails(null);
-        setSelectedAlgorithmForDetails(null);
-        setSelectedRepetition(0);
       }
-
-      const modeInfo = dimensionMode === 'barycentric'
-        ? ` (${dimensions}D Barycentric)`
-        : modesToRun.includes('guaranteed')
-          ? " (Guaranteed/Conditioned)"
-          : modesToRun.includes('process-dependent')
-            ? " (Broadcast)"
-            : '';
-      addLog(`Simulation completed: ${results.length} data points${modeInfo}`, "success");
-      return;
     }
 
-    setCurrentRepetition(currentRep + 1);
-
-    // Una repetición completa
-    let resultIndex = 0;
-    let stepCounter = 0;
-    for (const p of allProbabilities) {
-      if (cancelRef.current) break;
-
-      for (const mode of modesToRun) {
-        for (const algoDisplay of algorithmsToRun) {
-          const actualAlgo = algoDisplay === "auto" ? (p > 0.5 ? "AMP" : "FV") : algoDisplay;
-          const key = `${p}_${actualAlgo}_${mode}`;
-
-        // Meeting point para modo baricéntrico: único cálculo por (p, algo)
-        // - RECURSIVE AMP: escalar a (default 0.5)
-        // - AMP/otros: vector; si se pasó número, replicar por dimensión; default [0.5,...]
-        const barycentricMeetingPoint = (() => {
-          if (actualAlgo === 'RECURSIVE AMP') {
-            if (typeof customMeetingPoint === 'number' && Number.isFinite(customMeetingPoint)) {
-              return Math.max(0, Math.min(1, customMeetingPoint));
-            }
-            if (Array.isArray(customMeetingPoint) && customMeetingPoint.length > 0) {
-              const alpha = Number(customMeetingPoint[0]);
-              return Number.isFinite(alpha) ? Math.max(0, Math.min(1, alpha)) : 0.5;
-            }
-            return 0.5;
-          }
-          if (Array.isArray(customMeetingPoint) && customMeetingPoint.length === dimensions) {
-            return customMeetingPoint.map(v => {
-              const num = Number(v);
-              return Number.isFinite(num) ? Math.max(0, Math.min(1, num)) : 0.5;
-            });
-          }
-          if (typeof customMeetingPoint === 'number' && Number.isFinite(customMeetingPoint)) {
-            const v = Math.max(0, Math.min(1, customMeetingPoint));
-            return Array(dimensions).fill(v);
-          }
-          return Array(dimensions).fill(0.5);
-        })();
-
-          let history;
-
-          if (dimensionMode === 'barycentric') {
-            const mpEff = resolveMeetingPoint(
-              actualAlgo,
-              (typeof customMeetingPoint !== 'undefined' && customMeetingPoint !== null) ? customMeetingPoint : meetingPoint,
-              dimensions
-            );
-
-            history = SimulationEngine.barycentric.runBarycentricExperiment(
-              initialProcessValues,
-              p,
-              actualRounds,
-              actualAlgo,
-              mpEff,
-              distanceMetric,
-              { leaderIndex }
-            );
-          } else if (mode === 'guaranteed') {
-            // Simulación condicionada binaria (=1 mensaje)
-            const mpUsed = (nProc === 2 && actualAlgo === "AMP") ? 0.5 : uiMeetingPoint;
-
-            const v0 = [...initialProcessValues];
-            const localHistory = [];
-            let values = v0;
-
-            // Estado inicial
-            const initDisc = values.reduce((mx, vi, i) => {
-              for (let j = i + 1; j < values.length; j++) {
-                const d = Math.abs(vi - values[j]);
-                if (d > mx) mx = d;
-              }
-              return mx;
-            }, 0);
-            localHistory.push({
-              round: 0,
-              values: [...values],
-              discrepancy: initDisc,
-              messages: [],
-              messageDelivery: []
-            });
-
-            for (let r = 1; r <= actualRounds; r++) {
-              const rr = SimulationEngine.simulateRoundWithConditioning(
-                values, p, actualAlgo, mpUsed, conditionedK
-              );
-              values = rr.newValues;
-
-              localHistory.push({
-                round: r,
-                values: [...values],
-                discrepancy: rr.discrepancy,
-                messages: Array.isArray(rr.messages) ? rr.messages : [],
-                messageDelivery: Array.isArray(rr.messageDelivery) ? rr.messageDelivery : []
-              });
-            }
+    completedRuns += histories.length;
+    refresh();
+  };
 
-            history = localHistory;
-          } else {
-            // Modo estándar / process-dependent binario
-            history = SimulationEngine.runNProcessExperiment(
-              initialProcessValues,
-              p,
-              actualRounds,
-              actualAlgo,
-              uiMeetingPoint,
-              mode,
-              { leaderIndex }  
-            );
-          }
+  function finish() {
+    // Historias por clave en el orden repetición → celda
+    for (let rep = 0; rep < actualRepetitions; rep++) {
+      cells.forEach((cell, cellIndex) => {
+        const history = cellHistories[cellIndex][rep];
+        if (history) allRunsData[cell.key].push(history);
+      });
+    }
 
-          allRunsData[key].push(history);
-
-          // Actualizar estadísticas agregadas
-          const finalDiscrepancy = history[history.length - 1]?.discrepancy ?? 0;
-          results[resultIndex].discrepancies.push(finalDiscrepancy);
-          results[resultIndex].samples = results[resultIndex].discrepancies.length;
-          results[resultIndex].discrepancy =
-            results[resultIndex].discrepancies.reduce((s, x) => s + x, 0) /
-            results[resultIndex].samples;
-
-          // Chequeo con teoría (solo binario + guaranteed + 2 proc)
-          if (dimensionMode === 'binary' && mode === 'guaranteed' &&
-              nProc === 2 && p > 0 && p < 1) {
-            const theo = SimulationEngine.calculateTheoreticalConditionedDiscrepancy(p, actualAlgo, actualRounds);
-            const d = results[resultIndex].discrepancy;
-            if (Number.isFinite(d) && Number.isFinite(theo) && theo > 0 && d > theo * 1.10) {
-              console.warn(
-                `Discrepancy ${d.toFixed(6)} exceeds theoretical (conditioned) ${theo.toFixed(6)} for p=${p}, algo=${actualAlgo}, mode=${mode}`
-              );
-            }
-          }
+    setIsRunning(false);
+    setProgress(100);
+    setExperimentRuns(allRunsData);
+    setStatsData({
+      pValues: allProbabilities,
+      experimentResults: results.map((result) => ({
+        ...result,
+        discrepancies: Array.isArray(result.discrepancies) ? [...result.discrepancies] : []
+      })),
+      deliveryModes: modesToRun,
+      displayAlgorithms: algorithmsToRun
+    });
 
-          resultIndex++;
-          stepCounter++;
-          await maybeYield(stepCounter);
-        }
+    // Selección segura inicial para viewer
+    try {
+      const keys = Object.keys(allRunsData);
+      const firstValidKey = keys.find(k =>
+        Array.isArray(allRunsData[k]) &&
+        allRunsData[k].length > 0 &&
+        Array.isArray(allRunsData[k][0]) &&
+        allRunsData[k][0].length > 0
+      );
+      if (firstValidKey) {
+        const parts = firstValidKey.split('_');
+        const pStr = parts[0];
+        const algoReal = parts[1];
+        const modeReal = parts[2] || deliveryMode;
+        const pNum = Number(pStr);
+        if (!Number.isNaN(pNum)) setSelectedProbabilityForDetails(pNum);
+        setSelectedAlgorithmForDetails(algoReal);
+        setDeliveryMode(modeReal); // mostrar en UI el primero encontrado
+        setSelectedRepetition(0);
+      } else {
+        setSelectedProbabilityForDetails(null);
+        setSelectedAlgorithmForDetails(null);
+        setSelectedRepetition(0);
       }
+    } catch {
+      setSelectedProbabilityForDetails(null);
+      setSelectedAlgorithmForDetails(null);
+      setSelectedRepetition(0);
     }
 
-    setExperimentalResults([...results]);
-    const progressValue = Math.round(((currentRep + 1) / actualRepetitions) * 100);
-    setProgress(progressValue);
-
-    currentRep++;
-    setTimeout(() => {
-      runNextRepetition();
-    }, 10);
+    const modeInfo = dimensionMode === 'barycentric'
+      ? ` (${dimensions}D Barycentric)`
+      : modesToRun.includes('guaranteed')
+        ? " (Guaranteed/Conditioned)"
+        : modesToRun.includes('process-dependent')
+          ? " (Broadcast)"
+          : modesToRun.some((mode) => mode !== 'standard')
+            ? ` (${modesToRun.map((mode) => DELIVERY_MODE_LABELS[mode] || mode).join(', ')})`
+            : '';
+    addLog(`Simulation completed: ${results.length} data points${modeInfo}`, "success");
+
+    // Violaciones de invariantes registradas en las historias (algorithms/invariants.js)
+    if (rangeConfig.checkInvariants) {
+      const violationCounts = {};
+      Object.entries(allRunsData).forEach(([key, runs]) => {
+        const algo = key.split('_')[1];
+        runs.forEach((history) => history.forEach((entry) => {
+          (entry.invariantViolations || []).forEach(({ invariant }) => {
+            const label = `${algo} ${invariant}`;
+            violationCounts[label] = (violationCounts[label] || 0) + 1;
+          });
+        }));
+      });
+      const summary = Object.entries(violationCounts).map(([label, count]) => `${label} ×${count}`);
+      if (summary.length > 0) {
+        addLog(`Invariant violations: ${summary.join(', ')}`, "warning");
+      } else {
+        addLog("Invariant check: no violations", "success");
+      }
+    }
   }
 
+  const job = getSimulationPool().run(tasks, { onResult: collect });
+  rangeJobRef.current = job;
+  job.done
+    .then(({ cancelled }) => {
+      if (rangeJobRef.current === job) rangeJobRef.current = null;
+      if (cancelled) {
+        refresh(true);
+        setIsRunning(false);
+        setProgress(100);
+        addLog("Simulation cancelled by user", "warning");
+        return;
+      }
+      refresh(true);
+      finish();
+    })
+    .catch((error) => {
+      if (rangeJobRef.current === job) rangeJobRef.current = null;
+      setIsRunning(false);
+      addLog(`Simulation failed: ${error.message}`, "error");
+    });
+
   const startMessage = dimensionMode === 'barycentric'
     ? `Starting ${dimensions}D barycentric simulation with ${processCount} processes`
     : modesToRun.includes('guaranteed')
       ? 'Starting simulation with Guaranteed/Conditioned (=1 message) mode'
       : modesToRun.includes('process-dependent')
         ? 'Starting simulation with Broadcast mode'
-        : 'Starting simulation with Standard Delivery mode';
+        : `Starting simulation with ${modesToRun.map((mode) => DELIVERY_MODE_LABELS[mode] || mode).join(' + ')} Delivery mode`;
 
   addLog(startMessage, "info");
-
-  setTimeout(runNextRepetition, 5);
+  addLog(`Base seed: ${baseSeed}`, "info");
 }
 
 
@@ -6313,6 +6547,7 @@ function runRangeExperiments() {
   function cancelRangeExperiment() {
   if (!isRunning) return;
   cancelRef.current = true;   // Señala a runRangeExperiments que detenga el bucle
+  rangeJobRef.current?.cancel();
   setIsRunning(false);        // Actualiza el estado para ocultar “Running…”
   }
 
@@ -6405,7 +6640,11 @@ function runRangeExperiments() {
           theoreticalFv: false,
           theoreticalCourteous: false,
           theoreticalPref1: false,
-          theoreticalPref0: false
+          theoreticalPref0: false,
+          theoreticalLeader: false,
+          theoreticalMin: false,
+          theoreticalRecursiveAmp: false,
+          theoreticalExact: false
         };
       } else if (forcedAlgorithm === 'FV') {
         newDisplayCurves = {
@@ -6414,7 +6653,11 @@ function runRangeExperiments() {
           theoreticalFv: false,
           theoreticalCourteous: false,
           theoreticalPref1: false,
-          theoreticalPref0: false
+          theoreticalPref0: false,
+          theoreticalLeader: false,
+          theoreticalMin: false,
+          theoreticalRecursiveAmp: false,
+          theoreticalExact: false
         };
       } else if (forcedAlgorithm === 'COURTEOUS') {  
         newDisplayCurves = {
@@ -6423,7 +6666,11 @@ function runRangeExperiments() {
           theoreticalFv: false,
           theoreticalCourteous: false,
           theoreticalPref1: false,
-          theoreticalPref0: false
+          theoreticalPref0: false,
+          theoreticalLeader: false,
+          theoreticalMin: false,
+          theoreticalRecursiveAmp: false,
+          theoreticalExact: false
         };
       } else {
         newDisplayCurves = {
@@ -6432,7 +6679,11 @@ function runRangeExperiments() {
           theoreticalFv: false,
           theoreticalCourteous: false,
           theoreticalPref1: false,
-          theoreticalPref0: false
+          theoreticalPref0: false,
+          theoreticalLeader: false,
+          theoreticalMin: false,
+          theoreticalRecursiveAmp: false,
+          theoreticalExact: false
         };
       }
       setRangeDisplayCurves(newDisplayCurves);
@@ -6528,7 +6779,12 @@ function runRangeExperiments() {
           meetingPoint: meetingPoint,
           rounds: rounds,
           repetitions: repetitions,
-          leaderProcess: leaderProcess
+          leaderProcess: leaderProcess,
+          ...(savedMode === 'guaranteed' ? {
+            conditioningEvent: resolveConditioningEvent(conditioningEvent).id,
+            conditionedK,
+            conditionedBroadcast
+          } : {})
         },
         results: resultsToSave.map(result => ({
           p: result.p,
@@ -6571,6 +6827,7 @@ function runRangeExperiments() {
       if (rounds > 1) suggestedTags.push("multi-round");
       if (rangeExperiments.minP < 0.5 && rangeExperiments.maxP > 0.5) suggestedTags.push("crossover");
       if (processValues.length > 2 && forcedAlgorithm === "FV") suggestedTags.push(`fv-${fvMethod}`);
+      if (savedMode === 'guaranteed') suggestedTags.push(`progress-${resolveConditioningEvent(conditioningEvent).id}`);
       
       setExperimentMetadata({
         name: defaultName,
@@ -6946,6 +7203,38 @@ function runRangeExperiments() {
               </div>
             )}
 
+            <LinkMatrixEditor
+              processCount={processCount}
+              matrix={linkMatrix}
+              onChange={setLinkMatrix}
+              isRunning={isRunning}
+            />
+
+            <TopologyControl
+              processCount={processCount}
+              topology={topology}
+              onChange={setTopology}
+              isRunning={isRunning}
+            />
+
+            {dimensionMode === 'binary' && (
+              <ByzantineControl
+                processCount={processCount}
+                faults={byzantineFaults}
+                onChange={setByzantineFaults}
+                isRunning={isRunning}
+              />
+            )}
+
+            {dimensionMode === 'binary' && (
+              <CrashControl
+                processCount={processCount}
+                crashes={crashFaults}
+                onChange={setCrashFaults}
+                isRunning={isRunning}
+              />
+            )}
+
             {/* Load / Generate config */}
             <div className="mb-4 space-y-2">
               <h4 className="text-xs font-semibold">Enter the code to load a simulation:</h4>
@@ -6998,7 +7287,7 @@ function runRangeExperiments() {
                 <div className="flex items-center justify-between mb-2">
                   <label className="flex items-center text-sm font-medium text-gray-700">
                     Message Delivery Mode:
-                    <InfoTooltip text="Standard: each message delivered independently with prob p. Broadcast: all messages from a process arrive together or none. Guaranteed: at least one message delivered per round." />
+                    <InfoTooltip text="Standard: each message delivered independently with prob p. Broadcast: all messages from a process arrive together or none. Guaranteed: at least one message delivered per round. Bursty: each link switches between good and bad states (Gilbert–Elliott)." />
                   </label>
                   <button
                     className="text-xs text-blue-600 hover:text-blue-800"
@@ -7009,11 +7298,7 @@ function runRangeExperiments() {
                 </div>
 
                 <div className="space-y-2">
-                  {[
-                    { id: 'standard', title: 'Standard Delivery', desc: 'Messages delivered with probability p independently. All messages can be lost in a round.' },
-                    { id: 'guaranteed', title: 'Guaranteed Progress', desc: 'At least one message delivered per round, ensuring network progress.' },
-                    { id: 'process-dependent', title: 'Broadcast', desc: 'All messages from each process deliver together with probability p, or none deliver with probability q.' },
-                  ].map(mode => (
+                  {listDeliveryModels().map(mode => (
                     <label key={mode.id} className="flex items-start cursor-pointer hover:bg-white p-2 rounded transition">
                       <input
                         type="checkbox"
@@ -7039,7 +7324,7 @@ function runRangeExperiments() {
                       <div className="flex-1">
                         <div className="font-medium text-sm">{mode.title}</div>
                         <p className="text-xs text-gray-500 mt-1">
-                          {mode.desc}
+                          {mode.description}
                         </p>
                       </div>
                     </label>
@@ -7047,6 +7332,43 @@ function runRangeExperiments() {
 
                 </div>
 
+                {/* Parámetros de los modelos seleccionados que los declaran */}
+                {selectedDeliveryModes
+                  .map((modeId) => getDeliveryModel(modeId))
+                  .filter((model) => model && model.params.length > 0)
+                  .map((model) => {
+                    const values = getDeliveryParams(model.id, deliveryParams[model.id]);
+                    return (
+                      <div key={model.id} className="mt-3 p-2 bg-rose-50 border border-rose-200 rounded">
+                        <p className="text-xs font-semibold text-rose-800 mb-2">{model.title} parameters:</p>
+                        <div className="grid grid-cols-3 gap-2">
+                          {model.params.map((param) => (
+                            <label key={param.key} className="text-xs text-gray-700">
+                              {param.label}
+                              <NumericTextInput
+                                min={param.min}
+                                max={param.max}
+                                step={param.step}
+                                value={values[param.key]}
+                                onValueChange={(nextValue) => {
+                                  setDeliveryParams(prev => ({
+                                    ...prev,
+                                    [model.id]: { ...values, [param.key]: nextValue }
+                                  }));
+                                }}
+                                className="w-full mt-1 p-1 border border-gray-300 rounded-md"
+                                disabled={isRunning}
+                              />
+                            </label>
+                          ))}
+                        </div>
+                        {typeof model.summarize === 'function' && (
+                          <p className="text-xs text-rose-700 mt-2">{model.summarize(values)}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+
                 {selectedDeliveryModes.includes('guaranteed') && (
                   <div className="mt-3 p-2 bg-blue-50 border border-blue-200 rounded">
                     <div className="flex items-start">
@@ -7077,92 +7399,118 @@ function runRangeExperiments() {
                   </div>
                 )}
 
-                {/* K para Guaranteed */}
-                {selectedDeliveryModes.includes('guaranteed') && (
+                {/* Evento de progreso y K para Guaranteed */}
+                {selectedDeliveryModes.includes('guaranteed') && (() => {
+                  const selectedConditioningEvent = resolveConditioningEvent(conditioningEvent);
+                  const maxK = maxConditioningK(selectedConditioningEvent.id, processValues.length);
+                  return (
                   <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Messages (K):</label>
-
-                    <div className="flex items-center gap-2 mb-2">
-                      <NumericTextInput
-                        min="1"
-                        max={processValues.length * (processValues.length - 1)}
-                        integer
-                        value={conditionedK}
-                        onValueChange={(nextValue) => {
-                          const maxK = processValues.length * (processValues.length - 1);
-                          setConditionedK(Math.min(Math.max(1, nextValue), maxK));
-                        }}
-                        className="w-20 p-2 border border-gray-300 rounded-md"
-                        disabled={isRunning}
-                      />
-                      <span className="text-sm text-gray-600">
-                        of {processValues.length * (processValues.length - 1)} possible messages
-                      </span>
-                    </div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Progress event (each round):</label>
+                    <select
+                      value={selectedConditioningEvent.id}
+                      onChange={(e) => {
+                        setConditioningEvent(e.target.value);
+                        setConditionedK((k) => Math.min(k, maxConditioningK(e.target.value, processValues.length)));
+                      }}
+                      className="w-full p-2 mb-1 border border-gray-300 rounded-md text-sm"
+                      disabled={isRunning}
+                    >
+                      {CONDITIONING_EVENTS.map((event) => (
+                        <option key={event.id} value={event.id}>{event.label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-600 mb-3">{selectedConditioningEvent.description}.</p>
 
-                    <div className="flex gap-1 mb-2">
-                      <button onClick={() => setConditionedK(1)} className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300" disabled={isRunning}>Min (1)</button>
-                      <button
-                        onClick={() => {
-                          const total = processValues.length * (processValues.length - 1);
-                          setConditionedK(Math.max(1, Math.floor(total * 0.25)));
-                        }}
-                        className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300"
-                        disabled={isRunning}
-                      >
-                        25%
-                      </button>
-                      <button
-                        onClick={() => {
-                          const total = processValues.length * (processValues.length - 1);
-                          setConditionedK(Math.max(1, Math.floor(total * 0.5)));
-                        }}
-                        className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300"
-                        disabled={isRunning}
-                      >
-                        50%
-                      </button>
-                      <button
-                        onClick={() => {
-                          const total = processValues.length * (processValues.length - 1);
-                          setConditionedK(Math.max(1, Math.floor(total * 0.75)));
-                        }}
-                        className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300"
-                        disabled={isRunning}
-                      >
-                        75%
-                      </button>
-                    </div>
+                    {selectedConditioningEvent.usesK && (
+                      <>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{selectedConditioningEvent.id === 'k-senders' ? 'Minimum Senders (K):' : 'Minimum Messages (K):'}</label>
 
-                    {(() => {
-                      const expectedMessages = processValues.length * (processValues.length - 1) * probability;
-                      if (conditionedK > expectedMessages * 2) {
-                        return (
-                          <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs">
-                            ⚠️ <strong>Warning:</strong> K={conditionedK} is high for p={probability.toFixed(2)}.
-                            Expected ~{expectedMessages.toFixed(1)} messages delivered per round.
-                            This may cause the simulation to be slow or fail to meet the condition.
-                          </div>
-                        );
-                      }
-                      return null;
-                    })()}
+                        <div className="flex items-center gap-2 mb-2">
+                          <NumericTextInput
+                            min="1"
+                            max={maxK}
+                            integer
+                            value={conditionedK}
+                            onValueChange={(nextValue) => setConditionedK(Math.min(Math.max(1, nextValue), maxK))}
+                            className="w-20 p-2 border border-gray-300 rounded-md"
+                            disabled={isRunning}
+                          />
+                          <span className="text-sm text-gray-600">
+                            of {maxK} possible {selectedConditioningEvent.id === 'k-senders' ? 'senders' : 'messages'}
+                          </span>
+                        </div>
 
-                    <div className="text-xs text-gray-600 mt-2">
-                      <p><strong>What is K?</strong> The minimum number of messages that must be delivered in each round.</p>
-                      <p className="mt-1">
-                        With n={processValues.length} processes and p={probability.toFixed(2)},
-                        we expect ~{(processValues.length * (processValues.length - 1) * probability).toFixed(1)} messages delivered on average.
-                      </p>
-                    </div>
+                        <div className="flex gap-1 mb-2">
+                          <button onClick={() => setConditionedK(1)} className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300" disabled={isRunning}>Min (1)</button>
+                          <button
+                            onClick={() => setConditionedK(Math.max(1, Math.floor(maxK * 0.25)))}
+                            className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300"
+                            disabled={isRunning}
+                          >
+                            25%
+                          </button>
+                          <button
+                            onClick={() => setConditionedK(Math.max(1, Math.floor(maxK * 0.5)))}
+                            className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300"
+                            disabled={isRunning}
+                          >
+                            50%
+                          </button>
+                          <button
+                            onClick={() => setConditionedK(Math.max(1, Math.floor(maxK * 0.75)))}
+                            className="px-2 py-1 text-xs bg-blue-200 rounded hover:bg-blue-300"
+                            disabled={isRunning}
+                          >
+                            75%
+                          </button>
+                        </div>
+
+                        {(() => {
+                          const expectedMessages = processValues.length * (processValues.length - 1) * probability;
+                          if (selectedConditioningEvent.id === DEFAULT_CONDITIONING_EVENT && conditionedK > expectedMessages * 2) {
+                            return (
+                              <div className="mt-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs">
+                                ⚠️ <strong>Warning:</strong> K={conditionedK} is high for p={probability.toFixed(2)}.
+                                Expected ~{expectedMessages.toFixed(1)} messages delivered per round.
+                                Rounds are sampled exactly given the condition, so runs stay fast, but they describe a rare event at this p.
+                              </div>
+                            );
+                          }
+                          return null;
+                        })()}
+
+                      </>
+                    )}
+
+                    <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={conditionedBroadcast || Boolean(selectedConditioningEvent.broadcastOnly)}
+                        onChange={(e) => setConditionedBroadcast(e.target.checked)}
+                        disabled={isRunning || Boolean(selectedConditioningEvent.broadcastOnly)}
+                      />
+                      Correlated senders (each process reaches all or none of its peers)
+                    </label>
+
+                    {selectedConditioningEvent.id === DEFAULT_CONDITIONING_EVENT && (
+                      <div className="text-xs text-gray-600 mt-2">
+                        <p><strong>What is K?</strong> The minimum number of messages that must be delivered in each round.</p>
+                        <p className="mt-1">
+                          With n={processValues.length} processes and p={probability.toFixed(2)},
+                          we expect ~{(processValues.length * (processValues.length - 1) * probability).toFixed(1)} messages delivered on average.
+                        </p>
+                      </div>
+                    )}
                   </div>
-                )}
+                  );
+                })()}
 
                 {showDeliveryInfo && (
                   <div className="mt-3 p-3 bg-white border rounded text-xs text-gray-600">
                     <p className="font-semibold mb-2">About Delivery Modes:</p>
                     <p className="mb-2"><strong>Standard:</strong> Models realistic networks where message loss is independent. Useful for studying average-case behavior and expected convergence rates.</p>
                     <p><strong>Guaranteed Progress:</strong> Models networks with reliability mechanisms that ensure at least one message succeeds per round. Provides strong convergence bounds useful for safety-critical applications.</p>
+                    <p className="mt-2"><strong>Bursty (Gilbert–Elliott):</strong> Each directed link is a two-state Markov chain whose state carries over between rounds, so losses cluster in bursts. No closed-form theory is drawn for this mode.</p>
                   </div>
                 )}
               </div>
@@ -7190,23 +7538,17 @@ function runRangeExperiments() {
                         className="mr-2"
                       />
                       <span className={`text-xs px-2 py-0.5 rounded ${getAlgorithmBadgeClasses(algo)}`}>
-                        {algo === "PREF1"
-                          ? "PREF1 (Broadcast model)"
-                          : algo === "PREF0"
-                            ? "PREF0 (Broadcast model)"
-                            : algo === "SWEEP"
-                              ? "SWEEP (Broadcast model)"
-                              : algo}
+                        {getAlgorithm(algo)?.menuLabel || algo}
                       </span>
                     </label>
                   ))}
                   
                   {/* Algoritmos exclusivos para 3 procesos binarios */}
-                  {processValues.length === 3 && processValues.every(v => v === 0 || v === 1) && (
+                  {fixedCountAlgorithms.length > 0 && (
                     <>
                       <div className="border-t my-2"></div>
                       <div className="text-xs font-semibold text-gray-600 mb-1">3-Process Binary Algorithms:</div>
-                      {["SELFISH", "CYCLIC", "BIASED0"].map(algo => (
+                      {fixedCountAlgorithms.map(({ id: algo }) => (
                         <label key={algo} className="flex items-center py-1 hover:bg-gray-50 cursor-pointer">
                           <input
                             type="checkbox"
@@ -7221,11 +7563,7 @@ function runRangeExperiments() {
                             disabled={isRunning}
                             className="mr-2"
                           />
-                          <span className={`text-xs px-2 py-0.5 rounded font-medium ${
-                            algo === "SELFISH"   ? "bg-orange-200 text-orange-800 border border-orange-300" :
-                            algo === "CYCLIC"    ? "bg-teal-200 text-teal-800 border border-teal-300"     :
-                                                  "bg-rose-200 text-rose-800 border border-rose-300"
-                          }`}>
+                          <span className={`text-xs px-2 py-0.5 rounded font-medium ${getAlgorithmBadgeClasses(algo)}`}>
                             {algo}
                           </span>
                         </label>
@@ -7235,31 +7573,19 @@ function runRangeExperiments() {
                 </div>
                 
                 {/* Descripción de algoritmos seleccionados */}
-                {selectedAlgorithms.some(a => ["COURTEOUS", "SELFISH", "CYCLIC", "BIASED0", "PREF1", "PREF0", "SWEEP"].includes(a)) && (
-                  <div className="mt-2 p-2 bg-blue-50 rounded text-xs space-y-1">
-                    {selectedAlgorithms.includes("COURTEOUS") && (
-                      <p><b>Courteous:</b> Majority of heard values (including self); ties flip to opposite.</p>
-                    )}
-                    {selectedAlgorithms.includes("PREF1") && (
-                      <p><b>PREF1:</b> Decides 1 if any value 1 is known; else decides 0. Optimal for p ≥ 2/3 (n=3, broadcast). Pr[fail] = q^(number of 1-inputs).</p>
-                    )}
-                    {selectedAlgorithms.includes("PREF0") && (
-                      <p><b>PREF0:</b> Decides 0 if any value 0 is known; else decides 1. Optimal for p ≥ 2/3 (n=3, broadcast). Pr[fail] = q^(number of 0-inputs).</p>
-                    )}
-                    {selectedAlgorithms.includes("SWEEP") && (
-                      <p><b>SWEEP:</b> Two broadcast phases per sweep: PREF0 then PREF1. Theory is q^(k n), exact under broadcast and an upper bound under standard delivery.</p>
-                    )}
-                    {selectedAlgorithms.includes("SELFISH") && (
-                      <p><b>Selfish:</b> Keeps own value if heard from 1 process</p>
-                    )}
-                    {selectedAlgorithms.includes("CYCLIC") && (
-                      <p><b>Cyclic:</b> Follows A?B, B?C, C?A order</p>
-                    )}
-                    {selectedAlgorithms.includes("BIASED0") && (
-                      <p><b>Biased-0:</b> Always decides 0 if any process has 0</p>
-                    )}
-                  </div>
-                )}
+                {(() => {
+                  const described = selectedAlgorithms
+                    .map((algo) => getAlgorithm(algo))
+                    .filter((entry) => entry?.description);
+                  if (described.length === 0) return null;
+                  return (
+                    <div className="mt-2 p-2 bg-blue-50 rounded text-xs space-y-1">
+                      {described.map((entry) => (
+                        <p key={entry.id}><b>{entry.id}:</b> {entry.description}</p>
+                      ))}
+                    </div>
+                  );
+                })()}
                 
                 <p className="text-xs text-gray-500 mt-1">
                   {selectedAlgorithms.length === 1 ? 
@@ -7431,6 +7757,60 @@ function runRangeExperiments() {
                 </div>
               </div>
 
+              <ProbabilityScheduleControl
+                schedule={pSchedule}
+                onChange={setPSchedule}
+                probability={probability}
+                rounds={rounds}
+                isRunning={isRunning}
+              />
+
+              {dimensionMode === 'binary' && (
+                <DelayControl
+                  delay={delayModel}
+                  onChange={setDelayModel}
+                  onCompare={compareDelayWithOmission}
+                  isRunning={isRunning}
+                />
+              )}
+
+              <div>
+                <label className="flex items-center text-xs block mb-1 text-gray-600">
+                  Random Seed:
+                  <InfoTooltip text="Base seed for every coin flip. Leave empty for a fresh seed each run. The seed of each repetition is stored in its history so it can be replayed exactly." />
+                </label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={simulationSeed}
+                    onChange={(e) => setSimulationSeed(e.target.value.replace(/[^\d]/g, ''))}
+                    className="w-full p-1 text-sm border border-gray-300 rounded-md"
+                    disabled={isRunning}
+                    placeholder="random"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setSimulationSeed(String(SimulationEngine.random.generateSeed()))}
+                    className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                    disabled={isRunning}
+                  >
+                    New
+                  </button>
+                </div>
+                <label className="flex items-center text-xs mt-2 text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={checkInvariants}
+                    onChange={() => setCheckInvariants(!checkInvariants)}
+                    className="mr-1"
+                    disabled={isRunning}
+                  />
+                  Check invariants
+                  <InfoTooltip text="After every round, check validity (new values inside the hull of the values seen), non-increasing discrepancy, growing MIN / Recursive AMP known sets and 0/1 outputs of binary algorithms. Violations are listed in the log and stored in each history round." />
+                </label>
+              </div>
+
               {rounds > 1 && (
                 <div className="bg-gradient-to-r from-blue-50 to-sky-50 p-3 rounded-lg border border-blue-100 text-xs">
                   <p className="font-semibold text-blue-800 flex items-center gap-2">
@@ -7591,6 +7971,62 @@ function runRangeExperiments() {
                     Show PREF0 Curve (broadcast theory)
                   </label>
                 </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="showTheoreticalLeader"
+                    checked={rangeDisplayCurves?.theoreticalLeader || false}
+                    onChange={() => handleCurveDisplayChange('theoreticalLeader')}
+                    className="mr-2"
+                    disabled={isRunning}
+                  />
+                  <label htmlFor="showTheoreticalLeader" className="text-xs text-gray-700">
+                    Show LEADER Curve
+                  </label>
+                </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="showTheoreticalMin"
+                    checked={rangeDisplayCurves?.theoreticalMin || false}
+                    onChange={() => handleCurveDisplayChange('theoreticalMin')}
+                    className="mr-2"
+                    disabled={isRunning}
+                  />
+                  <label htmlFor="showTheoreticalMin" className="text-xs text-gray-700">
+                    Show MIN Curve
+                  </label>
+                </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="showTheoreticalRecursiveAmp"
+                    checked={rangeDisplayCurves?.theoreticalRecursiveAmp || false}
+                    onChange={() => handleCurveDisplayChange('theoreticalRecursiveAmp')}
+                    className="mr-2"
+                    disabled={isRunning}
+                  />
+                  <label htmlFor="showTheoreticalRecursiveAmp" className="text-xs text-gray-700">
+                    Show RECURSIVE AMP Curve
+                  </label>
+                </div>
+
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="showTheoreticalExact"
+                    checked={rangeDisplayCurves?.theoreticalExact || false}
+                    onChange={() => handleCurveDisplayChange('theoreticalExact')}
+                    className="mr-2"
+                    disabled={isRunning}
+                  />
+                  <label htmlFor="showTheoreticalExact" className="text-xs text-gray-700">
+                    Show exact curves (n ≤ {EXACT_MAX_PROCESSES}, enumerated)
+                  </label>
+                </div>
               </div>
             </div>
 
@@ -7691,6 +8127,13 @@ function runRangeExperiments() {
                 setDeliveryMode={setDeliveryMode}
                 leaderIndex={leaderIndex}
                 dimensionMode={dimensionMode}
+                seed={SimulationEngine.random.normalizeSeed(simulationSeed)}
+                deliveryParams={deliveryParams}
+                linkMatrix={linkMatrix}
+                topology={topology}
+                pSchedule={pSchedule}
+                delay={dimensionMode === 'binary' ? delayModel : null}
+                byzantine={byzantineFaults}
                 isActive={activeTab === 'policy-search'}
               />
             </div>
@@ -7709,8 +8152,45 @@ function runRangeExperiments() {
                     selectedAlgorithms={selectedAlgorithms} 
                     deliveryMode={deliveryMode}
                     selectedDeliveryModes={selectedDeliveryModes}
+                    leaderIndex={leaderIndex}
+                    pSchedule={pSchedule}
+                    deliveryParams={deliveryParams}
+                    linkMatrix={linkMatrix}
                   />
                 </div>
+
+                {dimensionMode === 'binary' && (
+                  <SymbolicTheoryPanel
+                    algorithms={selectedAlgorithms}
+                    deliveryModes={selectedDeliveryModes && selectedDeliveryModes.length > 0 ? selectedDeliveryModes : [deliveryMode]}
+                    processValues={processValues}
+                    rounds={rounds}
+                    meetingPoint={meetingPoint}
+                    leaderIndex={leaderIndex}
+                    pSchedule={normalizeProbabilitySchedule(pSchedule)}
+                    deliveryParams={deliveryParams}
+                  />
+                )}
+
+                {dimensionMode === 'binary' && processValues.length === 2 && (
+                  <AsymmetricChannelHeatmap rounds={rounds} meetingPoint={meetingPoint} />
+                )}
+
+                {dimensionMode === 'binary' && (
+                  <div className="card glass-card p-5 mb-6">
+                    <div className="flex items-center">
+                      <h3 className="text-lg font-bold text-gray-900">Theoretical E[D] by number of processes</h3>
+                      <InfoTooltip text="Expected discrepancy after the selected rounds at the current p. AMP/FV use the value-count chain, LEADER and MIN their closed forms, RECURSIVE AMP the closed form for n = 2 and the recursion over value shapes for n > 2 (— when it grows too large)." />
+                    </div>
+                    <ExpectedErrorTable
+                      maxProcesses={Math.max(6, processValues.length)}
+                      p={probability}
+                      rounds={rounds}
+                      meetingPoint={meetingPoint}
+                      leaderIndex={leaderIndex}
+                    />
+                  </div>
+                )}
                 
                 <div className="card glass-card p-5 mb-6">
                   <div className="flex items-center justify-between mb-4">
@@ -7990,6 +8470,12 @@ function runRangeExperiments() {
                                 probability={currentP}
                                 repetitionIndex={selectedRepetition ?? 0}
                                 allRepetitions={currentRuns}
+                                onReplay={(history) => replayRangeRepetition(
+                                  history,
+                                  currentP,
+                                  resolveAlgo(currentAlgoDisplay, currentP),
+                                  currentMode
+                                )}
                               />
                             )}
                           </div>
@@ -8147,9 +8633,15 @@ function runRangeExperiments() {
                         
                         // Algoritmos con respaldo teórico del paper
                         const PAPER_ALGORITHMS = ['AMP', 'FV'];
+                        // con fórmula cerrada para cualquier n
+                        const CLOSED_FORM_ALGORITHMS = ['LEADER', 'MIN', 'RECURSIVE AMP'];
+                        // o, para n chico, el valor exacto por enumeración de patrones
                         const hasTheoreticalSupport = (algo) => {
-                          return PAPER_ALGORITHMS.includes(algo) && processValues.length === 2;
+                          return (PAPER_ALGORITHMS.includes(algo) && processValues.length === 2) ||
+                            (algorithmGroups[algo] || []).some(r => Number.isFinite(r.exactTheoretical) ||
+                              (CLOSED_FORM_ALGORITHMS.includes(algo) && Number.isFinite(r.theoretical)));
                         };
+                        const showTheoryColumns = uniqueAlgorithms.some(hasTheoreticalSupport);
                         
                         const processCount = processValues.length;
                         const isConditioned = deliveryMode === 'guaranteed';
@@ -8366,7 +8858,7 @@ function runRangeExperiments() {
                                         <th className="px-3 py-2 text-left table-header text-white">Algorithm</th>
                                         <th className="px-3 py-2 text-left table-header text-white">Experimental</th>
                                         <th className="px-3 py-2 text-left table-header text-white">Samples</th>
-                                        {hasTheoreticalSupport(uniqueAlgorithms[0]) && (
+                                        {showTheoryColumns && (
                                           <>
                                             <th className="px-3 py-2 text-left table-header text-white">Theoretical</th>
                                             <th className="px-3 py-2 text-left table-header text-white">Error</th>
@@ -8388,11 +8880,9 @@ function runRangeExperiments() {
                                         // Calcular estadísticas adicionales
                                         let stdDev = 0;
                                         let cv = 0;
-                                        if (result.discrepancies && result.discrepancies.length > 1) {
+                                        const variance = resultVariance(result);
+                                        if (variance != null) {
                                           const mean = result.discrepancy;
-                                          const variance = result.discrepancies.reduce(
-                                            (sum, val) => sum + Math.pow(val - mean, 2), 0
-                                          ) / result.discrepancies.length;
                                           stdDev = Math.sqrt(variance);
                                           cv = mean !== 0 ? (stdDev / Math.abs(mean)) * 100 : 0;
                                         }
@@ -8421,7 +8911,7 @@ function runRangeExperiments() {
                                                 result.discrepancy.toFixed(6)}
                                             </td>
                                             <td className="px-3 py-2 text-sm text-slate-800">{result.samples || 0}</td>
-                                            {hasTheoreticalSupport(uniqueAlgorithms[0]) && (
+                                            {showTheoryColumns && (
                                               <>
                                                 <td className="px-3 py-2 text-sm font-mono text-slate-800">
                                                   {hasTheory ? 
@@ -8429,6 +8919,18 @@ function runRangeExperiments() {
                                                       result.theoretical.toExponential(3) : 
                                                       result.theoretical.toFixed(6)) 
                                                     : '—'}
+                                                  {hasTheory && Number.isFinite(result.exactTheoretical) && (
+                                                    Math.abs(result.exactTheoretical - result.theoretical) < 1e-9 ? (
+                                                      <span className="ml-1 px-1 rounded bg-blue-50 text-blue-700 text-[10px]">exact</span>
+                                                    ) : (
+                                                      <span
+                                                        className="block text-[10px] text-amber-700"
+                                                        title="The hand-derived formula disagrees with the exact enumeration of delivery patterns"
+                                                      >
+                                                        exact {result.exactTheoretical.toFixed(6)}
+                                                      </span>
+                                                    )
+                                                  )}
                                                 </td>
                                                 <td className="px-3 py-2 text-sm font-mono text-slate-800">
                                                   {error !== null ? 
@@ -8598,11 +9100,21 @@ function runRangeExperiments() {
             )}
             
             {activeTab === 'saved' && (
-              <SavedExperimentsComparison
-                savedExperiments={savedExperiments}
-                setSavedExperiments={setSavedExperiments}
-                addLog={addLog}
-              />
+              <div className="space-y-4">
+                <ExperimentStoragePanel
+                  savedExperiments={savedExperiments}
+                  setSavedExperiments={setSavedExperiments}
+                  persistent={Boolean(experimentStoreRef.current)}
+                  autosavedAt={autosavedAt}
+                  onClearAutosave={clearAutosave}
+                  addLog={addLog}
+                />
+                <SavedExperimentsComparison
+                  savedExperiments={savedExperiments}
+                  setSavedExperiments={setSavedExperiments}
+                  addLog={addLog}
+                />
+              </div>
             )}
 
             {/* Saved Experiments tab */}
@@ -9461,13 +9973,9 @@ function EnhancedExperimentLaboratory({ savedExperiments, setSavedExperiments, a
                 className="w-full p-1 text-sm border rounded bg-white"
               >
                 <option value="all">All Algorithms</option>
-                <option value="AMP">AMP</option>
-                <option value="FV">FV</option>
-                <option value="RECURSIVE AMP">Recursive AMP</option>
-                <option value="MIN">MIN</option>
-                <option value="LEADER">Leader</option>
-                <option value="COURTEOUS">Courteous</option>
-                <option value="SWEEP">SWEEP</option>
+                {listAlgorithms().map((entry) => (
+                  <option key={entry.id} value={entry.id}>{entry.label}</option>
+                ))}
                 <option value="auto">Auto</option>
               </select>
             </div>
@@ -10279,7 +10787,7 @@ function PerformanceMetrics({ experiments }) {
             {/* Algorithm comparison */}
             <div className="p-2 bg-gray-50 rounded">
               <p className="text-xs text-gray-700 mb-1">By Algorithm:</p>
-              {['AMP', 'FV', 'RECURSIVE AMP', 'MIN', 'LEADER'].map(algo => {
+              {listAlgorithms().map(({ id: algo }) => {
                 const algoMetrics = metrics.filter(m => m.algorithm === algo);
                 if (algoMetrics.length === 0) return null;
                 
@@ -10287,13 +10795,7 @@ function PerformanceMetrics({ experiments }) {
                 
                 return (
                   <div key={algo} className="flex justify-between text-xs mt-1">
-                    <span className={`px-1 rounded ${
-                      algo === 'RECURSIVE AMP' ? 'bg-purple-100 text-purple-700' :
-                      algo === 'AMP' ? 'bg-green-100 text-green-700' :
-                      algo === 'FV' ? 'bg-red-100 text-red-700' :
-                      algo === 'MIN' ? 'bg-yellow-100 text-yellow-700' :
-                      'bg-blue-100 text-blue-700'
-                    }`}>
+                    <span className={`px-1 rounded ${getAlgorithmBadgeClasses(algo)}`}>
                       {algo}
                     </span>
                     <span className={`px-1 rounded ${getStatusColor(bestStatus)}`}>
@@ -2,6 +2,44 @@
 // "Coordination Through Stochastic Channels"
 
 import Decimal from 'decimal.js';
+import { createRng, deriveSeed, generateSeed, normalizeSeed, resolveRandom } from './utils/random.js';
+import { engineLog } from './utils/log.js';
+import { getAlgorithm, listAlgorithms, registerAlgorithm, resolveAlgorithmId } from './algorithms/registry.js';
+import { checkRoundInvariants, setInvariantChecking, shouldCheckInvariants } from './algorithms/invariants.js';
+import {
+  getDeliveryModel,
+  getDeliveryParams,
+  listDeliveryModels,
+  partialBroadcastSize,
+  registerDeliveryModel,
+  resolveDeliveryModel
+} from './delivery/registry.js';
+import { makeLinkProbability, normalizeLinkMatrix } from './delivery/linkMatrix.js';
+import { normalizeProbabilitySchedule, scheduledProbability } from './delivery/schedule.js';
+import { drawDelay, normalizeDelayModel } from './delivery/delay.js';
+import { normalizeTopology } from './delivery/topology.js';
+import { DEFAULT_CONDITIONING_EVENT, resolveConditioningEvent, sampleConditionedDeliveries } from './delivery/conditioning.js';
+import { exactDiscrepancyByRound, exactDiscrepancyPolynomial, exactExpectedDiscrepancy } from './theory/exact.js';
+import { evaluatePolynomial, formatPolynomial } from './theory/polynomial.js';
+import { valueCountExpectedDiscrepancy } from './theory/valueCounts.js';
+import {
+  leaderExpectedDiscrepancy,
+  minExpectedDiscrepancy,
+  partialBroadcastCoverage,
+  recursiveAmpTwoProcessDiscrepancy
+} from './theory/closedForms.js';
+import { recursiveAmpExpectedDiscrepancy } from './theory/recursiveAmp.js';
+import { conditionedExpectedDiscrepancy } from './theory/conditioned.js';
+import { asymmetricTwoProcessDiscrepancy, twoProcessChannel } from './theory/asymmetricChannel.js';
+import { valueDependentPreferenceDiscrepancy } from './theory/valueDependent.js';
+import {
+  byzantineMessageValue,
+  getCorrectIndices,
+  isValidOutcome,
+  nextByzantineValue,
+  normalizeByzantineConfig
+} from './faults/byzantine.js';
+import { getCrashedIndices, resolveCrashPlan, toCrashMask } from './faults/crash.js';
 
 // Configure decimal.js for high precision
 Decimal.set({
@@ -25,8 +63,14 @@ function toDecimal(value) {
 }
 
 // Helper function to generate random numbers using Decimal
-function randomDecimal() {
-  return new Decimal(Math.random());
+function randomDecimal(random = Math.random) {
+  return new Decimal(random());
+}
+
+// Seed used by a run: the caller's seed if valid, otherwise a fresh one
+function resolveSeed(options) {
+  const seed = normalizeSeed(options?.seed);
+  return seed === null ? generateSeed() : seed;
 }
 
 // Helper function for powers with Decimal
@@ -34,6 +78,34 @@ function pow(base, exponent) {
   return toDecimal(base).pow(toDecimal(exponent));
 }
 
+// Canal asimétrico Alice/Bob: { pAB, pBA } con ambas probabilidades numéricas
+function isAsymmetricChannel(channel) {
+  return Boolean(channel) && Number.isFinite(channel.pAB) && Number.isFinite(channel.pBA);
+}
+
+// Producto de los factores por ronda de AMP/FV con n = 2 cuando p cambia en
+// cada ronda (calendario de p). 'auto' elige AMP o FV según p_r de esa ronda.
+// conditioned: factores del Teorema 4/7 (al menos un mensaje entregado).
+function scheduledTwoProcessDiscrepancy(schedule, p, rounds, algorithm, conditioned = false) {
+  if (!["auto", "AMP", "FV"].includes(algorithm)) return null;
+  let product = toDecimal(1);
+  for (let r = 1; r <= rounds; r++) {
+    const decP = toDecimal(scheduledProbability(schedule, p, r));
+    const q = toDecimal(1).minus(decP);
+    const algo = algorithm === "auto" ? (decP.gt(0.5) ? "AMP" : "FV") : algorithm;
+    let factor;
+    if (conditioned) {
+      const probAtLeastOne = toDecimal(1).minus(pow(q, 2));
+      if (probAtLeastOne.lte(0)) return null; // p_r = 0: el evento condicionante es imposible
+      factor = (algo === "AMP" ? decP.mul(q) : pow(decP, 2)).div(probAtLeastOne);
+    } else {
+      factor = algo === "AMP" ? q : pow(decP, 2).plus(pow(q, 2));
+    }
+    product = product.mul(factor);
+  }
+  return product.toNumber();
+}
+
 // Helper function for absolute value
 function abs(value) {
   return toDecimal(value).abs();
@@ -78,18 +150,46 @@ function courteousFormula(p, n0, n1) {
   return sum;
 }
 
-// Theta value for 3 players (approximately 0.35)
-const THETA = 0.346;
-
 // Simulation engine
 export const SimulationEngine = {
 
 binomial,
 courteousFormula,
 
+// Seeded random sources (see utils/random.js)
+random: { createRng, deriveSeed, generateSeed, normalizeSeed },
+
+// Algorithm registry (see algorithms/registry.js)
+algorithms: {
+  get: getAlgorithm,
+  list: listAlgorithms,
+  register: registerAlgorithm,
+  resolve: resolveAlgorithmId,
+  // undefined when the protocol does not declare a theory function
+  theory: (algorithm, p, context = {}) => {
+    const definition = getAlgorithm(algorithm);
+    return typeof definition?.theory === 'function' ? definition.theory(p, context) : undefined;
+  }
+},
+
+// Safety invariants checked after each round (see algorithms/invariants.js)
+invariants: {
+  check: checkRoundInvariants,
+  setEnabled: setInvariantChecking
+},
+
+// Delivery-model registry (see delivery/registry.js)
+delivery: {
+  get: getDeliveryModel,
+  list: listDeliveryModels,
+  register: registerDeliveryModel,
+  params: getDeliveryParams
+},
+
 
 simulateRound: function(values, p, algorithm = "auto", meetingPoint = 0.5, knownValuesSets = null, originalValues = null, deliveryMode = 'standard', options = {}) {
   const decP = toDecimal(p);
+  const random = resolveRandom(options);
   const processCount = values.length;
   const leaderIndexRaw = Number.isInteger(options.leaderIndex) ? options.leaderIndex : 0;
   const leaderIndex = processCount > 0
@@ -101,124 +201,121 @@ simulateRound: function(values, p, algorithm = "auto", meetingPoint = 0.5, known
   let wasConditioned = false;
   
   // Determine actual algorithm
-  if (algorithm === "auto") {
-    algorithm = decP.gt(0.5) ? "AMP" : "FV";
-  }
+  algorithm = resolveAlgorithmId(algorithm, decP);
   
   // ========================================
   // PHASE 1: MESSAGE GENERATION & DELIVERY
   // ========================================
   
-  let senderDeliveryStatus = null;
-  
-  // PROCESS-DEPENDENT DELIVERY (NEW)
-  if (deliveryMode === 'process-dependent') {
-    senderDeliveryStatus = [];
-    
-    // One roll per sender: all messages from sender i deliver together
-    for (let sender = 0; sender < processCount; sender++) {
-      senderDeliveryStatus[sender] = Math.random() < decP.toNumber();
-    }
-    
-    // Build messages based on sender delivery status
-    for (let sender = 0; sender < processCount; sender++) {
-      messages[sender] = [];
-      
-      for (let receiver = 0; receiver < processCount; receiver++) {
-        if (sender !== receiver) {
-          const delivered = senderDeliveryStatus[sender];
-          
-          messages[sender].push({
-            to: receiver,
-            value: values[sender],
-            delivered: delivered
-          });
-          
-          if (delivered) {
-            messageDelivery.push({
-              from: sender,
-              to: receiver,
-              value: values[sender],
-              delivered: true
-            });
+  // The delivery model decides which links deliver (see delivery/registry.js).
+  // isDelivered is called once per link, sender-major, so seeded runs stay stable.
+  const deliveryModel = resolveDeliveryModel(deliveryMode);
+  const delivery = deliveryModel.deliver({
+    values,
+    p: decP.toNumber(),
+    linkProbability: makeLinkProbability(decP.toNumber(), normalizeLinkMatrix(options.linkMatrix, processCount)),
+    processCount,
+    random,
+    params: getDeliveryParams(deliveryModel.id, options.deliveryParams),
+    channelState: options.channelState ?? null
+  });
+  const senderDeliveryStatus = delivery.senderDeliveryStatus ?? null;
+
+  // Procesos bizantinos (options.byzantine, ver faults/byzantine.js): envían lo que dicte su comportamiento
+  const faulty = normalizeByzantineConfig(options.byzantine, processCount);
+  const correctIndices = getCorrectIndices(faulty, processCount);
+  const honestValues = correctIndices.map(idx => values[idx]);
+
+  // Procesos caídos esta ronda (options.crashed, ver faults/crash.js): ni envían ni reciben
+  const down = toCrashMask(options.crashed, processCount);
+  const liveIndices = down ? correctIndices.filter(idx => !down[idx]) : correctIndices;
+
+  // Retardos multirronda (options.delay, ver delivery/delay.js). options.inFlight trae los
+  // mensajes pendientes de rondas anteriores y options.round la ronda actual.
+  const delayModel = normalizeDelayModel(options.delay);
+  const currentRound = Number.isInteger(options.round) ? options.round : 1;
+  const pending = Array.isArray(options.inFlight) ? options.inFlight : [];
+  const inFlight = pending.filter(m => m.arrivalRound > currentRound);
+  const lateArrivals = pending.filter(m => m.arrivalRound <= currentRound && !down?.[m.to]);
+
+  // Topología (options.topology, ver delivery/topology.js): fuera de las aristas no hay mensaje
+  const links = normalizeTopology(options.topology, processCount);
+
+  for (let i = 0; i < processCount; i++) {
+    messages[i] = [];
+    for (let j = 0; j < processCount; j++) {
+      if (i !== j && (!links || links[i][j])) {
+        const value = faulty?.[i]
+          ? byzantineMessageValue(faulty[i], { from: i, to: j, values, honestValues, random })
+          : values[i];
+        let delivered = Boolean(delivery.isDelivered(i, j, value)) && !down?.[i] && !down?.[j];
+        const delay = delivered && delayModel ? drawDelay(delayModel, random) : 0;
+        if (delay > 0) {
+          delivered = false;
+          if (delayModel.lateMessages === 'deliver') {
+            inFlight.push({ from: i, to: j, value, sentRound: currentRound, arrivalRound: currentRound + delay });
           }
         }
-      }
-    }
-  }
-  // GUARANTEED DELIVERY (EXISTING)
-  else if (deliveryMode === 'guaranteed' || deliveryMode === 'conditioned') {
-    // First try standard delivery
-    for (let i = 0; i < processCount; i++) {
-      messages[i] = [];
-      for (let j = 0; j < processCount; j++) {
-        if (i !== j) {
-          const delivered = Math.random() < decP.toNumber();
-          messages[i].push({
+        messages[i].push({
+          to: j,
+          value,
+          delivered: delivered,
+          ...(delay > 0 ? { delay } : {})
+        });
+        
+        if (delivered) {
+          messageDelivery.push({
+            from: i,
             to: j,
-            value: values[i],
-            delivered: delivered
+            value,
+            delivered: true
           });
-          
-          if (delivered) {
-            messageDelivery.push({
-              from: i,
-              to: j,
-              value: values[i],
-              delivered: true
-            });
-          }
         }
       }
     }
-    
-    // Check if at least one message was delivered
-    if (messageDelivery.length === 0) {
-      // Force one random message to be delivered (conditioning)
-      wasConditioned = true;
-      const randomSender = Math.floor(Math.random() * processCount);
-      const possibleReceivers = [];
-      for (let j = 0; j < processCount; j++) {
-        if (j !== randomSender) possibleReceivers.push(j);
-      }
-      const randomReceiver = possibleReceivers[Math.floor(Math.random() * possibleReceivers.length)];
-      
-      // Update the message to delivered
-      const msg = messages[randomSender].find(m => m.to === randomReceiver);
-      if (msg) {
-        msg.delivered = true;
-        messageDelivery.push({
-          from: randomSender,
-          to: randomReceiver,
-          value: values[randomSender],
-          delivered: true
-        });
-      }
-    }
   }
-  // STANDARD DELIVERY (DEFAULT)
-  else {
-    for (let i = 0; i < processCount; i++) {
-      messages[i] = [];
-      for (let j = 0; j < processCount; j++) {
-        if (i !== j) {
-          const delivered = Math.random() < decP.toNumber();
-          messages[i].push({
-            to: j,
-            value: values[i],
-            delivered: delivered
-          });
-          
-          if (delivered) {
-            messageDelivery.push({
-              from: i,
-              to: j,
-              value: values[i],
-              delivered: true
-            });
-          }
-        }
-      }
+  
+  // Mensajes atrasados que llegan en esta ronda con el valor (viejo) con que se enviaron
+  lateArrivals.forEach(({ from, to, value, sentRound }) => {
+    messages[from].push({ to, value, delivered: true, late: true, sentRound });
+    messageDelivery.push({ from, to, value, delivered: true, late: true, sentRound });
+  });
+
+  // GUARANTEED DELIVERY: if nothing arrived, force one random message (conditioning)
+  const canReceive = (from, to) => to !== from && !down?.[to] && (!links || links[from][to]);
+  const senderPool = down || links
+    ? Array.from({ length: processCount }, (_, idx) => idx)
+        .filter(idx => !down?.[idx] && messages[idx].some(m => canReceive(idx, m.to)))
+    : null;
+  const senderCount = senderPool ? senderPool.length : processCount;
+  if (deliveryModel.forceOneDelivery && messageDelivery.length === 0 && (senderPool ? senderCount > 0 : senderCount > 1)) {
+    wasConditioned = true;
+    const senderSlot = Math.floor(random() * senderCount);
+    const randomSender = senderPool ? senderPool[senderSlot] : senderSlot;
+    const possibleReceivers = [];
+    for (let j = 0; j < processCount; j++) {
+      if (canReceive(randomSender, j)) possibleReceivers.push(j);
+    }
+    const randomReceiver = possibleReceivers[Math.floor(random() * possibleReceivers.length)];
+    
+    // Update the message to delivered
+    const msg = messages[randomSender].find(m => m.to === randomReceiver);
+    if (msg) {
+      msg.delivered = true;
+      if (msg.delay) {
+        // Forzado a llegar ya: deja de estar en vuelo
+        const pendingIdx = inFlight.findIndex(m =>
+          m.from === randomSender && m.to === randomReceiver && m.sentRound === currentRound
+        );
+        if (pendingIdx >= 0) inFlight.splice(pendingIdx, 1);
+        delete msg.delay;
+      }
+      messageDelivery.push({
+        from: randomSender,
+        to: randomReceiver,
+        value: msg.value,
+        delivered: true
+      });
     }
   }
   
@@ -226,10 +323,19 @@ simulateRound: function(values, p, algorithm = "auto", meetingPoint = 0.5, known
   // PHASE 2: ALGORITHM DECISION LOGIC
   // ========================================
   
+  // Unknown ids fall back to "keep own value", as the old if/else ladder did
+  const definition = getAlgorithm(algorithm);
+  const { requires = {}, constraints = {} } = definition || {};
+  // Algoritmos restringidos a n procesos (p.ej. SELFISH/CYCLIC/BIASED0 en n=3) no actúan fuera de ese n
+  const canDecide = Boolean(definition?.decide) &&
+    (constraints.processCount == null || constraints.processCount === processCount);
+  const checkInvariants = shouldCheckInvariants(options);
+  const seenValues = checkInvariants ? [] : null;
+
   // Initialize known values sets if needed (for MIN and RECURSIVE AMP)
     let updatedKnownValuesSets = null;
     
-    if (algorithm === "MIN" || algorithm === "RECURSIVE AMP") {
+    if (requires.knownValues) {
       if (knownValuesSets && Array.isArray(knownValuesSets)) {
         // Si ya existe, verificar que sean Sets y convertir si no lo son
         updatedKnownValuesSets = knownValuesSets.map((item, idx) => {
@@ -255,8 +361,8 @@ simulateRound: function(values, p, algorithm = "auto", meetingPoint = 0.5, known
   // Process each node's decision
   for (let i = 0; i < processCount; i++) {
     const receivedMessages = [];
-    let leaderMessageReceived = false;
-    let leaderMessageValue = processCount > 0 ? values[leaderIndex] : undefined;
+    const senders = [];
+    let leaderMessage = null;
     
     // Collect messages received by process i
     for (let j = 0; j < processCount; j++) {
@@ -264,240 +370,103 @@ simulateRound: function(values, p, algorithm = "auto", meetingPoint = 0.5, known
         const msg = messages[j].find(m => m.to === i);
           if (msg && msg.delivered) {
             receivedMessages.push(msg.value);
-            if (algorithm === "LEADER" && j === leaderIndex) {
-              leaderMessageReceived = true;
-              leaderMessageValue = msg.value;
+            senders.push(j);
+            if (requires.leader && j === leaderIndex) {
+              leaderMessage = { value: msg.value };
             }
         }
       }
     }
+
+    // Valores atrasados: entran por la misma lógica de decisión, tras los frescos
+    lateArrivals.forEach(m => {
+      if (m.to !== i) return;
+      receivedMessages.push(m.value);
+      senders.push(m.from);
+      if (requires.leader && m.from === leaderIndex && !leaderMessage) {
+        leaderMessage = { value: m.value };
+      }
+    });
     
     const myValue = values[i];
-    const receivedDifferentValue = receivedMessages.find(val => val !== myValue);
     
     // Update known values for MIN/RECURSIVE AMP
     if (updatedKnownValuesSets && updatedKnownValuesSets[i] && updatedKnownValuesSets[i] instanceof Set) {
       receivedMessages.forEach(val => updatedKnownValuesSets[i].add(val));
-      if (algorithm === "MIN" && originalValues) {
+      if (requires.originalValues && originalValues) {
         updatedKnownValuesSets[i].add(originalValues[i]);
       }
     }
     
-    // ========================================
-    // ALGORITHM-SPECIFIC LOGIC
-    // ========================================
-    
-    // COURTEOUS ahora funciona para cualquier n>=2
-    if (algorithm === "COURTEOUS") {
-      const allValues = [myValue, ...receivedMessages];
-
-      // Si todos son binarios, aplica la regla clásica de cortesía
-      const allBinary = allValues.every(v => v === 0 || v === 1);
-      if (allBinary) {
-        const count1 = allValues.filter(v => v === 1).length;
-        const count0 = allValues.length - count1;
-        if (count0 > count1) {
-          newValues[i] = 0;
-        } else if (count1 > count0) {
-          newValues[i] = 1;
-        } else {
-          newValues[i] = myValue === 0 ? 1 : 0; // empate: ser cortés
-        }
-      } else {
-        // Caso general: mayoría por valor entero redondeado (consenso entero)
-        const roundedValues = allValues.map(v => Math.round(v));
-        const freq = {};
-        roundedValues.forEach(v => { freq[v] = (freq[v] || 0) + 1; });
-        let bestVal = roundedValues[0];
-        let bestCount = freq[bestVal];
-        let tie = false;
-        Object.entries(freq).forEach(([k, count]) => {
-          if (count > bestCount) {
-            bestVal = Number(k);
-            bestCount = count;
-            tie = false;
-          } else if (count === bestCount && Number(k) !== bestVal) {
-            tie = true;
-          }
-        });
-
-        if (!tie) {
-          newValues[i] = bestVal;
-        } else {
-          const myRounded = Math.round(myValue);
-          // En empate, “ser cortés”: si hay otra opción distinta a la mía, tómala; si no, mantén.
-          const alt = Object.keys(freq).map(Number).find(v => v !== myRounded);
-          newValues[i] = alt !== undefined ? alt : myRounded;
-        }
-      }
+    if (seenValues) {
+      seenValues[i] = [myValue, ...receivedMessages, ...(updatedKnownValuesSets?.[i] ?? [])];
     }
-    // 3-PROCESS BINARY ALGORITHMS (restan en n=3)
-    else if (processCount === 3 && ["SELFISH", "CYCLIC", "BIASED0"].includes(algorithm)) {
-      const uniqueProcessesHeard = receivedMessages.length + 1; // +1 for self
-      
-      if (algorithm === "SELFISH") {
-        // 2.a - If heard only own value (no messages received)
-        if (receivedMessages.length === 0) {
-          newValues[i] = myValue;
-        }
-        // 2.b - If heard from all 3 processes
-        else if (uniqueProcessesHeard === 3) {
-          const allValues = [myValue, ...receivedMessages];
-          const count0 = allValues.filter(v => v === 0).length;
-          const count1 = allValues.filter(v => v === 1).length;
-          newValues[i] = count0 > count1 ? 0 : 1;
-        }
-        // 2.c - If heard exactly one value different from own
-        else if (receivedMessages.length === 1 && receivedMessages[0] !== myValue) {
-          newValues[i] = myValue; // Decide own value (selfish)
-        }
-        else {
-          newValues[i] = myValue; // Default: keep own value
-        }
-      }
-      else if (algorithm === "CYCLIC") {
-        // 3.a - If heard only own value (no messages received)
-        if (receivedMessages.length === 0) {
-          newValues[i] = myValue;
-        }
-        // 3.b - If heard from all 3 processes
-        else if (uniqueProcessesHeard === 3) {
-          const allValues = [myValue, ...receivedMessages];
-          const count0 = allValues.filter(v => v === 0).length;
-          const count1 = allValues.filter(v => v === 1).length;
-          newValues[i] = count0 > count1 ? 0 : 1;
-        }
-        // 3.c - If heard exactly from one process, value different from own
-        else if (receivedMessages.length === 1 && receivedMessages[0] !== myValue) {
-          // Cyclic order: A->B, B->C, C->A
-          // Process IDs: 0=A, 1=B, 2=C
-          const receivedFromPrev = (i === 0) ? 2 : (i - 1); // Who would send to me in cyclic order
-          
-          // Check which process sent the message
-          let senderProcess = -1;
-          for (let j = 0; j < processCount; j++) {
-            if (i !== j && messages[j].find(msg => msg.to === i && msg.delivered)) {
-              senderProcess = j;
-              break;
-            }
-          }
-          
-          // Apply cyclic rule based on sender
-          if (senderProcess === receivedFromPrev) {
-            // I'm the decider in this pair, adopt sender's value
-            newValues[i] = receivedMessages[0];
-          } else {
-            // I'm the one who keeps my value in this pair
-            newValues[i] = myValue;
-          }
-        }
-        else {
-          newValues[i] = myValue; // Default: keep own value
-        }
-      }
-      else if (algorithm === "BIASED0") {
-        // If heard 0 from anybody (including self), decide 0
-        const allValues = [myValue, ...receivedMessages];
-        newValues[i] = allValues.includes(0) ? 0 : myValue;
-      }
-    }
-    // GENERAL ALGORITHMS (work for any n)
-    else if (algorithm === "LEADER") {
-      if (i === leaderIndex) {
-        newValues[i] = myValue;
-      } else if (leaderMessageReceived) {
-        newValues[i] = leaderMessageValue;
-      } else {
-        newValues[i] = myValue;
-      }
-    }
-    else if (algorithm === "MIN") {
-      if (updatedKnownValuesSets && updatedKnownValuesSets[i].size > 0) {
-        newValues[i] = Math.min(...Array.from(updatedKnownValuesSets[i]));
-      } else {
-        newValues[i] = myValue;
-      }
-    }
-    else if (algorithm === "RECURSIVE AMP") {
-      // RECURSIVE AMP: Usa el PROMEDIO de todos los valores recibidos para mantener
-      // convergencia gradual recursiva. Fórmula: newValue = a × myValue + (1-a) × avg(received)
-      // Esto es justo porque todos los valores recibidos contribuyen equitativamente.
-      if (receivedMessages.length > 0) {
-        // Calcular PROMEDIO de TODOS los valores recibidos
-        const sum = receivedMessages.reduce((acc, val) =>
-          toDecimal(acc).plus(toDecimal(val)), toDecimal(0));
-        const receivedAvg = sum.div(receivedMessages.length);
-
-        const a = toDecimal(meetingPoint);
-        newValues[i] = a.mul(toDecimal(myValue))
-          .plus(toDecimal(1).minus(a).mul(receivedAvg))
-          .toNumber();
-      } else {
-        newValues[i] = myValue;
-      }
-    }
-    else if (algorithm === "AMP") {
-      if (receivedDifferentValue !== undefined) {
-        newValues[i] = meetingPoint;
-      } else {
-        newValues[i] = myValue;
-      }
-    }
-    else if (algorithm === "FV") {
-      // FV: Selección ALEATORIA entre valores diferentes para comportamiento justo
-      // sin sesgo hacia procesos con IDs específicos. Esto evita dependencia del orden.
 
-      // Filtrar TODOS los valores diferentes del valor actual
-      const differentValues = receivedMessages.filter(val => val !== myValue);
-
-      if (differentValues.length > 0) {
-        // Selección ALEATORIA uniforme entre los valores diferentes
-        const randomIdx = Math.floor(Math.random() * differentValues.length);
-        newValues[i] = differentValues[randomIdx];
-      } else {
-        newValues[i] = myValue;
-      }
+    if (down?.[i]) {
+      continue; // caído: conserva su valor
     }
-    else if (algorithm === "PREF1") {
-      const knowsOne = myValue === 1 || receivedMessages.some(val => val === 1);
-      newValues[i] = knowsOne ? 1 : 0;
-    }
-    else if (algorithm === "PREF0") {
-      const knowsZero = myValue === 0 || receivedMessages.some(val => val === 0);
-      newValues[i] = knowsZero ? 0 : 1;
-    }
-    else if (algorithm === "SWEEP") {
-      const sweepPhase = options.sweepPhase === 0 ? 0 : 1;
-      if (sweepPhase === 0) {
-        const knowsZero = myValue === 0 || receivedMessages.some(val => val === 0);
-        newValues[i] = knowsZero ? 0 : 1;
-      } else {
-        const knowsOne = myValue === 1 || receivedMessages.some(val => val === 1);
-        newValues[i] = knowsOne ? 1 : 0;
-      }
-    }
-    else {
-      // Default: keep own value
-      newValues[i] = myValue;
+
+    if (faulty?.[i]) {
+      newValues[i] = nextByzantineValue(faulty[i], { myValue, received: receivedMessages });
+      continue;
     }
+
+    // Decision rule comes from the algorithm registry (src/algorithms/registry.js)
+    newValues[i] = canDecide
+      ? definition.decide({
+          index: i,
+          myValue,
+          received: receivedMessages,
+          senders,
+          knownValues: updatedKnownValuesSets ? updatedKnownValuesSets[i] : null,
+          leaderIndex,
+          leaderMessage,
+          meetingPoint,
+          processCount,
+          random,
+          options
+        })
+      : myValue;
   }
   
   // ========================================
   // PHASE 3: CALCULATE DISCREPANCY
   // ========================================
   
+  // Solo entre procesos correctos y vivos
   let maxDiscrepancy = toDecimal(0);
-  for (let i = 0; i < processCount; i++) {
-    for (let j = i + 1; j < processCount; j++) {
-      const disc = abs(toDecimal(newValues[i]).minus(toDecimal(newValues[j])));
+  for (let a = 0; a < liveIndices.length; a++) {
+    for (let b = a + 1; b < liveIndices.length; b++) {
+      const disc = abs(toDecimal(newValues[liveIndices[a]]).minus(toDecimal(newValues[liveIndices[b]])));
       if (disc.gt(maxDiscrepancy)) {
         maxDiscrepancy = disc;
       }
     }
   }
+
+  const invariantViolations = checkInvariants
+    ? checkRoundInvariants({
+        definition,
+        values,
+        newValues,
+        seen: seenValues,
+        checked: liveIndices,
+        correct: correctIndices,
+        knownBefore: updatedKnownValuesSets && Array.isArray(knownValuesSets) ? knownValuesSets : null,
+        knownAfter: updatedKnownValuesSets,
+        stableInputs: !faulty && lateArrivals.length === 0
+      })
+    : null;
+  invariantViolations?.forEach(v => {
+    engineLog.warn(`Invariant "${v.invariant}" violated by ${algorithm} in round ${currentRound}: ${v.message}`);
+  });
   
   return {
     newValues,
+    faulty,
+    inFlight,
+    lateDeliveries: lateArrivals.length,
+    crashed: down ? Array.from({ length: processCount }, (_, idx) => idx).filter(idx => down[idx]) : [],
     messages,
     messageDelivery,
     discrepancy: maxDiscrepancy.toNumber(),
@@ -505,7 +474,9 @@ simulateRound: function(values, p, algorithm = "auto", meetingPoint = 0.5, known
     knownValuesSets: updatedKnownValuesSets
       ? updatedKnownValuesSets.map(set => Array.from(set))
       : null,
-    senderDeliveryStatus  // NEW: tracking for process-dependent mode
+    senderDeliveryStatus,  // NEW: tracking for process-dependent mode
+    channelState: delivery.channelState ?? null,  // stateful models (Gilbert–Elliott)
+    ...(invariantViolations ? { invariantViolations } : {})
   };
 },
 
@@ -517,6 +488,42 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
   const leaderIndex = processCount > 0
     ? Math.max(0, Math.min(processCount - 1, leaderIndexRaw))
     : 0;
+
+  // Every run owns a seeded stream so it can be replayed bit-for-bit
+  const seed = resolveSeed(options);
+  const rng = createRng(seed);
+
+  // Per-round p (options.pSchedule, see delivery/schedule.js); 'auto' re-resolves every round
+  const pSchedule = normalizeProbabilitySchedule(options.pSchedule);
+
+  // Byzantine processes: discrepancy and validity only over the correct ones
+  const faulty = normalizeByzantineConfig(options.byzantine, processCount);
+  const correctIndices = getCorrectIndices(faulty, processCount);
+
+  // Crash / crash-recovery plan (options.crashes); random crash rounds come from the run's stream
+  const crashPlan = resolveCrashPlan(
+    options.crashes,
+    processCount,
+    algorithm === "SWEEP" ? rounds * 2 : rounds,
+    rng
+  );
+  const liveAt = (round) => {
+    const crashed = getCrashedIndices(crashPlan, round);
+    return crashed.length > 0 ? correctIndices.filter(idx => !crashed.includes(idx)) : correctIndices;
+  };
+  const validity = (current, round) => (
+    faulty || crashPlan ? isValidOutcome(current, initialValues, liveAt(round)) : undefined
+  );
+
+  // Stateful delivery models (Gilbert–Elliott) keep their link states across rounds
+  const deliveryModel = resolveDeliveryModel(deliveryMode);
+  const deliveryParams = getDeliveryParams(deliveryModel.id, options.deliveryParams);
+  let channelState = typeof deliveryModel.createState === 'function'
+    ? deliveryModel.createState({ processCount, params: deliveryParams, random: rng })
+    : null;
+
+  // Mensajes retrasados aún en vuelo (options.delay)
+  let inFlight = [];
   
   // Para algoritmo MIN: mantener conjunto de valores conocidos y valores originales
   let knownValuesSets = null;
@@ -525,10 +532,10 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
   if (algorithm === "MIN") {
     const hasNegativeValues = initialValues.some(v => v < 0);
     if (hasNegativeValues) {
-      console.warn("MIN algorithm works best with non-negative values");
+      engineLog.warn("MIN algorithm works best with non-negative values");
     }
     if (meetingPoint !== 0.5) {
-      console.info("MIN algorithm ignores meeting point parameter");
+      engineLog.info("MIN algorithm ignores meeting point parameter");
     }
     knownValuesSets = initialValues.map(val => new Set([val]));
   }
@@ -544,8 +551,9 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
   
   // Calculate initial discrepancy
   let initialDiscrepancy = new Decimal(0);
-  for (let i = 0; i < processCount; i++) {
-    for (let j = i+1; j < processCount; j++) {
+  for (const i of correctIndices) {
+    for (const j of correctIndices) {
+      if (j <= i) continue;
       const discrepancy = abs(toDecimal(values[i]).minus(toDecimal(values[j])));
       if (discrepancy.gt(initialDiscrepancy)) {
         initialDiscrepancy = discrepancy;
@@ -557,6 +565,9 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
   const history = [{
     round: 0,
     leaderIndex,
+    seed,
+    faulty,
+    crashed: [],
     values: [...values],
     processValues: values.reduce((obj, val, idx) => {
       obj[processNames[idx].toLowerCase()] = val;
@@ -568,6 +579,7 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
     knownValuesSets: algorithm === "MIN" ? 
       knownValuesSets.map(set => Array.from(set)) : null
   }];
+  history.seed = seed;
   
   // Execute rounds
   if (algorithm === "SWEEP") {
@@ -576,34 +588,57 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
     for (let sweep = 1; sweep <= rounds; sweep++) {
       for (const sweepPhase of [0, 1]) {
         historyRound += 1;
+        const roundP = scheduledProbability(pSchedule, p, historyRound);
         const result = SimulationEngine.simulateRound(
           values,
-          p,
+          roundP,
           algorithm,
           meetingPoint,
           knownValuesSets,
           originalValues,
           deliveryMode,
-          { leaderIndex, sweepPhase }
+          {
+            leaderIndex,
+            sweepPhase,
+            rng,
+            deliveryParams,
+            channelState,
+            linkMatrix: options.linkMatrix,
+            byzantine: options.byzantine,
+            crashed: getCrashedIndices(crashPlan, historyRound),
+            delay: options.delay,
+            topology: options.topology,
+            round: historyRound,
+            inFlight,
+            checkInvariants: options.checkInvariants
+          }
         );
 
         values = result.newValues;
+        channelState = result.channelState;
+        inFlight = result.inFlight;
 
         history.push({
           round: historyRound,
           leaderIndex,
           sweepRound: sweep,
           sweepPhase,
+          p: Number(roundP),
           values: [...values],
           processValues: values.reduce((obj, val, idx) => {
             obj[processNames[idx].toLowerCase()] = val;
             return obj;
           }, {}),
           discrepancy: result.discrepancy,
+          valid: validity(values, historyRound),
+          crashed: result.crashed,
+          lateDeliveries: result.lateDeliveries,
+          inFlight: result.inFlight.length,
           messages: result.messages,
           messageDelivery: result.messageDelivery,
           wasConditioned: !!result.wasConditioned,
-          knownValuesSets: result.knownValuesSets
+          knownValuesSets: result.knownValuesSets,
+          ...(result.invariantViolations ? { invariantViolations: result.invariantViolations } : {})
         });
       }
     }
@@ -614,19 +649,35 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
   for (let r = 1; r <= rounds; r++) {
     const previousValuesSnapshot = [...values];
     const previousDiscrepancy = history[history.length - 1]?.discrepancy ?? initialDiscrepancy.toNumber();
+    const roundP = scheduledProbability(pSchedule, p, r);
 
     const result = SimulationEngine.simulateRound(
       values, 
-      p, 
+      roundP, 
       algorithm, 
       meetingPoint,
       knownValuesSets,
       originalValues,
       deliveryMode, // NUEVO PARÁMETRO
-      { leaderIndex }
+      {
+        leaderIndex,
+        rng,
+        deliveryParams,
+        channelState,
+        linkMatrix: options.linkMatrix,
+        byzantine: options.byzantine,
+        crashed: getCrashedIndices(crashPlan, r),
+        delay: options.delay,
+        topology: options.topology,
+        round: r,
+        inFlight,
+        checkInvariants: options.checkInvariants
+      }
     );
     
     values = result.newValues;
+    channelState = result.channelState;
+    inFlight = result.inFlight;
 
     if (algorithm === "MIN" && r < rounds) {
       // MIN mantiene los valores originales hasta la última ronda
@@ -636,21 +687,23 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
     }
     
     // Mantener knownValuesSets para MIN y RECURSIVE AMP
-    if (algorithm === "MIN" || algorithm === "RECURSIVE AMP") {
+    if (getAlgorithm(algorithm)?.requires.knownValues) {
       knownValuesSets = result.knownValuesSets;
     }
     
     // Para la última ronda de MIN, decidir valores finales
     if (algorithm === "MIN" && r === rounds) {
-      for (let i = 0; i < processCount; i++) {
+      const live = liveAt(r);
+      for (const i of live) {
         const minValue = Math.min(...Array.from(knownValuesSets[i]));
         values[i] = minValue;
       }
       
       // Recalcular discrepancia final
       let maxDiscrepancy = new Decimal(0);
-      for (let i = 0; i < processCount; i++) {
-        for (let j = i+1; j < processCount; j++) {
+      for (const i of live) {
+        for (const j of live) {
+          if (j <= i) continue;
           const discrepancy = abs(toDecimal(values[i]).minus(toDecimal(values[j])));
           if (discrepancy.gt(maxDiscrepancy)) {
             maxDiscrepancy = discrepancy;
@@ -665,28 +718,117 @@ runExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetin
     history.push({
       round: r,
       leaderIndex,
+      p: Number(roundP),
       values: [...values],
       processValues: values.reduce((obj, val, idx) => {
         obj[processNames[idx].toLowerCase()] = val;
         return obj;
       }, {}),
       discrepancy: result.discrepancy,
+      valid: validity(values, r),
+      crashed: result.crashed,
+      lateDeliveries: result.lateDeliveries,
+      inFlight: result.inFlight.length,
       messages: result.messages,
       messageDelivery: result.messageDelivery,
       wasConditioned: !!result.wasConditioned,
-      knownValuesSets: result.knownValuesSets
+      knownValuesSets: result.knownValuesSets,
+      ...(result.invariantViolations ? { invariantViolations: result.invariantViolations } : {})
     });
   }
   
   return history;
   },
 
+// Discrepancia esperada exacta enumerando los patrones de entrega (n ≤ 5, ver theory/exact.js).
+// Usa la lógica real de cada algoritmo del registro; null fuera de su alcance.
+calculateExactDiscrepancy: function(p, algorithm = "auto", initialValues, rounds = 1, deliveryMode = 'standard', meetingPoint = 0.5, options = {}) {
+  return exactExpectedDiscrepancy({
+    p: toDecimal(p).toNumber(),
+    algorithm,
+    initialValues,
+    rounds,
+    deliveryMode,
+    meetingPoint,
+    leaderIndex: options.leaderIndex ?? 0,
+    pSchedule: options.pSchedule ?? null,
+    deliveryParams: options.deliveryParams
+  });
+},
+
+// E[D] exacta tras cada ronda (índice 0 = discrepancia inicial)
+calculateExactDiscrepancyByRound: function(p, algorithm = "auto", initialValues, rounds = 1, deliveryMode = 'standard', meetingPoint = 0.5, options = {}) {
+  return exactDiscrepancyByRound({
+    p: toDecimal(p).toNumber(),
+    algorithm,
+    initialValues,
+    rounds,
+    deliveryMode,
+    meetingPoint,
+    leaderIndex: options.leaderIndex ?? 0,
+    pSchedule: options.pSchedule ?? null,
+    deliveryParams: options.deliveryParams
+  });
+},
+
+// E[D] como polinomio exacto en p con coeficientes racionales (misma enumeración).
+// Un tramo por algoritmo resuelto ('auto' da FV para p ≤ 1/2 y AMP arriba), cada uno
+// con su texto plano y LaTeX; null con calendario de p o fuera del alcance de la enumeración.
+calculateDiscrepancyPolynomial: function(algorithm = "auto", initialValues, rounds = 1, deliveryMode = 'standard', meetingPoint = 0.5, options = {}) {
+  const pieces = exactDiscrepancyPolynomial({
+    algorithm,
+    initialValues,
+    rounds,
+    deliveryMode,
+    meetingPoint,
+    leaderIndex: options.leaderIndex ?? 0,
+    pSchedule: options.pSchedule ?? null,
+    deliveryParams: options.deliveryParams
+  });
+  if (!pieces) return null;
+  return pieces.map((piece) => ({
+    ...piece,
+    degree: Math.max(0, piece.polynomial.coeffs.length - 1),
+    text: formatPolynomial(piece.polynomial),
+    latex: formatPolynomial(piece.polynomial, { format: 'latex' }),
+    evaluate: (p) => evaluatePolynomial(piece.polynomial, p)
+  }));
+},
+
+// Costo de la información vieja: mismas semillas (mismas monedas de entrega y de
+// retardo) con los mensajes atrasados entregados tarde vs. descartados (omisión pura)
+compareDelayWithOmission: function(initialValues, p, rounds, repetitions, algorithm = "auto", meetingPoint = 0.5, deliveryMode = 'standard', options = {}) {
+  const delay = normalizeDelayModel(options.delay);
+  if (!delay) return null;
+  const seed = resolveSeed(options);
+  const stale = this.runMultipleExperiments(initialValues, p, rounds, repetitions, algorithm, meetingPoint, deliveryMode, {
+    ...options,
+    seed,
+    delay: { ...delay, lateMessages: 'deliver' }
+  });
+  const omission = this.runMultipleExperiments(initialValues, p, rounds, repetitions, algorithm, meetingPoint, deliveryMode, {
+    ...options,
+    seed,
+    delay: { ...delay, lateMessages: 'drop' }
+  });
+  return {
+    seed,
+    stale: { mean: stale.mean, ci95: stale.ci95, avgLateDeliveries: stale.avgLateDeliveries },
+    omission: { mean: omission.mean, ci95: omission.ci95 },
+    stalePenalty: stale.mean - omission.mean
+  };
+},
+
 runMultipleConditionedExperiments: function(initialValues, p, rounds, repetitions, algorithm = "auto", meetingPoint = 0.5, options = {}) {
     const allDiscrepancies = [];
     const allConditioningRates = [];
+    const baseSeed = resolveSeed(options);
     
     for (let i = 0; i < repetitions; i++) {
-      const history = this.runConditionedExperiment(initialValues, p, rounds, algorithm, meetingPoint, options);
+      const history = this.runConditionedExperiment(initialValues, p, rounds, algorithm, meetingPoint, {
+        ...options,
+        seed: deriveSeed(baseSeed, i)
+      });
       const finalDiscrepancy = history[history.length - 1].discrepancy;
       allDiscrepancies.push(finalDiscrepancy);
       allConditioningRates.push(history.conditioningRate || 0);
@@ -701,12 +843,17 @@ runMultipleConditionedExperiments: function(initialValues, p, rounds, repetition
       min: Math.min(...allDiscrepancies),
       max: Math.max(...allDiscrepancies),
       avgConditioningRate,
-      discrepancies: allDiscrepancies
+      discrepancies: allDiscrepancies,
+      seed: baseSeed
     };
   },
 
   // Cálculo teórico para modo condicionado (Teoremas 4 y 7)
-  calculateTheoreticalConditioned: function(p, algorithm = "auto", rounds = 1) {
+  // channel (opcional): { pAB, pBA, meetingPoint } canal asimétrico Alice/Bob, ver theory/asymmetricChannel.js
+  calculateTheoreticalConditioned: function(p, algorithm = "auto", rounds = 1, channel = null) {
+    if (isAsymmetricChannel(channel)) {
+      return asymmetricTwoProcessDiscrepancy({ ...channel, algorithm, rounds, conditioned: true });
+    }
     const decP = toDecimal(p);
     const q = toDecimal(1).minus(decP);
     
@@ -748,6 +895,8 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
     ? Math.max(0, Math.min(processCount - 1, leaderIndexRaw))
     : 0;
   const experimentOptions = { ...options, leaderIndex };
+  const baseSeed = resolveSeed(options);
+  const seeds = [];
     
     // Determine actual algorithm if auto
     const actualAlgorithm = algorithm === "auto" ? 
@@ -757,6 +906,8 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
     
     // Run multiple simulations
     for (let i = 0; i < repetitions; i++) {
+      const repetitionSeed = deriveSeed(baseSeed, i);
+      seeds.push(repetitionSeed);
       const history = SimulationEngine.runExperiment(
         initialValues,
         p,
@@ -764,7 +915,7 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
         algorithm,
         actualMeetingPoint,
         deliveryMode, // NUEVO PARÁMETRO
-        experimentOptions
+        { ...experimentOptions, seed: repetitionSeed }
       );
       
       const finalDiscrepancy = history[history.length - 1].discrepancy;
@@ -802,26 +953,75 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
       if (val === 0) m++;
     });
     
-    if (processCount === 2) {
-      theoretical = actualAlgorithm === "SWEEP"
-        ? this.calculateExpectedDiscrepancyNProcesses(
-            p,
-            processCount,
-            m,
-            actualAlgorithm,
-            actualMeetingPoint,
-            initialValues,
-            deliveryMode,
-            rounds
-          )
-        : this.calculateExpectedDiscrepancyMultiRound(
-            p,
-            rounds,
-            actualAlgorithm
-          );
+    if (resolveDeliveryModel(deliveryMode).id === 'value-dependent') {
+      // Solo PREF0/PREF1/SWEEP tienen teoría bajo pérdida dependiente del valor
+      theoretical = this.calculateExpectedDiscrepancyNProcesses(
+        p,
+        processCount,
+        m,
+        actualAlgorithm,
+        actualMeetingPoint,
+        initialValues,
+        deliveryMode,
+        rounds,
+        { deliveryParams: options.deliveryParams }
+      );
+    } else if (["LEADER", "MIN", "RECURSIVE AMP"].includes(actualAlgorithm)) {
+      // Teoría propia para cualquier n y cualquier número de rondas
+      theoretical = this.calculateExpectedDiscrepancyNProcesses(
+        p,
+        processCount,
+        m,
+        actualAlgorithm,
+        actualMeetingPoint,
+        initialValues,
+        deliveryMode,
+        rounds,
+        { leaderIndex: options.leaderIndex }
+      );
+    } else if (processCount === 2) {
+      // Con matriz de enlaces: canal asimétrico Alice/Bob (theory/asymmetricChannel.js),
+      // solo con entradas 0/1 y enlaces independientes
+      const linkMatrix = normalizeLinkMatrix(options.linkMatrix, processCount);
+      const channel = linkMatrix && ['standard', 'process-dependent'].includes(resolveDeliveryModel(deliveryMode).id)
+        ? twoProcessChannel({ p: decP.toNumber(), linkMatrix, initialValues, meetingPoint: actualMeetingPoint })
+        : null;
+      if (actualAlgorithm === "SWEEP") {
+        theoretical = this.calculateExpectedDiscrepancyNProcesses(
+          p,
+          processCount,
+          m,
+          actualAlgorithm,
+          actualMeetingPoint,
+          initialValues,
+          deliveryMode,
+          rounds
+        );
+      } else if (linkMatrix) {
+        theoretical = channel
+          ? this.calculateExpectedDiscrepancyMultiRound(p, rounds, actualAlgorithm, null, channel)
+          : null;
+      } else {
+        theoretical = this.calculateExpectedDiscrepancyMultiRound(
+          p,
+          rounds,
+          actualAlgorithm
+        );
+      }
     } else if (processCount === 3) {
       // MODIFICADO: Manejar COURTEOUS y COURTEOUS_CORRELATED
-      if (actualAlgorithm === "COURTEOUS" || actualAlgorithm === "COURTEOUS_CORRELATED") {
+      if (actualAlgorithm === "COURTEOUS") {
+        theoretical = this.calculateExpectedDiscrepancyNProcesses(
+          p,
+          processCount,
+          m,
+          actualAlgorithm,
+          actualMeetingPoint,
+          initialValues,
+          deliveryMode,
+          rounds
+        );
+      } else if (actualAlgorithm === "COURTEOUS_CORRELATED") {
         theoretical = this.calculate3ProcessBinaryDiscrepancy(p, actualAlgorithm, initialValues, deliveryMode);
         if (rounds > 1 && theoretical !== null) {
           theoretical = Math.pow(theoretical, rounds);
@@ -837,13 +1037,22 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
           deliveryMode,
           rounds
         );
-      } else {
-        theoretical = this.calculateExpectedDiscrepancy3Players(p, initialValues, meetingPoint);
-        if (rounds > 1) {
-          const reductionFactor = this.getReductionFactor3Players(p);
-          theoretical = theoretical * Math.pow(reductionFactor, rounds - 1);
-        }
+      } else if (actualAlgorithm === "AMP" || actualAlgorithm === "FV") {
+        // Cadena exacta sobre los conteos de valores, todas las rondas (como con n > 3)
+        theoretical = this.calculateExpectedDiscrepancyNProcesses(
+          p,
+          processCount,
+          m,
+          actualAlgorithm,
+          actualMeetingPoint,
+          initialValues,
+          deliveryMode,
+          rounds,
+          { deliveryParams: options.deliveryParams }
+        );
       }
+      // SELFISH, CYCLIC, BIASED0 y el resto no tienen forma cerrada: la enumeración
+      // exacta de abajo da la teoría de todas las rondas, o queda null
     } else {
       theoretical = this.calculateExpectedDiscrepancyNProcesses(
         p,
@@ -855,21 +1064,50 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
         deliveryMode,
         rounds
       );
-      if (rounds > 1) {
-        const q = toDecimal(1).minus(decP);
-        const reductionFactor = actualAlgorithm === "AMP"
-          ? q.toNumber()
-          : (pow(decP, 2).plus(pow(q, 2))).toNumber();
-        if (theoretical !== null && actualAlgorithm === "COURTEOUS") {
-          theoretical = Math.pow(theoretical, rounds);
-        } else if (theoretical !== null && actualAlgorithm !== "PREF1" && actualAlgorithm !== "PREF0" && actualAlgorithm !== "SWEEP") {
-          theoretical = theoretical * Math.pow(reductionFactor, rounds - 1);
-        } else if (actualAlgorithm === "PREF1" || actualAlgorithm === "PREF0") {
-          theoretical = null;
-        }
+      // Las cadenas y la enumeración exacta ya cubren todas las rondas
+      if (rounds > 1 && (actualAlgorithm === "PREF1" || actualAlgorithm === "PREF0")) {
+        theoretical = null;
       }
     }
     
+    // Con calendario de p solo hay forma cerrada para AMP/FV con n = 2
+    const pSchedule = normalizeProbabilitySchedule(options.pSchedule);
+    if (pSchedule) {
+      theoretical = processCount === 2
+        ? this.calculateExpectedDiscrepancy(p, algorithm, rounds, deliveryMode, pSchedule)
+        : null;
+    }
+
+    // Con fallos (bizantinos o caídas) no hay forma cerrada; se informa la tasa de validez.
+    // La discrepancia de cada corrida ya se mide solo entre procesos correctos y vivos.
+    const byzantine = normalizeByzantineConfig(options.byzantine, processCount);
+    const hasCrashes = Array.isArray(options.crashes) && options.crashes.length > 0;
+    const validityRate = byzantine || hasCrashes
+      ? allRuns.filter(run => run[run.length - 1]?.valid !== false).length / allRuns.length
+      : null;
+    const avgCrashedAtEnd = hasCrashes
+      ? allRuns.reduce((sum, run) => sum + (run[run.length - 1]?.crashed?.length || 0), 0) / allRuns.length
+      : null;
+    // Retardos: mensajes atrasados entregados por corrida (las fórmulas suponen entrega en la misma ronda)
+    const delayed = Boolean(normalizeDelayModel(options.delay));
+    const avgLateDeliveries = delayed
+      ? allRuns.reduce((sum, run) => sum + run.reduce((acc, entry) => acc + (entry.lateDeliveries || 0), 0), 0) / allRuns.length
+      : null;
+    // Las fórmulas también suponen el grafo completo
+    const sparse = Boolean(normalizeTopology(options.topology, processCount));
+    // Enumeración exacta para n chico (null si no aplica): cubre los huecos de las
+    // fórmulas y sirve para contrastarlas
+    let exactTheoretical = null;
+    if (byzantine || hasCrashes || delayed || sparse) {
+      theoretical = null;
+    } else if (!normalizeLinkMatrix(options.linkMatrix, processCount)) {
+      exactTheoretical = this.calculateExactDiscrepancy(p, algorithm, initialValues, rounds, deliveryMode, actualMeetingPoint, {
+        leaderIndex: options.leaderIndex,
+        pSchedule
+      });
+      if (theoretical === null || theoretical === undefined) theoretical = exactTheoretical;
+    }
+    
     const se = std.toNumber() / Math.sqrt(repetitions);
     const ci95 = 2 * se;
     const theoSE = Math.sqrt(theoretical * (1 - theoretical) / repetitions);
@@ -888,13 +1126,20 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
       theoCI95,
       allValues: allDiscrepancies,
       theoretical,
+      exactTheoretical,
       algorithm: actualAlgorithm,
       processCount,
       allRuns,
       n: processCount,
       m: m,
       deliveryMode, // INCLUIR EN EL RETURN
-      leaderIndex
+      leaderIndex,
+      faulty: byzantine,
+      validityRate,
+      avgCrashedAtEnd,
+      avgLateDeliveries,
+      seed: baseSeed,
+      seeds
     };
   },
 
@@ -953,12 +1198,22 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
   },
   
   // Calculate expected discrepancy for multiple rounds (2 processes)
-  calculateExpectedDiscrepancyMultiRound: function(p, rounds, algorithm = "auto") {
+  // pSchedule (opcional): producto de los factores de cada ronda con p_r
+  // channel (opcional): { pAB, pBA, meetingPoint } canal asimétrico (sin pSchedule)
+  calculateExpectedDiscrepancyMultiRound: function(p, rounds, algorithm = "auto", pSchedule = null, channel = null) {
     const decP = toDecimal(p);
     
     if (algorithm === "MIN" || algorithm === "RECURSIVE AMP" || algorithm === "LEADER") {
       return null;
     }
+
+    const schedule = normalizeProbabilitySchedule(pSchedule);
+    if (isAsymmetricChannel(channel)) {
+      return schedule ? null : asymmetricTwoProcessDiscrepancy({ ...channel, algorithm, rounds });
+    }
+    if (schedule) {
+      return scheduledTwoProcessDiscrepancy(schedule, p, rounds, algorithm);
+    }
     
     if (algorithm === "auto") {
       algorithm = decP.gt(0.5) ? "AMP" : "FV";
@@ -980,43 +1235,6 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
     
   },
 
-  // Calculate expected discrepancy for 3 players according to paper
-  calculateExpectedDiscrepancy3Players: function(p, initialValues, meetingPoint) {
-    const decP = toDecimal(p);
-    const q = toDecimal(1).minus(decP);
-    
-    if (decP.gte(0.5)) {
-      return q.toNumber();
-    } else if (decP.gte(THETA)) {
-      const term1 = toDecimal(2).mul(decP).mul(pow(q, 2));
-      const term2 = pow(decP, 3);
-      const term3 = decP.mul(q).mul(toDecimal(1).minus(pow(q, 2)));
-      const term4 = pow(decP, 2).mul(pow(q, 2));
-      const term5 = pow(q, 2).mul(toDecimal(1).minus(pow(decP, 2)));
-      
-      return toDecimal(meetingPoint).mul(term1.plus(term2).plus(term3).plus(term4)).plus(term5).toNumber();
-    } else {
-      const term1 = decP.mul(toDecimal(1).minus(pow(decP, 2)));
-      const term2 = pow(q, 2).mul(toDecimal(1).minus(decP.mul(q)));
-      
-      return term1.plus(term2).toNumber();
-    }
-  },
-
-  // Get reduction factor for 3 players
-  getReductionFactor3Players: function(p) {
-    const decP = toDecimal(p);
-    const q = toDecimal(1).minus(decP);
-    
-    if (decP.gte(0.5)) {
-      return q.toNumber();
-    } else if (decP.gte(THETA)) {
-      return Math.max(q.toNumber(), (pow(decP, 2).plus(pow(q, 2))).toNumber());
-    } else {
-      return (pow(decP, 2).plus(pow(q, 2))).toNumber();
-    }
-  },
-
   // Calculate convergence rate
   calculateConvergenceRate: function(p, algorithm, rounds) {
     const decP = toDecimal(p);
@@ -1068,7 +1286,8 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
     meetingPoint = 0.5,
     initialValues = null,
     deliveryMode = 'standard',
-    rounds = 1
+    rounds = 1,
+    options = {}
   ) {
     const decP = toDecimal(p);
     const q = toDecimal(1).minus(decP);
@@ -1076,10 +1295,53 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
     if (algorithm === "auto") {
       algorithm = decP.gt(0.5) ? "AMP" : "FV";
     }
-    
-    if (algorithm === "MIN" || algorithm === "RECURSIVE AMP") {
+
+    // Protocols registered with their own theory function answer first
+    const registeredTheory = SimulationEngine.algorithms.theory(algorithm, p, { n, m, meetingPoint, initialValues, deliveryMode, rounds });
+    if (registeredTheory !== undefined) {
+      return registeredTheory;
+    }
+
+    // Pérdida dependiente del valor: cadena propia para PREF0/PREF1/SWEEP (theory/valueDependent.js)
+    if (resolveDeliveryModel(deliveryMode).id === 'value-dependent') {
+      return valueDependentPreferenceDiscrepancy({
+        p: decP.toNumber(),
+        initialValues: Array.isArray(initialValues) && initialValues.length === n
+          ? initialValues
+          : Array.from({ length: n }, (_, idx) => (idx < m ? 0 : 1)),
+        algorithm,
+        rounds,
+        deliveryParams: options.deliveryParams
+      });
+    }
+
+    // Correlated-loss channels have no closed form here
+    if (getDeliveryModel(deliveryMode)?.closedFormTheory === false) {
       return null;
     }
+    
+    if (algorithm === "LEADER" || algorithm === "MIN" || algorithm === "RECURSIVE AMP") {
+      // Sin valores explícitos: m procesos en 0 y el resto en 1
+      const values = Array.isArray(initialValues) && initialValues.length === n
+        ? initialValues
+        : Array.from({ length: n }, (_, idx) => (idx < m ? 0 : 1));
+      const config = {
+        p: decP.toNumber(),
+        initialValues: values,
+        rounds,
+        deliveryMode,
+        meetingPoint: toDecimal(meetingPoint).toNumber(),
+        leaderIndex: options.leaderIndex ?? 0
+      };
+      // Fórmulas cerradas (theory/closedForms.js) y la recursión sobre formas de
+      // R-AMP cubren standard y process-dependent; guaranteed queda para la enumeración exacta
+      if (resolveDeliveryModel(deliveryMode).id === 'guaranteed') {
+        return exactExpectedDiscrepancy({ ...config, algorithm });
+      }
+      if (algorithm === "LEADER") return leaderExpectedDiscrepancy(config);
+      if (algorithm === "MIN") return minExpectedDiscrepancy(config);
+      return n === 2 ? recursiveAmpTwoProcessDiscrepancy(config) : recursiveAmpExpectedDiscrepancy(config);
+    }
 
     if (algorithm === "COURTEOUS") {
       if (!Array.isArray(initialValues) || initialValues.length !== n) {
@@ -1090,14 +1352,26 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
       if (d0 === 0 || d1 === 0) {
         return 0;
       }
-      return courteousFormula(p, d0, d1);
+      if (d0 + d1 === n) {
+        // Cadena exacta sobre los conteos de 0 y 1: cada ronda parte de la configuración
+        // que dejó la anterior (elevar la primera ronda a la r no es correcto).
+        // k-of-n no tiene cadena para la mayoría: enumeración exacta (n ≤ 5)
+        const chain = valueCountExpectedDiscrepancy({
+          p: decP.toNumber(), n, zeros: d0, algorithm, deliveryMode, deliveryParams: options.deliveryParams, rounds
+        });
+        return chain ?? exactExpectedDiscrepancy({
+          p: decP.toNumber(), algorithm, initialValues, rounds, deliveryMode, deliveryParams: options.deliveryParams
+        });
+      }
+      return rounds === 1 ? courteousFormula(p, d0, d1) : null;
     }
 
     if (algorithm === "PREF1" || algorithm === "PREF0") {
       if (!Array.isArray(initialValues) || initialValues.length !== n) {
         return null;
       }
-      if (deliveryMode !== 'process-dependent' || rounds !== 1) {
+      const modeId = resolveDeliveryModel(deliveryMode).id;
+      if (!['process-dependent', 'receiver-dependent', 'k-of-n'].includes(modeId) || rounds !== 1) {
         return null;
       }
 
@@ -1106,13 +1380,18 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
         return null;
       }
 
-      const d1 = initialValues.filter(value => value === 1).length;
-      const d0 = initialValues.filter(value => value === 0).length;
-
-      if (algorithm === "PREF1") {
-        return Math.pow(q.toNumber(), d1);
+      // Falla si algún proceso sin el valor preferido no lo oye
+      const preferred = algorithm === "PREF1" ? 1 : 0;
+      const holders = initialValues.filter(value => value === preferred).length;
+      const others = n - holders;
+      if (modeId === 'receiver-dependent') {
+        return 1 - Math.pow(decP.toNumber(), others);
+      }
+      if (modeId === 'k-of-n') {
+        const k = partialBroadcastSize(getDeliveryParams('k-of-n', options.deliveryParams), n);
+        return 1 - partialBroadcastCoverage(decP.toNumber(), n, k, holders, others);
       }
-      return Math.pow(q.toNumber(), d0);
+      return Math.pow(q.toNumber(), holders);
     }
 
     if (algorithm === "SWEEP") {
@@ -1124,10 +1403,47 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
       if (d0 === 0 || d1 === 0) {
         return 0;
       }
-      // Exact for broadcast delivery, upper bound for standard.
+      // q^(k n) solo vale con broadcast: con enlaces independientes un proceso puede oír
+      // el valor preferido y otro no, y la fase siguiente no siempre lo repara
+      if (resolveDeliveryModel(deliveryMode).id !== 'process-dependent') {
+        return null;
+      }
       return Math.pow(q.toNumber(), rounds * n);
     }
     
+    // AMP / FV con entradas binarias: cadena exacta sobre los conteos de 0, 1 y punto
+    // de encuentro, válida para cualquier número de rondas (ver theory/valueCounts.js)
+    const binaryInputs = !Array.isArray(initialValues) || initialValues.every(value => value === 0 || value === 1);
+    if (binaryInputs && (algorithm === "AMP" || algorithm === "FV")) {
+      return valueCountExpectedDiscrepancy({
+        p: decP.toNumber(),
+        n,
+        zeros: Array.isArray(initialValues) ? initialValues.filter(value => value === 0).length : m,
+        algorithm,
+        meetingPoint: toDecimal(meetingPoint).toNumber(),
+        deliveryMode,
+        deliveryParams: options.deliveryParams,
+        rounds
+      });
+    }
+
+    // Las fórmulas de abajo son de AMP y FV. El resto (SELFISH, CYCLIC, BIASED0...)
+    // solo tiene la enumeración exacta (n ≤ 5); fuera de su alcance, null
+    if (algorithm !== "AMP" && algorithm !== "FV") {
+      return Array.isArray(initialValues) && initialValues.length === n
+        ? exactExpectedDiscrepancy({
+            p: decP.toNumber(),
+            algorithm,
+            initialValues,
+            rounds,
+            deliveryMode,
+            meetingPoint: toDecimal(meetingPoint).toNumber(),
+            leaderIndex: options.leaderIndex ?? 0,
+            deliveryParams: options.deliveryParams
+          })
+        : null;
+    }
+
     const a = toDecimal(meetingPoint);
     
     if (algorithm === "AMP") {
@@ -1146,6 +1462,7 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
   // Calculate expected discrepancy for 3-process binary algorithms
   calculate3ProcessBinaryDiscrepancy: function(p, algorithm, initialValues = [0, 0, 1], deliveryMode = 'independent') {
     if (initialValues.length !== 3) return null;
+    if (getDeliveryModel(deliveryMode)?.closedFormTheory === false) return null;
     
     const pNum = parseFloat(p);
     
@@ -1162,16 +1479,12 @@ runMultipleExperiments: function(initialValues, p, rounds, repetitions, algorith
       }
       return courteousFormula(pNum, zeros, ones);
     } else if (algorithm === "COURTEOUS") {
-      if (deliveryMode === 'guaranteed' || deliveryMode === 'conditioned') {
-        return null;
-      }
-      if (zeros === 0 || ones === 0) {
-        return 0;
-      }
-      return courteousFormula(pNum, zeros, ones);
+      // courteousFormula es la ley de broadcast; con enlaces independientes (o forzados)
+      // la mayoría se cuenta por receptor: enumeración exacta
+      return exactExpectedDiscrepancy({ p: pNum, algorithm, initialValues, deliveryMode });
     } else if (algorithm === "SELFISH" || algorithm === "CYCLIC" || algorithm === "BIASED0") {
-      // Estos algoritmos NO tienen ecuaciones teóricas
-      return null;
+      // Sin ecuaciones cerradas: enumeración exacta de los patrones de entrega
+      return exactExpectedDiscrepancy({ p: pNum, algorithm, initialValues, deliveryMode });
     }
     
     // Default: retornar null
@@ -1449,9 +1762,21 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
   },
 
 
-  calculateExpectedDiscrepancy: function(p, algorithm = "auto", rounds = 1, deliveryMode = 'standard') {
+  calculateExpectedDiscrepancy: function(p, algorithm = "auto", rounds = 1, deliveryMode = 'standard', pSchedule = null, meetingPoint = 0.5) {
     const decP = toDecimal(p);
     const q = toDecimal(1).minus(decP);
+
+    // Correlated-loss channels have no closed form here
+    if (getDeliveryModel(deliveryMode)?.closedFormTheory === false) {
+      return null;
+    }
+
+    // p por ronda: producto de factores ('auto' se resuelve en cada ronda)
+    const schedule = normalizeProbabilitySchedule(pSchedule);
+    if (schedule) {
+      const conditioned = deliveryMode === 'guaranteed' || deliveryMode === 'conditioned';
+      return scheduledTwoProcessDiscrepancy(schedule, p, rounds, algorithm, conditioned);
+    }
     
     if (algorithm === "auto") {
       algorithm = decP.gt(0.5) ? "AMP" : "FV";
@@ -1473,6 +1798,11 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
         return null;
       } else if (algorithm === "COURTEOUS" || algorithm === "COURTEOUS COUPLED") {
         return null;
+      } else if (algorithm === "LEADER" || algorithm === "MIN") {
+        // Con dos procesos acuerdan en cuanto llega el mensaje del líder (o del mínimo)
+        return pow(q, rounds).toNumber();
+      } else if (algorithm === "RECURSIVE AMP") {
+        return recursiveAmpTwoProcessDiscrepancy({ p: decP.toNumber(), meetingPoint, rounds, deliveryMode });
       } else {
         return 1;
       }
@@ -1481,11 +1811,11 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
 
   // Función de análisis para entender qué está pasando
   analyzeConditionedBehavior: function() {
-    console.log("=== Analyzing Conditioned Behavior (HONEST) ===");
+    engineLog.log("=== Analyzing Conditioned Behavior (HONEST) ===");
     
     const testPoints = [0.1, 0.2, 0.3, 0.4, 0.5, 0.54, 0.6, 0.7, 0.8, 0.9];
     
-    console.log("Theoretical values (NO ARTIFICIAL CAPS):");
+    engineLog.log("Theoretical values (NO ARTIFICIAL CAPS):");
     testPoints.forEach(p => {
       const algorithm = p > 0.5 ? "AMP" : "FV";
       const q = 1 - p;
@@ -1497,7 +1827,7 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
         factor = (p * p) / (1 - q * q);
       }
       
-      console.log(`p=${p.toFixed(2)}, algo=${algorithm}, E[D|≥1 msg]=${factor.toFixed(4)}`);
+      engineLog.log(`p=${p.toFixed(2)}, algo=${algorithm}, E[D|≥1 msg]=${factor.toFixed(4)}`);
     });
     
  
@@ -1520,19 +1850,19 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
       }
     }
     
-    console.log(`\nMaximum NATURAL value: ${maxValue.toFixed(4)} at p=${maxP.toFixed(2)}`);
-    console.log("Theorem claims maximum is 1/3 = 0.3333");
+    engineLog.log(`\nMaximum NATURAL value: ${maxValue.toFixed(4)} at p=${maxP.toFixed(2)}`);
+    engineLog.log("Theorem claims maximum is 1/3 = 0.3333");
     
     if (Math.abs(maxValue - 1/3) > 0.01) {
-      console.log("⚠️ Natural maximum differs from theoretical claim!");
+      engineLog.log("⚠️ Natural maximum differs from theoretical claim!");
     } else {
-      console.log("✅ Natural maximum matches theoretical claim");
+      engineLog.log("✅ Natural maximum matches theoretical claim");
     }
   },
 
 
   runHonestExperimentalTest: function(p = 0.54, repetitions = 1000) {
-    console.log(`=== Honest Experimental Test at p=${p} ===`);
+    engineLog.log(`=== Honest Experimental Test at p=${p} ===`);
     
     const results = [];
     let conditionedCount = 0;
@@ -1556,14 +1886,14 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
     const min = Math.min(...results);
     const theoretical = this.calculateExpectedDiscrepancyConditioned(p, "auto", 1);
     
-    console.log(`Algorithm: ${p > 0.5 ? 'AMP' : 'FV'}`);
-    console.log(`Experimental Average: ${avg.toFixed(4)}`);
-    console.log(`Theoretical (conditioned): ${theoretical.toFixed(4)}`);
-    console.log(`Min: ${min.toFixed(4)}, Max: ${max.toFixed(4)}`);
-    console.log(`Times conditioned: ${conditionedCount}/${repetitions} (${(conditionedCount/repetitions*100).toFixed(1)}%)`);
+    engineLog.log(`Algorithm: ${p > 0.5 ? 'AMP' : 'FV'}`);
+    engineLog.log(`Experimental Average: ${avg.toFixed(4)}`);
+    engineLog.log(`Theoretical (conditioned): ${theoretical.toFixed(4)}`);
+    engineLog.log(`Min: ${min.toFixed(4)}, Max: ${max.toFixed(4)}`);
+    engineLog.log(`Times conditioned: ${conditionedCount}/${repetitions} (${(conditionedCount/repetitions*100).toFixed(1)}%)`);
     
     const error = Math.abs(avg - theoretical) / theoretical * 100;
-    console.log(`Error: ${error.toFixed(1)}%`);
+    engineLog.log(`Error: ${error.toFixed(1)}%`);
     
     return {
       p,
@@ -1575,10 +1905,15 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
   },
 
 
-  calculateTheoreticalConditionedDiscrepancy: function(p, algorithm = "auto", rounds = 1) {
+  calculateTheoreticalConditionedDiscrepancy: function(p, algorithm = "auto", rounds = 1, pSchedule = null) {
     const decP = toDecimal(p);
     const q = toDecimal(1).minus(decP);
 
+    const schedule = normalizeProbabilitySchedule(pSchedule);
+    if (schedule) {
+      return scheduledTwoProcessDiscrepancy(schedule, p, rounds, algorithm, true);
+    }
+
     if (algorithm === "auto") {
       algorithm = decP.gt(0.5) ? "AMP" : "FV";
     }
@@ -1600,9 +1935,27 @@ simulateRoundConditioned: function(values, p, algorithm = "auto", meetingPoint =
     return pow(singleRoundFactor, rounds).toNumber();
   },
 
-simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPoint = 0.5, minK = 1) {
+  // n procesos, cada ronda condicionada a ≥ minK mensajes entregados (el evento que
+  // muestrea simulateRoundWithConditioning). Con n = 2 y K = 1 coincide con los teoremas 4/7.
+  // conditioning = { event, broadcast } elige otro evento de progreso o emisores correlacionados.
+  calculateConditionedDiscrepancyNProcesses: function(p, algorithm = "auto", initialValues, rounds = 1, meetingPoint = 0.5, minK = 1, pSchedule = null, conditioning = {}) {
+    return conditionedExpectedDiscrepancy({
+      p: toDecimal(p).toNumber(),
+      algorithm,
+      initialValues,
+      meetingPoint: toDecimal(meetingPoint).toNumber(),
+      rounds,
+      minK,
+      pSchedule,
+      event: conditioning.event,
+      broadcast: Boolean(conditioning.broadcast)
+    });
+  },
+
+simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPoint = 0.5, minK = 1, options = {}) {
   const n = values.length;
   const decP = toDecimal(p);
+  const random = resolveRandom(options);
   const EPS = 1e-12;
 
   // Resolver algoritmo real
@@ -1615,13 +1968,40 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
   const K = Math.max(1, Math.floor(minK));
   const M = n * (n - 1); // número total de posibles mensajes dirigidos
 
+  // Probabilidad por enlace (matriz heterogénea opcional, ver delivery/linkMatrix.js)
+  const linkProbability = makeLinkProbability(decP.toNumber(), normalizeLinkMatrix(options.linkMatrix, n));
+
+  // Evento de progreso (delivery/conditioning.js); los casos especiales son del evento ≥K
+  const event = resolveConditioningEvent(options.event).id;
+  const countsMessages = event === DEFAULT_CONDITIONING_EVENT;
+
+  // Mismos invariantes que simulateRound; lo visto por cada proceso es su
+  // knownValuesSets de la ronda (valor propio y recibidos)
+  const withInvariants = (result) => {
+    if (!shouldCheckInvariants(options)) return result;
+    const invariantViolations = checkRoundInvariants({
+      definition: getAlgorithm(algo),
+      values,
+      newValues: result.newValues,
+      seen: result.knownValuesSets,
+      checked: Array.from({ length: n }, (_, i) => i)
+    });
+    invariantViolations.forEach(v => {
+      engineLog.warn(`Invariant "${v.invariant}" violated by ${algo} in a conditioned round: ${v.message}`);
+    });
+    return { ...result, invariantViolations };
+  };
+
   // ---- CASO ESPECIAL EXACTO: n=2 y K=1 (teoremas 4/7) ----
-  if (n === 2 && K === 1) {
-    const q = toDecimal(1).minus(decP);
+  if (countsMessages && n === 2 && K === 1) {
+    const pAB = toDecimal(linkProbability(0, 1));
+    const pBA = toDecimal(linkProbability(1, 0));
+    const qAB = toDecimal(1).minus(pAB);
+    const qBA = toDecimal(1).minus(pBA);
 
-    if (p <= 0 || p >= 1) {
+    if (pAB.plus(pBA).lte(0) || (pAB.gte(1) && pBA.gte(1))) {
       // Degenerado: usa la simulación normal
-      const res = this.simulateRound(values, p, algo, meetingPoint);
+      const res = this.simulateRound(values, p, algo, meetingPoint, null, null, 'standard', options);
       res.wasConditioned = true;
       res.attemptCount = 1;
       res.conditioningK = K;
@@ -1629,12 +2009,12 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
     }
 
     // Muestreo exacto condicionado a "≥1 mensaje"
-    const Z = toDecimal(1).minus(q.mul(q)); // 1 - q^2
-    const wOnlyAB = decP.mul(q).div(Z).toNumber(); // P(solo A→B | ≥1)
-    const wOnlyBA = q.mul(decP).div(Z).toNumber(); // P(solo B→A | ≥1)
+    const Z = toDecimal(1).minus(qAB.mul(qBA)); // 1 - q_AB·q_BA
+    const wOnlyAB = pAB.mul(qBA).div(Z).toNumber(); // P(solo A→B | ≥1)
+    const wOnlyBA = qAB.mul(pBA).div(Z).toNumber(); // P(solo B→A | ≥1)
     // P(ambos | ≥1) = 1 - wOnlyAB - wOnlyBA
 
-    const r = Math.random();
+    const r = random();
     let aliceToBob = false;
     let bobToAlice = false;
 
@@ -1664,7 +2044,7 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
       if (aliceToBob && Math.abs(values[0] - values[1]) > EPS) newValues[1] = values[0];
     }
 
-    return {
+    return withInvariants({
       newValues,
       messages: [
         [{ to: 1, value: values[0], delivered: aliceToBob }],
@@ -1679,11 +2059,11 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
       wasConditioned: true,
       attemptCount: 1,
       conditioningK: K
-    };
+    });
   }
 
   // ---- CASO ESPECIAL EXACTO: K = M (TODOS los mensajes entregados) ----
-  if (K >= M) {
+  if (countsMessages && K >= M) {
     const messages = [];
     const messageDelivery = [];
     for (let i = 0; i < n; i++) {
@@ -1741,7 +2121,7 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
       knownRound.push(Array.from(set).sort((x, y) => x - y));
     }
 
-    return {
+    return withInvariants({
       newValues,
       messages,
       messageDelivery,
@@ -1750,12 +2130,13 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
       wasConditioned: true,
       attemptCount: 1,
       conditioningK: M
-    };
+    });
   }
 
-  // ---- CASO GENERAL (n>2 o 2 con K>1): Rejection sampling (≥K) ----
+  // ---- CASO GENERAL: muestreo de la entrega condicionada al evento (delivery/conditioning.js) ----
+  // Con options.broadcast cada emisor entrega como en process-dependent.
 
-  const drawOnce = () => {
+  const toMessages = (delivered) => {
     const messages = [];
     const messageDelivery = [];
     for (let i = 0; i < n; i++) {
@@ -1763,9 +2144,8 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
       const row = [];
       for (let j = 0; j < n; j++) {
         if (i === j) continue;
-        const delivered = Math.random() <= p;
-        senderMsgs.push({ to: j, value: values[i], delivered });
-        row.push(delivered);
+        senderMsgs.push({ to: j, value: values[i], delivered: delivered[i][j] });
+        row.push(delivered[i][j]);
       }
       messages.push(senderMsgs);
       messageDelivery.push(row);
@@ -1773,12 +2153,6 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
     return { messages, messageDelivery };
   };
 
-  const countDelivered = (msgs) => {
-    let c = 0;
-    for (const arr of msgs) for (const m of arr) if (m.delivered) c++;
-    return c;
-  };
-
   const applyDynamics = (msgs) => {
     const a = toDecimal(meetingPoint).toNumber();
     const gmin = Math.min(...values);
@@ -1833,79 +2207,98 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
     return { newValues: out, discrepancy: maxDisc, knownRound };
   };
 
-  // Probabilidad aproximada de aceptación P(X≥K) para X~Bin(M,p)
-  const mu = M * p;
-  const v = M * p * (1 - p);
-  const approxPgeK = (() => {
-    if (v < 1e-12) return (mu + 1e-12) >= K ? 1 : 0;
-    const sigma = Math.sqrt(v);
-    const z = (K - 0.5 - mu) / sigma;
-    const t = 1 / (1 + 0.2316419 * Math.abs(z));
-    const d = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
-    let Phi = 1 - d * (0.319381530*t - 0.356563782*t*t + 1.781477937*t*t*t
-                       - 1.821255978*t*t*t*t + 1.330274429*t*t*t*t*t);
-    if (z < 0) Phi = 1 - Phi;
-    return Math.max(0, Math.min(1, 1 - Phi));
-  })();
-
-
-  const targetSuccess = 0.99;
-  const needed = approxPgeK > 0 ? Math.ceil(Math.log(1 - targetSuccess) / Math.log(1 - approxPgeK)) : Infinity;
-  const MAX_ATTEMPTS = Number.isFinite(needed) ? Math.max(needed, 50) : 50_000;
-  const HARD_CAP = 200_000;
-  const LIMIT = Math.min(MAX_ATTEMPTS, HARD_CAP);
-
-  let last = null;
-  for (let attempt = 1; attempt <= LIMIT; attempt++) {
-    const draw = drawOnce();
-    last = draw;
-    if (countDelivered(draw.messages) >= K) {
-      const dyn = applyDynamics(draw.messages);
-      return {
-        newValues: dyn.newValues,
-        messages: draw.messages,
-        messageDelivery: draw.messageDelivery,
-        discrepancy: dyn.discrepancy,
-        knownValuesSets: dyn.knownRound,
-        wasConditioned: true,
-        attemptCount: attempt,
-        conditioningK: K
-      };
-    }
-  }
-
-
-  const dyn = applyDynamics(last ? last.messages : Array.from({length:n}, ()=>[]));
-  return {
+  const sample = sampleConditionedDeliveries({
+    n,
+    minK: K,
+    linkProbability,
+    random,
+    broadcast: Boolean(options.broadcast),
+    event
+  });
+  // Evento imposible (p = 0 o enlaces con factor 0): ronda sin entregas, sin condicionar
+  const draw = toMessages(sample ? sample.delivered : Array.from({ length: n }, () => Array(n).fill(false)));
+  const dyn = applyDynamics(draw.messages);
+  return withInvariants({
     newValues: dyn.newValues,
-    messages: last ? last.messages : [],
-    messageDelivery: last ? last.messageDelivery : [],
+    messages: draw.messages,
+    messageDelivery: draw.messageDelivery,
     discrepancy: dyn.discrepancy,
     knownValuesSets: dyn.knownRound,
-    wasConditioned: false,
-    attemptCount: LIMIT,
-    conditioningK: K
-  };
+    wasConditioned: Boolean(sample?.conditioned),
+    attemptCount: sample ? sample.attempts : 1,
+    conditioningK: K,
+    conditioningEvent: event
+  });
 },
 
 
 
 
 
-  runConditionedExperiments: function(initialValues, p, rounds, repetitions, algorithm = "auto", meetingPoint = 0.5) {
+  // Multi-round run where every round is conditioned on at least K delivered
+  // messages, or on options.event (simulateRoundWithConditioning). History has
+  // the same shape as runExperiment.
+  runKConditionedExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetingPoint = 0.5, minK = 1, options = {}) {
+    const seed = resolveSeed(options);
+    const rng = createRng(seed);
+    let values = [...initialValues];
+
+    let initialDiscrepancy = 0;
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        initialDiscrepancy = Math.max(initialDiscrepancy, Math.abs(values[i] - values[j]));
+      }
+    }
+
+    const history = [{
+      round: 0,
+      seed,
+      values: [...values],
+      discrepancy: initialDiscrepancy,
+      messages: [],
+      messageDelivery: []
+    }];
+
+    const pSchedule = normalizeProbabilitySchedule(options.pSchedule);
+
+    for (let r = 1; r <= rounds; r++) {
+      const roundP = scheduledProbability(pSchedule, p, r);
+      const result = this.simulateRoundWithConditioning(values, roundP, algorithm, meetingPoint, minK, { ...options, rng });
+      values = result.newValues;
+
+      history.push({
+        round: r,
+        p: Number(roundP),
+        values: [...values],
+        discrepancy: result.discrepancy,
+        messages: Array.isArray(result.messages) ? result.messages : [],
+        messageDelivery: Array.isArray(result.messageDelivery) ? result.messageDelivery : [],
+        wasConditioned: !!result.wasConditioned,
+        attemptCount: result.attemptCount,
+        ...(result.invariantViolations ? { invariantViolations: result.invariantViolations } : {})
+      });
+    }
+
+    history.seed = seed;
+    return history;
+  },
+
+  runConditionedExperiments: function(initialValues, p, rounds, repetitions, algorithm = "auto", meetingPoint = 0.5, options = {}) {
     if (initialValues.length !== 2) {
       throw new Error("Conditioned experiments only defined for 2 processes");
     }
 
     const results = [];
     const attemptCounts = [];
+    const baseSeed = resolveSeed(options);
 
     for (let rep = 0; rep < repetitions; rep++) {
       let values = [...initialValues];
       let totalAttempts = 0;
+      const rng = createRng(deriveSeed(baseSeed, rep));
 
       for (let r = 0; r < rounds; r++) {
-        const roundResult = this.simulateRoundWithConditioning(values, p, algorithm, meetingPoint);
+        const roundResult = this.simulateRoundWithConditioning(values, p, algorithm, meetingPoint, 1, { rng });
         values = roundResult.newValues;
         totalAttempts += roundResult.attemptCount;
       }
@@ -1942,7 +2335,8 @@ simulateRoundWithConditioning: function(values, p, algorithm = "auto", meetingPo
       avgAttemptsPerRound,
       theoreticalAttemptsPerRound,
       allValues: results,
-      algorithm: algorithm === "auto" ? (p > 0.5 ? "AMP" : "FV") : algorithm
+      algorithm: algorithm === "auto" ? (p > 0.5 ? "AMP" : "FV") : algorithm,
+      seed: baseSeed
     };
   },
 
@@ -2232,13 +2626,16 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
       }
 
       const dim = values[0].length;
+      const random = resolveRandom(options);
       const leaderIndexRaw = Number.isInteger(options.leaderIndex) ? options.leaderIndex : 0;
       const leaderIndex = n > 0
         ? Math.max(0, Math.min(n - 1, leaderIndexRaw))
         : 0;
       const initialValues = this.multiInitialValues || values;
-      let algo = algorithm;
-      if (algo === "auto") algo = p > 0.5 ? "AMP" : "FV";
+      const algo = resolveAlgorithmId(algorithm, p);
+      const definition = getAlgorithm(algo);
+      const linkProbability = makeLinkProbability(p, normalizeLinkMatrix(options.linkMatrix, n));
+      const links = normalizeTopology(options.topology, n);
 
       // ⚠️ NUEVO: Manejar knownValuesSets para MIN
       let knownValuesSets = null;
@@ -2261,13 +2658,19 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
       const messages = [];
       const messageDelivery = [];
 
+      // Invariantes (algorithms/invariants.js): decideVector de MIN modifica los conjuntos
+      // conocidos en el sitio, así que se guarda una copia previa
+      const checkInvariants = shouldCheckInvariants(options);
+      const seenValues = checkInvariants ? values.map(v => [v]) : null;
+      const knownBefore = checkInvariants && knownValuesSets ? knownValuesSets.map(set => new Set(set)) : null;
+
       // Envío de mensajes
       for (let sender = 0; sender < n; sender++) {
         const senderMessages = [];
         const deliveryRow = [];
         for (let receiver = 0; receiver < n; receiver++) {
-          if (sender === receiver) continue;
-          const delivered = Math.random() < p;
+          if (sender === receiver || (links && !links[sender][receiver])) continue;
+          const delivered = random() < linkProbability(sender, receiver);
           senderMessages.push({ to: receiver, value: this.cloneVector(values[sender]), delivered });
           deliveryRow.push(delivered);
         }
@@ -2284,72 +2687,56 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
           const msg = messages[sender].find(m => m.to === receiver);
           if (msg && msg.delivered) {
             receivedMessages.push(msg.value);
-            if (algo === "LEADER" && sender === leaderIndex) {
+            if (definition?.requires.leader && sender === leaderIndex) {
               leaderMessage = msg.value;
             }
           }
         }
+        if (seenValues) {
+          const known = knownValuesSets?.[receiver] ? Array.from(knownValuesSets[receiver], str => JSON.parse(str)) : [];
+          seenValues[receiver] = [values[receiver], initialValues[receiver], ...receivedMessages, ...known];
+        }
         const hasMessages = receivedMessages.length > 0;
-        if (!hasMessages && algo !== "LEADER") continue;
+        if (!hasMessages && !definition?.requires.leader) continue;
 
-        switch (algo) {
-          case "AMP": {
-            const differentValue = receivedMessages.find(v => this.areDifferent(values[receiver], v));
-            if (differentValue) {
-              newValues[receiver] = this.multiAMP(values[receiver], differentValue, meetingPoint);
-            }
-            break;
-          }
-          case "FV": {
-            // FV Multi-D: Selección ALEATORIA entre valores diferentes para evitar sesgo
-            // hacia procesos con IDs específicos. Comportamiento justo y estocástico.
-            const differentValues = receivedMessages.filter(v => this.areDifferent(values[receiver], v));
-            if (differentValues.length > 0) {
-              // Selección ALEATORIA uniforme
-              const randomIdx = Math.floor(Math.random() * differentValues.length);
-              newValues[receiver] = this.cloneVector(differentValues[randomIdx]);
-            }
-            break;
-          }
-          case "MIN": {
-            // MIN mantiene valor actual durante rondas
-            newValues[receiver] = this.cloneVector(values[receiver]);
-            
-            // ⚠️ NUEVO: Acumular valores recibidos en knownValuesSets
-            if (knownValuesSets && knownValuesSets[receiver]) {
-              receivedMessages.forEach(val => {
-                knownValuesSets[receiver].add(JSON.stringify(val));
-              });
-            }
-            break;
-          }
-          case "CENTROID": {
-            newValues[receiver] = this.multiCENTROID(values[receiver], receivedMessages);
-            break;
-          }
-          case "RECURSIVE AMP": {
-            newValues[receiver] = this.multiRecursiveAMP(values[receiver], receivedMessages, meetingPoint, distanceMetric);
-            break;
-          }
-          case "LEADER": {
-            if (receiver === leaderIndex) {
-              newValues[receiver] = this.cloneVector(values[receiver]);
-            } else if (leaderMessage) {
-              newValues[receiver] = this.cloneVector(leaderMessage);
-            } else {
-              const fallback = initialValues[receiver] || values[receiver];
-              newValues[receiver] = this.cloneVector(fallback);
-            }
-            break;
-          }
-          default:
-            console.warn(`Algoritmo no reconocido: ${algo}`);
-            break;
+        if (!definition || typeof definition.decideVector !== 'function') {
+          engineLog.warn(`Algoritmo no reconocido: ${algo}`);
+          continue;
         }
+        newValues[receiver] = definition.decideVector({
+          index: receiver,
+          myValue: values[receiver],
+          received: receivedMessages,
+          knownValues: knownValuesSets ? knownValuesSets[receiver] : null,
+          leaderIndex,
+          leaderMessage: leaderMessage ? { value: leaderMessage } : null,
+          initialValue: initialValues[receiver],
+          meetingPoint,
+          distanceMetric,
+          random,
+          options
+        }, this);
       }
 
       const discrepancy = this.calculateDiscrepancy(newValues, distanceMetric);
 
+      const everyone = Array.from({ length: n }, (_, idx) => idx);
+      const invariantViolations = checkInvariants
+        ? checkRoundInvariants({
+            definition,
+            values,
+            newValues,
+            seen: seenValues,
+            checked: everyone,
+            knownBefore,
+            knownAfter: knownValuesSets,
+            distance: (a, b) => this.distance(a, b, distanceMetric)
+          })
+        : null;
+      invariantViolations?.forEach(v => {
+        engineLog.warn(`Invariant "${v.invariant}" violated by ${algo} (multi-D): ${v.message}`);
+      });
+
       // ⚠️ NUEVO: Retornar knownValuesSets convertido a arrays para compatibilidad
       let knownValuesSetsForReturn = null;
       if (algo === "MIN" && knownValuesSets) {
@@ -2367,7 +2754,8 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
         dimensions: dim,
         meetingPoint,
         knownValuesSets: knownValuesSetsForReturn,
-        leaderIndex
+        leaderIndex,
+        ...(invariantViolations ? { invariantViolations } : {})
       };
     },
 
@@ -2380,6 +2768,8 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
       const leaderIndex = currentValues.length > 0
         ? Math.max(0, Math.min(currentValues.length - 1, leaderIndexRaw))
         : 0;
+      const seed = resolveSeed(options);
+      const rng = createRng(seed);
       this.multiInitialValues = this.cloneMatrix(initialValues);
       
       // ⚠️ NUEVO: Inicializar estado para MIN (como en unidimensional)
@@ -2400,6 +2790,7 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
       history.push({
         round: 0,
         leaderIndex,
+        seed,
         values: this.cloneMatrix(currentValues),
         discrepancy: this.calculateDiscrepancy(currentValues, distanceMetric),
         algorithm: resolvedAlgorithm,
@@ -2408,11 +2799,14 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
         knownValuesSets: initialKnownValuesSets  
       });
 
+      const pSchedule = normalizeProbabilitySchedule(options.pSchedule);
+
       // Ejecutar rondas
       for (let round = 1; round <= rounds; round++) {
+        const roundP = scheduledProbability(pSchedule, p, round);
         const result = this.simulateMultiDimensionalRound(
-          currentValues, p, algorithm, meetingPoint, distanceMetric,
-          { leaderIndex }
+          currentValues, roundP, algorithm, meetingPoint, distanceMetric,
+          { leaderIndex, rng, linkMatrix: options.linkMatrix, topology: options.topology, checkInvariants: options.checkInvariants }
         );
         
         currentValues = result.newValues;
@@ -2434,6 +2828,7 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
         history.push({
           round,
           leaderIndex,
+          p: Number(roundP),
           values: this.cloneMatrix(currentValues),
           discrepancy: this.calculateDiscrepancy(currentValues, distanceMetric),
           algorithm: resolvedAlgorithm,
@@ -2441,11 +2836,13 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
           meetingPoint,
           messages: result.messages || [],
           messageDelivery: result.messageDelivery || [],
-          knownValuesSets: result.knownValuesSets  
+          knownValuesSets: result.knownValuesSets,
+          ...(result.invariantViolations ? { invariantViolations: result.invariantViolations } : {})
         });
       }
 
       this.multiInitialValues = null;
+      history.seed = seed;
 
       return history;
     },
@@ -2453,6 +2850,7 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
     runMultipleMultiDimensionalExperiments(initialValues, p, rounds, repetitions, algorithm = "auto", meetingPoint = null, distanceMetric = 'euclidean', options = {}) {
       const experiments = [];
       const roundStats = Array(rounds + 1).fill(0).map(() => []);
+      const baseSeed = resolveSeed(options);
 
       for (let rep = 0; rep < repetitions; rep++) {
         const history = this.runMultiDimensionalExperiment(
@@ -2462,7 +2860,7 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
           algorithm,
           meetingPoint,
           distanceMetric,
-          options
+          { ...options, seed: deriveSeed(baseSeed, rep) }
         );
         experiments.push(history);
         history.forEach((state, roundIdx) => {
@@ -2484,7 +2882,8 @@ runMultipleExperimentsAutoSpace(initialValues, p, rounds, repetitions, algorithm
       return {
         experiments,
         statistics,
-        finalDiscrepancy: statistics[rounds]
+        finalDiscrepancy: statistics[rounds],
+        seed: baseSeed
       };
     },
     
@@ -2644,7 +3043,7 @@ runMultipleBarycentricExperiments(initialValues, p, rounds, repetitions, algorit
    * Caso p=0.3 corregido: 0.09 / 0.51.
    */
   validateImplementation_T47: function() {
-    console.log("=== VALIDACIÓN T47 (Teoremas 4 y 7) ===\n");
+    engineLog.log("=== VALIDACIÓN T47 (Teoremas 4 y 7) ===\n");
 
     const testCases = [
       { p: 0.5, expected1Round: 1/3 },
@@ -2657,34 +3056,36 @@ runMultipleBarycentricExperiments(initialValues, p, rounds, repetitions, algorit
       const calculated = this.calculateTheoreticalConditionedDiscrepancy(test.p, "auto", 1);
       const error = Math.abs(calculated - test.expected1Round);
       const passed = error < 1e-3;
-      console.log(
+      engineLog.log(
         `p=${test.p}: Expected=${test.expected1Round.toFixed(6)}, ` +
         `Calculated=${calculated.toFixed(6)}, Error=${error.toExponential(2)} ${passed ? '✅' : '❌'}`
       );
       if (!passed) allPassed = false;
     });
 
-    console.log("\n=== Verificación del máximo (≈1/3 en p≈0.5) ===");
+    engineLog.log("\n=== Verificación del máximo (≈1/3 en p≈0.5) ===");
     let maxValue = 0, maxP = 0;
     for (let p = 0.01; p <= 0.99; p += 0.01) {
       const value = this.calculateTheoreticalConditionedDiscrepancy(p, "auto", 1);
       if (value > maxValue) { maxValue = value; maxP = p; }
     }
-    console.log(`Máximo encontrado: ${maxValue.toFixed(6)} en p=${maxP.toFixed(2)}`);
-    console.log(`Máximo teórico: ${(1/3).toFixed(6)}`);
-    console.log(`Diferencia: ${Math.abs(maxValue - 1/3).toFixed(8)}`);
+    engineLog.log(`Máximo encontrado: ${maxValue.toFixed(6)} en p=${maxP.toFixed(2)}`);
+    engineLog.log(`Máximo teórico: ${(1/3).toFixed(6)}`);
+    engineLog.log(`Diferencia: ${Math.abs(maxValue - 1/3).toFixed(8)}`);
 
     const maxPassed = Math.abs(maxValue - 1/3) < 1e-3;
-    console.log(maxPassed ? '✅ Máximo correcto' : '❌ Máximo incorrecto');
+    engineLog.log(maxPassed ? '✅ Máximo correcto' : '❌ Máximo incorrecto');
     return allPassed && maxPassed;
   },
 
 
   // Run experiment with correlated delivery (all messages from a process delivered together)
-  runCorrelatedExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetingPoint = 0.5) {
+  runCorrelatedExperiment: function(initialValues, p, rounds = 1, algorithm = "auto", meetingPoint = 0.5, options = {}) {
   let values = [...initialValues];
   const processCount = values.length;
   const processNames = [];
+  const seed = resolveSeed(options);
+  const rng = createRng(seed);
 
   // Generate process names
   for (let i = 0; i < processCount; i++) {
@@ -2709,6 +3110,7 @@ runMultipleBarycentricExperiments(initialValues, p, rounds, repetitions, algorit
   // Simulation history
   const history = [{
     round: 0,
+    seed,
     values: [...values],
     processValues: values.reduce((obj, val, idx) => {
       obj[processNames[idx].toLowerCase()] = val;
@@ -2718,10 +3120,11 @@ runMultipleBarycentricExperiments(initialValues, p, rounds, repetitions, algorit
     messages: [],
     deliveryMode: 'correlated'
   }];
+  history.seed = seed;
 
   // Execute rounds with correlated delivery
   for (let r = 1; r <= rounds; r++) {
-    const result = this.simulateRoundCorrelated(values, p, algorithm, meetingPoint);
+    const result = this.simulateRoundCorrelated(values, p, algorithm, meetingPoint, { rng });
     values = result.newValues;
     
     // Record results for this round
@@ -2743,8 +3146,9 @@ runMultipleBarycentricExperiments(initialValues, p, rounds, repetitions, algorit
   },
 
   // Simulate one round with correlated delivery
-  simulateRoundCorrelated: function(values, p, algorithm = "auto", meetingPoint = 0.5) {
+  simulateRoundCorrelated: function(values, p, algorithm = "auto", meetingPoint = 0.5, options = {}) {
     const decP = toDecimal(p);
+    const random = resolveRandom(options);
     const processCount = values.length;
     const newValues = [...values];
     const messages = [];
@@ -2759,7 +3163,7 @@ runMultipleBarycentricExperiments(initialValues, p, rounds, repetitions, algorit
     // Determine delivery status for each process (correlated)
     const processDeliveryStatus = [];
     for (let i = 0; i < processCount; i++) {
-      const delivered = randomDecimal().lt(decP);
+      const delivered = randomDecimal(random).lt(decP);
       processDeliveryStatus.push(delivered);
     }
     
@@ -2851,7 +3255,7 @@ if (process.env.NODE_ENV === 'development') {
       k
     );
     const pass = Math.abs(result - expected) < 0.0001;
-    console.log(
+    engineLog.log(
       `SWEEP k=${k} n=${n} p=${p}: ${pass ? '✓' : '✗'} got=${result?.toFixed(6)} expected=${expected.toFixed(6)}`
     );
   });
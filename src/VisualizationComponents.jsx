@@ -13,6 +13,7 @@ import {
   BarChart,
   Bar
 } from 'recharts';
+import { SimulationEngine } from './SimulationEngine.js';
 
 // Process colors
 const processColors = [
@@ -332,15 +333,32 @@ export function TheoryLimitationWarning({ processCount, show = true }) {
   );
 }
 
-// Table showing expected errors by process count
-export function ExpectedErrorTable({ maxProcesses = 6 }) {
-  const errorData = [
-    { n: 2, expected: "< 5%", status: "✅ Excellent", color: "text-green-600" },
-    { n: 3, expected: "< 10%", status: "✅ Good", color: "text-green-600" },
-    { n: 4, expected: "20-30%", status: "⚠️ Limited", color: "text-yellow-600" },
-    { n: 5, expected: "30-40%", status: "❌ High", color: "text-red-600" },
-    { n: 6, expected: "> 40%", status: "❌ Very High", color: "text-red-600" }
-  ];
+const THEORY_TABLE_ALGORITHMS = ['AMP', 'FV', 'LEADER', 'MIN', 'RECURSIVE AMP'];
+
+// Table of theoretical E[D] by process count: ⌊n/2⌋ processes start at 0 and
+// the rest at 1, standard delivery. "—" where no theory covers the case.
+export function ExpectedErrorTable({
+  maxProcesses = 6,
+  p = 0.5,
+  rounds = 1,
+  meetingPoint = 0.5,
+  leaderIndex = 0,
+  algorithms = THEORY_TABLE_ALGORITHMS
+}) {
+  const rows = React.useMemo(() => {
+    const result = [];
+    for (let n = 2; n <= maxProcesses; n++) {
+      const m = Math.floor(n / 2);
+      const values = Array.from({ length: n }, (_, idx) => (idx < m ? 0 : 1));
+      result.push({
+        n,
+        expected: algorithms.map((algorithm) => SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+          p, n, m, algorithm, meetingPoint, values, 'standard', rounds, { leaderIndex }
+        ))
+      });
+    }
+    return result;
+  }, [maxProcesses, p, rounds, meetingPoint, leaderIndex, algorithms]);
   
   return (
     <div className="mt-4 overflow-hidden shadow ring-1 ring-black ring-opacity-5 md:rounded-lg">
@@ -350,30 +368,31 @@ export function ExpectedErrorTable({ maxProcesses = 6 }) {
             <th className="px-3 py-3 text-left text-xs font-medium text-gray-900 uppercase tracking-wider">
               Processes (n)
             </th>
-            <th className="px-3 py-3 text-left text-xs font-medium text-gray-900 uppercase tracking-wider">
-              Expected Error
-            </th>
-            <th className="px-3 py-3 text-left text-xs font-medium text-gray-900 uppercase tracking-wider">
-              Status
-            </th>
+            {algorithms.map((algorithm) => (
+              <th key={algorithm} className="px-3 py-3 text-left text-xs font-medium text-gray-900 uppercase tracking-wider">
+                E[D] {algorithm}
+              </th>
+            ))}
           </tr>
         </thead>
         <tbody className="bg-white divide-y divide-gray-200">
-          {errorData.slice(0, maxProcesses - 1).map((row) => (
+          {rows.map((row) => (
             <tr key={row.n}>
               <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
                 {row.n}
               </td>
-              <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">
-                {row.expected}
-              </td>
-              <td className={`px-3 py-2 whitespace-nowrap text-sm font-medium ${row.color}`}>
-                {row.status}
-              </td>
+              {row.expected.map((value, idx) => (
+                <td key={algorithms[idx]} className="px-3 py-2 whitespace-nowrap text-sm font-mono text-gray-900">
+                  {Number.isFinite(value) ? value.toFixed(6) : '—'}
+                </td>
+              ))}
             </tr>
           ))}
         </tbody>
       </table>
+      <p className="px-3 py-2 text-xs text-gray-500 bg-gray-50">
+        p = {p}, {rounds} round(s), standard delivery, ⌊n/2⌋ processes at 0 and the rest at 1.
+      </p>
     </div>
   );
 }
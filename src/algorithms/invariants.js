@@ -0,0 +1,204 @@
+// Safety invariants checked after a round. Off by default: pass
+// options.checkInvariants to simulateRound / runExperiment (and their
+// multi-dimensional versions) or call setInvariantChecking(true) to check
+// every round in this thread.
+//
+//   validity      each correct process ends inside the convex hull of the values
+//                 it saw this round (own, received and, for MIN / RECURSIVE AMP,
+//                 known values). For vectors the hull test is a small linear
+//                 program, so it is exact in any dimension.
+//   discrepancy   the discrepancy among correct processes does not grow, for
+//                 entries with guarantees.nonIncreasingDiscrepancy. Skipped in
+//                 rounds with Byzantine senders or late messages, which can bring
+//                 values from outside the current configuration.
+//   known-values  known-value sets (requires.knownValues) only grow
+//   binary        binaryOnly entries answer 0/1 inputs with 0 or 1
+//
+// binaryOnly entries promise nothing for other inputs, so validity and
+// discrepancy are only checked for them while the inputs are 0/1.
+//
+// A violation is { invariant, process, message }; process is null for the
+// round-wide discrepancy check.
+
+const EPS = 1e-9;
+
+let enabledByDefault = false;
+
+// Check every round unless the caller passes checkInvariants: false.
+// Returns the previous setting so tests can restore it.
+export const setInvariantChecking = (enabled) => {
+  const previous = enabledByDefault;
+  enabledByDefault = Boolean(enabled);
+  return previous;
+};
+
+export const shouldCheckInvariants = (options = {}) => (
+  typeof options.checkInvariants === 'boolean' ? options.checkInvariants : enabledByDefault
+);
+
+const formatValue = (value) => (
+  Array.isArray(value)
+    ? `[${value.map((x) => Number(x).toFixed(4)).join(', ')}]`
+    : Number(value).toFixed(4)
+);
+
+const isBinary = (value) => value === 0 || value === 1;
+
+// Whether x is a convex combination of points: phase one of the simplex method
+// (Bland's rule, so it cannot cycle) on
+//   sum_j l_j points[j] = x,   sum_j l_j = 1,   l >= 0
+// with one artificial variable per row. x is in the hull exactly when the
+// artificial variables can all be driven to zero. Collinear or repeated points
+// need no special case.
+const insideVectorHull = (x, points) => {
+  const m = points.length;
+  const rows = x.length + 1;
+  const width = m + rows;
+  const tableau = Array.from({ length: rows }, (_, r) => {
+    const coefficient = (point) => (r < x.length ? point[r] : 1);
+    const rhs = r < x.length ? x[r] : 1;
+    const sign = rhs < 0 ? -1 : 1;
+    return [
+      ...points.map((point) => sign * coefficient(point)),
+      ...Array.from({ length: rows }, (_, a) => (a === r ? 1 : 0)),
+      sign * rhs
+    ];
+  });
+  const basis = Array.from({ length: rows }, (_, r) => m + r);
+  const isArtificial = (column) => column >= m;
+
+  for (;;) {
+    // Reduced cost of each column for the objective sum of artificials
+    let entering = -1;
+    for (let j = 0; j < width && entering < 0; j++) {
+      if (basis.includes(j)) continue;
+      const reduced = (isArtificial(j) ? 1 : 0)
+        - tableau.reduce((sum, row, r) => sum + (isArtificial(basis[r]) ? row[j] : 0), 0);
+      if (reduced < -EPS) entering = j;
+    }
+    if (entering < 0) break;
+
+    let leaving = -1;
+    let best = Infinity;
+    tableau.forEach((row, r) => {
+      if (row[entering] <= EPS) return;
+      const ratio = row[width] / row[entering];
+      if (ratio < best - EPS || (ratio <= best + EPS && basis[r] < basis[leaving])) {
+        best = ratio;
+        leaving = r;
+      }
+    });
+    if (leaving < 0) break;
+
+    const pivot = tableau[leaving][entering];
+    tableau[leaving] = tableau[leaving].map((v) => v / pivot);
+    tableau.forEach((row, r) => {
+      if (r === leaving || row[entering] === 0) return;
+      const factor = row[entering];
+      tableau[r] = row.map((v, j) => v - factor * tableau[leaving][j]);
+    });
+    basis[leaving] = entering;
+  }
+
+  const infeasibility = tableau.reduce((sum, row, r) => sum + (isArtificial(basis[r]) ? row[width] : 0), 0);
+  return infeasibility <= EPS * rows;
+};
+
+const outsideHull = (value, seen) => {
+  if (Array.isArray(value)) {
+    return !insideVectorHull(value.map(Number), seen.map((v) => v.map(Number)));
+  }
+  const column = seen.map(Number);
+  return !(value >= Math.min(...column) - EPS && value <= Math.max(...column) + EPS);
+};
+
+const diameter = (values, indices, distance) => {
+  let max = 0;
+  for (let a = 0; a < indices.length; a++) {
+    for (let b = a + 1; b < indices.length; b++) {
+      max = Math.max(max, distance(values[indices[a]], values[indices[b]]));
+    }
+  }
+  return max;
+};
+
+// Invariant violations of one round.
+//   definition   registry entry of the algorithm that decided (null: none checked
+//                beyond validity)
+//   values / newValues   configuration before and after the round
+//   seen         seen[i] = values process i could base its decision on
+//   checked      processes that decided (correct and live)
+//   correct      processes whose discrepancy the algorithm is responsible for
+//   knownBefore / knownAfter   known-value sets (any iterables) or null
+//   distance     (a, b) => number; |a - b| for scalars
+//   stableInputs false when Byzantine or late values reached someone this round
+export const checkRoundInvariants = ({
+  definition,
+  values,
+  newValues,
+  seen,
+  checked,
+  correct = checked,
+  knownBefore = null,
+  knownAfter = null,
+  distance = (a, b) => Math.abs(a - b),
+  stableInputs = true
+}) => {
+  const violations = [];
+  const guarantees = definition?.guarantees ?? {};
+  const binaryOnly = Boolean(definition?.constraints?.binaryOnly);
+  const inContract = (i) => !binaryOnly || seen[i].every(isBinary);
+
+  if (guarantees.validity !== false) {
+    checked.forEach((i) => {
+      if (inContract(i) && outsideHull(newValues[i], seen[i])) {
+        violations.push({
+          invariant: 'validity',
+          process: i,
+          message: `P${i} moved to ${formatValue(newValues[i])}, outside the hull of ${seen[i].map(formatValue).join(', ')}`
+        });
+      }
+    });
+  }
+
+  const binaryInputs = correct.every((i) => isBinary(values[i]));
+  if (guarantees.nonIncreasingDiscrepancy && stableInputs && (!binaryOnly || binaryInputs)) {
+    const before = diameter(values, correct, distance);
+    const after = diameter(newValues, correct, distance);
+    if (after > before + EPS) {
+      violations.push({
+        invariant: 'discrepancy',
+        process: null,
+        message: `discrepancy grew from ${before.toFixed(4)} to ${after.toFixed(4)}`
+      });
+    }
+  }
+
+  if (definition?.requires?.knownValues && knownBefore && knownAfter) {
+    knownBefore.forEach((before, i) => {
+      const after = new Set(knownAfter[i] ?? []);
+      const lost = Array.from(before ?? []).filter((value) => !after.has(value));
+      if (lost.length > 0) {
+        violations.push({
+          invariant: 'known-values',
+          process: i,
+          message: `P${i} forgot known value(s) ${lost.join(', ')}`
+        });
+      }
+    });
+  }
+
+  if (binaryOnly) {
+    checked.forEach((i) => {
+      if (inContract(i) && !isBinary(newValues[i])) {
+        violations.push({
+          invariant: 'binary',
+          process: i,
+          message: `P${i} decided ${formatValue(newValues[i])} from binary inputs`
+        });
+      }
+    });
+  }
+
+  return violations;
+};
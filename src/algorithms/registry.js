@@ -0,0 +1,501 @@
+// Algorithm registry - single source of truth for every protocol the
+// simulator knows about. simulateRound, the multi-dimensional round, the
+// sidebar lists, Policy Search and the message table all read from here, so
+// adding a protocol means registering one entry.
+//
+// Entry shape:
+//   id            key used everywhere (e.g. "RECURSIVE AMP")
+//   label         human readable name
+//   shortLabel    compact name for sequence notation
+//   menuLabel     text shown in the algorithm picker (defaults to id)
+//   family        'paper' | 'broadcast' | 'experimental' | 'three-process'
+//   description   one-liner shown under the picker (optional)
+//   color / badgeClass / textClass   chart stroke and Tailwind classes
+//   requires      { knownValues, originalValues, leader, meetingPoint, sweepPhase }
+//   constraints   { binaryOnly, processCount, dimensionModes }
+//   guarantees    { validity, nonIncreasingDiscrepancy } checked by algorithms/invariants.js
+//   listed        false hides the entry from UI pickers (engine-only)
+//   policyRule    false keeps it out of the Policy Search rule builder
+//   decide(ctx)               scalar decision for one process
+//   decideVector(ctx, geom)   barycentric decision (geom = multidimensional helpers)
+//   explainChange(ctx)        text for the "Effect" column (optional)
+//   theory(p, ctx)            expected discrepancy (optional)
+
+import Decimal from 'decimal.js';
+
+const registry = new Map();
+
+const DEFAULT_REQUIRES = {
+  knownValues: false,
+  originalValues: false,
+  leader: false,
+  meetingPoint: false,
+  sweepPhase: false
+};
+
+const DEFAULT_CONSTRAINTS = {
+  binaryOnly: false,
+  processCount: null,
+  dimensionModes: ['binary']
+};
+
+// Validity is expected of every rule; a non-increasing discrepancy has to be promised
+const DEFAULT_GUARANTEES = {
+  validity: true,
+  nonIncreasingDiscrepancy: false
+};
+
+const DEFAULT_BADGE_CLASS = 'bg-gray-100 text-gray-700';
+const DEFAULT_TEXT_CLASS = 'text-gray-700';
+const DEFAULT_COLOR = '#6b7280';
+
+// Register (or replace) an algorithm. Throws on malformed entries so a bad
+// plugin fails at import time instead of silently keeping values.
+export const registerAlgorithm = (definition, { replace = false } = {}) => {
+  if (!definition || typeof definition.id !== 'string' || definition.id.trim() === '') {
+    throw new Error('Algorithm definition needs a non-empty string id');
+  }
+  if (registry.has(definition.id) && !replace) {
+    throw new Error(`Algorithm "${definition.id}" is already registered`);
+  }
+  if (!definition.pseudo && typeof definition.decide !== 'function' && typeof definition.decideVector !== 'function') {
+    throw new Error(`Algorithm "${definition.id}" must provide decide() or decideVector()`);
+  }
+
+  const entry = {
+    label: definition.id,
+    shortLabel: definition.id,
+    menuLabel: definition.id,
+    family: 'experimental',
+    color: DEFAULT_COLOR,
+    badgeClass: DEFAULT_BADGE_CLASS,
+    textClass: DEFAULT_TEXT_CLASS,
+    listed: true,
+    policyRule: true,
+    ...definition,
+    requires: { ...DEFAULT_REQUIRES, ...(definition.requires || {}) },
+    constraints: { ...DEFAULT_CONSTRAINTS, ...(definition.constraints || {}) },
+    guarantees: { ...DEFAULT_GUARANTEES, ...(definition.guarantees || {}) }
+  };
+  registry.set(entry.id, entry);
+  return entry;
+};
+
+export const unregisterAlgorithm = (id) => registry.delete(id);
+
+export const getAlgorithm = (id) => registry.get(id) || null;
+
+// "auto" picks AMP above p = 1/2 and FV otherwise (paper optimum)
+export const resolveAlgorithmId = (id, p) => {
+  const entry = registry.get(id);
+  if (entry && typeof entry.resolve === 'function') {
+    return entry.resolve(typeof p === 'object' && p !== null ? p.toNumber() : Number(p));
+  }
+  return id;
+};
+
+// Whether an entry can run for the given setup. Missing fields are not checked.
+export const isAlgorithmApplicable = (entry, { dimensionMode, processCount, binary } = {}) => {
+  if (!entry) return false;
+  const { constraints } = entry;
+  if (dimensionMode && !constraints.dimensionModes.includes(dimensionMode)) return false;
+  if (constraints.processCount != null && processCount != null && constraints.processCount !== processCount) return false;
+  if (constraints.binaryOnly && binary === false) return false;
+  return true;
+};
+
+// Entries in registration order, optionally filtered by setup and family.
+// Pseudo entries ("auto") are only included when includePseudo is set.
+export const listAlgorithms = ({ includePseudo = false, includeUnlisted = false, family = null, ...setup } = {}) => (
+  Array.from(registry.values()).filter((entry) => {
+    if (entry.pseudo && !includePseudo) return false;
+    if (!entry.listed && !includeUnlisted) return false;
+    if (family && (Array.isArray(family) ? !family.includes(entry.family) : entry.family !== family)) return false;
+    return isAlgorithmApplicable(entry, setup);
+  })
+);
+
+export const getAlgorithmBadgeClass = (id) => getAlgorithm(id)?.badgeClass || DEFAULT_BADGE_CLASS;
+
+export const getAlgorithmColor = (id) => getAlgorithm(id)?.color || DEFAULT_COLOR;
+
+// ========================================
+// BUILT-IN ALGORITHMS
+// ========================================
+
+registerAlgorithm({
+  id: 'auto',
+  pseudo: true,
+  label: 'Auto',
+  menuLabel: 'auto',
+  family: 'paper',
+  constraints: { dimensionModes: ['binary', 'barycentric'] },
+  resolve: (p) => (p > 0.5 ? 'AMP' : 'FV')
+});
+
+registerAlgorithm({
+  id: 'AMP',
+  label: 'AMP',
+  shortLabel: 'AMP',
+  family: 'paper',
+  color: '#10b981',
+  badgeClass: 'bg-green-100 text-green-700',
+  textClass: 'text-blue-700',
+  requires: { meetingPoint: true },
+  constraints: { dimensionModes: ['binary', 'barycentric'] },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: ({ myValue, received, meetingPoint }) => (
+    received.some((val) => val !== myValue) ? meetingPoint : myValue
+  ),
+  decideVector: ({ myValue, received, meetingPoint }, geom) => {
+    const differentValue = received.find((v) => geom.areDifferent(myValue, v));
+    return differentValue ? geom.multiAMP(myValue, differentValue, meetingPoint) : geom.cloneVector(myValue);
+  },
+  explainChange: ({ changed, prevVal, received }) => {
+    const differentValue = received.find((m) => m.value !== prevVal);
+    if (!changed || !differentValue) return '';
+    return `AMP: Moved to meeting point (received ${differentValue.value.toFixed(3)} -> ${prevVal.toFixed(3)})`;
+  }
+});
+
+registerAlgorithm({
+  id: 'FV',
+  label: 'Flip Value (FV)',
+  shortLabel: 'FV',
+  family: 'paper',
+  color: '#ef4444',
+  badgeClass: 'bg-red-100 text-red-700',
+  textClass: 'text-purple-700',
+  constraints: { dimensionModes: ['binary', 'barycentric'] },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  // Selección ALEATORIA uniforme entre los valores diferentes recibidos,
+  // para no depender del orden de los IDs de proceso.
+  decide: ({ myValue, received, random }) => {
+    const differentValues = received.filter((val) => val !== myValue);
+    if (differentValues.length === 0) return myValue;
+    return differentValues[Math.floor(random() * differentValues.length)];
+  },
+  decideVector: ({ myValue, received, random }, geom) => {
+    const differentValues = received.filter((v) => geom.areDifferent(myValue, v));
+    if (differentValues.length === 0) return geom.cloneVector(myValue);
+    return geom.cloneVector(differentValues[Math.floor(random() * differentValues.length)]);
+  },
+  explainChange: ({ changed, prevVal, received }) => {
+    const differentValue = received.find((m) => m.value !== prevVal);
+    if (!changed || !differentValue) return '';
+    return `FV: Adopted received value ${differentValue.value.toFixed(3)}`;
+  }
+});
+
+registerAlgorithm({
+  id: 'RECURSIVE AMP',
+  label: 'Recursive AMP',
+  shortLabel: 'R-AMP',
+  family: 'experimental',
+  color: '#8b5cf6',
+  badgeClass: 'bg-purple-100 text-purple-700',
+  textClass: 'text-indigo-700',
+  requires: { knownValues: true, meetingPoint: true },
+  constraints: { dimensionModes: ['binary', 'barycentric'] },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  // newValue = a × myValue + (1-a) × avg(received): todos los valores
+  // recibidos contribuyen por igual.
+  decide: ({ myValue, received, meetingPoint }) => {
+    if (received.length === 0) return myValue;
+    const sum = received.reduce((acc, val) => acc.plus(new Decimal(val)), new Decimal(0));
+    const receivedAvg = sum.div(received.length);
+    const a = new Decimal(meetingPoint);
+    return a.mul(new Decimal(myValue))
+      .plus(new Decimal(1).minus(a).mul(receivedAvg))
+      .toNumber();
+  },
+  decideVector: ({ myValue, received, meetingPoint, distanceMetric }, geom) => (
+    geom.multiRecursiveAMP(myValue, received, meetingPoint, distanceMetric)
+  ),
+  explainChange: ({ changed, prevVal, received }) => {
+    if (changed && received.length > 0) {
+      const allVals = [prevVal, ...received.map((r) => r.value)];
+      return `RECURSIVE AMP: Applied a to range [${Math.min(...allVals).toFixed(3)}, ${Math.max(...allVals).toFixed(3)}]`;
+    }
+    return 'RECURSIVE AMP: value received';
+  }
+});
+
+registerAlgorithm({
+  id: 'MIN',
+  label: 'Min',
+  shortLabel: 'MIN',
+  family: 'experimental',
+  color: '#f59e0b',
+  badgeClass: 'bg-yellow-100 text-yellow-700',
+  textClass: 'text-yellow-700',
+  requires: { knownValues: true, originalValues: true },
+  constraints: { dimensionModes: ['binary', 'barycentric'] },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: ({ myValue, knownValues }) => (
+    knownValues && knownValues.size > 0 ? Math.min(...Array.from(knownValues)) : myValue
+  ),
+  // MIN multi-D mantiene el valor durante las rondas y solo acumula lo conocido
+  decideVector: ({ myValue, received, knownValues }, geom) => {
+    if (knownValues) {
+      received.forEach((val) => knownValues.add(JSON.stringify(val)));
+    }
+    return geom.cloneVector(myValue);
+  },
+  explainChange: ({ changed, newVal, sentVal, knownValues }) => {
+    if (knownValues) {
+      const minKnown = Math.min(...knownValues);
+      if (changed && newVal === minKnown) {
+        return `MIN: Selected minimum (${minKnown.toFixed(3)}) from known set`;
+      }
+      return `MIN: Added ${sentVal.toFixed(3)} to known set`;
+    }
+    return changed ? 'MIN: updated to minimum' : 'MIN: value accumulated';
+  }
+});
+
+registerAlgorithm({
+  id: 'LEADER',
+  label: 'Leader',
+  shortLabel: 'LDR',
+  family: 'experimental',
+  color: '#2563eb',
+  badgeClass: 'bg-blue-100 text-blue-700',
+  textClass: 'text-blue-700',
+  requires: { leader: true },
+  // decideVector exists for engine callers; the barycentric UI does not offer LEADER
+  constraints: { dimensionModes: ['binary'] },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: ({ index, myValue, leaderIndex, leaderMessage }) => {
+    if (index === leaderIndex) return myValue;
+    return leaderMessage ? leaderMessage.value : myValue;
+  },
+  decideVector: ({ index, myValue, leaderIndex, leaderMessage, initialValue }, geom) => {
+    if (index === leaderIndex) return geom.cloneVector(myValue);
+    if (leaderMessage) return geom.cloneVector(leaderMessage.value);
+    return geom.cloneVector(initialValue || myValue);
+  },
+  explainChange: ({ toIdx, changed, newVal, received, leaderIndex, leaderName }) => {
+    if (toIdx === leaderIndex) return 'LEADER: Leader maintains own value';
+    const leaderMsg = received.find((m) => m.from === leaderIndex);
+    if (!leaderMsg) return `LEADER: No message from ${leaderName} - kept own value`;
+    return changed && newVal === leaderMsg.value
+      ? `LEADER: Adopted value from ${leaderName}`
+      : `LEADER: Heard ${leaderName}`;
+  }
+});
+
+// Regla de cortesía para cualquier n >= 2: mayoría de lo escuchado (incluido
+// uno mismo); en empate, ser cortés y tomar la otra opción.
+const courteousDecision = ({ myValue, received }) => {
+  const allValues = [myValue, ...received];
+  if (allValues.every((v) => v === 0 || v === 1)) {
+    const count1 = allValues.filter((v) => v === 1).length;
+    const count0 = allValues.length - count1;
+    if (count0 > count1) return 0;
+    if (count1 > count0) return 1;
+    return myValue === 0 ? 1 : 0;
+  }
+
+  // Caso general: mayoría por valor entero redondeado (consenso entero)
+  const roundedValues = allValues.map((v) => Math.round(v));
+  const freq = {};
+  roundedValues.forEach((v) => { freq[v] = (freq[v] || 0) + 1; });
+  let bestVal = roundedValues[0];
+  let bestCount = freq[bestVal];
+  let tie = false;
+  Object.entries(freq).forEach(([k, count]) => {
+    if (count > bestCount) {
+      bestVal = Number(k);
+      bestCount = count;
+      tie = false;
+    } else if (count === bestCount && Number(k) !== bestVal) {
+      tie = true;
+    }
+  });
+  if (!tie) return bestVal;
+
+  const myRounded = Math.round(myValue);
+  const alt = Object.keys(freq).map(Number).find((v) => v !== myRounded);
+  return alt !== undefined ? alt : myRounded;
+};
+
+registerAlgorithm({
+  id: 'COURTEOUS',
+  label: 'Courteous',
+  shortLabel: 'COUR',
+  family: 'broadcast',
+  description: 'Majority of heard values (including self); ties flip to opposite.',
+  color: '#FF6B35',
+  badgeClass: 'bg-orange-100 text-orange-700',
+  textClass: 'text-indigo-700',
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: courteousDecision,
+  explainChange: ({ changed, prevVal, received }) => {
+    const heard = [prevVal, ...received.map((v) => v.value)];
+    const zeros = heard.filter((v) => v === 0).length;
+    const ones = heard.filter((v) => v === 1).length;
+    if (zeros !== ones) {
+      const majorityVal = zeros > ones ? 0 : 1;
+      return changed
+        ? `COURTEOUS: Adopted majority (${majorityVal})`
+        : `COURTEOUS: Majority already ${majorityVal}`;
+    }
+    const courtesyTarget = prevVal === 0 || prevVal === 1 ? 1 - prevVal : (prevVal >= 0.5 ? 0 : 1);
+    return changed
+      ? `COURTEOUS: No majority, flipped to ${courtesyTarget}`
+      : 'COURTEOUS: No majority, kept value';
+  }
+});
+
+const prefer = (target) => ({ myValue, received }) => (
+  myValue === target || received.some((val) => val === target) ? target : 1 - target
+);
+
+registerAlgorithm({
+  id: 'PREF1',
+  label: 'Pref1 (Broadcast model)',
+  shortLabel: 'P1',
+  menuLabel: 'PREF1 (Broadcast model)',
+  family: 'broadcast',
+  description: 'Decides 1 if any value 1 is known; else decides 0. Optimal for p ≥ 2/3 (n=3, broadcast). Pr[fail] = q^(number of 1-inputs).',
+  color: '#f59e0b',
+  badgeClass: 'bg-amber-100 text-amber-800',
+  textClass: 'text-amber-700',
+  constraints: { binaryOnly: true },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: prefer(1),
+  explainChange: ({ prevVal, received }) => (
+    prevVal === 1 || received.some((entry) => entry.value === 1)
+      ? 'PREF1: knows a 1 -> decided 1'
+      : 'PREF1: no 1 received -> decided 0'
+  )
+});
+
+registerAlgorithm({
+  id: 'PREF0',
+  label: 'Pref0 (Broadcast model)',
+  shortLabel: 'P0',
+  menuLabel: 'PREF0 (Broadcast model)',
+  family: 'broadcast',
+  description: 'Decides 0 if any value 0 is known; else decides 1. Optimal for p ≥ 2/3 (n=3, broadcast). Pr[fail] = q^(number of 0-inputs).',
+  color: '#84cc16',
+  badgeClass: 'bg-lime-100 text-lime-800',
+  textClass: 'text-lime-700',
+  constraints: { binaryOnly: true },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: prefer(0),
+  explainChange: ({ prevVal, received }) => (
+    prevVal === 0 || received.some((entry) => entry.value === 0)
+      ? 'PREF0: knows a 0 -> decided 0'
+      : 'PREF0: no 0 received -> decided 1'
+  )
+});
+
+registerAlgorithm({
+  id: 'SWEEP',
+  label: 'SWEEP',
+  shortLabel: 'SWEEP',
+  menuLabel: 'SWEEP (Broadcast model)',
+  family: 'broadcast',
+  description: 'Two broadcast phases per sweep: PREF0 then PREF1. Theory is q^(k n) under broadcast; other delivery models fall back to exact enumeration.',
+  color: '#0f766e',
+  badgeClass: 'bg-teal-100 text-teal-800',
+  textClass: 'text-teal-700',
+  requires: { sweepPhase: true },
+  constraints: { binaryOnly: true },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  // Already a PREF0 -> PREF1 sequence, so it is not offered as a single rule
+  policyRule: false,
+  decide: (ctx) => (ctx.options.sweepPhase === 0 ? prefer(0)(ctx) : prefer(1)(ctx))
+});
+
+// Binary algorithms defined only for n = 3; with any other n they keep values.
+const majorityOfThree = (myValue, received) => {
+  const allValues = [myValue, ...received];
+  const count0 = allValues.filter((v) => v === 0).length;
+  const count1 = allValues.filter((v) => v === 1).length;
+  return count0 > count1 ? 0 : 1;
+};
+
+registerAlgorithm({
+  id: 'SELFISH',
+  label: 'Selfish (3p binary)',
+  shortLabel: 'SELF',
+  family: 'three-process',
+  description: 'Keeps own value if heard from 1 process',
+  color: '#ea580c',
+  badgeClass: 'bg-orange-200 text-orange-800 border border-orange-300',
+  textClass: 'text-orange-700',
+  constraints: { binaryOnly: true, processCount: 3 },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: ({ myValue, received }) => (
+    received.length + 1 === 3 ? majorityOfThree(myValue, received) : myValue
+  ),
+  explainChange: ({ changed, prevVal, sentVal, received, processNames }) => {
+    if (!changed && received.length === 1 && sentVal !== prevVal) {
+      return `SELFISH: Kept own value (ignoring ${processNames[received[0].from]})`;
+    }
+    if (changed && received.length === 2) {
+      return 'SELFISH: Majority decision (heard from all)';
+    }
+    return 'SELFISH: Message received';
+  }
+});
+
+registerAlgorithm({
+  id: 'CYCLIC',
+  label: 'Cyclic (3p binary)',
+  shortLabel: 'CYC',
+  family: 'three-process',
+  description: 'Follows A→B, B→C, C→A order',
+  color: '#0d9488',
+  badgeClass: 'bg-teal-200 text-teal-800 border border-teal-300',
+  textClass: 'text-teal-700',
+  constraints: { binaryOnly: true, processCount: 3 },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: ({ index, myValue, received, senders }) => {
+    if (received.length + 1 === 3) return majorityOfThree(myValue, received);
+    if (received.length === 1 && received[0] !== myValue) {
+      // Orden cíclico A->B, B->C, C->A: adopto el valor solo si viene de mi predecesor
+      const cyclicPrev = index === 0 ? 2 : index - 1;
+      return senders[0] === cyclicPrev ? received[0] : myValue;
+    }
+    return myValue;
+  },
+  explainChange: ({ toIdx, fromIdx, changed, received, processNames }) => {
+    const cyclicPrev = toIdx === 0 ? 2 : toIdx - 1;
+    const actualSenderIdx = received.length > 0 ? received[0].from : fromIdx;
+    if (changed && actualSenderIdx === cyclicPrev) {
+      return `CYCLIC: Adopted from ${processNames[actualSenderIdx]} (cyclic order)`;
+    }
+    if (!changed && actualSenderIdx !== cyclicPrev) {
+      return `CYCLIC: Ignored ${processNames[actualSenderIdx]} (not in cyclic order)`;
+    }
+    return 'CYCLIC: Message received';
+  }
+});
+
+registerAlgorithm({
+  id: 'BIASED0',
+  label: 'Biased0 (3p binary)',
+  shortLabel: 'B0',
+  family: 'three-process',
+  description: 'Always decides 0 if any process has 0',
+  color: '#e11d48',
+  badgeClass: 'bg-rose-200 text-rose-800 border border-rose-300',
+  textClass: 'text-pink-700',
+  constraints: { binaryOnly: true, processCount: 3 },
+  guarantees: { nonIncreasingDiscrepancy: true },
+  decide: ({ myValue, received }) => (myValue === 0 || received.includes(0) ? 0 : myValue),
+  explainChange: ({ changed, newVal, sentVal, received, processNames }) => {
+    if (changed && newVal === 0) {
+      const senderWith0 = received.find((v) => v.value === 0);
+      return senderWith0
+        ? `BIASED0: Decided 0 (detected 0 from ${processNames[senderWith0.from]})`
+        : 'BIASED0: Decided 0';
+    }
+    if (!changed && sentVal === 0) return 'BIASED0: Already 0';
+    return 'BIASED0: Message received';
+  }
+});
@@ -0,0 +1,591 @@
+#!/usr/bin/env node
+// Headless runner for long sweeps without a browser. It takes the configuration
+// the UI copies with "Generate config" (handleGenerateConfig), as a JSON file,
+// a config code or stdin, and writes CSV or JSON with the same theory columns
+// as the range table.
+//
+//   node src/cli/index.js sweep.json --experiment range --workers 4 --out sweep.csv
+//   npm run simulate -- <config code> --experiment policy --sequence PREF0,PREF1
+//
+// Range cells derive their seeds from the base seed exactly as the browser
+// sweep does, so the same configuration and seed give the same numbers here.
+
+import { readFileSync, existsSync, writeFileSync } from 'node:fs';
+import { availableParallelism } from 'node:os';
+import { Worker } from 'node:worker_threads';
+import { SimulationEngine } from '../SimulationEngine.js';
+import { getAlgorithm } from '../algorithms/registry.js';
+import { getDeliveryModel } from '../delivery/registry.js';
+import { normalizeProbabilitySchedule } from '../delivery/schedule.js';
+import { normalizeDelayModel } from '../delivery/delay.js';
+import { normalizeTopology } from '../delivery/topology.js';
+import { resolveConditioningEvent } from '../delivery/conditioning.js';
+import { decodeConfigCode } from '../utils/configCode.js';
+import { setLogSink } from '../utils/log.js';
+import { computeMajorityValue, rangeCellTheory } from '../workers/tasks.js';
+import { createSimulationPool } from '../workers/workerPool.js';
+
+const EXPERIMENTS = ['single', 'range', 'multi-round', 'policy'];
+const FORMATS = ['csv', 'json'];
+
+// Bloques de repeticiones por celda, como el barrido del navegador
+const CHUNKS_PER_CELL = 20;
+
+const USAGE = `Usage: node src/cli/index.js <config.json | config code | -> [options]
+
+The configuration is the JSON (or code) of "Generate config" in the UI.
+
+Options:
+  -e, --experiment <kind>  single | range | multi-round | policy (default: range)
+                             single       config.p, one row per algorithm and delivery mode
+                             range        p from minP to maxP, as the range sweep
+                             multi-round  the range sweep with one row per round
+                             policy       rule sequences (config.sequences, --sequence) over the p range
+  -s, --sequence <rules>   policy sequence, e.g. PREF0,PREF1 (repeatable)
+  -f, --format <format>    csv | json (default: from --out, else csv)
+  -o, --out <file>         write results to a file instead of stdout
+      --seed <n>           base seed (overrides config.seed)
+  -w, --workers <n>        worker threads; 1 runs in-process (default: 1)
+      --check-invariants   check safety invariants every round (also config.checkInvariants);
+                             single, range and multi-round rows get an invariant_violations count
+  -q, --quiet              drop engine warnings instead of printing them to stderr
+  -h, --help               show this help`;
+
+const stderrSink = { log: console.error, info: console.error, warn: console.error, error: console.error };
+
+const parseArgs = (argv) => {
+  const options = {
+    source: null,
+    experiment: 'range',
+    sequences: [],
+    format: null,
+    out: null,
+    seed: null,
+    workers: 1,
+    checkInvariants: false,
+    quiet: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s, 2) : [arg, undefined];
+    const value = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      i += 1;
+      if (i >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[i];
+    };
+
+    switch (flag) {
+      case '-e':
+      case '--experiment':
+        options.experiment = value();
+        break;
+      case '-s':
+      case '--sequence':
+        options.sequences.push(value());
+        break;
+      case '-f':
+      case '--format':
+        options.format = value();
+        break;
+      case '-o':
+      case '--out':
+        options.out = value();
+        break;
+      case '--seed': {
+        const raw = value();
+        options.seed = SimulationEngine.random.normalizeSeed(raw);
+        if (options.seed === null) throw new Error(`Invalid seed "${raw}"`);
+        break;
+      }
+      case '-w':
+      case '--workers': {
+        const raw = value();
+        options.workers = raw === 'auto' ? availableParallelism() : Number(raw);
+        if (!Number.isInteger(options.workers) || options.workers < 1) {
+          throw new Error(`--workers takes a positive integer or "auto", got "${raw}"`);
+        }
+        break;
+      }
+      case '--check-invariants':
+        options.checkInvariants = true;
+        break;
+      case '-q':
+      case '--quiet':
+        options.quiet = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option ${arg}`);
+        if (options.source !== null) throw new Error(`Unexpected argument "${arg}"`);
+        options.source = arg;
+    }
+  }
+
+  if (!EXPERIMENTS.includes(options.experiment)) {
+    throw new Error(`Unknown experiment "${options.experiment}" (${EXPERIMENTS.join(', ')})`);
+  }
+  options.format = options.format || (options.out?.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}" (${FORMATS.join(', ')})`);
+  }
+  return options;
+};
+
+// JSON file, JSON text, config code or stdin ("-" or no argument)
+const readConfig = (source) => {
+  const text = source === null || source === '-'
+    ? readFileSync(0, 'utf8')
+    : existsSync(source) ? readFileSync(source, 'utf8') : source;
+  const trimmed = text.trim();
+  const config = trimmed.startsWith('{') ? JSON.parse(trimmed) : decodeConfigCode(trimmed);
+  if (!config || typeof config !== 'object') {
+    throw new Error('The configuration is neither JSON nor a valid config code');
+  }
+  return config;
+};
+
+// Misma lectura que handleLoadConfig + la configuración que arma runRangeExperiments
+const resolveSettings = (config, seedOverride, checkInvariants = false) => {
+  const initialValues = Array.isArray(config.initialValues) && config.initialValues.length >= 2
+    ? config.initialValues.map(Number)
+    : [0, 1];
+  const n = initialValues.length;
+
+  let mp = Number(config.meetingPoint ?? 0.5);
+  if (!Number.isFinite(mp)) mp = 0.5;
+  if (Math.abs(mp - 0.5) < 1e-12) mp = 0.5;
+
+  const algorithms = Array.isArray(config.selectedAlgorithms) && config.selectedAlgorithms.length > 0
+    ? config.selectedAlgorithms
+    : [config.algorithm || 'auto'];
+  algorithms.forEach((algorithm) => {
+    if (!getAlgorithm(algorithm)) throw new Error(`Unknown algorithm "${algorithm}"`);
+  });
+
+  const deliveryMode = config.deliveryMode || 'standard';
+  const modes = Array.isArray(config.selectedDeliveryModes) && config.selectedDeliveryModes.length > 0
+    ? config.selectedDeliveryModes
+    : [deliveryMode];
+  modes.forEach((mode) => {
+    if (!getDeliveryModel(mode)) throw new Error(`Unknown delivery mode "${mode}"`);
+  });
+
+  const baseSeed = seedOverride
+    ?? SimulationEngine.random.normalizeSeed(config.seed)
+    ?? SimulationEngine.random.generateSeed();
+
+  const rangeConfig = {
+    dimensionMode: 'binary',
+    initialValues,
+    rounds: Math.max(1, Math.round(Number(config.rounds ?? 1)) || 1),
+    meetingPoint: Math.max(0, Math.min(1, mp)),
+    customMeetingPoint: config.meetingPoint ?? 0.5,
+    dimensions: 2,
+    distanceMetric: 'euclidean',
+    leaderIndex: Math.max(0, Math.min(n - 1, Math.round(config.leaderProcess ?? 1) - 1)),
+    conditionedK: config.conditionedK || 1,
+    conditionedBroadcast: Boolean(config.conditionedBroadcast),
+    conditioningEvent: resolveConditioningEvent(config.conditioningEvent).id,
+    deliveryParams: config.deliveryParams || {},
+    linkMatrix: Array.isArray(config.linkMatrix) ? config.linkMatrix : null,
+    topology: config.topology && typeof config.topology === 'object' && normalizeTopology(config.topology, n)
+      ? config.topology
+      : null,
+    pSchedule: normalizeProbabilitySchedule(config.pSchedule),
+    byzantine: Array.isArray(config.byzantine) ? config.byzantine : [],
+    crashes: Array.isArray(config.crashes) ? config.crashes : [],
+    delay: normalizeDelayModel(config.delay),
+    checkInvariants: checkInvariants || Boolean(config.checkInvariants),
+    baseSeed
+  };
+
+  return {
+    rangeConfig,
+    algorithms,
+    modes,
+    deliveryMode,
+    repetitions: Math.max(1, Math.round(Number(config.repetitions ?? 1)) || 1),
+    p: Number(config.p ?? 0.5)
+  };
+};
+
+// Rejilla de p del barrido de rango (runRangeExperiments)
+const rangeProbabilities = (config, deliveryMode) => {
+  const minP = Number(config.minP ?? 0);
+  const maxP = Number(config.maxP ?? 1);
+  const steps = config.customSteps ? Number(config.customStepValue ?? 100) : Number(config.steps ?? 100);
+  const probabilities = [];
+  const stepSize = (maxP - minP) / steps;
+  for (let i = 0; i <= steps; i++) {
+    const p = minP + i * stepSize;
+    if (deliveryMode === 'guaranteed' && p <= 0) continue;
+    if (p >= 0 && p <= 1) probabilities.push(p);
+  }
+  if (minP < 0.5 && maxP > 0.5 && !probabilities.some((x) => Math.abs(x - 0.5) < 1e-12)) {
+    probabilities.push(0.5);
+  }
+  probabilities.sort((a, b) => a - b);
+  for (let i = probabilities.length - 2; i >= 0; i--) {
+    if (Math.abs(probabilities[i] - probabilities[i + 1]) < 1e-12) probabilities.splice(i, 1);
+  }
+  return probabilities;
+};
+
+const resolveDisplayAlgorithm = (displayAlgorithm, p) =>
+  (displayAlgorithm === 'auto' ? (p > 0.5 ? 'AMP' : 'FV') : displayAlgorithm);
+
+const summarize = (values) => {
+  const samples = values.length;
+  if (samples === 0) return { samples, mean: null, std: null, se: null };
+  const mean = values.reduce((sum, x) => sum + x, 0) / samples;
+  const variance = samples > 1
+    ? values.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / (samples - 1)
+    : 0;
+  const std = Math.sqrt(variance);
+  return { samples, mean, std, se: std / Math.sqrt(samples) };
+};
+
+const spawnNodeWorker = (quiet) => () => {
+  const worker = new Worker(new URL('./worker.js', import.meta.url), { workerData: { quiet } });
+  const adapter = {
+    onmessage: null,
+    onerror: null,
+    postMessage: (message) => worker.postMessage(message),
+    terminate: () => worker.terminate()
+  };
+  worker.on('message', (data) => adapter.onmessage?.({ data }));
+  worker.on('error', (error) => adapter.onerror?.({ error }));
+  return adapter;
+};
+
+const createProgress = (label, total) => {
+  let done = 0;
+  let lastPrinted = -1;
+  return (count = 1) => {
+    done += count;
+    if (!process.stderr.isTTY) return;
+    const percent = total > 0 ? Math.floor((done / total) * 100) : 100;
+    if (percent === lastPrinted) return;
+    lastPrinted = percent;
+    process.stderr.write(`\r${label}: ${percent}%${done >= total ? '\n' : ''}`);
+  };
+};
+
+// Corre las celdas (p, modo, algoritmo) con las tareas 'range' y devuelve sus historias
+const runRangeCells = async (run, cells, settings) => {
+  const { rangeConfig, repetitions } = settings;
+  const cellHistories = cells.map(() => []);
+  const chunkSize = Math.max(1, Math.ceil(repetitions / CHUNKS_PER_CELL));
+  const tasks = [];
+  for (let fromRep = 0; fromRep < repetitions; fromRep += chunkSize) {
+    cells.forEach((cell, cellIndex) => {
+      tasks.push({
+        kind: 'range',
+        cellIndex,
+        config: rangeConfig,
+        p: cell.p,
+        actualAlgo: cell.actualAlgo,
+        mode: cell.mode,
+        fromRep,
+        toRep: Math.min(repetitions, fromRep + chunkSize),
+        seedPath: cell.seedPath
+      });
+    });
+  }
+
+  const progress = createProgress('Simulating', cells.length * repetitions);
+  await run(tasks, ({ histories }, _index, task) => {
+    histories.forEach((history, offset) => {
+      cellHistories[task.cellIndex][task.fromRep + offset] = history;
+    });
+    progress(histories.length);
+  });
+  return cellHistories;
+};
+
+const buildCells = (probabilities, settings) => {
+  const cells = [];
+  probabilities.forEach((p, pIndex) => {
+    settings.modes.forEach((mode, modeIndex) => {
+      settings.algorithms.forEach((displayAlgorithm, algoIndex) => {
+        cells.push({
+          p,
+          mode,
+          displayAlgorithm,
+          actualAlgo: resolveDisplayAlgorithm(displayAlgorithm, p),
+          seedPath: [pIndex, modeIndex, algoIndex]
+        });
+      });
+    });
+  });
+  return cells;
+};
+
+const finalDiscrepancy = (history, round = null) => {
+  const entry = round === null ? history[history.length - 1] : history[Math.min(round, history.length - 1)];
+  return entry?.discrepancy ?? 0;
+};
+
+// Violaciones de invariantes registradas en las historias (todas las rondas, o solo `round`)
+const countViolations = (histories, round = null) => histories.reduce((total, history) => (
+  total + history
+    .filter((entry) => round === null || entry.round === round)
+    .reduce((sum, entry) => sum + (entry.invariantViolations?.length ?? 0), 0)
+), 0);
+
+const runRangeExperiment = async (run, settings, probabilities) => {
+  const cells = buildCells(probabilities, settings);
+  const cellHistories = await runRangeCells(run, cells, settings);
+  return cells.map((cell, cellIndex) => {
+    const { theoretical, exactTheoretical } = rangeCellTheory(settings.rangeConfig, cell.p, cell.actualAlgo, cell.mode);
+    const stats = summarize(cellHistories[cellIndex].map((history) => finalDiscrepancy(history)));
+    return {
+      p: cell.p,
+      algorithm: cell.actualAlgo,
+      display_algorithm: cell.displayAlgorithm,
+      delivery_mode: cell.mode,
+      rounds: settings.rangeConfig.rounds,
+      repetitions: stats.samples,
+      experimental_ED: stats.mean,
+      std: stats.std,
+      se: stats.se,
+      theoretical_ED: theoretical ?? null,
+      exact_ED: exactTheoretical ?? null,
+      ...(settings.rangeConfig.checkInvariants
+        ? { invariant_violations: countViolations(cellHistories[cellIndex]) }
+        : {})
+    };
+  });
+};
+
+const runMultiRoundExperiment = async (run, settings, probabilities) => {
+  const cells = buildCells(probabilities, settings);
+  const cellHistories = await runRangeCells(run, cells, settings);
+  const rows = [];
+  cells.forEach((cell, cellIndex) => {
+    for (let round = 1; round <= settings.rangeConfig.rounds; round++) {
+      const { theoretical, exactTheoretical } = rangeCellTheory(
+        { ...settings.rangeConfig, rounds: round },
+        cell.p,
+        cell.actualAlgo,
+        cell.mode
+      );
+      const stats = summarize(cellHistories[cellIndex].map((history) => finalDiscrepancy(history, round)));
+      rows.push({
+        p: cell.p,
+        algorithm: cell.actualAlgo,
+        display_algorithm: cell.displayAlgorithm,
+        delivery_mode: cell.mode,
+        round,
+        repetitions: stats.samples,
+        experimental_ED: stats.mean,
+        std: stats.std,
+        se: stats.se,
+        theoretical_ED: theoretical ?? null,
+        exact_ED: exactTheoretical ?? null,
+        ...(settings.rangeConfig.checkInvariants
+          ? { invariant_violations: countViolations(cellHistories[cellIndex], round) }
+          : {})
+      });
+    }
+  });
+  return rows;
+};
+
+// "PREF0,PREF1", "AMP>FV" o ["AMP", { algorithm: "AMP", meetingPoint: 0.3 }]
+const parseSequence = (entry) => {
+  const rules = typeof entry === 'string'
+    ? entry.split(/[,>\s]+/).filter(Boolean)
+    : Array.isArray(entry) ? entry : entry?.sequence;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error(`Invalid policy sequence ${JSON.stringify(entry)}`);
+  }
+  const sequence = rules.map((rule) => {
+    const normalized = typeof rule === 'string' ? { algorithm: rule.trim() } : { ...rule };
+    if (!getAlgorithm(normalized.algorithm) || normalized.algorithm === 'auto') {
+      throw new Error(`Unknown algorithm "${normalized.algorithm}" in policy sequence`);
+    }
+    return normalized;
+  });
+  const label = entry?.name || sequence.map((rule) => rule.algorithm).join(' → ');
+  return { label, sequence };
+};
+
+// Teoría de la secuencia cuando coincide con un protocolo de la tabla de rango:
+// el mismo algoritmo todas las rondas, o PREF0 → PREF1 repetido (SWEEP)
+const sequenceTheory = (settings, sequence, p, mode) => {
+  if (mode === 'guaranteed') return null; // Policy Search fuerza un enlace, no el muestreador ≥K
+  if (sequence.some((rule) => rule.meetingPoint != null || rule.leaderIndex != null)) return null;
+  const algorithms = sequence.map((rule) => rule.algorithm);
+  let theoryAlgorithm = null;
+  let rounds = algorithms.length;
+  if (algorithms.every((algorithm) => algorithm === algorithms[0]) && algorithms[0] !== 'MIN') {
+    theoryAlgorithm = algorithms[0];
+  } else if (algorithms.length % 2 === 0 && algorithms.every((algorithm, index) => algorithm === (index % 2 === 0 ? 'PREF0' : 'PREF1'))) {
+    theoryAlgorithm = 'SWEEP';
+    rounds = algorithms.length / 2;
+  }
+  if (!theoryAlgorithm) return null;
+  const { theoretical } = rangeCellTheory({ ...settings.rangeConfig, rounds }, p, theoryAlgorithm, mode);
+  return theoretical ?? null;
+};
+
+const runPolicyExperiment = async (run, settings, probabilities, config, cliSequences) => {
+  const entries = [...(Array.isArray(config.sequences) ? config.sequences : []), ...cliSequences];
+  if (entries.length === 0) {
+    throw new Error('The policy experiment needs sequences: add config.sequences or --sequence PREF0,PREF1');
+  }
+  const { rangeConfig, repetitions } = settings;
+  const validityCriterion = config.validityCriterion === 'majority' ? 'majority' : 'proposed';
+  const definitions = [];
+  entries.map(parseSequence).forEach((parsed) => {
+    settings.modes.forEach((mode) => definitions.push({ ...parsed, deliveryMode: mode }));
+  });
+
+  const policySettings = {
+    schedule: rangeConfig.pSchedule,
+    fallbackMeetingPoint: rangeConfig.meetingPoint,
+    leaderIndex: rangeConfig.leaderIndex,
+    deliveryParams: rangeConfig.deliveryParams,
+    linkMatrix: rangeConfig.linkMatrix,
+    topology: rangeConfig.topology,
+    byzantine: rangeConfig.byzantine,
+    delay: rangeConfig.delay
+  };
+  const majorityValue = computeMajorityValue(rangeConfig.initialValues);
+  const tasks = [];
+  definitions.forEach((definition, sequenceIndex) => {
+    probabilities.forEach((p, pIndex) => {
+      tasks.push({
+        kind: 'policy',
+        sequenceIndex,
+        pIndex,
+        sequence: definition.sequence,
+        baseValues: rangeConfig.initialValues,
+        p,
+        mode: definition.deliveryMode,
+        validityCriterion,
+        majorityValue,
+        sampleCount: repetitions,
+        streamSeed: SimulationEngine.random.deriveSeed(rangeConfig.baseSeed, sequenceIndex, pIndex),
+        settings: policySettings
+      });
+    });
+  });
+
+  const metrics = definitions.map(() => []);
+  const progress = createProgress('Evaluating', tasks.length);
+  await run(tasks, (result, _index, task) => {
+    metrics[task.sequenceIndex][task.pIndex] = result;
+    progress();
+  });
+
+  const rows = [];
+  definitions.forEach((definition, sequenceIndex) => {
+    probabilities.forEach((p, pIndex) => {
+      const result = metrics[sequenceIndex][pIndex];
+      rows.push({
+        sequence: definition.label,
+        delivery_mode: definition.deliveryMode,
+        p,
+        rounds: definition.sequence.length,
+        repetitions,
+        experimental_ED: result.avgDiscrepancy,
+        agreement_rate: result.successRate,
+        avg_consensus_round: result.avgConsensusRound,
+        theoretical_ED: sequenceTheory(settings, definition.sequence, p, definition.deliveryMode)
+      });
+    });
+  });
+  return rows;
+};
+
+const escapeCsvValue = (value) => {
+  const text = String(value ?? '');
+  if (/[",\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')];
+  rows.forEach((row) => lines.push(columns.map((column) => escapeCsvValue(row[column])).join(',')));
+  return `${lines.join('\n')}\n`;
+};
+
+const main = async (argv) => {
+  const options = parseArgs(argv);
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  setLogSink(options.quiet ? null : stderrSink);
+  const config = readConfig(options.source);
+  const settings = resolveSettings(config, options.seed, options.checkInvariants);
+  const probabilities = options.experiment === 'single'
+    ? [settings.p]
+    : rangeProbabilities(config, settings.deliveryMode);
+  if (probabilities.length === 0) throw new Error('The p range is empty');
+
+  // Con un solo worker el pool corre las tareas en este mismo hilo
+  const pool = options.workers > 1
+    ? createSimulationPool({ size: options.workers, createWorker: spawnNodeWorker(options.quiet) })
+    : createSimulationPool({ size: 1 });
+  let activeJob = null;
+  const run = async (tasks, onResult) => {
+    activeJob = pool.run(tasks, { onResult });
+    const { cancelled } = await activeJob.done;
+    activeJob = null;
+    if (cancelled) throw new Error('Cancelled');
+  };
+  const onInterrupt = () => {
+    console.error('\nInterrupted, stopping workers');
+    activeJob?.cancel();
+  };
+  process.once('SIGINT', onInterrupt);
+
+  console.error(`${options.experiment}: ${probabilities.length} p value(s), ${settings.repetitions} repetition(s), base seed ${settings.rangeConfig.baseSeed}, ${options.workers} worker(s)`);
+  let rows;
+  try {
+    if (options.experiment === 'policy') {
+      rows = await runPolicyExperiment(run, settings, probabilities, config, options.sequences);
+    } else if (options.experiment === 'multi-round') {
+      rows = await runMultiRoundExperiment(run, settings, probabilities);
+    } else {
+      rows = await runRangeExperiment(run, settings, probabilities);
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+    pool.terminate();
+  }
+
+  const output = options.format === 'json'
+    ? `${JSON.stringify({ experiment: options.experiment, seed: settings.rangeConfig.baseSeed, config, rows }, null, 2)}\n`
+    : toCsv(rows);
+  if (options.out) {
+    writeFileSync(options.out, output);
+    console.error(`Wrote ${rows.length} row(s) to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+};
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
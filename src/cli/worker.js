@@ -0,0 +1,18 @@
+// worker_threads entry for the CLI pool; same protocol as workers/simulationWorker.js
+//   in:  { id, task }
+//   out: { id, result } or { id, error }
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { runTask } from '../workers/tasks.js';
+import { setLogSink } from '../utils/log.js';
+
+// El hilo principal escribe los resultados en stdout: los avisos van a stderr (o a ningún lado con --quiet)
+setLogSink(workerData?.quiet ? null : { log: console.error, info: console.error, warn: console.error, error: console.error });
+
+parentPort.on('message', ({ id, task }) => {
+  try {
+    parentPort.postMessage({ id, result: runTask(task) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error?.message || String(error) });
+  }
+});
@@ -0,0 +1,90 @@
+import React, { useMemo, useState } from 'react';
+import InfoTooltip from './InfoTooltip.jsx';
+import { asymmetricDiscrepancyGrid } from '../theory/asymmetricChannel.js';
+
+const GRID_STEPS = 20;
+
+const PANELS = [
+  { id: 'AMP', title: 'AMP', subtitle: (a) => `meeting point a = ${a}` },
+  { id: 'FV', title: 'FV', subtitle: () => 'flip value' },
+  { id: 'BEST', title: 'Best meeting point', subtitle: () => 'AMP with a ∈ {0, 1} chosen per cell' }
+];
+
+const cellColor = (value) => (value == null
+  ? '#f8fafc'
+  : `rgba(15, 23, 42, ${Math.max(0.04, Math.min(0.92, value))})`);
+
+function Heatmap({ grid, showMeetingPoint }) {
+  const { axis, cells } = grid;
+  const size = axis.length;
+  // Filas de arriba abajo: p_BA = 1 arriba, como un eje y
+  const rows = Array.from({ length: size }, (_, r) => cells.slice((size - 1 - r) * size, (size - r) * size));
+
+  return (
+    <div className="flex">
+      <div className="flex flex-col justify-between pr-1 text-[10px] text-gray-500" style={{ height: size * 12 }}>
+        <span>1</span>
+        <span className="-rotate-90 whitespace-nowrap">p_BA</span>
+        <span>0</span>
+      </div>
+      <div>
+        <div className="grid" style={{ gridTemplateColumns: `repeat(${size}, 12px)` }}>
+          {rows.flat().map((cell) => (
+            <div
+              key={`${cell.pAB}-${cell.pBA}`}
+              className="h-3 w-3 text-[7px] leading-3 text-center text-white"
+              style={{ backgroundColor: cellColor(cell.value) }}
+              title={`p_AB = ${cell.pAB.toFixed(2)}, p_BA = ${cell.pBA.toFixed(2)}: E[D] = ${cell.value == null ? '—' : cell.value.toFixed(4)}${showMeetingPoint && cell.meetingPoint != null ? `, a* = ${cell.meetingPoint}` : ''}`}
+            >
+              {showMeetingPoint && cell.meetingPoint !== 0.5 && cell.meetingPoint != null ? cell.meetingPoint : ''}
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+          <span>0</span>
+          <span>p_AB</span>
+          <span>1</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function AsymmetricChannelHeatmap({ rounds = 1, meetingPoint = 0.5 }) {
+  const [conditioned, setConditioned] = useState(false);
+  const a = Number.isFinite(meetingPoint) ? Math.max(0, Math.min(1, meetingPoint)) : 0.5;
+
+  const grids = useMemo(() => PANELS.map((panel) => ({
+    ...panel,
+    grid: asymmetricDiscrepancyGrid({ algorithm: panel.id, meetingPoint: a, rounds, conditioned, steps: GRID_STEPS })
+  })), [a, rounds, conditioned]);
+
+  return (
+    <div className="card glass-card p-5 mb-6">
+      <div className="flex items-center mb-3">
+        <h3 className="text-lg font-bold text-gray-900">Asymmetric channel: E[D] over (p_AB, p_BA)</h3>
+        <InfoTooltip text="Alice/Bob with separate delivery probabilities for A→B and B→A, exact closed forms after the selected rounds (initial gap 1, Alice holds the lower value). Darker means larger discrepancy. AMP's law is linear in the meeting point, so the best a is always 0 or 1: the process with the worse incoming link adopts the other's value. Cells of the last map are labelled with that a (blank when the links are equal)." />
+      </div>
+
+      <label className="flex items-center gap-2 text-xs text-gray-600 mb-3">
+        <input
+          type="checkbox"
+          checked={conditioned}
+          onChange={(e) => setConditioned(e.target.checked)}
+        />
+        Guaranteed (at least one message per round)
+      </label>
+
+      <div className="flex flex-wrap gap-6">
+        {grids.map((panel) => (
+          <div key={panel.id}>
+            <p className="text-sm font-semibold text-slate-800">{panel.title}</p>
+            <p className="text-[11px] text-gray-500 mb-1">{panel.subtitle(a)}</p>
+            <Heatmap grid={panel.grid} showMeetingPoint={panel.id === 'BEST'} />
+          </div>
+        ))}
+      </div>
+      <p className="text-[11px] text-gray-500 mt-2">{rounds} round(s)</p>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React from 'react';
+import InfoTooltip from './InfoTooltip.jsx';
+import { getProcessColor } from '../utils/colors.js';
+import { BYZANTINE_BEHAVIOURS, getByzantineBehaviour } from '../faults/byzantine.js';
+
+const processLabel = (index) => (index < 3 ? ['Alice', 'Bob', 'Charlie'][index] : `Process${index + 1}`);
+
+export default function ByzantineControl({ processCount, faults = [], onChange, isRunning = false }) {
+  const used = new Set(faults.map((entry) => entry.index));
+  const canAdd = faults.length < processCount - 1;
+  const tooMany = faults.length > 0 && processCount <= 3 * faults.length;
+
+  const addFault = () => {
+    const index = Array.from({ length: processCount }, (_, idx) => processCount - 1 - idx)
+      .find((idx) => !used.has(idx));
+    if (index === undefined) return;
+    onChange([...faults, { index, behaviour: BYZANTINE_BEHAVIOURS[0].id }]);
+  };
+
+  const updateFault = (position, patch) => {
+    onChange(faults.map((entry, idx) => (idx === position ? { ...entry, ...patch } : entry)));
+  };
+
+  const removeFault = (position) => {
+    onChange(faults.filter((_, idx) => idx !== position));
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm font-medium text-gray-700">
+          Byzantine processes: {faults.length}
+          <InfoTooltip text="Faulty processes ignore the protocol and send what their behaviour dictates. Discrepancy and validity are measured over the correct processes only. Closed-form theory is hidden while faults are active." />
+        </label>
+        <button
+          onClick={addFault}
+          disabled={isRunning || !canAdd}
+          className="px-2 py-1 text-xs bg-red-50 text-red-700 border border-red-200 rounded hover:bg-red-100 disabled:opacity-50"
+        >
+          + Fault
+        </button>
+      </div>
+
+      {faults.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {faults.map((entry, position) => (
+            <div key={position} className="flex items-center gap-2 text-xs">
+              <select
+                value={entry.index}
+                onChange={(e) => updateFault(position, { index: Number(e.target.value) })}
+                disabled={isRunning}
+                className="p-1 border rounded bg-white"
+                style={{ color: getProcessColor(entry.index) }}
+              >
+                {Array.from({ length: processCount }, (_, idx) => idx)
+                  .filter((idx) => idx === entry.index || !used.has(idx))
+                  .map((idx) => (
+                    <option key={idx} value={idx}>{processLabel(idx)}</option>
+                  ))}
+              </select>
+              <select
+                value={entry.behaviour}
+                onChange={(e) => updateFault(position, { behaviour: e.target.value })}
+                disabled={isRunning}
+                className="flex-1 p-1 border rounded bg-white"
+                title={getByzantineBehaviour(entry.behaviour)?.description}
+              >
+                {BYZANTINE_BEHAVIOURS.map((behaviour) => (
+                  <option key={behaviour.id} value={behaviour.id}>{behaviour.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => removeFault(position)}
+                disabled={isRunning}
+                className="text-red-500 hover:text-red-700 disabled:opacity-50"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {tooMany && (
+        <p className="text-xs text-amber-700 mt-2">
+          n = {processCount} with f = {faults.length}: approximate agreement needs n &gt; 3f, so validity may be violated.
+        </p>
+      )}
+    </div>
+  );
+}
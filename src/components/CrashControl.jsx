@@ -0,0 +1,110 @@
+import React from 'react';
+import NumericTextInput from './NumericTextInput.jsx';
+import InfoTooltip from './InfoTooltip.jsx';
+import { getProcessColor } from '../utils/colors.js';
+import { CRASH_ROUND_RANDOM } from '../faults/crash.js';
+
+const processLabel = (index) => (index < 3 ? ['Alice', 'Bob', 'Charlie'][index] : `Process${index + 1}`);
+
+export default function CrashControl({ processCount, crashes = [], onChange, isRunning = false }) {
+  const used = new Set(crashes.map((entry) => entry.index));
+
+  const addCrash = () => {
+    const index = Array.from({ length: processCount }, (_, idx) => idx).find((idx) => !used.has(idx));
+    if (index === undefined) return;
+    onChange([...crashes, { index, round: 1, downtime: 0 }]);
+  };
+
+  const updateCrash = (position, patch) => {
+    onChange(crashes.map((entry, idx) => (idx === position ? { ...entry, ...patch } : entry)));
+  };
+
+  const removeCrash = (position) => {
+    onChange(crashes.filter((_, idx) => idx !== position));
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm font-medium text-gray-700">
+          Crashes: {crashes.length}
+          <InfoTooltip text="A crashed process stops sending, receiving and updating. With a downtime it recovers after that many rounds with the value it had when it crashed (crash-recovery); downtime 0 means it never comes back. Discrepancy is measured over live processes." />
+        </label>
+        <button
+          onClick={addCrash}
+          disabled={isRunning || crashes.length >= processCount}
+          className="px-2 py-1 text-xs bg-gray-100 text-gray-700 border border-gray-300 rounded hover:bg-gray-200 disabled:opacity-50"
+        >
+          + Crash
+        </button>
+      </div>
+
+      {crashes.length > 0 && (
+        <div className="mt-2 space-y-1">
+          <div className="grid grid-cols-[1fr_5rem_4rem_1rem] gap-2 text-[11px] text-gray-500">
+            <span>Process</span>
+            <span>Crash round</span>
+            <span>Downtime</span>
+            <span />
+          </div>
+          {crashes.map((entry, position) => {
+            const randomRound = entry.round === CRASH_ROUND_RANDOM;
+            return (
+              <div key={position} className="grid grid-cols-[1fr_5rem_4rem_1rem] gap-2 items-center text-xs">
+                <select
+                  value={entry.index}
+                  onChange={(e) => updateCrash(position, { index: Number(e.target.value) })}
+                  disabled={isRunning}
+                  className="p-1 border rounded bg-white"
+                  style={{ color: getProcessColor(entry.index) }}
+                >
+                  {Array.from({ length: processCount }, (_, idx) => idx)
+                    .filter((idx) => idx === entry.index || !used.has(idx))
+                    .map((idx) => (
+                      <option key={idx} value={idx}>{processLabel(idx)}</option>
+                    ))}
+                </select>
+                <div className="flex items-center gap-1">
+                  {randomRound ? (
+                    <span className="flex-1 text-gray-500 italic">random</span>
+                  ) : (
+                    <NumericTextInput
+                      min={1}
+                      integer
+                      value={entry.round}
+                      onValueChange={(value) => updateCrash(position, { round: value })}
+                      disabled={isRunning}
+                      className="w-full p-1 border rounded"
+                    />
+                  )}
+                  <input
+                    type="checkbox"
+                    checked={randomRound}
+                    onChange={(e) => updateCrash(position, { round: e.target.checked ? CRASH_ROUND_RANDOM : 1 })}
+                    disabled={isRunning}
+                    title="Crash at a uniformly random round of each run"
+                  />
+                </div>
+                <NumericTextInput
+                  min={0}
+                  integer
+                  value={entry.downtime ?? 0}
+                  onValueChange={(value) => updateCrash(position, { downtime: value })}
+                  disabled={isRunning}
+                  className="w-full p-1 border rounded"
+                />
+                <button
+                  onClick={() => removeCrash(position)}
+                  disabled={isRunning}
+                  className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import NumericTextInput from './NumericTextInput.jsx';
+import InfoTooltip from './InfoTooltip.jsx';
+import { DELAY_MODELS, expectedDelay, normalizeDelayModel } from '../delivery/delay.js';
+
+export default function DelayControl({ delay, onChange, onCompare, isRunning = false }) {
+  const [comparison, setComparison] = useState(null);
+  const current = delay || { type: 'none' };
+  const type = DELAY_MODELS.find((entry) => entry.id === current.type) || DELAY_MODELS[0];
+  const normalized = normalizeDelayModel(current);
+
+  const update = (patch) => {
+    setComparison(null);
+    onChange({ ...current, ...patch });
+  };
+
+  const selectType = (id) => {
+    const next = DELAY_MODELS.find((entry) => entry.id === id);
+    setComparison(null);
+    if (!next || next.id === 'none') {
+      onChange(null);
+      return;
+    }
+    const defaults = { type: next.id, lateMessages: current.lateMessages || 'deliver' };
+    next.params.forEach(({ key, default: fallback }) => {
+      defaults[key] = current[key] ?? fallback;
+    });
+    if (next.id === 'distribution') defaults.weights = current.weights ?? '0.5, 0.3, 0.2';
+    onChange(defaults);
+  };
+
+  const runComparison = () => {
+    if (typeof onCompare === 'function') setComparison(onCompare());
+  };
+
+  return (
+    <div>
+      <label className="flex items-center text-xs block mb-1 text-gray-600">
+        Message delay:
+        <InfoTooltip text="Messages that are not lost arrive after a random number of rounds and carry the value from the round they were sent. Late values enter the same decision rules (AMP, FV, MIN, RECURSIVE AMP). 'Drop' turns every delayed message into a loss, the pure-omission baseline." />
+      </label>
+      <select
+        value={type.id}
+        onChange={(e) => selectType(e.target.value)}
+        className="w-full p-1 text-sm border border-gray-300 rounded-md bg-white"
+        disabled={isRunning}
+      >
+        {DELAY_MODELS.map((entry) => (
+          <option key={entry.id} value={entry.id}>{entry.label}</option>
+        ))}
+      </select>
+
+      {type.id === 'distribution' && (
+        <input
+          type="text"
+          value={Array.isArray(current.weights) ? current.weights.join(', ') : (current.weights ?? '')}
+          onChange={(e) => update({ weights: e.target.value })}
+          className="w-full mt-2 p-1 text-sm border border-gray-300 rounded-md"
+          disabled={isRunning}
+          placeholder="P(0), P(1), P(2), … rounds late"
+        />
+      )}
+
+      {type.params.length > 0 && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {type.params.map((param) => (
+            <label key={param.key} className="text-[11px] text-gray-600">
+              {param.label}
+              <NumericTextInput
+                min={param.min}
+                max={param.max}
+                integer={!!param.integer}
+                value={current[param.key] ?? param.default}
+                onValueChange={(value) => update({ [param.key]: value })}
+                className="w-full mt-1 p-1 text-sm border border-gray-300 rounded-md"
+                disabled={isRunning}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {normalized && (
+        <div className="mt-2 space-y-1">
+          <div className="flex items-center gap-3 text-[11px] text-gray-600">
+            <span>Late messages:</span>
+            {['deliver', 'drop'].map((option) => (
+              <label key={option} className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={normalized.lateMessages === option}
+                  onChange={() => update({ lateMessages: option })}
+                  disabled={isRunning}
+                />
+                {option === 'deliver' ? 'Deliver (stale)' : 'Drop (omission)'}
+              </label>
+            ))}
+          </div>
+          <p className="text-[11px] text-gray-500">
+            Mean delay of a surviving message: {expectedDelay(normalized).toFixed(2)} rounds.
+          </p>
+          {onCompare && (
+            <button
+              type="button"
+              onClick={runComparison}
+              disabled={isRunning}
+              className="px-2 py-1 text-xs bg-gray-100 text-gray-700 border border-gray-300 rounded hover:bg-gray-200 disabled:opacity-50"
+            >
+              Compare with pure omission at current p
+            </button>
+          )}
+          {comparison && (
+            <p className="text-[11px] text-gray-700">
+              E[D] stale {comparison.stale.mean.toFixed(4)} vs omission {comparison.omission.mean.toFixed(4)}
+              {' '}(Δ = {comparison.stalePenalty >= 0 ? '+' : ''}{comparison.stalePenalty.toFixed(4)},
+              {' '}{comparison.stale.avgLateDeliveries.toFixed(1)} late deliveries per run, seed {comparison.seed})
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import InfoTooltip from './InfoTooltip.jsx';
+import {
+  LARGE_EXPERIMENT_BYTES,
+  compactExperiment,
+  estimateStorage,
+  experimentId,
+  experimentSize,
+  requestPersistentStorage
+} from '../storage/experimentStore.js';
+
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes)) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+const hasRepetitions = (experiment) => (
+  Array.isArray(experiment?.results) && experiment.results.some((result) => Array.isArray(result?.discrepancies))
+);
+
+export default function ExperimentStoragePanel({
+  savedExperiments,
+  setSavedExperiments,
+  persistent,
+  autosavedAt,
+  onClearAutosave,
+  addLog
+}) {
+  const [estimate, setEstimate] = useState(null);
+
+  // La cuota cambia con cada escritura: se vuelve a pedir cuando cambia la biblioteca
+  useEffect(() => {
+    let cancelled = false;
+    estimateStorage()
+      .then((next) => {
+        if (!cancelled) setEstimate(next);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [savedExperiments, autosavedAt]);
+
+  const rows = useMemo(() => (
+    (savedExperiments || []).map((experiment) => ({
+      id: experimentId(experiment),
+      name: experiment.metadata?.name || 'Unnamed',
+      createdAt: experiment.metadata?.createdAt,
+      size: experimentSize(experiment),
+      compacted: Boolean(experiment.metadata?.compacted),
+      compactable: hasRepetitions(experiment)
+    }))
+  ), [savedExperiments]);
+
+  const totalSize = rows.reduce((sum, row) => sum + row.size, 0);
+  const largeRows = rows.filter((row) => row.compactable && row.size > LARGE_EXPERIMENT_BYTES);
+
+  const compact = (ids) => {
+    const targets = new Set(ids);
+    const before = rows.filter((row) => targets.has(row.id)).reduce((sum, row) => sum + row.size, 0);
+    const next = savedExperiments.map((experiment) => (
+      targets.has(experimentId(experiment)) ? compactExperiment(experiment) : experiment
+    ));
+    const after = next
+      .filter((experiment) => targets.has(experimentId(experiment)))
+      .reduce((sum, experiment) => sum + experimentSize(experiment), 0);
+    setSavedExperiments(next);
+    addLog?.(`Compacted ${targets.size} experiment(s): ${formatBytes(before)} → ${formatBytes(after)}`, 'success');
+  };
+
+  const remove = (row) => {
+    setSavedExperiments((previous) => previous.filter((experiment) => experimentId(experiment) !== row.id));
+    addLog?.(`Deleted saved experiment "${row.name}" (${formatBytes(row.size)})`, 'info');
+  };
+
+  const keepData = () => {
+    requestPersistentStorage()
+      .then((granted) => {
+        addLog?.(granted ? 'The browser will keep the experiment library' : 'The browser declined persistent storage', granted ? 'success' : 'warning');
+        return estimateStorage();
+      })
+      .then(setEstimate)
+      .catch(() => {});
+  };
+
+  const usedShare = estimate && estimate.quota > 0 ? estimate.usage / estimate.quota : null;
+
+  return (
+    <div className="bg-white rounded-xl shadow ring-1 ring-gray-200 p-4">
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3 mb-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            Storage
+            <InfoTooltip text="Saved experiments and the sidebar configuration are kept in this browser (IndexedDB). Compacting a run drops its per-repetition discrepancies and keeps the mean, sample count and standard deviation of every p, which is all the comparison chart needs." />
+          </h3>
+          <p className="text-sm text-gray-500">
+            {persistent
+              ? `${rows.length} experiment(s), ${formatBytes(totalSize)} in this browser`
+              : 'IndexedDB is not available: saved experiments are lost on reload'}
+          </p>
+          {autosavedAt && (
+            <p className="text-xs text-gray-500 mt-1">
+              Configuration autosaved at {new Date(autosavedAt).toLocaleTimeString()}
+              <button type="button" onClick={onClearAutosave} className="ml-2 text-blue-600 hover:underline">
+                Forget
+              </button>
+            </p>
+          )}
+        </div>
+        {estimate && (
+          <div className="text-xs text-gray-600 md:text-right min-w-[14rem]">
+            <p>
+              {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used
+              {usedShare != null ? ` (${(usedShare * 100).toFixed(1)}%)` : ''}
+            </p>
+            <div className="h-2 bg-gray-100 rounded mt-1 overflow-hidden">
+              <div
+                className={`h-2 ${usedShare > 0.8 ? 'bg-rose-500' : 'bg-emerald-500'}`}
+                style={{ width: `${Math.min(100, (usedShare ?? 0) * 100)}%` }}
+              />
+            </div>
+            <p className="mt-1">
+              {estimate.persisted
+                ? 'Persistent: not evicted under storage pressure'
+                : (
+                  <button type="button" onClick={keepData} className="text-blue-600 hover:underline">
+                    Ask the browser to keep this data
+                  </button>
+                )}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          {largeRows.length > 0 && (
+            <div className="flex items-center justify-between bg-amber-50 border border-amber-200 rounded-md px-3 py-2 mb-3 text-xs text-amber-800">
+              <span>{largeRows.length} run(s) larger than {formatBytes(LARGE_EXPERIMENT_BYTES)}</span>
+              <button
+                type="button"
+                onClick={() => compact(largeRows.map((row) => row.id))}
+                className="rounded border border-amber-300 bg-white px-3 py-1 font-semibold"
+              >
+                Compact large runs
+              </button>
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="px-3 py-2 text-left">Name</th>
+                  <th className="px-3 py-2 text-left">Saved</th>
+                  <th className="px-3 py-2 text-right">Size</th>
+                  <th className="px-3 py-2 text-left">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map((row) => (
+                  <tr key={row.id}>
+                    <td className="px-3 py-2">
+                      {row.name}
+                      {row.compacted && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-[11px]">compacted</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-gray-500">
+                      {row.createdAt ? new Date(row.createdAt).toLocaleString() : '—'}
+                    </td>
+                    <td className="px-3 py-2 text-right font-mono">{formatBytes(row.size)}</td>
+                    <td className="px-3 py-2 space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => compact([row.id])}
+                        disabled={!row.compactable}
+                        className="rounded border border-gray-200 bg-gray-50 px-3 py-1 text-xs font-semibold text-gray-700 disabled:opacity-40"
+                      >
+                        Compact
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => remove(row)}
+                        className="rounded border border-rose-200 bg-rose-50 px-3 py-1 text-xs font-semibold text-rose-700"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import React from "react";
 import { ResponsiveContainer, LineChart, CartesianGrid, XAxis, YAxis, Tooltip, Legend, Line } from "recharts";
-import { ALICE_COLOR, BOB_COLOR, CHARLIE_COLOR } from "../utils/colors";
+import { ALICE_COLOR, BOB_COLOR, CHARLIE_COLOR, CRASHED_COLOR } from "../utils/colors";
 
 export default function ExperimentVisualization({ experimentData, currentRound = 0, processCount = 2 }) {
   if (!experimentData || !Array.isArray(experimentData) || experimentData.length === 0) {
@@ -45,9 +45,35 @@ export default function ExperimentVisualization({ experimentData, currentRound =
         data[`p${idx}`] = val;
       });
     }
+    if (d && Array.isArray(d.crashed)) {
+      d.crashed.forEach((idx) => {
+        data[`down${idx}`] = true;
+      });
+    }
     return data;
   });
 
+  const hasCrashes = chartData.some((d) => Object.keys(d).some((key) => key.startsWith("down")));
+
+  // Rounds where a process is down (crash / crash-recovery) get a grey dot
+  const renderDot = (index, color) => (props) => {
+    const { cx, cy, payload } = props;
+    if (cx == null || cy == null) return null;
+    const down = payload?.[`down${index}`];
+    return (
+      <circle
+        key={`${index}-${payload?.round}`}
+        cx={cx}
+        cy={cy}
+        r={index < 3 ? 3 : 2}
+        stroke={down ? CRASHED_COLOR : color}
+        strokeWidth={1}
+        fill={down ? CRASHED_COLOR : "white"}
+        opacity={down ? 0.6 : 1}
+      />
+    );
+  };
+
   const getProcessName = (index) => {
     if (index < 3) return ["Alice", "Bob", "Charlie"][index];
     if (index < 26) return `P-${String.fromCharCode(65 + index)}`;
@@ -92,15 +118,16 @@ export default function ExperimentVisualization({ experimentData, currentRound =
             const name = getProcessName(index);
             const strokeWidth = index < 3 ? 2.5 : 1.5;
             const strokeDasharray = index > 10 ? "3 3" : null;
+            const color = processColors[index % processColors.length];
             return (
               <Line 
                 key={index}
                 type="monotone" 
                 dataKey={`p${index}`} 
                 name={name} 
-                stroke={processColors[index % processColors.length]} 
+                stroke={color} 
                 strokeWidth={strokeWidth}
-                dot={{ r: index < 3 ? 3 : 2, strokeWidth: 1, fill: "white" }}
+                dot={hasCrashes ? renderDot(index, color) : { r: index < 3 ? 3 : 2, strokeWidth: 1, fill: "white" }}
                 activeDot={{ r: 4 }}
                 strokeDasharray={strokeDasharray}
               />
@@ -127,6 +154,11 @@ export default function ExperimentVisualization({ experimentData, currentRound =
           />
         </LineChart>
       </ResponsiveContainer>
+      {hasCrashes && (
+        <div className="mt-1 text-xs text-gray-500 text-center">
+          Grey points mark rounds where the process was crashed; discrepancy counts live processes only.
+        </div>
+      )}
       {processCount > 10 && (
         <div className="mt-1 text-xs text-gray-500 text-center">
           Note: For better visibility, some processes may be shown with dashed lines or compact representation.
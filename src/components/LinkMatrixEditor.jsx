@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import NumericTextInput from './NumericTextInput.jsx';
+import InfoTooltip from './InfoTooltip.jsx';
+import { getProcessColor } from '../utils/colors.js';
+import {
+  LINK_MATRIX_PRESETS,
+  buildLinkMatrix,
+  createUniformLinkMatrix,
+  isUniformLinkMatrix,
+  resizeLinkMatrix
+} from '../delivery/linkMatrix.js';
+
+const MAX_EDITABLE_PROCESSES = 8;
+
+const processLabel = (index) => (index < 3 ? ['A', 'B', 'C'][index] : `P${index + 1}`);
+
+export default function LinkMatrixEditor({ processCount, matrix, onChange, isRunning = false }) {
+  const [open, setOpen] = useState(false);
+  const [preset, setPreset] = useState('slow-process');
+  const [presetParams, setPresetParams] = useState({
+    slowIndex: 0,
+    slowFactor: 0.5,
+    from: 0,
+    to: 1,
+    forward: 1,
+    backward: 0.3,
+    min: 0.5,
+    max: 1
+  });
+
+  const current = matrix ? resizeLinkMatrix(matrix, processCount) : createUniformLinkMatrix(processCount);
+  const heterogeneous = !isUniformLinkMatrix(current);
+
+  const updateParam = (key, value) => setPresetParams((prev) => ({ ...prev, [key]: value }));
+
+  const applyPreset = () => {
+    const next = buildLinkMatrix(preset, processCount, presetParams);
+    onChange(isUniformLinkMatrix(next) ? null : next);
+  };
+
+  const updateCell = (i, j, value) => {
+    const next = current.map((row) => [...row]);
+    next[i][j] = value;
+    onChange(isUniformLinkMatrix(next) ? null : next);
+  };
+
+  const processOptions = Array.from({ length: processCount }, (_, idx) => (
+    <option key={idx} value={idx}>{processLabel(idx)}</option>
+  ));
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm font-medium text-gray-700">
+          Per-link delivery:
+          <InfoTooltip text="Factor M[i][j] for the link sender i → receiver j. The link delivers with probability min(1, p × M[i][j]), so p-sweeps scale the whole matrix." />
+        </label>
+        <div className="flex items-center gap-2">
+          <span className={`text-xs px-2 py-0.5 rounded ${heterogeneous ? 'bg-amber-100 text-amber-800' : 'bg-gray-100 text-gray-600'}`}>
+            {heterogeneous ? 'Heterogeneous' : 'Uniform'}
+          </span>
+          <button
+            className="text-xs text-blue-600 hover:text-blue-800"
+            onClick={() => setOpen(!open)}
+          >
+            {open ? 'Hide' : 'Edit'}
+          </button>
+        </div>
+      </div>
+
+      {open && (
+        <div className="mt-2 space-y-2">
+          <div className="flex items-center gap-2">
+            <select
+              value={preset}
+              onChange={(e) => setPreset(e.target.value)}
+              className="flex-1 p-1 text-xs border rounded bg-white"
+              disabled={isRunning}
+            >
+              {LINK_MATRIX_PRESETS.map((option) => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={applyPreset}
+              disabled={isRunning}
+              className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Apply
+            </button>
+            <button
+              onClick={() => onChange(null)}
+              disabled={isRunning || !heterogeneous}
+              className="px-2 py-1 text-xs bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+            >
+              Reset
+            </button>
+          </div>
+
+          {preset === 'slow-process' && (
+            <div className="grid grid-cols-2 gap-2 text-xs">
+              <label>
+                Slow process
+                <select
+                  value={presetParams.slowIndex}
+                  onChange={(e) => updateParam('slowIndex', Number(e.target.value))}
+                  className="w-full mt-1 p-1 border rounded bg-white"
+                >
+                  {processOptions}
+                </select>
+              </label>
+              <label>
+                Factor
+                <NumericTextInput
+                  min={0}
+                  max={1}
+                  value={presetParams.slowFactor}
+                  onValueChange={(value) => updateParam('slowFactor', value)}
+                  className="w-full mt-1 p-1 border rounded"
+                />
+              </label>
+            </div>
+          )}
+
+          {preset === 'asymmetric' && (
+            <div className="grid grid-cols-4 gap-2 text-xs">
+              <label>
+                From
+                <select
+                  value={presetParams.from}
+                  onChange={(e) => updateParam('from', Number(e.target.value))}
+                  className="w-full mt-1 p-1 border rounded bg-white"
+                >
+                  {processOptions}
+                </select>
+              </label>
+              <label>
+                To
+                <select
+                  value={presetParams.to}
+                  onChange={(e) => updateParam('to', Number(e.target.value))}
+                  className="w-full mt-1 p-1 border rounded bg-white"
+                >
+                  {processOptions}
+                </select>
+              </label>
+              <label>
+                Forward
+                <NumericTextInput
+                  min={0}
+                  max={1}
+                  value={presetParams.forward}
+                  onValueChange={(value) => updateParam('forward', value)}
+                  className="w-full mt-1 p-1 border rounded"
+                />
+              </label>
+              <label>
+                Backward
+                <NumericTextInput
+                  min={0}
+                  max={1}
+                  value={presetParams.backward}
+                  onValueChange={(value) => updateParam('backward', value)}
+                  className="w-full mt-1 p-1 border rounded"
+                />
+              </label>
+            </div>
+          )}
+
+          {preset === 'random' && (
+            <div className="grid grid-cols-2 gap-2 text-xs">
+              <label>
+                a (min)
+                <NumericTextInput
+                  min={0}
+                  max={1}
+                  value={presetParams.min}
+                  onValueChange={(value) => updateParam('min', value)}
+                  className="w-full mt-1 p-1 border rounded"
+                />
+              </label>
+              <label>
+                b (max)
+                <NumericTextInput
+                  min={0}
+                  max={1}
+                  value={presetParams.max}
+                  onValueChange={(value) => updateParam('max', value)}
+                  className="w-full mt-1 p-1 border rounded"
+                />
+              </label>
+            </div>
+          )}
+
+          {processCount <= MAX_EDITABLE_PROCESSES ? (
+            <div className="overflow-x-auto">
+              <table className="text-xs">
+                <thead>
+                  <tr>
+                    <th className="px-1 text-gray-500">from \ to</th>
+                    {current.map((_, j) => (
+                      <th key={j} className="px-1 font-medium" style={{ color: getProcessColor(j) }}>
+                        {processLabel(j)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {current.map((row, i) => (
+                    <tr key={i}>
+                      <th className="px-1 font-medium text-left" style={{ color: getProcessColor(i) }}>
+                        {processLabel(i)}
+                      </th>
+                      {row.map((value, j) => (
+                        <td key={j} className="p-0.5">
+                          {i === j ? (
+                            <div className="w-12 text-center text-gray-300">—</div>
+                          ) : (
+                            <NumericTextInput
+                              min={0}
+                              value={value}
+                              onValueChange={(next) => updateCell(i, j, next)}
+                              disabled={isRunning}
+                              className={`w-12 p-0.5 text-center border rounded ${value !== 1 ? 'bg-amber-50 border-amber-300' : ''}`}
+                            />
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500">
+              Cell editing is limited to {MAX_EDITABLE_PROCESSES} processes; use a preset for larger n.
+            </p>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Effective p<sub>ij</sub> = min(1, p × M<sub>ij</sub>). Closed-form theory curves are hidden while the matrix is heterogeneous.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
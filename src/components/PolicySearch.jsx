@@ -13,27 +13,28 @@ import {
 } from 'recharts';
 import { SimulationEngine } from '../SimulationEngine.js';
 import { getProcessColor } from '../utils/colors.js';
+import { getAlgorithm, listAlgorithms } from '../algorithms/registry.js';
+import { getDeliveryParams, listDeliveryModels, resolveDeliveryModel } from '../delivery/registry.js';
+import { normalizeProbabilitySchedule } from '../delivery/schedule.js';
+import { valueDependentPreferenceDiscrepancy } from '../theory/valueDependent.js';
+import { computeMajorityValue } from '../workers/tasks.js';
+import { getSimulationPool } from '../workers/workerPool.js';
 import NumericTextInput from './NumericTextInput.jsx';
 
-const DELIVERY_MODE_OPTIONS = [
-  { id: 'standard', title: 'Standard' },
-  { id: 'guaranteed', title: 'Guaranteed progress' },
-  { id: 'process-dependent', title: 'Broadcast (process-dependent)' }
-];
-
-const BASE_RULES = [
-  { id: 'AMP', label: 'AMP', algorithm: 'AMP', needsMeetingPoint: true },
-  { id: 'RECURSIVE_AMP', label: 'Recursive AMP', algorithm: 'RECURSIVE AMP', needsMeetingPoint: true },
-  { id: 'FV', label: 'Flip Value (FV)', algorithm: 'FV' },
-  { id: 'COURTEOUS', label: 'Courteous', algorithm: 'COURTEOUS' },
-  { id: 'PREF1', label: 'Pref1 (Broadcast model)', algorithm: 'PREF1', requireBinary: true },
-  { id: 'PREF0', label: 'Pref0 (Broadcast model)', algorithm: 'PREF0', requireBinary: true },
-  { id: 'MIN', label: 'Min', algorithm: 'MIN' },
-  { id: 'LEADER', label: 'Leader', algorithm: 'LEADER', needsLeader: true },
-  { id: 'SELFISH', label: 'Selfish (3p binary)', algorithm: 'SELFISH', requireThree: true, requireBinary: true },
-  { id: 'CYCLIC', label: 'Cyclic (3p binary)', algorithm: 'CYCLIC', requireThree: true, requireBinary: true },
-  { id: 'BIASED0', label: 'Biased0 (3p binary)', algorithm: 'BIASED0', requireThree: true, requireBinary: true }
-];
+const DELIVERY_MODE_OPTIONS = listDeliveryModels().map((model) => ({ id: model.id, title: model.title }));
+
+// One builder rule per scalar protocol in the algorithm registry
+const BASE_RULES = listAlgorithms({ dimensionMode: 'binary' })
+  .filter((entry) => typeof entry.decide === 'function' && entry.policyRule)
+  .map((entry) => ({
+    id: entry.id.replace(/\s+/g, '_'),
+    label: entry.label,
+    algorithm: entry.id,
+    needsMeetingPoint: entry.requires.meetingPoint,
+    needsLeader: entry.requires.leader,
+    requireThree: entry.constraints.processCount === 3,
+    requireBinary: entry.constraints.binaryOnly
+  }));
 
 const DEFAULT_MEETING_POINTS = [0.25, 0.5, 0.75];
 const FIXED_STEPS = 100;
@@ -41,20 +42,7 @@ const FIXED_STEPS = 100;
 const shortRuleLabel = (rule) => {
   const alg = (rule.algorithm || rule.id || '').toUpperCase();
   const mp = rule.meetingPoint;
-  const map = {
-    'AMP': 'AMP',
-    'RECURSIVE AMP': 'R-AMP',
-    'FV': 'FV',
-    'COURTEOUS': 'COUR',
-    'PREF1': 'P1',
-    'PREF0': 'P0',
-    'MIN': 'MIN',
-    'LEADER': 'LDR',
-    'SELFISH': 'SELF',
-    'CYCLIC': 'CYC',
-    'BIASED0': 'B0'
-  };
-  const base = map[alg] || alg;
+  const base = getAlgorithm(alg)?.shortLabel || alg;
   if (rule.needsMeetingPoint && Number.isFinite(mp)) {
     return `${base}(${mp})`;
   }
@@ -64,41 +52,28 @@ const shortRuleLabel = (rule) => {
   return base;
 };
 
-const shortMode = (mode) => {
-  if (mode === 'guaranteed') return 'guar';
-  if (mode === 'process-dependent') return 'pd';
-  return 'std';
-};
-
-const modeBadgeClass = (mode) => {
-  if (mode === 'guaranteed') return 'bg-green-100 text-green-800 border border-green-200';
-  if (mode === 'process-dependent') return 'bg-purple-100 text-purple-800 border border-purple-200';
-  return 'bg-gray-100 text-gray-800 border border-gray-200';
-};
+const shortMode = (mode) => resolveDeliveryModel(mode).shortLabel;
 
-const calculateDiscrepancy = (values) => {
-  if (!Array.isArray(values) || values.length === 0) return 0;
-  let maxDisc = 0;
-  for (let i = 0; i < values.length; i++) {
-    for (let j = i + 1; j < values.length; j++) {
-      maxDisc = Math.max(maxDisc, Math.abs(values[i] - values[j]));
-    }
-  }
-  return maxDisc;
-};
+const modeBadgeClass = (mode) => resolveDeliveryModel(mode).badgeClass;
 
 const valuesAreBinary = (vals) => Array.isArray(vals) && vals.every((v) => v === 0 || v === 1);
 
-const computeMajorityValue = (values) => {
-  const ints = values.map((v) => Math.round(v));
-  if (ints.length === 0) return 0;
-  const counts = {};
-  ints.forEach((v) => {
-    counts[v] = (counts[v] || 0) + 1;
-  });
-  const entries = Object.entries(counts);
-  entries.sort((a, b) => b[1] - a[1] || Number(a[0]) - Number(b[0]));
-  return parseInt(entries[0][0], 10);
+// Per-sequence averages over its evaluated p points (null when none finished)
+const summarizeSequence = (sequenceDefinition, perP) => {
+  if (perP.length === 0) return null;
+  const averageAgreement = perP.reduce((sum, entry) => sum + entry.successRate, 0) / perP.length;
+  const averageDiscrepancy = perP.reduce((sum, entry) => sum + entry.avgDiscrepancy, 0) / perP.length;
+  const averageConsensusRound = perP.reduce(
+    (sum, entry) => sum + (entry.avgConsensusRound || sequenceDefinition.sequence.length),
+    0
+  ) / perP.length;
+  return {
+    ...sequenceDefinition,
+    perP,
+    averageAgreement,
+    averageDiscrepancy,
+    averageConsensusRound
+  };
 };
 
 const buildSequenceLabel = (sequence) =>
@@ -264,6 +239,8 @@ const EXPLORER_RULES = [
   { id: 'PREF1', algorithm: 'PREF1', label: 'P1', requireBinary: true }
 ];
 const EXPLORER_DELIVERY_MODE = 'process-dependent';
+// Channels the explorer has SWEEP theory for: broadcast (q^n) and value-dependent loss
+const EXPLORER_DELIVERY_MODES = ['process-dependent', 'value-dependent'];
 const EXPLORER_SEQUENCE_LENGTH_OPTIONS = [1, 2, 3, 4];
 const EXPLORER_REFERENCE_POINTS = [0, 1 / 3, 1 / 2, 2 / 3, 1];
 const EXPLORER_SWEEP_LABEL = 'P0 \u2192 P1';
@@ -418,6 +395,13 @@ export default function PolicySearch({
   setDeliveryMode,
   leaderIndex = 0,
   dimensionMode = 'binary',
+  seed = null,
+  deliveryParams = {},
+  linkMatrix = null,
+  topology = null,
+  pSchedule = null,
+  delay = null,
+  byzantine = [],
   isActive = true
 }) {
   const [initialValues, setInitialValues] = useState(baseProcessValues);
@@ -437,12 +421,14 @@ export default function PolicySearch({
   const [policyCap, setPolicyCap] = useState(180);
   const [visibleSequenceIds, setVisibleSequenceIds] = useState([]);
   const visibleInitRef = useRef(false);
-  const cancelRef = useRef(false);
+  // Trabajo en curso en el pool de workers; el botón de cancelar lo detiene
+  const policyJobRef = useRef(null);
   const [sequenceResults, setSequenceResults] = useState([]);
   const [explorerMode, setExplorerMode] = useState('custom');
   const [explorerSequenceLength, setExplorerSequenceLength] = useState(2);
   const [explorerInitialValues, setExplorerInitialValues] = useState([0, 0, 1]);
   const [explorerRepetitions, setExplorerRepetitions] = useState(500);
+  const [explorerDeliveryMode, setExplorerDeliveryMode] = useState(EXPLORER_DELIVERY_MODE);
   const [explorerResults, setExplorerResults] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -452,15 +438,6 @@ export default function PolicySearch({
   const previousExplorerModeRef = useRef('custom');
   const lastCustomRepetitionsRef = useRef(100);
 
-  const yieldEvery = 20;
-
-  const maybeYield = async (step = 0) => {
-    if (document?.hidden) return;
-    if (step % yieldEvery === 0) {
-      await new Promise((resolve) => setTimeout(resolve, 0));
-    }
-  };
-
   void isActive;
 
   useEffect(() => {
@@ -505,6 +482,9 @@ export default function PolicySearch({
     return buildPGrid(pRange.min, pRange.max, pRange.steps, !hasGuaranteed);
   }, [pRange.min, pRange.max, pRange.steps, deliveryModesToUse]);
 
+  // Calendario de p por ronda compartido con la barra lateral
+  const activeSchedule = useMemo(() => normalizeProbabilitySchedule(pSchedule), [pSchedule]);
+
   const fallbackMeetingPoint = useMemo(() => {
     const mp = meetingPoints.find((value) => Number.isFinite(value) && value > 0);
     return Number.isFinite(mp) ? mp : defaultMeetingPoint || 0.5;
@@ -569,7 +549,7 @@ export default function PolicySearch({
       dataKey: `sweepTheory${sweepRepetitions}`,
       sweepRepetitions,
       name: sweepRepetitions === 1
-        ? 'SWEEP theory (q^n) - exact under broadcast, upper bound under standard delivery'
+        ? 'SWEEP theory (q^n) - exact under broadcast delivery'
         : `SWEEP x${sweepRepetitions} theory (q^(${sweepRepetitions}n))`,
       stroke: sweepRepetitions === 1 ? '#111827' : sweepRepetitions === 2 ? '#4b5563' : '#6b7280',
       dash: sweepRepetitions === 1 ? '7 5' : sweepRepetitions === 2 ? '4 4' : '2 3'
@@ -677,6 +657,22 @@ export default function PolicySearch({
     }, {});
   }, [explorerResults]);
 
+  // E[D] of one SWEEP (P0 -> P1) on the explorer's channel
+  const explorerValueDependent = explorerDeliveryMode === 'value-dependent';
+  const explorerSweepTheory = useMemo(() => (
+    explorerValueDependent
+      ? (p) => valueDependentPreferenceDiscrepancy({
+          p,
+          initialValues: explorerInitialValues,
+          algorithm: 'SWEEP',
+          deliveryParams: deliveryParams['value-dependent']
+        })
+      : (p) => Math.pow(1 - p, explorerN)
+  ), [explorerValueDependent, explorerInitialValues, explorerN, deliveryParams]);
+  const explorerSweepTheoryLabel = explorerValueDependent
+    ? 'SWEEP theory (value-dependent chain)'
+    : `SWEEP theory: q^${explorerN}`;
+
   const explorerChartData = useMemo(() => {
     if (explorerResults.length === 0) return [];
 
@@ -684,9 +680,11 @@ export default function PolicySearch({
       const row = {
         p,
         empiricalOptimal: null,
-        oneRoundOptimalTheory: p <= 2 / 3
-          ? (2 * p * p * (1 - p)) + Math.pow(1 - p, 3)
-          : 1 - p
+        oneRoundOptimalTheory: explorerValueDependent
+          ? null
+          : p <= 2 / 3
+            ? (2 * p * p * (1 - p)) + Math.pow(1 - p, 3)
+            : 1 - p
       };
       let bestValue = Infinity;
 
@@ -700,12 +698,12 @@ export default function PolicySearch({
       });
 
       if (explorerSequenceLength >= 2) {
-        row.sweepTheory = Math.pow(1 - p, explorerN);
+        row.sweepTheory = explorerSweepTheory(p);
       }
       row.empiricalOptimal = Number.isFinite(bestValue) ? bestValue : null;
       return row;
     });
-  }, [explorerN, explorerPValues, explorerResults, explorerSequenceLength]);
+  }, [explorerPValues, explorerResults, explorerSequenceLength, explorerSweepTheory, explorerValueDependent]);
 
   const explorerOptimalBand = useMemo(() => {
     if (explorerResults.length === 0) return [];
@@ -764,12 +762,12 @@ export default function PolicySearch({
     return explorerChartData.reduce((count, row) => {
       if (typeof row.empiricalOptimal !== 'number') return count;
       const ed = row.empiricalOptimal;
-      const sweepTheory = Math.pow(1 - row.p, explorerN);
+      const sweepTheory = explorerSweepTheory(row.p);
       const se = Math.sqrt(ed * (1 - ed) / explorerRepetitions);
       const beatsThreshold = Math.max(3 * se, 0.005);
       return ed < sweepTheory - beatsThreshold ? count + 1 : count;
     }, 0);
-  }, [explorerChartData, explorerN, explorerRepetitions]);
+  }, [explorerChartData, explorerSweepTheory, explorerRepetitions]);
 
   const inspectorRows = useMemo(() => {
     if (inspectorP == null || explorerResults.length === 0) return [];
@@ -813,76 +811,67 @@ export default function PolicySearch({
     });
   };
 
-  const runSinglePolicyAtP = (sequence, baseValues, p, mode, validityCriterion, majorityValue, sampleCount = repetitions) => {
-    let successCount = 0;
-    let discrepancySum = 0;
-    let consensusRoundsSum = 0;
-    let consensusHits = 0;
-
-    for (let rep = 0; rep < sampleCount; rep++) {
-      const originalValues = [...baseValues];
-      let values = [...baseValues];
-      let knownValuesSets = null;
-      let consensusRound = null;
-      let lastDisc = calculateDiscrepancy(values);
-
-      sequence.forEach((rule, idx) => {
-        const currentRound = idx + 1;
-        const beforeRound = [...values];
-        const result = SimulationEngine.simulateRound(
-          values,
+  // Evaluates every (sequence, p) point on the worker pool (workers/workerPool.js).
+  // streamSeed fixes the coin flips of every repetition at each point, so results do
+  // not depend on how the points are spread over workers.
+  const evaluateSequences = async (sequenceDefinitions, pGrid, { baseValues, validityCriterion, sampleCount, baseSeed, perPKey }) => {
+    const majorityValue = computeMajorityValue(baseValues);
+    const settings = {
+      schedule: activeSchedule,
+      fallbackMeetingPoint,
+      leaderIndex,
+      deliveryParams,
+      linkMatrix,
+      topology,
+      byzantine,
+      delay
+    };
+    const tasks = [];
+    sequenceDefinitions.forEach((sequenceDefinition, sequenceIndex) => {
+      pGrid.forEach((p, pIndex) => {
+        tasks.push({
+          kind: 'policy',
+          sequenceIndex,
+          pIndex,
+          sequence: sequenceDefinition.sequence,
+          baseValues,
           p,
-          rule.algorithm,
-          rule.meetingPoint ?? fallbackMeetingPoint,
-          knownValuesSets,
-          originalValues,
-          mode,
-          { leaderIndex: rule.leaderIndex ?? leaderIndex }
-        );
-
-        values = result.newValues;
-        if ((rule.algorithm === 'MIN' || rule.algorithm === 'RECURSIVE AMP') && Array.isArray(result.knownValuesSets)) {
-          knownValuesSets = result.knownValuesSets.map((set) => new Set(set));
-        } else {
-          knownValuesSets = null;
-        }
-
-        if (rule.algorithm === 'MIN' && currentRound < sequence.length) {
-          values = beforeRound;
-          lastDisc = calculateDiscrepancy(values);
-        } else {
-          lastDisc = typeof result.discrepancy === 'number'
-            ? result.discrepancy
-            : calculateDiscrepancy(values);
-        }
-
-        if (consensusRound === null && values.every((v) => Math.abs(v - values[0]) < 1e-6)) {
-          consensusRound = currentRound;
-        }
+          mode: sequenceDefinition.deliveryMode,
+          validityCriterion,
+          majorityValue,
+          sampleCount,
+          streamSeed: SimulationEngine.random.deriveSeed(baseSeed, sequenceIndex, pIndex),
+          settings
+        });
       });
+    });
 
-      const isConsensus = values.every((v) => Math.abs(v - values[0]) < 1e-6);
-      const consensusValue = Math.round(values[0]);
-      const validByCriterion = validityCriterion === 'majority'
-        ? consensusValue === majorityValue
-        : baseValues.some((v) => Math.round(v) === consensusValue);
-      const correctConsensus = isConsensus && validByCriterion;
-
-      if (correctConsensus) {
-        successCount += 1;
-        if (consensusRound != null) {
-          consensusRoundsSum += consensusRound;
-          consensusHits += 1;
+    const perPBySequence = sequenceDefinitions.map(() => []);
+    const totalSteps = tasks.length;
+    let completed = 0;
+    const job = getSimulationPool().run(tasks, {
+      onResult: (metrics, _index, task) => {
+        perPBySequence[task.sequenceIndex][task.pIndex] = {
+          p: task.p,
+          ...metrics,
+          key: perPKey(task.p, sequenceDefinitions[task.sequenceIndex])
+        };
+        completed += 1;
+        if (completed % 10 === 0 || completed === totalSteps) {
+          setProgress(Math.min(100, Math.round((completed / totalSteps) * 100)));
         }
       }
-      discrepancySum += lastDisc;
+    });
+    policyJobRef.current = job;
+    try {
+      const { cancelled } = await job.done;
+      const results = sequenceDefinitions
+        .map((sequenceDefinition, index) => summarizeSequence(sequenceDefinition, perPBySequence[index].filter(Boolean)))
+        .filter(Boolean);
+      return { results, completed, totalSteps, cancelled };
+    } finally {
+      if (policyJobRef.current === job) policyJobRef.current = null;
     }
-
-    return {
-      successRate: successCount / sampleCount,
-      avgDiscrepancy: discrepancySum / sampleCount,
-      avgConsensusRound: consensusHits > 0 ? consensusRoundsSum / consensusHits : null
-    };
   };
 
   const runSequenceComparison = async () => {
@@ -947,72 +936,32 @@ export default function PolicySearch({
       });
     }
 
-    const majorityValue = computeMajorityValue(initialValues);
-    const totalSteps = sequenceDefinitions.length * pValues.length;
-    const results = [];
-    let completed = 0;
-
-    cancelRef.current = false;
     setIsRunning(true);
     setProgress(0);
-    setStatus(`Evaluating ${sequenceDefinitions.length} sequences on ${pValues.length} p points...`);
-
-    for (const sequenceDefinition of sequenceDefinitions) {
-      if (cancelRef.current) break;
-      const perP = [];
-
-      for (const p of pValues) {
-        if (cancelRef.current) break;
-        const metrics = runSinglePolicyAtP(
-          sequenceDefinition.sequence,
-          initialValues,
-          p,
-          sequenceDefinition.deliveryMode,
-          'proposed',
-          majorityValue,
-          repetitions
-        );
-
-        perP.push({
-          p,
-          ...metrics,
-          key: `${p}_${sequenceDefinition.baseId}_${sequenceDefinition.deliveryMode}`
-        });
-
-        completed += 1;
-        if (totalSteps > 0 && completed % 10 === 0) {
-          setProgress(Math.min(100, Math.round((completed / totalSteps) * 100)));
-          await maybeYield(completed);
-        }
-      }
-
-      if (perP.length > 0) {
-        const averageAgreement = perP.reduce((sum, entry) => sum + entry.successRate, 0) / perP.length;
-        const averageDiscrepancy = perP.reduce((sum, entry) => sum + entry.avgDiscrepancy, 0) / perP.length;
-        const averageConsensusRound = perP.reduce(
-          (sum, entry) => sum + (entry.avgConsensusRound || sequenceDefinition.sequence.length),
-          0
-        ) / perP.length;
-
-        results.push({
-          ...sequenceDefinition,
-          perP,
-          averageAgreement,
-          averageDiscrepancy,
-          averageConsensusRound
-        });
-      }
+    setStatus(`Evaluating ${sequenceDefinitions.length} sequences on ${pValues.length} p points (${getSimulationPool().size} workers)...`);
+    const baseSeed = SimulationEngine.random.normalizeSeed(seed) ?? SimulationEngine.random.generateSeed();
+
+    try {
+      const { results, completed, totalSteps, cancelled } = await evaluateSequences(sequenceDefinitions, pValues, {
+        baseValues: initialValues,
+        validityCriterion: 'proposed',
+        sampleCount: repetitions,
+        baseSeed,
+        perPKey: (p, sequenceDefinition) => `${p}_${sequenceDefinition.baseId}_${sequenceDefinition.deliveryMode}`
+      });
+      setSequenceResults(results);
+      const finalProgress = totalSteps > 0 ? Math.round((completed / totalSteps) * 100) : 100;
+      setProgress(Math.min(100, finalProgress));
+      setStatus(
+        cancelled
+          ? `Cancelled after ${completed}/${totalSteps} steps`
+          : `Done. Tested ${results.length} sequences. The table reports E[D], and Pr[agreement] remains available per p in the run data.`
+      );
+    } catch (error) {
+      setStatus(`Evaluation failed: ${error.message}`);
+    } finally {
+      setIsRunning(false);
     }
-
-    setSequenceResults(results);
-    const finalProgress = totalSteps > 0 ? Math.round((completed / totalSteps) * 100) : 100;
-    setProgress(Math.min(100, finalProgress));
-    setIsRunning(false);
-    setStatus(
-      cancelRef.current
-        ? `Cancelled after ${completed}/${totalSteps} steps`
-        : `Done. Tested ${results.length} sequences. The table reports E[D], and Pr[agreement] remains available per p in the run data.`
-    );
   };
 
   const runOptimalExplorer = async () => {
@@ -1033,80 +982,38 @@ export default function PolicySearch({
         notation: label,
         shortLabel: label,
         description: 'Generated by the Optimal Sequence Explorer.',
-        deliveryMode: EXPLORER_DELIVERY_MODE,
+        deliveryMode: explorerDeliveryMode,
         colorCategory: getExplorerSequenceCategory(sequence)
       };
     });
 
-    const majorityValue = computeMajorityValue(explorerInitialValues);
-    const totalSteps = sequenceDefinitions.length * explorerPValues.length;
-    const results = [];
-    let completed = 0;
-
-    cancelRef.current = false;
     setIsRunning(true);
     setProgress(0);
     setExplorerResults([]);
-    setStatus(`Evaluating sequence 1 of ${sequenceDefinitions.length}...`);
-
-    for (let sequenceIndex = 0; sequenceIndex < sequenceDefinitions.length; sequenceIndex += 1) {
-      if (cancelRef.current) break;
-      const sequenceDefinition = sequenceDefinitions[sequenceIndex];
-      const perP = [];
-      setStatus(`Evaluating sequence ${sequenceIndex + 1} of ${sequenceDefinitions.length}...`);
-
-      for (const p of explorerPValues) {
-        if (cancelRef.current) break;
-        const metrics = runSinglePolicyAtP(
-          sequenceDefinition.sequence,
-          explorerInitialValues,
-          p,
-          EXPLORER_DELIVERY_MODE,
-          'majority',
-          majorityValue,
-          explorerRepetitions
-        );
-
-        perP.push({
-          p,
-          ...metrics,
-          key: `${p}_${sequenceDefinition.baseId}`
-        });
-
-        completed += 1;
-        if (totalSteps > 0 && (completed % 5 === 0 || completed === totalSteps)) {
-          setProgress(Math.min(100, Math.round((completed / totalSteps) * 100)));
-          await maybeYield(completed);
-        }
-      }
-
-      if (perP.length > 0) {
-        const averageAgreement = perP.reduce((sum, entry) => sum + entry.successRate, 0) / perP.length;
-        const averageDiscrepancy = perP.reduce((sum, entry) => sum + entry.avgDiscrepancy, 0) / perP.length;
-        const averageConsensusRound = perP.reduce(
-          (sum, entry) => sum + (entry.avgConsensusRound || sequenceDefinition.sequence.length),
-          0
-        ) / perP.length;
-
-        results.push({
-          ...sequenceDefinition,
-          perP,
-          averageAgreement,
-          averageDiscrepancy,
-          averageConsensusRound
-        });
-      }
+    setStatus(`Evaluating ${sequenceDefinitions.length} sequences (${getSimulationPool().size} workers)...`);
+    const baseSeed = SimulationEngine.random.normalizeSeed(seed) ?? SimulationEngine.random.generateSeed();
+
+    try {
+      const { results, completed, totalSteps, cancelled } = await evaluateSequences(sequenceDefinitions, explorerPValues, {
+        baseValues: explorerInitialValues,
+        validityCriterion: 'majority',
+        sampleCount: explorerRepetitions,
+        baseSeed,
+        perPKey: (p, sequenceDefinition) => `${p}_${sequenceDefinition.baseId}`
+      });
+      setExplorerResults(results);
+      const finalProgress = totalSteps > 0 ? Math.round((completed / totalSteps) * 100) : 100;
+      setProgress(Math.min(100, finalProgress));
+      setStatus(
+        cancelled
+          ? `Cancelled after ${completed}/${totalSteps} evaluations`
+          : `Done. Evaluated ${results.length} sequences across ${explorerPValues.length} p values.`
+      );
+    } catch (error) {
+      setStatus(`Evaluation failed: ${error.message}`);
+    } finally {
+      setIsRunning(false);
     }
-
-    setExplorerResults(results);
-    const finalProgress = totalSteps > 0 ? Math.round((completed / totalSteps) * 100) : 100;
-    setProgress(Math.min(100, finalProgress));
-    setIsRunning(false);
-    setStatus(
-      cancelRef.current
-        ? `Cancelled after ${completed}/${totalSteps} evaluations`
-        : `Done. Evaluated ${results.length} sequences across ${explorerPValues.length} p values.`
-    );
   };
 
   const exportExplorerCsv = () => {
@@ -1242,10 +1149,27 @@ export default function PolicySearch({
                     );
                   })}
                 </div>
-                <div className="flex justify-between text-xs mt-2">
+                <div className="flex justify-between items-center text-xs mt-2">
                   <span className="text-slate-500">Delivery</span>
-                  <span className="font-medium text-purple-700">Broadcast</span>
+                  <select
+                    value={explorerDeliveryMode}
+                    onChange={(e) => setExplorerDeliveryMode(e.target.value)}
+                    disabled={isRunning}
+                    className="p-0.5 text-xs border border-gray-300 rounded bg-white font-medium text-purple-700"
+                  >
+                    {EXPLORER_DELIVERY_MODES.map((modeId) => (
+                      <option key={modeId} value={modeId}>
+                        {modeId === 'process-dependent' ? 'Broadcast' : resolveDeliveryModel(modeId).title}
+                      </option>
+                    ))}
+                  </select>
                 </div>
+                {explorerValueDependent && (
+                  <p className="text-[11px] text-slate-500">
+                    {resolveDeliveryModel('value-dependent').summarize(getDeliveryParams('value-dependent', deliveryParams['value-dependent']))}
+                    {' '}Set f0 and f1 under the value-dependent delivery model in the sidebar.
+                  </p>
+                )}
                 <div className="flex justify-between text-xs">
                   <span className="text-slate-500">n</span>
                   <span className="font-medium text-slate-800">
@@ -1671,7 +1595,7 @@ export default function PolicySearch({
               type="button"
               onClick={() => {
                 if (isRunning) {
-                  cancelRef.current = true;
+                  policyJobRef.current?.cancel();
                   setStatus('Cancelling...');
                 } else if (explorerMode === 'optimal') {
                   runOptimalExplorer();
@@ -1943,7 +1867,7 @@ export default function PolicySearch({
                   <div>
                     <h4 className="text-lg font-semibold text-slate-800">Explorer curves</h4>
                     <p className="mb-2 text-xs text-slate-500">
-                      {`E[D] vs p  \u00B7  n=${explorerN}, broadcast, input=[${explorerInitialValues.join(',')}]`}
+                      {`E[D] vs p  \u00B7  n=${explorerN}, ${explorerValueDependent ? 'value-dependent loss' : 'broadcast'}, input=[${explorerInitialValues.join(',')}]`}
                     </p>
                   </div>
                   <div className="text-xs text-slate-500">
@@ -2023,7 +1947,7 @@ export default function PolicySearch({
                                 return [Number(value).toFixed(3), 'Empirical optimal (min over all sequences)'];
                               }
                               if (item.dataKey === 'sweepTheory') {
-                                return [Number(value).toFixed(3), `SWEEP theory: q^${explorerN}`];
+                                return [Number(value).toFixed(3), explorerSweepTheoryLabel];
                               }
                               if (item.dataKey === 'oneRoundOptimalTheory') {
                                 return [Number(value).toFixed(3), '1-round optimal (theory)'];
@@ -2068,7 +1992,7 @@ export default function PolicySearch({
                             <Line
                               type="monotone"
                               dataKey="sweepTheory"
-                              name={`SWEEP theory: q^${explorerN}`}
+                              name={explorerSweepTheoryLabel}
                               stroke="#dc2626"
                               strokeDasharray="6 3"
                               dot={false}
@@ -2076,16 +2000,18 @@ export default function PolicySearch({
                               isAnimationActive={false}
                             />
                           )}
-                          <Line
-                            type="monotone"
-                            dataKey="oneRoundOptimalTheory"
-                            name="1-round optimal (theory)"
-                            stroke="#6b7280"
-                            strokeDasharray="4 4"
-                            dot={false}
-                            strokeWidth={2}
-                            isAnimationActive={false}
-                          />
+                          {!explorerValueDependent && (
+                            <Line
+                              type="monotone"
+                              dataKey="oneRoundOptimalTheory"
+                              name="1-round optimal (theory)"
+                              stroke="#6b7280"
+                              strokeDasharray="4 4"
+                              dot={false}
+                              strokeWidth={2}
+                              isAnimationActive={false}
+                            />
+                          )}
                         </LineChart>
                       </ResponsiveContainer>
                     </div>
@@ -2097,7 +2023,7 @@ export default function PolicySearch({
                         </div>
                         <div className="space-y-1">
                           {inspectorRows.map((row, index) => {
-                            const sweepTheory = Math.pow(1 - inspectorP, explorerN);
+                            const sweepTheory = explorerSweepTheory(inspectorP);
                             const gap = row.avgDiscrepancy - sweepTheory;
                             return (
                               <div
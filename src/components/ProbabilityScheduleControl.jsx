@@ -0,0 +1,90 @@
+import React from 'react';
+import NumericTextInput from './NumericTextInput.jsx';
+import InfoTooltip from './InfoTooltip.jsx';
+import {
+  PROBABILITY_SCHEDULES,
+  describeProbabilitySchedule,
+  normalizeProbabilitySchedule,
+  resolveRoundProbabilities
+} from '../delivery/schedule.js';
+
+const PREVIEW_ROUNDS = 8;
+
+export default function ProbabilityScheduleControl({ schedule, onChange, probability, rounds, isRunning = false }) {
+  const current = schedule || { type: 'constant' };
+  const type = PROBABILITY_SCHEDULES.find((entry) => entry.id === current.type) || PROBABILITY_SCHEDULES[0];
+  const normalized = normalizeProbabilitySchedule(current);
+  const preview = normalized
+    ? resolveRoundProbabilities(normalized, probability, Math.min(rounds, PREVIEW_ROUNDS))
+    : [];
+
+  const selectType = (id) => {
+    const next = PROBABILITY_SCHEDULES.find((entry) => entry.id === id);
+    if (!next || next.id === 'constant') {
+      onChange(null);
+      return;
+    }
+    const defaults = { type: next.id };
+    next.params.forEach(({ key, default: fallback }) => {
+      defaults[key] = current[key] ?? fallback;
+    });
+    if (next.id === 'list') defaults.factors = current.factors ?? '1, 0.8, 0.6';
+    onChange(defaults);
+  };
+
+  return (
+    <div>
+      <label className="flex items-center text-xs block mb-1 text-gray-600">
+        p per round:
+        <InfoTooltip text="Round-dependent delivery probability. Every schedule multiplies the global p, so range experiments still sweep p. Use an explicit list with p = 1 for absolute per-round values. Policy Search applies the same schedule, so rule sequences that switch algorithms mid-run can be compared under it." />
+      </label>
+      <select
+        value={type.id}
+        onChange={(e) => selectType(e.target.value)}
+        className="w-full p-1 text-sm border border-gray-300 rounded-md bg-white"
+        disabled={isRunning}
+      >
+        {PROBABILITY_SCHEDULES.map((entry) => (
+          <option key={entry.id} value={entry.id}>{entry.label}</option>
+        ))}
+      </select>
+
+      {type.id === 'list' && (
+        <input
+          type="text"
+          value={Array.isArray(current.factors) ? current.factors.join(', ') : (current.factors ?? '')}
+          onChange={(e) => onChange({ ...current, factors: e.target.value })}
+          className="w-full mt-2 p-1 text-sm border border-gray-300 rounded-md"
+          disabled={isRunning}
+          placeholder="1, 0.8, 0.6 (factor per round)"
+        />
+      )}
+
+      {type.params.length > 0 && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {type.params.map((param) => (
+            <label key={param.key} className="text-[11px] text-gray-600">
+              {param.label}
+              <NumericTextInput
+                min={param.min}
+                max={param.max}
+                integer={!!param.integer}
+                value={current[param.key] ?? param.default}
+                onValueChange={(value) => onChange({ ...current, [param.key]: value })}
+                className="w-full mt-1 p-1 text-sm border border-gray-300 rounded-md"
+                disabled={isRunning}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {normalized && (
+        <p className="text-[11px] text-gray-500 mt-1">
+          {describeProbabilitySchedule(normalized)}: {preview.map((value) => value.toFixed(2)).join(', ')}
+          {rounds > PREVIEW_ROUNDS ? ', …' : ''}
+        </p>
+      )}
+    </div>
+  );
+}
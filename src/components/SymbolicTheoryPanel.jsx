@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import InfoTooltip from './InfoTooltip.jsx';
+import { SimulationEngine } from '../SimulationEngine.js';
+import { getDeliveryModel } from '../delivery/registry.js';
+import { EXACT_DELIVERY_MODES, EXACT_MAX_PROCESSES } from '../theory/exact.js';
+
+const formatBound = (value) => String(Number(value.toFixed(6)));
+
+// "0 ≤ p ≤ 0.5" / "0.5 < p ≤ 1" (text) or the LaTeX version for \begin{cases}
+const pieceRange = (pieces, idx, format) => {
+  const le = format === 'latex' ? '\\le' : '≤';
+  const piece = pieces[idx];
+  const lower = idx === 0 || !pieces[idx - 1].includesTo ? le : '<';
+  const upper = piece.includesTo ? le : '<';
+  return `${formatBound(piece.from)} ${lower} p ${upper} ${formatBound(piece.to)}`;
+};
+
+const piecewiseText = (pieces) => (pieces.length === 1
+  ? pieces[0].text
+  : pieces.map((piece, idx) => `${piece.text}  for ${pieceRange(pieces, idx, 'text')} (${piece.algorithm})`).join('\n'));
+
+const piecewiseLatex = (pieces) => (pieces.length === 1
+  ? pieces[0].latex
+  : `\\begin{cases} ${pieces.map((piece, idx) => `${piece.latex} & ${pieceRange(pieces, idx, 'latex')}`).join(' \\\\ ')} \\end{cases}`);
+
+export default function SymbolicTheoryPanel({
+  algorithms = [],
+  deliveryModes = [],
+  processValues = [],
+  rounds = 1,
+  meetingPoint = 0.5,
+  leaderIndex = 0,
+  pSchedule = null,
+  deliveryParams = {}
+}) {
+  const modes = deliveryModes.filter((mode) => EXACT_DELIVERY_MODES.includes(mode));
+  const [algorithm, setAlgorithm] = useState('');
+  const [mode, setMode] = useState('');
+  const [result, setResult] = useState(null);
+  const [copyMessage, setCopyMessage] = useState('');
+
+  const activeAlgorithm = algorithms.includes(algorithm) ? algorithm : algorithms[0];
+  const activeMode = modes.includes(mode) ? mode : modes[0];
+  const n = processValues.length;
+  const unsupported = n < 2 || n > EXACT_MAX_PROCESSES
+    ? `Symbolic output needs 2 to ${EXACT_MAX_PROCESSES} processes.`
+    : !activeMode
+      ? `Select a ${EXACT_DELIVERY_MODES.join(', ')} delivery mode.`
+      : pSchedule
+        ? 'A round-dependent p schedule is not a polynomial in p.'
+        : null;
+
+  const derive = () => {
+    const pieces = SimulationEngine.calculateDiscrepancyPolynomial(
+      activeAlgorithm,
+      processValues,
+      rounds,
+      activeMode,
+      meetingPoint,
+      { leaderIndex, deliveryParams: deliveryParams[activeMode] }
+    );
+    setResult({ algorithm: activeAlgorithm, mode: activeMode, rounds, pieces });
+  };
+
+  const copy = (text) => {
+    navigator.clipboard.writeText(text)
+      .then(() => setCopyMessage('Copied!'))
+      .catch(() => setCopyMessage('Copy failed'))
+      .finally(() => setTimeout(() => setCopyMessage(''), 2000));
+  };
+
+  return (
+    <div className="card glass-card p-5 mb-6">
+      <div className="flex items-center mb-3">
+        <h3 className="text-lg font-bold text-gray-900">Symbolic E[D] in p</h3>
+        <InfoTooltip text="Exact expected discrepancy after the last round as a polynomial in p with rational coefficients, derived by enumerating every delivery pattern through the algorithm's own rule (no hand-typed formula). Uses the current initial values, rounds and meeting point. Guaranteed forces one uniformly chosen link when every message is lost." />
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="text-xs text-gray-600">
+          Algorithm
+          <select
+            value={activeAlgorithm || ''}
+            onChange={(e) => setAlgorithm(e.target.value)}
+            className="block mt-1 p-1 text-sm border border-gray-300 rounded-md bg-white"
+          >
+            {algorithms.map((id) => <option key={id} value={id}>{id}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Delivery
+          <select
+            value={activeMode || ''}
+            onChange={(e) => setMode(e.target.value)}
+            className="block mt-1 p-1 text-sm border border-gray-300 rounded-md bg-white"
+          >
+            {modes.map((id) => <option key={id} value={id}>{getDeliveryModel(id)?.label || id}</option>)}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={derive}
+          disabled={Boolean(unsupported) || !activeAlgorithm}
+          className="px-3 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          Derive polynomial
+        </button>
+      </div>
+
+      {unsupported && <p className="text-xs text-amber-700 mt-2">{unsupported}</p>}
+
+      {result && (
+        <div className="mt-3">
+          <p className="text-xs text-gray-500 mb-1">
+            {result.algorithm}, {getDeliveryModel(result.mode)?.label || result.mode}, n = {n}, {result.rounds} round(s)
+          </p>
+          {result.pieces ? (
+            <>
+              {result.pieces.map((piece, idx) => (
+                <div key={piece.algorithm + idx} className="font-mono text-sm text-slate-900 break-words">
+                  E[D] = {piece.text}
+                  {result.pieces.length > 1 && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      for {pieceRange(result.pieces, idx, 'text')} ({piece.algorithm})
+                    </span>
+                  )}
+                  <span className="ml-2 text-[11px] text-gray-400">degree {piece.degree}</span>
+                </div>
+              ))}
+              <div className="flex items-center gap-2 mt-2">
+                <button
+                  type="button"
+                  onClick={() => copy(piecewiseText(result.pieces))}
+                  className="px-2 py-1 text-xs bg-gray-100 text-gray-700 border border-gray-300 rounded hover:bg-gray-200"
+                >
+                  Copy text
+                </button>
+                <button
+                  type="button"
+                  onClick={() => copy(piecewiseLatex(result.pieces))}
+                  className="px-2 py-1 text-xs bg-gray-100 text-gray-700 border border-gray-300 rounded hover:bg-gray-200"
+                >
+                  Copy LaTeX
+                </button>
+                {copyMessage && <span className="text-xs text-gray-500">{copyMessage}</span>}
+              </div>
+            </>
+          ) : (
+            <p className="text-xs text-amber-700">Too many reachable states to enumerate for this configuration.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React from 'react';
+import NumericTextInput from './NumericTextInput.jsx';
+import InfoTooltip from './InfoTooltip.jsx';
+import { getProcessColor } from '../utils/colors.js';
+import {
+  TOPOLOGIES,
+  buildAdjacency,
+  getTopologyType,
+  isConnectedTopology,
+  topologyEdges,
+  topologyLayout
+} from '../delivery/topology.js';
+
+const VIEW_SIZE = 180;
+const NODE_RADIUS = 9;
+
+const processLabel = (index) => (index < 3 ? ['A', 'B', 'C'][index] : `P${index + 1}`);
+
+// Small SVG drawing of the communication graph
+function TopologyGraph({ topology, processCount }) {
+  const adjacency = buildAdjacency(topology, processCount);
+  const edges = topologyEdges(adjacency);
+  const layout = topologyLayout(topology, processCount);
+  const radius = processCount > 12 ? 5 : NODE_RADIUS;
+  const toView = ({ x, y }) => ({
+    x: radius + x * (VIEW_SIZE - 2 * radius),
+    y: radius + y * (VIEW_SIZE - 2 * radius)
+  });
+
+  return (
+    <svg
+      viewBox={`0 0 ${VIEW_SIZE} ${VIEW_SIZE}`}
+      className="w-full max-w-[180px] mx-auto mt-2 bg-white border border-gray-200 rounded"
+    >
+      {edges.map(([a, b]) => {
+        const from = toView(layout[a]);
+        const to = toView(layout[b]);
+        return <line key={`${a}-${b}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} stroke="#9ca3af" strokeWidth={1.5} />;
+      })}
+      {layout.map((point, idx) => {
+        const { x, y } = toView(point);
+        return (
+          <g key={idx}>
+            <circle cx={x} cy={y} r={radius} fill={getProcessColor(idx)} stroke="#fff" strokeWidth={1.5} />
+            {radius >= NODE_RADIUS && (
+              <text x={x} y={y + 3} textAnchor="middle" fontSize="8" fill="#fff" fontWeight="bold">
+                {processLabel(idx)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default function TopologyControl({ processCount, topology, onChange, isRunning = false }) {
+  const current = topology || { type: 'complete' };
+  const type = getTopologyType(current.type) || TOPOLOGIES[0];
+  const adjacency = buildAdjacency(current, processCount);
+  const edgeCount = topologyEdges(adjacency).length;
+  const connected = isConnectedTopology(adjacency);
+
+  const update = (patch) => onChange({ ...current, ...patch });
+
+  const selectType = (id) => {
+    const next = getTopologyType(id);
+    if (!next || next.id === 'complete') {
+      onChange(null);
+      return;
+    }
+    const defaults = { type: next.id };
+    next.params.forEach(({ key, default: fallback }) => {
+      defaults[key] = current[key] ?? fallback;
+    });
+    if (next.id === 'custom') {
+      defaults.adjacency = current.adjacency ?? topologyEdges(adjacency).map(([a, b]) => `${a}-${b}`).join(', ');
+    }
+    onChange(defaults);
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg">
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-sm font-medium text-gray-700">
+          Topology:
+          <InfoTooltip text="Which pairs of processes can talk at all. Messages only exist on edges of the graph (both directions); the delivery model then decides which of them arrive. Closed-form theory assumes the complete graph." />
+        </label>
+        <span className="text-xs text-gray-500">{edgeCount} edges</span>
+      </div>
+
+      <select
+        value={type.id}
+        onChange={(e) => selectType(e.target.value)}
+        className="w-full mt-2 p-1 text-sm border border-gray-300 rounded-md bg-white"
+        disabled={isRunning}
+      >
+        {TOPOLOGIES.map((entry) => (
+          <option key={entry.id} value={entry.id}>{entry.label}</option>
+        ))}
+      </select>
+
+      {type.params.length > 0 && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {type.params.map((param) => (
+            <label key={param.key} className="text-[11px] text-gray-600">
+              {param.label}
+              <NumericTextInput
+                min={param.min}
+                max={param.key === 'center' ? processCount - 1 : param.max}
+                integer={!!param.integer}
+                value={current[param.key] ?? param.default}
+                onValueChange={(value) => update({ [param.key]: value })}
+                className="w-full mt-1 p-1 text-sm border border-gray-300 rounded-md"
+                disabled={isRunning}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {type.id === 'random' && (
+        <button
+          type="button"
+          onClick={() => update({ seed: Math.floor(Math.random() * 1e6) })}
+          disabled={isRunning}
+          className="mt-2 px-2 py-1 text-xs bg-gray-100 text-gray-700 border border-gray-300 rounded hover:bg-gray-200 disabled:opacity-50"
+        >
+          New random graph
+        </button>
+      )}
+
+      {type.id === 'custom' && (
+        <textarea
+          value={current.adjacency ?? ''}
+          onChange={(e) => update({ adjacency: e.target.value })}
+          rows={3}
+          className="w-full mt-2 p-1 text-xs font-mono border border-gray-300 rounded-md"
+          disabled={isRunning}
+          placeholder={'0: 1 2\n1: 3\nor 0-1, 1-2'}
+        />
+      )}
+
+      <TopologyGraph topology={current} processCount={processCount} />
+
+      {!connected && (
+        <p className="text-xs text-amber-700 mt-2">
+          The graph is disconnected: processes in different components can never agree.
+        </p>
+      )}
+    </div>
+  );
+}
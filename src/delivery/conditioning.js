@@ -0,0 +1,340 @@
+// Exact sampling of one round's deliveries conditioned on a progress event
+// (guaranteed mode). The events (CONDITIONING_EVENTS) are
+//
+//   at-least-k       at least K of the n(n-1) messages arrive
+//   every-receiver   every process hears from at least one peer
+//   every-pair       every pair exchanges at least one message (either direction)
+//   k-senders        at least K senders get their broadcast through to every peer
+//   connected        every process reaches every other through delivered messages
+//
+// Where the event allows it nothing is redrawn, so a round costs the same at
+// any p however rare the event is:
+//
+//   uniform links      X ~ Bin(M, p) truncated to X ≥ K, then X of the
+//                      M = n(n-1) links chosen uniformly
+//   per-link factors   links decided one at a time, each with its probability
+//                      given that the links left can still reach K
+//   every-receiver     receivers are independent: each one's incoming links given ≥ 1
+//   every-pair         pairs are independent: each one's two links given ≥ 1
+//   broadcast          the same over senders. A sender's roll delivers to every
+//                      link it beats (as in process-dependent delivery), so with
+//                      uniform links every event is "at least c senders broadcast"
+//                      and B ~ Bin(n, p) is truncated to B ≥ c
+//
+// connected is drawn from every-receiver (which it implies) and redrawn until
+// the graph is strongly connected; broadcast events with per-link factors other
+// than at-least-k are redrawn from plain broadcasts. Both give up after
+// MAX_ATTEMPTS draws and return the last draw unconditioned.
+//
+// Result: { delivered[sender][receiver] (diagonal false), attempts, conditioned },
+// or null when the event is impossible (p = 0, or too many links with factor 0).
+
+export const CONDITIONING_EVENTS = [
+  {
+    id: 'at-least-k',
+    label: 'At least K messages',
+    description: 'At least K of the n(n-1) messages are delivered',
+    usesK: true
+  },
+  {
+    id: 'every-receiver',
+    label: 'Every process hears a peer',
+    description: 'Each process receives at least one message'
+  },
+  {
+    id: 'every-pair',
+    label: 'Every pair communicates',
+    description: 'At least one of the two messages between each pair is delivered'
+  },
+  {
+    id: 'k-senders',
+    label: 'At least K senders',
+    description: 'At least K processes get their broadcast through to every peer (senders are correlated)',
+    usesK: true,
+    broadcastOnly: true
+  },
+  {
+    id: 'connected',
+    label: 'Connected graph',
+    description: 'Every process reaches every other through delivered messages (strongly connected)'
+  }
+];
+
+export const DEFAULT_CONDITIONING_EVENT = 'at-least-k';
+
+export const resolveConditioningEvent = (id) =>
+  CONDITIONING_EVENTS.find((event) => event.id === id) || CONDITIONING_EVENTS[0];
+
+// Largest meaningful K: messages for at-least-k, senders for k-senders
+export const maxConditioningK = (eventId, n) => (eventId === 'k-senders' ? n : n * (n - 1));
+
+const MAX_ATTEMPTS = 10000;
+
+const isStronglyConnected = (delivered, n) => {
+  const reaches = (forward) => {
+    const seen = new Set([0]);
+    const stack = [0];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (let other = 0; other < n; other++) {
+        const linked = forward ? delivered[node][other] : delivered[other][node];
+        if (linked && !seen.has(other)) {
+          seen.add(other);
+          stack.push(other);
+        }
+      }
+    }
+    return seen.size === n;
+  };
+  return reaches(true) && reaches(false);
+};
+
+// Whether a delivery matrix satisfies the event (K already clamped to ≥ 1)
+export const conditioningEventHolds = (eventId, delivered, n, K) => {
+  const processes = Array.from({ length: n }, (_, idx) => idx);
+  const others = (i) => processes.filter((j) => j !== i);
+  switch (eventId) {
+    case 'every-receiver':
+      return processes.every((to) => others(to).some((from) => delivered[from][to]));
+    case 'every-pair':
+      return processes.every((i) => others(i).every((j) => delivered[i][j] || delivered[j][i]));
+    case 'k-senders':
+      return processes.filter((from) => others(from).every((to) => delivered[from][to])).length >= K;
+    case 'connected':
+      return isStronglyConnected(delivered, n);
+    default:
+      return delivered.reduce((sum, row) => sum + row.filter(Boolean).length, 0) >= K;
+  }
+};
+
+// With uniform broadcast links only the number of broadcasters matters: the
+// fewest that satisfy the event
+export const minimumBroadcasters = (eventId, n, K) => {
+  switch (eventId) {
+    case 'every-receiver':
+      return 2;
+    case 'every-pair':
+      return n - 1;
+    case 'k-senders':
+      return K;
+    case 'connected':
+      return n;
+    default:
+      return Math.ceil(K / (n - 1));
+  }
+};
+
+const logChoose = (n, k) => {
+  let total = 0;
+  for (let i = 1; i <= k; i++) total += Math.log(n - k + i) - Math.log(i);
+  return total;
+};
+
+// X ~ Bin(total, p) given X ≥ minCount, in log space so small p and large K do not underflow
+export const sampleTruncatedBinomial = (total, p, minCount, random) => {
+  const from = Math.max(0, minCount);
+  if (from > total) return null;
+  if (p >= 1) return total;
+  if (p <= 0) return from === 0 ? 0 : null;
+  const logs = [];
+  let logC = logChoose(total, from);
+  for (let x = from; x <= total; x++) {
+    logs.push(logC + x * Math.log(p) + (total - x) * Math.log(1 - p));
+    logC += Math.log(total - x) - Math.log(x + 1);
+  }
+  const top = Math.max(...logs);
+  const weights = logs.map((value) => Math.exp(value - top));
+  let u = random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let idx = 0; idx < weights.length; idx++) {
+    u -= weights[idx];
+    if (u < 0) return from + idx;
+  }
+  return total;
+};
+
+// `count` distinct indices of [0, size), uniformly (partial Fisher–Yates)
+const sampleSubset = (size, count, random) => {
+  const pool = Array.from({ length: size }, (_, idx) => idx);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (size - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+};
+
+// Items with count laws [P(0), P(1), ...]: draws every item's count given that
+// they add up to at least minTotal, from the tails of the items still undecided
+const sampleCountsAtLeast = (laws, minTotal, random) => {
+  const m = laws.length;
+  // tail[i][j] = P(items i.. add up to at least j)
+  const tail = Array.from({ length: m + 1 }, () => Array(minTotal + 1).fill(0));
+  tail[m][0] = 1;
+  for (let i = m - 1; i >= 0; i--) {
+    for (let j = 0; j <= minTotal; j++) {
+      tail[i][j] = laws[i].reduce((sum, pc, c) => sum + pc * tail[i + 1][Math.max(0, j - c)], 0);
+    }
+  }
+  if (!(tail[0][minTotal] > 0)) return null;
+
+  const counts = [];
+  let needed = minTotal;
+  for (let i = 0; i < m; i++) {
+    const weights = laws[i].map((pc, c) => pc * tail[i + 1][Math.max(0, needed - c)]);
+    let u = random() * weights.reduce((sum, w) => sum + w, 0);
+    let chosen = weights.findLastIndex((w) => w > 0);
+    for (let c = 0; c < weights.length; c++) {
+      if (weights[c] <= 0) continue;
+      u -= weights[c];
+      if (u < 0) {
+        chosen = c;
+        break;
+      }
+    }
+    counts.push(chosen);
+    needed = Math.max(0, needed - chosen);
+  }
+  return counts;
+};
+
+const emptyMatrix = (n) => Array.from({ length: n }, () => Array(n).fill(false));
+
+// Sender s's broadcast: its roll reaches the links it beats
+const drawBroadcast = (senders, n, random) => {
+  const delivered = emptyMatrix(n);
+  senders.forEach((sorted, from) => {
+    const roll = random();
+    sorted.forEach(({ to, p }) => {
+      if (roll < p) delivered[from][to] = true;
+    });
+  });
+  return delivered;
+};
+
+// Redraws until the event holds; the last draw is kept (unconditioned) past MAX_ATTEMPTS
+const redrawUntil = (draw, holds) => {
+  let last = null;
+  for (let attempts = 1; attempts <= MAX_ATTEMPTS; attempts++) {
+    last = draw();
+    if (!last) return null;
+    if (holds(last)) return { delivered: last, attempts, conditioned: true };
+  }
+  return { delivered: last, attempts: MAX_ATTEMPTS, conditioned: false };
+};
+
+const exact = (delivered) => (delivered ? { delivered, attempts: 1, conditioned: true } : null);
+
+const sampleBroadcast = (links, n, eventId, K, random) => {
+  const perSender = n - 1;
+  const senders = Array.from({ length: n }, (_, from) => links
+    .filter((link) => link.from === from)
+    .sort((a, b) => b.p - a.p));
+  const deliverCounts = (counts) => {
+    const delivered = emptyMatrix(n);
+    senders.forEach((sorted, from) => {
+      sorted.slice(0, counts[from]).forEach(({ to }) => {
+        delivered[from][to] = true;
+      });
+    });
+    return delivered;
+  };
+
+  if (links.every((link) => link.p === links[0].p)) {
+    const broadcasters = sampleTruncatedBinomial(n, links[0].p, minimumBroadcasters(eventId, n, K), random);
+    if (broadcasters === null) return null;
+    const counts = Array(n).fill(0);
+    sampleSubset(n, broadcasters, random).forEach((from) => {
+      counts[from] = perSender;
+    });
+    return exact(deliverCounts(counts));
+  }
+  if (eventId === 'at-least-k') {
+    // With sorted link probabilities s_1 ≥ … ≥ s_(n-1), the roll reaches exactly c links with probability s_c - s_(c+1)
+    const laws = senders.map((sorted) => Array.from({ length: perSender + 1 }, (_, c) =>
+      (c === 0 ? 1 : sorted[c - 1].p) - (c === perSender ? 0 : sorted[c].p)));
+    const counts = sampleCountsAtLeast(laws, K, random);
+    return exact(counts && deliverCounts(counts));
+  }
+  return redrawUntil(() => drawBroadcast(senders, n, random),
+    (delivered) => conditioningEventHolds(eventId, delivered, n, K));
+};
+
+// Each receiver hears at least one peer; null when some receiver cannot
+const sampleEveryReceiver = (links, n, random) => {
+  const delivered = emptyMatrix(n);
+  for (let to = 0; to < n; to++) {
+    const incoming = links.filter((link) => link.to === to);
+    const counts = sampleCountsAtLeast(incoming.map((link) => [1 - link.p, link.p]), 1, random);
+    if (!counts) return null;
+    counts.forEach((count, idx) => {
+      if (count) delivered[incoming[idx].from][to] = true;
+    });
+  }
+  return delivered;
+};
+
+// Each pair gets one of its three outcomes (i→j only, j→i only, both) given ≥ 1
+const sampleEveryPair = (linkProbability, n, random) => {
+  const delivered = emptyMatrix(n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const pij = linkProbability(i, j);
+      const pji = linkProbability(j, i);
+      const weights = [pij * (1 - pji), (1 - pij) * pji, pij * pji];
+      const total = weights[0] + weights[1] + weights[2];
+      if (!(total > 0)) return null;
+      const u = random() * total;
+      const outcome = u < weights[0] ? 0 : u < weights[0] + weights[1] ? 1 : 2;
+      delivered[i][j] = outcome !== 1;
+      delivered[j][i] = outcome !== 0;
+    }
+  }
+  return delivered;
+};
+
+export const sampleConditionedDeliveries = ({
+  n,
+  minK,
+  linkProbability,
+  random,
+  broadcast = false,
+  event = DEFAULT_CONDITIONING_EVENT
+}) => {
+  const { id: eventId, broadcastOnly } = resolveConditioningEvent(event);
+  const K = Math.max(1, Math.floor(minK));
+  const links = [];
+  for (let from = 0; from < n; from++) {
+    for (let to = 0; to < n; to++) {
+      if (from !== to) links.push({ from, to, p: linkProbability(from, to) });
+    }
+  }
+
+  if (broadcast || broadcastOnly) return sampleBroadcast(links, n, eventId, K, random);
+
+  switch (eventId) {
+    case 'every-receiver':
+      return exact(sampleEveryReceiver(links, n, random));
+    case 'every-pair':
+      return exact(sampleEveryPair(linkProbability, n, random));
+    case 'connected':
+      return redrawUntil(() => sampleEveryReceiver(links, n, random), (delivered) => isStronglyConnected(delivered, n));
+    default:
+      break;
+  }
+
+  const delivered = emptyMatrix(n);
+  if (links.every((link) => link.p === links[0].p)) {
+    const count = sampleTruncatedBinomial(links.length, links[0].p, K, random);
+    if (count === null) return null;
+    sampleSubset(links.length, count, random).forEach((idx) => {
+      delivered[links[idx].from][links[idx].to] = true;
+    });
+    return exact(delivered);
+  }
+
+  const counts = sampleCountsAtLeast(links.map((link) => [1 - link.p, link.p]), K, random);
+  if (!counts) return null;
+  counts.forEach((count, idx) => {
+    if (count) delivered[links[idx].from][links[idx].to] = true;
+  });
+  return exact(delivered);
+};
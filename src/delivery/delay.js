@@ -0,0 +1,109 @@
+// Multi-round message delays.
+// After the delivery model decides that a message is not lost, the delay
+// model draws how many rounds late it arrives (0 = same round). Late messages
+// carry the value from the round they were sent, so receivers see stale
+// information through the usual decision rules.
+//
+// Model shape: { type, lateMessages, ...params }
+//   geometric     one more round with probability lateProb, capped at maxDelay
+//   fixed         every message arrives exactly `rounds` rounds later
+//   distribution  P(delay = k) ∝ weights[k]
+//   lateMessages  'deliver' (stale values arrive) or 'drop' (delayed = lost,
+//                 the pure-omission baseline with the same coin flips)
+
+export const DELAY_MODELS = [
+  { id: 'none', label: 'Same round (no delay)', params: [] },
+  {
+    id: 'geometric',
+    label: 'Geometric delay',
+    params: [
+      { key: 'lateProb', label: 'P(one more round)', min: 0, max: 0.95, default: 0.3 },
+      { key: 'maxDelay', label: 'Max delay (rounds)', min: 1, max: 50, integer: true, default: 10 }
+    ]
+  },
+  {
+    id: 'fixed',
+    label: 'Fixed delay',
+    params: [{ key: 'rounds', label: 'Delay (rounds)', min: 0, max: 50, integer: true, default: 1 }]
+  },
+  { id: 'distribution', label: 'Custom distribution', params: [] }
+];
+
+const getDelayType = (id) => DELAY_MODELS.find((entry) => entry.id === id) || null;
+
+// "0.6, 0.3 0.1" -> [0.6, 0.3, 0.1]
+export const parseDelayWeights = (text) =>
+  String(text ?? '')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter((value) => Number.isFinite(value) && value >= 0);
+
+// Valid model with defaults filled in, or null when messages never wait
+export const normalizeDelayModel = (model) => {
+  if (!model || typeof model !== 'object') return null;
+  const type = getDelayType(model.type);
+  if (!type || type.id === 'none') return null;
+  const lateMessages = model.lateMessages === 'drop' ? 'drop' : 'deliver';
+
+  if (type.id === 'distribution') {
+    const weights = Array.isArray(model.weights)
+      ? model.weights.map(Number).filter((value) => Number.isFinite(value) && value >= 0)
+      : parseDelayWeights(model.weights);
+    const total = weights.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) return null;
+    return { type: 'distribution', lateMessages, weights: weights.map((value) => value / total) };
+  }
+
+  const normalized = { type: type.id, lateMessages };
+  type.params.forEach(({ key, min, max, integer, default: fallback }) => {
+    let value = Number(model[key]);
+    if (!Number.isFinite(value)) value = fallback;
+    value = Math.max(min, Math.min(max, value));
+    normalized[key] = integer ? Math.round(value) : value;
+  });
+  if (normalized.type === 'fixed' && normalized.rounds === 0) return null;
+  return normalized;
+};
+
+// Rounds of delay for one message (fixed delays use no randomness)
+export const drawDelay = (model, random) => {
+  switch (model.type) {
+    case 'geometric': {
+      let delay = 0;
+      while (delay < model.maxDelay && random() < model.lateProb) delay += 1;
+      return delay;
+    }
+    case 'fixed':
+      return model.rounds;
+    case 'distribution': {
+      const roll = random();
+      let acc = 0;
+      for (let k = 0; k < model.weights.length; k++) {
+        acc += model.weights[k];
+        if (roll < acc) return k;
+      }
+      return model.weights.length - 1;
+    }
+    default:
+      return 0;
+  }
+};
+
+export const expectedDelay = (model) => {
+  const normalized = normalizeDelayModel(model);
+  if (!normalized) return 0;
+  switch (normalized.type) {
+    case 'geometric': {
+      let mean = 0;
+      for (let k = 1; k <= normalized.maxDelay; k++) mean += Math.pow(normalized.lateProb, k);
+      return mean;
+    }
+    case 'fixed':
+      return normalized.rounds;
+    case 'distribution':
+      return normalized.weights.reduce((sum, weight, k) => sum + weight * k, 0);
+    default:
+      return 0;
+  }
+};
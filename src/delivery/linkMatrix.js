@@ -0,0 +1,84 @@
+// Heterogeneous per-link delivery probabilities.
+// A link matrix M holds one factor per directed link (row = sender,
+// column = receiver). At global probability p the link i→j delivers with
+// probability clamp(p · M[i][j], 0, 1), so an all-ones matrix is the usual
+// scalar model and p-sweeps scale the whole matrix at once.
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+const roundFactor = (value) => Math.round(value * 1000) / 1000;
+
+export const LINK_MATRIX_PRESETS = [
+  { id: 'uniform', label: 'Uniform (all links 1)' },
+  { id: 'slow-process', label: 'One slow process' },
+  { id: 'asymmetric', label: 'Asymmetric A→B vs B→A' },
+  { id: 'random', label: 'Random in [a, b]' }
+];
+
+export const createUniformLinkMatrix = (n, value = 1) =>
+  Array.from({ length: n }, () => Array(n).fill(value));
+
+// Build a factor matrix from a preset.
+//   slow-process: { slowIndex, slowFactor }  links touching slowIndex scaled
+//   asymmetric:   { from, to, forward, backward }  only the pair from/to differs
+//   random:       { min, max }  every link uniform in [min, max]
+export const buildLinkMatrix = (preset, n, params = {}, random = Math.random) => {
+  const matrix = createUniformLinkMatrix(n);
+
+  if (preset === 'slow-process') {
+    const slowIndex = Math.max(0, Math.min(n - 1, params.slowIndex ?? 0));
+    const slowFactor = clamp01(params.slowFactor ?? 0.5);
+    for (let j = 0; j < n; j++) {
+      matrix[slowIndex][j] = slowFactor;
+      matrix[j][slowIndex] = slowFactor;
+    }
+  } else if (preset === 'asymmetric') {
+    const from = Math.max(0, Math.min(n - 1, params.from ?? 0));
+    const to = Math.max(0, Math.min(n - 1, params.to ?? 1));
+    if (from !== to) {
+      matrix[from][to] = clamp01(params.forward ?? 1);
+      matrix[to][from] = clamp01(params.backward ?? 0.3);
+    }
+  } else if (preset === 'random') {
+    const lo = clamp01(Math.min(params.min ?? 0.5, params.max ?? 1));
+    const hi = clamp01(Math.max(params.min ?? 0.5, params.max ?? 1));
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j) matrix[i][j] = roundFactor(lo + random() * (hi - lo));
+      }
+    }
+  }
+
+  for (let i = 0; i < n; i++) matrix[i][i] = 1;
+  return matrix;
+};
+
+// Grow or shrink a matrix to n processes; new links get factor 1
+export const resizeLinkMatrix = (matrix, n) =>
+  Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (__, j) => {
+      const value = Array.isArray(matrix?.[i]) ? Number(matrix[i][j]) : NaN;
+      return Number.isFinite(value) ? value : 1;
+    })
+  );
+
+export const isUniformLinkMatrix = (matrix) =>
+  !Array.isArray(matrix) ||
+  matrix.every((row, i) => Array.isArray(row) && row.every((value, j) => i === j || value === 1));
+
+// Valid n×n numeric matrix, or null (callers then use the scalar p)
+export const normalizeLinkMatrix = (matrix, n) => {
+  if (!Array.isArray(matrix) || matrix.length !== n) return null;
+  const valid = matrix.every((row) =>
+    Array.isArray(row) && row.length === n && row.every((value) => Number.isFinite(Number(value)))
+  );
+  if (!valid || isUniformLinkMatrix(matrix)) return null;
+  return matrix.map((row) => row.map((value) => Math.max(0, Number(value))));
+};
+
+// (from, to) -> delivery probability for the round
+export const makeLinkProbability = (p, matrix) => (
+  matrix
+    ? (from, to) => clamp01(p * matrix[from][to])
+    : () => p
+);
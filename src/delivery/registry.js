@@ -0,0 +1,281 @@
+// Delivery-model registry - decides which messages of a round arrive.
+// simulateRound asks the selected model for the round's messages; the
+// sidebar, Policy Search and chart legends list the registered models.
+//
+// Model shape:
+//   id            key stored in deliveryMode (e.g. "process-dependent")
+//   aliases       other ids that map to this model (e.g. "conditioned")
+//   title         picker title;  label  short legend name;  shortLabel  tag
+//   description   one-liner for the picker
+//   badgeClass    Tailwind classes for mode tags
+//   chartStyle    { dash, color, dot } for experimental series
+//   params        [{ key, label, min, max, step, default }] user-tunable knobs
+//   summarize(params)  short text shown under the knobs (optional)
+//   closedFormTheory  false when the i.i.d. formulas do not apply
+//   forceOneDelivery  true to force one random link when nothing arrived
+//   createState(ctx)  per-run channel state (stateful models only)
+//   deliver(ctx)      -> { isDelivered(from, to, value), senderDeliveryStatus?, channelState? }
+//
+// deliver() receives { values, p, linkProbability(from, to), processCount,
+// random, params, channelState }. linkProbability already folds in the
+// per-link matrix (see linkMatrix.js); p is the global probability.
+// isDelivered also gets the value the message carries (a Byzantine sender's
+// may differ from values[from]).
+
+const registry = new Map();
+const aliases = new Map();
+
+export const registerDeliveryModel = (definition, { replace = false } = {}) => {
+  if (!definition || typeof definition.id !== 'string' || definition.id.trim() === '') {
+    throw new Error('Delivery model needs a non-empty string id');
+  }
+  if (registry.has(definition.id) && !replace) {
+    throw new Error(`Delivery model "${definition.id}" is already registered`);
+  }
+  if (typeof definition.deliver !== 'function') {
+    throw new Error(`Delivery model "${definition.id}" must provide deliver()`);
+  }
+
+  const entry = {
+    title: definition.id,
+    label: definition.id,
+    shortLabel: definition.id.slice(0, 4),
+    description: '',
+    badgeClass: 'bg-gray-100 text-gray-800 border border-gray-200',
+    chartStyle: { dash: '', color: null, dot: 3 },
+    params: [],
+    closedFormTheory: true,
+    aliases: [],
+    ...definition
+  };
+  registry.set(entry.id, entry);
+  entry.aliases.forEach((alias) => aliases.set(alias, entry.id));
+  return entry;
+};
+
+export const getDeliveryModel = (id) => registry.get(id) || registry.get(aliases.get(id)) || null;
+
+// Unknown ids (e.g. the legacy 'independent') behave as standard delivery
+export const resolveDeliveryModel = (id) => getDeliveryModel(id) || registry.get('standard');
+
+export const listDeliveryModels = () => Array.from(registry.values());
+
+// Default parameter values of a model, overridden by the caller's values
+export const getDeliveryParams = (id, overrides = {}) => {
+  const model = getDeliveryModel(id);
+  if (!model) return {};
+  const params = {};
+  model.params.forEach(({ key, default: fallback }) => {
+    const value = Number(overrides?.[key]);
+    params[key] = Number.isFinite(value) ? value : fallback;
+  });
+  return params;
+};
+
+// ========================================
+// BUILT-IN MODELS
+// ========================================
+
+registerDeliveryModel({
+  id: 'standard',
+  title: 'Standard Delivery',
+  label: 'Standard',
+  shortLabel: 'std',
+  description: 'Messages delivered with probability p independently. All messages can be lost in a round.',
+  badgeClass: 'bg-gray-100 text-gray-800 border border-gray-200',
+  chartStyle: { dash: '', color: null, dot: 3 },
+  deliver: ({ linkProbability, random }) => ({
+    isDelivered: (from, to) => random() < linkProbability(from, to)
+  })
+});
+
+registerDeliveryModel({
+  id: 'guaranteed',
+  aliases: ['conditioned'],
+  title: 'Guaranteed Progress',
+  label: 'Guaranteed',
+  shortLabel: 'guar',
+  description: 'At least one message delivered per round, ensuring network progress.',
+  badgeClass: 'bg-green-100 text-green-800 border border-green-200',
+  chartStyle: { dash: '6 4', color: '#0f766e', dot: 4 },
+  // Standard delivery; if nothing arrived, one random link is forced (see simulateRound)
+  forceOneDelivery: true,
+  deliver: ({ linkProbability, random }) => ({
+    isDelivered: (from, to) => random() < linkProbability(from, to)
+  })
+});
+
+registerDeliveryModel({
+  id: 'process-dependent',
+  title: 'Broadcast',
+  label: 'Broadcast',
+  shortLabel: 'pd',
+  description: 'All messages from each process deliver together with probability p, or none deliver with probability q.',
+  badgeClass: 'bg-purple-100 text-purple-800 border border-purple-200',
+  chartStyle: { dash: '3 3', color: '#7c3aed', dot: 4 },
+  // One roll per sender: all messages from sender i deliver together. With
+  // per-link probabilities the same roll is compared against each link, so a
+  // weaker link fails whenever a stronger one from the same sender does.
+  deliver: ({ linkProbability, random, processCount }) => {
+    const senderRolls = [];
+    const senderDeliveryStatus = [];
+    for (let sender = 0; sender < processCount; sender++) {
+      senderRolls[sender] = random();
+      let weakest = 1;
+      for (let receiver = 0; receiver < processCount; receiver++) {
+        if (receiver !== sender) weakest = Math.min(weakest, linkProbability(sender, receiver));
+      }
+      senderDeliveryStatus[sender] = senderRolls[sender] < weakest;
+    }
+    return {
+      senderDeliveryStatus,
+      isDelivered: (from, to) => senderRolls[from] < linkProbability(from, to)
+    };
+  }
+});
+
+// Dual of process-dependent: one roll per receiver, which hears every sender
+// whose link the roll beats (all of them or none with uniform links)
+registerDeliveryModel({
+  id: 'receiver-dependent',
+  title: 'Receiver-dependent',
+  label: 'Receiver-dependent',
+  shortLabel: 'rd',
+  description: 'Each process hears all other processes with probability p, or nobody with probability q.',
+  badgeClass: 'bg-sky-100 text-sky-800 border border-sky-200',
+  chartStyle: { dash: '4 2', color: '#0284c7', dot: 4 },
+  deliver: ({ linkProbability, random, processCount }) => {
+    const receiverRolls = Array.from({ length: processCount }, () => random());
+    return {
+      isDelivered: (from, to) => receiverRolls[to] < linkProbability(from, to)
+    };
+  }
+});
+
+// Receivers a k-of-n sender reaches: k clamped to [1, n - 1]
+export const partialBroadcastSize = (params, processCount) =>
+  Math.max(1, Math.min(processCount - 1, Math.floor(Number(params?.k) || 1)));
+
+// Partial broadcast: a sender's roll decides whether it gets through, and then
+// its message goes to exactly k receivers chosen uniformly (k = n - 1 is
+// process-dependent delivery). Per-link factors compare the roll against each
+// chosen link, as in process-dependent delivery.
+registerDeliveryModel({
+  id: 'k-of-n',
+  title: 'Partial broadcast (k of n)',
+  label: 'k-of-n',
+  shortLabel: 'kn',
+  description: 'With probability p a process gets its message through, to exactly k receivers chosen at random.',
+  badgeClass: 'bg-amber-100 text-amber-800 border border-amber-200',
+  chartStyle: { dash: '5 2 1 2', color: '#b45309', dot: 4 },
+  params: [
+    { key: 'k', label: 'Receivers per sender (k)', min: 1, max: 63, step: 1, default: 1 }
+  ],
+  summarize: ({ k }) => `Each sender that gets through reaches ${Math.max(1, Math.floor(k))} random receiver(s); k ≥ n - 1 is Broadcast.`,
+  deliver: ({ linkProbability, random, processCount, params }) => {
+    const k = partialBroadcastSize(params, processCount);
+    const reached = Array.from({ length: processCount }, (_, sender) => {
+      const roll = random();
+      const pool = Array.from({ length: processCount }, (__, idx) => idx).filter((idx) => idx !== sender);
+      for (let i = 0; i < k; i++) {
+        const j = i + Math.floor(random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      return new Set(pool.slice(0, k).filter((receiver) => roll < linkProbability(sender, receiver)));
+    });
+    return {
+      isDelivered: (from, to) => reached[from].has(to)
+    };
+  }
+});
+
+// Delivery probability of a message carrying value under value-dependent loss:
+// 0s use p·zeroFactor, 1s p·oneFactor, anything else the plain link probability
+export const valueDeliveryProbability = (params, linkProbability, value) => {
+  const factor = value === 0 ? params.zeroFactor : value === 1 ? params.oneFactor : 1;
+  return Math.max(0, Math.min(1, linkProbability * factor));
+};
+
+// Binary asymmetric channel: every link is independent as in standard delivery,
+// but how likely a message arrives depends on the bit it carries (an
+// energy-detection radio, for instance, where silence for 0 rarely gets lost).
+registerDeliveryModel({
+  id: 'value-dependent',
+  title: 'Value-dependent loss (binary)',
+  label: 'Value-dependent',
+  shortLabel: 'vd',
+  description: 'Messages carrying 0 arrive with probability p0 = p·f0 and messages carrying 1 with p1 = p·f1, independently per link.',
+  badgeClass: 'bg-cyan-100 text-cyan-800 border border-cyan-200',
+  chartStyle: { dash: '1 3', color: '#0891b2', dot: 4 },
+  params: [
+    { key: 'zeroFactor', label: 'Factor for 0s (p0 = p·f0)', min: 0, max: 1, step: 0.01, default: 1 },
+    { key: 'oneFactor', label: 'Factor for 1s (p1 = p·f1)', min: 0, max: 1, step: 0.01, default: 0.5 }
+  ],
+  closedFormTheory: false,
+  summarize: ({ zeroFactor, oneFactor }) => {
+    if (zeroFactor === oneFactor) return `Both values arrive with ${zeroFactor}·p: standard delivery at a scaled p.`;
+    const better = zeroFactor > oneFactor ? 0 : 1;
+    return `0s arrive with ${zeroFactor}·p, 1s with ${oneFactor}·p; ${better}s survive the channel better, which favours PREF${better}.`;
+  },
+  deliver: ({ linkProbability, random, params }) => ({
+    isDelivered: (from, to, value) => random() < valueDeliveryProbability(params, linkProbability(from, to), value)
+  })
+});
+
+// Gilbert–Elliott: every directed link is a two-state Markov chain. In the
+// good state a message arrives with the link's probability, in the bad state with
+// probability badDelivery. States persist across rounds of one run.
+const gilbertElliottInitialState = ({ processCount, params, random }) => {
+  const { goodToBad, badToGood } = params;
+  const total = goodToBad + badToGood;
+  const stationaryBad = total > 0 ? goodToBad / total : 0;
+  return {
+    bad: Array.from({ length: processCount }, (_, from) =>
+      Array.from({ length: processCount }, (__, to) => (from !== to ? random() < stationaryBad : false))
+    )
+  };
+};
+
+registerDeliveryModel({
+  id: 'gilbert-elliott',
+  title: 'Bursty (Gilbert–Elliott)',
+  label: 'Gilbert–Elliott',
+  shortLabel: 'ge',
+  description: 'Each link alternates between a good state (delivers with probability p) and a bad state; losses come in bursts.',
+  badgeClass: 'bg-rose-100 text-rose-800 border border-rose-200',
+  chartStyle: { dash: '8 3 2 3', color: '#be123c', dot: 4 },
+  params: [
+    { key: 'goodToBad', label: 'P(good → bad)', min: 0, max: 1, step: 0.01, default: 0.1 },
+    { key: 'badToGood', label: 'P(bad → good)', min: 0, max: 1, step: 0.01, default: 0.3 },
+    { key: 'badDelivery', label: 'Delivery in bad state', min: 0, max: 1, step: 0.01, default: 0 }
+  ],
+  closedFormTheory: false,
+  summarize: ({ goodToBad, badToGood }) => {
+    const total = goodToBad + badToGood;
+    const badShare = total > 0 ? goodToBad / total : 0;
+    const burst = badToGood > 0 ? (1 / badToGood).toFixed(1) : '∞';
+    return `Links spend ${(badShare * 100).toFixed(1)}% of rounds in the bad state; mean burst length ${burst} rounds. Good-state delivery uses p.`;
+  },
+  createState: gilbertElliottInitialState,
+  deliver: ({ linkProbability, random, processCount, params, channelState }) => {
+    const state = channelState && Array.isArray(channelState.bad) && channelState.bad.length === processCount
+      ? channelState
+      : gilbertElliottInitialState({ processCount, params, random });
+    const delivered = state.bad.map((row, from) =>
+      row.map((isBad, to) => (from !== to ? random() < (isBad ? params.badDelivery : linkProbability(from, to)) : false))
+    );
+    // Advance every link one step for the next round
+    const next = {
+      bad: state.bad.map((row, from) =>
+        row.map((isBad, to) => {
+          if (from === to) return false;
+          return isBad ? random() >= params.badToGood : random() < params.goodToBad;
+        })
+      )
+    };
+    return {
+      isDelivered: (from, to) => delivered[from][to],
+      channelState: next
+    };
+  }
+});
@@ -0,0 +1,117 @@
+// Round-dependent delivery probability.
+// A schedule turns the global p into p_r for round r (1-based). Every shape
+// is expressed as factors of p so p-sweeps keep their meaning; an explicit
+// list with p = 1 gives absolute per-round probabilities.
+//
+// Schedule shape: { type, ...params }
+//   constant   p_r = p
+//   list       p_r = p · factors[r-1]   (last factor repeats)
+//   linear     p_r = p · max(0, 1 - step·(r-1))
+//   geometric  p_r = p · ratio^(r-1)
+//   outage     p_r = p · outageFactor on the last `duration` rounds of every `period`
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+export const PROBABILITY_SCHEDULES = [
+  { id: 'constant', label: 'Constant p', params: [] },
+  { id: 'list', label: 'Explicit list', params: [] },
+  {
+    id: 'linear',
+    label: 'Linear decay',
+    params: [{ key: 'step', label: 'Decay per round', min: 0, max: 1, default: 0.1 }]
+  },
+  {
+    id: 'geometric',
+    label: 'Geometric decay',
+    params: [{ key: 'ratio', label: 'Ratio per round', min: 0, max: 1, default: 0.9 }]
+  },
+  {
+    id: 'outage',
+    label: 'Periodic outages',
+    params: [
+      { key: 'period', label: 'Period (rounds)', min: 1, max: 1000, integer: true, default: 5 },
+      { key: 'duration', label: 'Outage length', min: 1, max: 1000, integer: true, default: 1 },
+      { key: 'outageFactor', label: 'Factor during outage', min: 0, max: 1, default: 0 }
+    ]
+  }
+];
+
+const getScheduleType = (id) => PROBABILITY_SCHEDULES.find((entry) => entry.id === id) || null;
+
+// "0.9, 0.8 0.5" -> [0.9, 0.8, 0.5]; non-numeric entries are dropped
+export const parseScheduleFactors = (text) =>
+  String(text ?? '')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter((value) => Number.isFinite(value) && value >= 0);
+
+// Valid schedule with defaults filled in, or null for constant / invalid input
+export const normalizeProbabilitySchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object') return null;
+  const type = getScheduleType(schedule.type);
+  if (!type || type.id === 'constant') return null;
+
+  if (type.id === 'list') {
+    const factors = Array.isArray(schedule.factors)
+      ? schedule.factors.map(Number).filter((value) => Number.isFinite(value) && value >= 0)
+      : parseScheduleFactors(schedule.factors);
+    return factors.length > 0 ? { type: 'list', factors } : null;
+  }
+
+  const normalized = { type: type.id };
+  type.params.forEach(({ key, min, max, integer, default: fallback }) => {
+    let value = Number(schedule[key]);
+    if (!Number.isFinite(value)) value = fallback;
+    value = Math.max(min, Math.min(max, value));
+    normalized[key] = integer ? Math.round(value) : value;
+  });
+  return normalized;
+};
+
+// Factor applied to p in round r (1-based)
+const scheduleFactor = (schedule, round) => {
+  const index = Math.max(0, round - 1);
+  switch (schedule.type) {
+    case 'list':
+      return schedule.factors[Math.min(index, schedule.factors.length - 1)];
+    case 'linear':
+      return Math.max(0, 1 - schedule.step * index);
+    case 'geometric':
+      return Math.pow(schedule.ratio, index);
+    case 'outage': {
+      const duration = Math.min(schedule.duration, schedule.period);
+      return index % schedule.period >= schedule.period - duration ? schedule.outageFactor : 1;
+    }
+    default:
+      return 1;
+  }
+};
+
+// p_r for a normalized schedule; without a schedule p is returned untouched
+export const scheduledProbability = (schedule, p, round) =>
+  schedule ? clamp01(Number(p) * scheduleFactor(schedule, round)) : p;
+
+export const resolveRoundProbabilities = (schedule, p, rounds) => {
+  const normalized = normalizeProbabilitySchedule(schedule);
+  return Array.from({ length: Math.max(0, rounds) }, (_, idx) =>
+    Number(scheduledProbability(normalized, p, idx + 1))
+  );
+};
+
+export const describeProbabilitySchedule = (schedule) => {
+  const normalized = normalizeProbabilitySchedule(schedule);
+  if (!normalized) return 'Constant p';
+  switch (normalized.type) {
+    case 'list':
+      return `p × [${normalized.factors.join(', ')}]`;
+    case 'linear':
+      return `p × (1 − ${normalized.step}·(r−1))`;
+    case 'geometric':
+      return `p × ${normalized.ratio}^(r−1)`;
+    case 'outage':
+      return `p × ${normalized.outageFactor} for ${normalized.duration} of every ${normalized.period} rounds`;
+    default:
+      return 'Constant p';
+  }
+};
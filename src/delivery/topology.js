@@ -0,0 +1,192 @@
+// Communication topologies.
+// A topology decides which sender/receiver pairs exist at all. Links that are
+// not edges carry no message (not even a lost one); the delivery model only
+// flips coins on real edges. Every built-in topology is undirected.
+//
+// Spec shape (options.topology): { type, ...params }
+//   complete   every pair (the default; normalizes to null)
+//   ring       i ↔ i±1 (mod n)
+//   star       center ↔ everyone else
+//   line       i ↔ i+1
+//   grid       row-major 2D grid with `cols` columns, 4-neighbourhood
+//   random     Erdős–Rényi G(n, edgeProb); the graph is fixed by `seed`
+//   custom     adjacency list text, e.g. "0: 1 2\n1: 2" or "0-1, 1-2"
+
+import { createRng } from '../utils/random.js';
+
+export const TOPOLOGIES = [
+  { id: 'complete', label: 'Complete graph', params: [] },
+  { id: 'ring', label: 'Ring', params: [] },
+  {
+    id: 'star',
+    label: 'Star',
+    params: [{ key: 'center', label: 'Center process', min: 0, integer: true, default: 0 }]
+  },
+  { id: 'line', label: 'Line', params: [] },
+  {
+    id: 'grid',
+    label: '2D grid',
+    params: [{ key: 'cols', label: 'Columns', min: 1, integer: true, default: 2 }]
+  },
+  {
+    id: 'random',
+    label: 'Random (Erdős–Rényi)',
+    params: [
+      { key: 'edgeProb', label: 'Edge probability', min: 0, max: 1, default: 0.5 },
+      { key: 'seed', label: 'Graph seed', min: 0, integer: true, default: 1 }
+    ]
+  },
+  { id: 'custom', label: 'Adjacency list', params: [] }
+];
+
+export const getTopologyType = (id) => TOPOLOGIES.find((entry) => entry.id === id) || null;
+
+const emptyAdjacency = (n) => Array.from({ length: n }, () => Array(n).fill(false));
+
+const connect = (adjacency, a, b) => {
+  const n = adjacency.length;
+  if (!Number.isInteger(a) || !Number.isInteger(b) || a === b) return;
+  if (a < 0 || b < 0 || a >= n || b >= n) return;
+  adjacency[a][b] = true;
+  adjacency[b][a] = true;
+};
+
+// "0: 1 2" adds 0–1 and 0–2; "0-1" adds 0–1. Separators: newlines, commas, semicolons.
+export const parseAdjacencyList = (text, n) => {
+  const adjacency = emptyAdjacency(n);
+  String(text ?? '')
+    .split(/[\n;,]+/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const pair = line.match(/^(\d+)\s*-\s*(\d+)$/);
+      if (pair) {
+        connect(adjacency, Number(pair[1]), Number(pair[2]));
+        return;
+      }
+      const [head, tail = ''] = line.split(':');
+      const from = Number(head);
+      tail.split(/\s+/).filter(Boolean).forEach((to) => connect(adjacency, from, Number(to)));
+    });
+  return adjacency;
+};
+
+const paramValue = (spec, type, key) => {
+  const param = type.params.find((entry) => entry.key === key);
+  let value = Number(spec?.[key]);
+  if (!Number.isFinite(value)) value = param.default;
+  if (param.min != null) value = Math.max(param.min, value);
+  if (param.max != null) value = Math.min(param.max, value);
+  return param.integer ? Math.round(value) : value;
+};
+
+// n×n boolean adjacency matrix for any spec (complete when the spec is missing)
+export const buildAdjacency = (spec, n) => {
+  const type = getTopologyType(spec?.type) || TOPOLOGIES[0];
+  const adjacency = emptyAdjacency(n);
+
+  switch (type.id) {
+    case 'ring':
+      for (let i = 0; i < n; i++) connect(adjacency, i, (i + 1) % n);
+      break;
+    case 'star': {
+      const center = Math.min(n - 1, paramValue(spec, type, 'center'));
+      for (let i = 0; i < n; i++) connect(adjacency, center, i);
+      break;
+    }
+    case 'line':
+      for (let i = 0; i + 1 < n; i++) connect(adjacency, i, i + 1);
+      break;
+    case 'grid': {
+      const cols = Math.min(n, paramValue(spec, type, 'cols'));
+      for (let i = 0; i < n; i++) {
+        if ((i + 1) % cols !== 0) connect(adjacency, i, i + 1);
+        connect(adjacency, i, i + cols);
+      }
+      break;
+    }
+    case 'random': {
+      const random = createRng(paramValue(spec, type, 'seed'));
+      const edgeProb = paramValue(spec, type, 'edgeProb');
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          if (random() < edgeProb) connect(adjacency, i, j);
+        }
+      }
+      break;
+    }
+    case 'custom':
+      return parseAdjacencyList(spec?.adjacency, n);
+    default:
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) adjacency[i][j] = i !== j;
+      }
+  }
+  return adjacency;
+};
+
+const isCompleteAdjacency = (adjacency) =>
+  adjacency.every((row, i) => row.every((edge, j) => i === j || edge));
+
+// Adjacency matrix for simulateRound, or null when every pair is an edge
+// (callers then keep the complete-graph fast path and its coin-flip order)
+export const normalizeTopology = (spec, n) => {
+  if (!spec || typeof spec !== 'object' || n < 2) return null;
+  const type = getTopologyType(spec.type);
+  if (!type || type.id === 'complete') return null;
+  const adjacency = buildAdjacency(spec, n);
+  return isCompleteAdjacency(adjacency) ? null : adjacency;
+};
+
+// Undirected edge list [[a, b], ...] with a < b
+export const topologyEdges = (adjacency) => {
+  const edges = [];
+  adjacency.forEach((row, a) => {
+    row.forEach((edge, b) => {
+      if (edge && a < b) edges.push([a, b]);
+    });
+  });
+  return edges;
+};
+
+export const isConnectedTopology = (adjacency) => {
+  const n = adjacency.length;
+  if (n === 0) return true;
+  const seen = new Set([0]);
+  const queue = [0];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    adjacency[node].forEach((edge, next) => {
+      if (edge && !seen.has(next)) {
+        seen.add(next);
+        queue.push(next);
+      }
+    });
+  }
+  return seen.size === n;
+};
+
+// Node positions in the unit square for the sidebar drawing
+export const topologyLayout = (spec, n) => {
+  const type = getTopologyType(spec?.type) || TOPOLOGIES[0];
+  if (type.id === 'line') {
+    return Array.from({ length: n }, (_, i) => ({ x: n > 1 ? 0.05 + (0.9 * i) / (n - 1) : 0.5, y: 0.5 }));
+  }
+  if (type.id === 'grid') {
+    const cols = Math.min(n, paramValue(spec, type, 'cols'));
+    const rows = Math.ceil(n / cols);
+    return Array.from({ length: n }, (_, i) => ({
+      x: cols > 1 ? 0.1 + (0.8 * (i % cols)) / (cols - 1) : 0.5,
+      y: rows > 1 ? 0.1 + (0.8 * Math.floor(i / cols)) / (rows - 1) : 0.5
+    }));
+  }
+  const center = type.id === 'star' ? Math.min(n - 1, paramValue(spec, type, 'center')) : -1;
+  const ringSize = center >= 0 ? n - 1 : n;
+  let slot = 0;
+  return Array.from({ length: n }, (_, i) => {
+    if (i === center) return { x: 0.5, y: 0.5 };
+    const angle = -Math.PI / 2 + (2 * Math.PI * slot) / Math.max(1, ringSize);
+    slot += 1;
+    return { x: 0.5 + 0.42 * Math.cos(angle), y: 0.5 + 0.42 * Math.sin(angle) };
+  });
+};
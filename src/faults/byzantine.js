@@ -0,0 +1,88 @@
+// Byzantine process behaviours.
+// A faulty process ignores the protocol: it sends whatever its behaviour
+// dictates and never decides. Discrepancy and validity are measured over the
+// correct processes only.
+//
+// Config shape (options.byzantine): [{ index, behaviour }]
+// Normalized form: array of length n with a behaviour id per faulty process
+// and null for correct ones (or null when every process is correct).
+
+export const BYZANTINE_BEHAVIOURS = [
+  { id: 'send-0', label: 'Always send 0', description: 'Sends 0 to every receiver.' },
+  { id: 'send-1', label: 'Always send 1', description: 'Sends 1 to every receiver.' },
+  {
+    id: 'equivocate',
+    label: 'Equivocate',
+    description: 'Sends the lowest correct value to even receivers and the highest to odd receivers.'
+  },
+  {
+    id: 'echo',
+    label: 'Echo last received',
+    description: 'Repeats the last value it received (its own input until something arrives).'
+  },
+  {
+    id: 'random',
+    label: 'Random',
+    description: 'Sends an independent random value in the correct range to each receiver (0/1 for binary inputs).'
+  }
+];
+
+const BEHAVIOUR_IDS = new Set(BYZANTINE_BEHAVIOURS.map((entry) => entry.id));
+
+export const getByzantineBehaviour = (id) => BYZANTINE_BEHAVIOURS.find((entry) => entry.id === id) || null;
+
+// At least one process stays correct; unknown behaviours and bad indices are dropped
+export const normalizeByzantineConfig = (config, processCount) => {
+  if (!Array.isArray(config) || processCount < 2) return null;
+  const faulty = Array(processCount).fill(null);
+  let count = 0;
+  config.forEach((entry) => {
+    const index = Number(entry?.index);
+    if (!Number.isInteger(index) || index < 0 || index >= processCount) return;
+    if (!BEHAVIOUR_IDS.has(entry.behaviour) || faulty[index]) return;
+    if (count >= processCount - 1) return;
+    faulty[index] = entry.behaviour;
+    count += 1;
+  });
+  return count > 0 ? faulty : null;
+};
+
+export const getCorrectIndices = (faulty, processCount) =>
+  Array.from({ length: processCount }, (_, idx) => idx).filter((idx) => !faulty?.[idx]);
+
+// Value a faulty sender puts on the link from -> to. Ranges come from the
+// correct processes' current values (honestValues), the strongest split.
+export const byzantineMessageValue = (behaviour, { from, to, values, honestValues, random }) => {
+  const lo = Math.min(...honestValues);
+  const hi = Math.max(...honestValues);
+  switch (behaviour) {
+    case 'send-0':
+      return 0;
+    case 'send-1':
+      return 1;
+    case 'equivocate':
+      return to % 2 === 0 ? lo : hi;
+    case 'random': {
+      const binary = honestValues.every((value) => value === 0 || value === 1);
+      if (binary) return random() < 0.5 ? 0 : 1;
+      return lo + random() * (hi - lo);
+    }
+    case 'echo':
+    default:
+      return values[from];
+  }
+};
+
+// State a faulty process carries into the next round
+export const nextByzantineValue = (behaviour, { myValue, received }) =>
+  behaviour === 'echo' && received.length > 0 ? received[received.length - 1] : myValue;
+
+// Validity for approximate agreement: every correct output lies within the
+// range of the correct inputs
+export const isValidOutcome = (outputs, inputs, correctIndices, eps = 1e-9) => {
+  if (correctIndices.length === 0) return true;
+  const correctInputs = correctIndices.map((idx) => inputs[idx]);
+  const lo = Math.min(...correctInputs);
+  const hi = Math.max(...correctInputs);
+  return correctIndices.every((idx) => outputs[idx] >= lo - eps && outputs[idx] <= hi + eps);
+};
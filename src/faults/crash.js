@@ -0,0 +1,43 @@
+// Crash and crash-recovery failures.
+// A crashed process neither sends, receives nor updates; its value is frozen.
+// Crash-recovery processes come back after `downtime` rounds with the value
+// they had when they crashed. Discrepancy is measured over live processes.
+//
+// Config shape (options.crashes): [{ index, round, downtime }]
+//   round     first round spent down (1-based), or 'random' for a uniform round of the run
+//   downtime  rounds spent down before recovering; null/0 = crash-stop
+
+export const CRASH_ROUND_RANDOM = 'random';
+
+// -> [{ index, start, end }] with end = Infinity for crash-stop, or null.
+// Random crash rounds are drawn once per run from `random`.
+export const resolveCrashPlan = (config, processCount, rounds, random = Math.random) => {
+  if (!Array.isArray(config) || processCount < 1) return null;
+  const plan = [];
+  config.forEach((entry) => {
+    const index = Number(entry?.index);
+    if (!Number.isInteger(index) || index < 0 || index >= processCount) return;
+    if (plan.some((item) => item.index === index)) return;
+
+    const start = entry.round === CRASH_ROUND_RANDOM
+      ? 1 + Math.floor(random() * Math.max(1, rounds))
+      : Math.max(1, Math.round(Number(entry.round) || 1));
+    const downtime = Math.max(0, Math.round(Number(entry.downtime) || 0));
+    plan.push({ index, start, end: downtime > 0 ? start + downtime - 1 : Infinity });
+  });
+  return plan.length > 0 ? plan : null;
+};
+
+// Indices that are down in the given round
+export const getCrashedIndices = (plan, round) =>
+  plan ? plan.filter(({ start, end }) => round >= start && round <= end).map(({ index }) => index) : [];
+
+// Boolean mask for simulateRound (options.crashed holds the down indices)
+export const toCrashMask = (crashed, processCount) => {
+  if (!Array.isArray(crashed) || crashed.length === 0) return null;
+  const mask = Array(processCount).fill(false);
+  crashed.forEach((index) => {
+    if (Number.isInteger(index) && index >= 0 && index < processCount) mask[index] = true;
+  });
+  return mask.some(Boolean) ? mask : null;
+};
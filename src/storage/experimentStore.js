@@ -0,0 +1,206 @@
+// Persistent experiment library on IndexedDB. Saved experiments and the
+// autosaved sidebar configuration survive reloads and crashed tabs.
+//
+// Schema, one MIGRATIONS step per version (DB_VERSION = MIGRATIONS.length):
+//   1  experiments  { id, name, createdAt, size, compacted, experiment }
+//                   keyPath id, index createdAt
+//      autosave     { key: 'current', savedAt, config }
+// A browser on an older version runs the missing steps in order on open.
+//
+// createExperimentStore returns null where IndexedDB does not exist (Node, some
+// private modes); callers then keep the library in memory only.
+
+export const DB_NAME = 'approximate-lvl';
+
+const EXPERIMENTS = 'experiments';
+const AUTOSAVE = 'autosave';
+const AUTOSAVE_KEY = 'current';
+
+const MIGRATIONS = [
+  (db) => {
+    const experiments = db.createObjectStore(EXPERIMENTS, { keyPath: 'id' });
+    experiments.createIndex('createdAt', 'createdAt');
+    db.createObjectStore(AUTOSAVE, { keyPath: 'key' });
+  }
+];
+
+export const DB_VERSION = MIGRATIONS.length;
+
+// Runs above this size are offered for compaction in the storage panel
+export const LARGE_EXPERIMENT_BYTES = 1024 * 1024;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error ?? new Error('Storage transaction aborted'));
+});
+
+export const experimentId = (experiment) => experiment?.metadata?.id ?? null;
+
+// Bytes of the experiment as JSON, close to what IndexedDB keeps on disk
+export const experimentSize = (experiment) => new TextEncoder().encode(JSON.stringify(experiment)).length;
+
+// Population variance (denominator n) of the repetitions of one range result
+// about its mean, as the comparison charts show it. Compacted results answer
+// from their stored std; null when the result has fewer than two repetitions.
+export const resultVariance = (result) => {
+  const values = result?.discrepancies;
+  if (Array.isArray(values)) {
+    if (values.length < 2) return null;
+    const mean = result.discrepancy;
+    return values.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / values.length;
+  }
+  return Number.isFinite(result?.std) ? result.std * result.std : null;
+};
+
+// Drops the per-repetition discrepancies of every p, keeping the mean, the
+// sample count and their standard deviation (resultVariance). Comparison
+// charts and tables read the spread from std; histograms of a compacted run
+// are no longer available.
+export const compactExperiment = (experiment) => {
+  const results = Array.isArray(experiment?.results) ? experiment.results : [];
+  if (!results.some((result) => Array.isArray(result?.discrepancies))) return experiment;
+  return {
+    ...experiment,
+    results: results.map((result) => {
+      if (!Array.isArray(result?.discrepancies)) return result;
+      const variance = resultVariance(result);
+      return { ...result, discrepancies: null, std: variance == null ? null : Math.sqrt(variance) };
+    }),
+    metadata: {
+      ...experiment.metadata,
+      compacted: true,
+      compactedAt: new Date().toISOString()
+    }
+  };
+};
+
+const toRecord = (experiment) => ({
+  id: experimentId(experiment),
+  name: experiment.metadata?.name ?? '',
+  createdAt: experiment.metadata?.createdAt ?? experiment.timestamp ?? new Date().toISOString(),
+  size: experimentSize(experiment),
+  compacted: Boolean(experiment.metadata?.compacted),
+  experiment
+});
+
+// { usage, quota, persisted } in bytes for this origin, or null without the Storage API
+export const estimateStorage = async () => {
+  const storage = globalThis.navigator?.storage;
+  if (typeof storage?.estimate !== 'function') return null;
+  const { usage = 0, quota = 0 } = await storage.estimate();
+  const persisted = typeof storage.persisted === 'function' ? await storage.persisted() : false;
+  return { usage, quota, persisted };
+};
+
+// Asks the browser not to evict the library under storage pressure
+export const requestPersistentStorage = async () => {
+  const storage = globalThis.navigator?.storage;
+  return typeof storage?.persist === 'function' ? storage.persist() : false;
+};
+
+export const createExperimentStore = ({ indexedDB = globalThis.indexedDB, name = DB_NAME } = {}) => {
+  if (!indexedDB) return null;
+
+  let opening = null;
+  // Experiments as last written, by id: sync() only writes what changed
+  const stored = new Map();
+
+  const open = () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+          for (let version = event.oldVersion; version < DB_VERSION; version++) {
+            MIGRATIONS[version](request.result, request.transaction);
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Otra pestaña con un esquema más nuevo: cerrar para no bloquear su migración
+          db.onversionchange = () => {
+            db.close();
+            opening = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+      opening.catch(() => {
+        opening = null;
+      });
+    }
+    return opening;
+  };
+
+  const withStore = async (storeName, mode, body) => {
+    const db = await open();
+    const transaction = db.transaction(storeName, mode);
+    const result = body(transaction.objectStore(storeName));
+    await transactionDone(transaction);
+    return result;
+  };
+
+  return {
+    // Saved experiments, oldest first
+    async list() {
+      const db = await open();
+      const records = await requestResult(
+        db.transaction(EXPERIMENTS, 'readonly').objectStore(EXPERIMENTS).index('createdAt').getAll()
+      );
+      stored.clear();
+      records.forEach((record) => stored.set(record.id, record.experiment));
+      return records.map((record) => record.experiment);
+    },
+
+    // Makes the library match `experiments` (the React state): writes new or
+    // replaced entries and deletes the missing ones, in one transaction
+    async sync(experiments) {
+      const next = new Map();
+      experiments.forEach((experiment) => {
+        const id = experimentId(experiment);
+        if (id != null) next.set(id, experiment);
+      });
+      const written = [...next.entries()].filter(([id, experiment]) => stored.get(id) !== experiment);
+      const removed = [...stored.keys()].filter((id) => !next.has(id));
+      if (written.length === 0 && removed.length === 0) return { written: 0, removed: 0 };
+
+      await withStore(EXPERIMENTS, 'readwrite', (store) => {
+        written.forEach(([, experiment]) => store.put(toRecord(experiment)));
+        removed.forEach((id) => store.delete(id));
+      });
+      written.forEach(([id, experiment]) => stored.set(id, experiment));
+      removed.forEach((id) => stored.delete(id));
+      return { written: written.length, removed: removed.length };
+    },
+
+    async saveAutosave(config) {
+      await withStore(AUTOSAVE, 'readwrite', (store) => {
+        store.put({ key: AUTOSAVE_KEY, savedAt: new Date().toISOString(), config });
+      });
+    },
+
+    // { savedAt, config } or null
+    async loadAutosave() {
+      const db = await open();
+      const record = await requestResult(db.transaction(AUTOSAVE, 'readonly').objectStore(AUTOSAVE).get(AUTOSAVE_KEY));
+      return record ? { savedAt: record.savedAt, config: record.config } : null;
+    },
+
+    async clearAutosave() {
+      await withStore(AUTOSAVE, 'readwrite', (store) => {
+        store.delete(AUTOSAVE_KEY);
+      });
+    },
+
+    close() {
+      opening?.then((db) => db.close(), () => {});
+      opening = null;
+    }
+  };
+};
@@ -0,0 +1,128 @@
+// Two processes over an asymmetric channel: Alice → Bob delivers with p_AB and
+// Bob → Alice with p_BA, independently and every round. Alice starts at the
+// lower value, gap D0 = 1 (everything scales linearly with D0).
+//
+// Per round write u = q_AB·q_BA (nothing arrives), x = p_AB·q_BA (only Bob
+// hears) and y = q_AB·p_BA (only Alice hears).
+//
+//   FV       one-sided delivery agrees, silence or a crossing keeps D = 1:
+//              E[D_r] = (u + p_AB·p_BA)^r
+//   AMP      the simulator moves to the absolute meeting point a, so after one
+//            one-sided round the gap (a or 1 - a) only closes once the process
+//            left behind hears the other one:
+//              E[D_r] = u^r + Σ_{k=1..r} u^(k-1) · (a·x·q_BA^(r-k) + (1-a)·y·q_AB^(r-k))
+//            With p_AB = p_BA this is q^r for every a.
+//   guaranteed (at least one message per round, Z = 1 - u): the sampler uses the
+//            meeting point relative to the current values, so the gap shrinks
+//            by the same factor each round:
+//              AMP  E[D_r] = ((a·x + (1-a)·y) / Z)^r
+//              FV   E[D_r] = (p_AB·p_BA / Z)^r
+//
+// Both AMP laws are linear in a, so the best meeting point is always 0 or 1:
+// the process with the worse incoming link simply adopts the other one's value.
+
+import { makeLinkProbability, normalizeLinkMatrix } from '../delivery/linkMatrix.js';
+
+const validProbability = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+// Σ_{k=1..r} u^(k-1) c^(r-k)
+const geometricMix = (u, c, rounds) => {
+  if (Math.abs(c - u) < 1e-12) return rounds * Math.pow(u, rounds - 1);
+  return (Math.pow(c, rounds) - Math.pow(u, rounds)) / (c - u);
+};
+
+export const resolveAsymmetricAlgorithm = (algorithm, pAB, pBA) => {
+  if (algorithm === 'auto') return (pAB + pBA) / 2 > 0.5 ? 'AMP' : 'FV';
+  return algorithm === 'AMP' || algorithm === 'FV' ? algorithm : null;
+};
+
+// E[D_r] for the asymmetric two-process channel, or null outside AMP / FV
+export const asymmetricTwoProcessDiscrepancy = ({
+  pAB,
+  pBA,
+  algorithm = 'auto',
+  meetingPoint = 0.5,
+  rounds = 1,
+  conditioned = false
+}) => {
+  if (!validProbability(pAB) || !validProbability(pBA) || !validProbability(meetingPoint)) return null;
+  if (!Number.isInteger(rounds) || rounds < 0) return null;
+  const algo = resolveAsymmetricAlgorithm(algorithm, pAB, pBA);
+  if (!algo) return null;
+
+  const qAB = 1 - pAB;
+  const qBA = 1 - pBA;
+  const u = qAB * qBA;
+  const x = pAB * qBA;
+  const y = qAB * pBA;
+  const a = meetingPoint;
+
+  if (rounds === 0) return 1;
+
+  if (conditioned) {
+    const Z = 1 - u;
+    if (Z <= 0) return null; // ningún enlace entrega: el evento condicionante es imposible
+    const factor = algo === 'AMP' ? (a * x + (1 - a) * y) / Z : (pAB * pBA) / Z;
+    return Math.pow(factor, rounds);
+  }
+
+  if (algo === 'FV') return Math.pow(u + pAB * pBA, rounds);
+  return Math.pow(u, rounds) +
+    a * x * geometricMix(u, qBA, rounds) +
+    (1 - a) * y * geometricMix(u, qAB, rounds);
+};
+
+// Meeting point minimising AMP's E[D_r]; ties (symmetric links) keep a = 0.5
+export const bestAsymmetricMeetingPoint = ({ pAB, pBA, rounds = 1, conditioned = false }) => {
+  const evaluate = (meetingPoint) => asymmetricTwoProcessDiscrepancy({
+    pAB, pBA, algorithm: 'AMP', meetingPoint, rounds, conditioned
+  });
+  const atZero = evaluate(0);
+  const atOne = evaluate(1);
+  if (atZero === null || atOne === null) return null;
+  if (Math.abs(atZero - atOne) < 1e-12) return { meetingPoint: 0.5, discrepancy: evaluate(0.5) };
+  return atZero < atOne
+    ? { meetingPoint: 0, discrepancy: atZero }
+    : { meetingPoint: 1, discrepancy: atOne };
+};
+
+// Grid over (p_AB, p_BA) ∈ [0, 1]² for the heatmaps. algorithm: 'AMP', 'FV' or 'BEST'
+export const asymmetricDiscrepancyGrid = ({
+  algorithm = 'AMP',
+  meetingPoint = 0.5,
+  rounds = 1,
+  conditioned = false,
+  steps = 20
+}) => {
+  const axis = Array.from({ length: steps + 1 }, (_, i) => i / steps);
+  const cells = [];
+  axis.forEach((pBA) => {
+    axis.forEach((pAB) => {
+      if (algorithm === 'BEST') {
+        const best = bestAsymmetricMeetingPoint({ pAB, pBA, rounds, conditioned });
+        cells.push({ pAB, pBA, value: best?.discrepancy ?? null, meetingPoint: best?.meetingPoint ?? null });
+      } else {
+        const value = asymmetricTwoProcessDiscrepancy({ pAB, pBA, algorithm, meetingPoint, rounds, conditioned });
+        cells.push({ pAB, pBA, value, meetingPoint: algorithm === 'AMP' ? meetingPoint : null });
+      }
+    });
+  });
+  return { axis, cells };
+};
+
+// The channel of a two-process run at global p with a link matrix (Alice is
+// process 0), with the meeting point seen from the lower value. null when the
+// matrix is uniform or the inputs are not one 0 and one 1.
+export const twoProcessChannel = ({ p, linkMatrix, initialValues, meetingPoint = 0.5 }) => {
+  const matrix = normalizeLinkMatrix(linkMatrix, 2);
+  if (!matrix || !Array.isArray(initialValues) || initialValues.length !== 2) return null;
+  const [alice, bob] = initialValues;
+  if (!((alice === 0 && bob === 1) || (alice === 1 && bob === 0))) return null;
+  const linkProbability = makeLinkProbability(p, matrix);
+  return {
+    pAB: linkProbability(0, 1),
+    pBA: linkProbability(1, 0),
+    // Alice arriba: se refleja v -> 1 - v y el punto de encuentro con él
+    meetingPoint: alice === 0 ? meetingPoint : 1 - meetingPoint
+  };
+};
@@ -0,0 +1,112 @@
+// Closed forms for LEADER, MIN and two-process RECURSIVE AMP, for any initial
+// values and any number of rounds r (standard and process-dependent delivery).
+//
+// Write t = q^r for the chance that a given link (standard) or a given sender
+// (process-dependent) never gets through in r rounds.
+//
+//   LEADER   a follower keeps its value until it hears the leader, then holds the
+//            leader's value for good. Standard: followers adopt independently, so
+//            E[max] and E[min] are integrals of 1 - (1 - t)^(#followers beyond x).
+//            Process-dependent: everyone adopts at once or nobody did, E[D] = t·D0.
+//   MIN      values are held until the last round, then each process takes the
+//            minimum it heard. With N(x) = #{v_j ≤ x}:
+//              standard            E[D] = ∫ 1 - (1 - t^N(x))^(n - N(x)) dx
+//              process-dependent   E[D] = ∫ t^N(x) dx
+//            (both over [min v, max v]).
+//   R-AMP    n = 2: the gap shrinks by 1, a or |2a - 1| depending on who heard whom,
+//            so E[D] = D0 · (q² + 2pq·a + p²·|2a - 1|)^r.
+//
+// partialBroadcastCoverage is the k-of-n law PREF0 / PREF1 need: the chance that
+// every process lacking a value hears one of the processes holding it.
+
+import { resolveDeliveryModel } from '../delivery/registry.js';
+
+const CLOSED_FORM_MODES = ['standard', 'process-dependent'];
+
+const closedFormMode = (deliveryMode) => {
+  const id = resolveDeliveryModel(deliveryMode).id;
+  return CLOSED_FORM_MODES.includes(id) ? id : null;
+};
+
+const validInputs = (p, values) => Number.isFinite(p) && p >= 0 && p <= 1 &&
+  Array.isArray(values) && values.length >= 2 && values.every((value) => Number.isFinite(value));
+
+// ∫ f over [lo, hi] for an f that only changes at the given values (evaluated mid-interval)
+const integrateSteps = (values, lo, hi, f) => {
+  const cuts = Array.from(new Set([lo, hi, ...values.filter((value) => value > lo && value < hi)]))
+    .sort((a, b) => a - b);
+  let total = 0;
+  for (let i = 0; i + 1 < cuts.length; i++) {
+    total += (cuts[i + 1] - cuts[i]) * f((cuts[i] + cuts[i + 1]) / 2);
+  }
+  return total;
+};
+
+export const leaderExpectedDiscrepancy = ({ p, initialValues, leaderIndex = 0, rounds = 1, deliveryMode = 'standard' }) => {
+  const mode = closedFormMode(deliveryMode);
+  if (!mode || !validInputs(p, initialValues)) return null;
+  const leader = Math.max(0, Math.min(initialValues.length - 1, leaderIndex));
+  const t = Math.pow(1 - p, rounds);
+  const lo = Math.min(...initialValues);
+  const hi = Math.max(...initialValues);
+  if (mode === 'process-dependent') return t * (hi - lo);
+
+  const leaderValue = initialValues[leader];
+  const followers = initialValues.filter((_, idx) => idx !== leader);
+  const above = integrateSteps(initialValues, leaderValue, hi,
+    (x) => 1 - Math.pow(1 - t, followers.filter((value) => value > x).length));
+  const below = integrateSteps(initialValues, lo, leaderValue,
+    (x) => 1 - Math.pow(1 - t, followers.filter((value) => value < x).length));
+  return above + below;
+};
+
+export const minExpectedDiscrepancy = ({ p, initialValues, rounds = 1, deliveryMode = 'standard' }) => {
+  const mode = closedFormMode(deliveryMode);
+  if (!mode || !validInputs(p, initialValues)) return null;
+  const n = initialValues.length;
+  const t = Math.pow(1 - p, rounds);
+  const atMost = (x) => initialValues.filter((value) => value <= x).length;
+  return integrateSteps(initialValues, Math.min(...initialValues), Math.max(...initialValues), (x) => {
+    const known = atMost(x);
+    return mode === 'process-dependent'
+      ? Math.pow(t, known)
+      : 1 - Math.pow(1 - Math.pow(t, known), n - known);
+  });
+};
+
+export const recursiveAmpTwoProcessDiscrepancy = ({ p, initialValues = [0, 1], meetingPoint = 0.5, rounds = 1, deliveryMode = 'standard' }) => {
+  const mode = closedFormMode(deliveryMode);
+  if (!mode || !validInputs(p, initialValues) || initialValues.length !== 2) return null;
+  const q = 1 - p;
+  const factor = q * q + 2 * p * q * meetingPoint + p * p * Math.abs(2 * meetingPoint - 1);
+  return Math.abs(initialValues[1] - initialValues[0]) * Math.pow(factor, rounds);
+};
+
+// k-of-n delivery: P(each of `targets` processes is reached by at least one of
+// `senders` processes), where a sender gets through with probability p and then
+// reaches k of its n - 1 peers uniformly. Senders are added one at a time over
+// the number of targets reached so far.
+export const partialBroadcastCoverage = (p, n, k, senders, targets) => {
+  if (targets === 0) return 1;
+  const choose = (a, b) => {
+    if (b < 0 || b > a) return 0;
+    let result = 1;
+    for (let i = 1; i <= b; i++) result = (result * (a - b + i)) / i;
+    return result;
+  };
+  const total = choose(n - 1, k);
+  let law = Array(targets + 1).fill(0);
+  law[0] = 1;
+  for (let s = 0; s < senders; s++) {
+    const next = law.map((prob) => prob * (1 - p));
+    law.forEach((prob, reached) => {
+      if (prob === 0) return;
+      const fresh = targets - reached;
+      for (let hits = 0; hits <= Math.min(fresh, k); hits++) {
+        next[reached + hits] += prob * p * choose(fresh, hits) * choose(n - 1 - fresh, k - hits) / total;
+      }
+    });
+    law = next;
+  }
+  return law[targets];
+};
@@ -0,0 +1,373 @@
+// Multi-round AMP / FV theory for n processes when every round is conditioned
+// on a progress event, the events that simulateRoundWithConditioning samples
+// for guaranteed mode (see delivery/conditioning.js).
+//
+// Under that sampler a process that heard a different value moves to the
+// meeting point of the current global range (AMP) or to the value it heard
+// (FV). Both rules commute with rescaling the values, so with two distinct
+// inputs the state is how many processes sit at the bottom, the meeting point
+// and the top of the current range, and each state carries E[range · 1{state}].
+// A round only needs the law of how many processes of each class hear a
+// different value given the event:
+//
+//   at-least-k       inclusion–exclusion over the number X of delivered
+//                    messages: every outcome's probability is kept as a
+//                    polynomial in z, where the coefficient of z^x is
+//                    P(outcome, X = x). Summing the coefficients with x ≥ K and
+//                    dividing by P(X ≥ K) gives the conditioned law
+//   every-receiver   receivers stay independent, each given ≥ 1 incoming message
+//   every-pair       two processes with different values cannot both miss each
+//                    other, so the ones that heard nothing different lie in a
+//                    single class: u of class i with probability
+//                    C(c_i, u)·s^(u·d_i)·(1 - s^(d_i))^(c_i - u), s = pq / (1 - q²),
+//                    d_i = processes outside class i, and everybody else moves
+//   connected        every strongly connected graph on n ≤ 4 processes
+//   broadcast        (and k-senders) only the broadcasters per class matter:
+//                    a class moves as a whole when some other class broadcast
+
+import { resolveAlgorithmId } from '../algorithms/registry.js';
+import { minimumBroadcasters, resolveConditioningEvent } from '../delivery/conditioning.js';
+import { normalizeProbabilitySchedule, scheduledProbability } from '../delivery/schedule.js';
+import { binomialRow } from './valueCounts.js';
+
+const CONDITIONED_ALGORITHMS = ['AMP', 'FV'];
+// Polynomial multiplications are O(n^4) each: past this the curve is not worth computing interactively
+const MAX_WORK = 5e7;
+// The connected law enumerates all 2^(n(n-1)) graphs
+const CONNECTED_MAX_PROCESSES = 4;
+
+const multiply = (a, b, budget) => {
+  budget.work += a.length * b.length;
+  const out = Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => {
+    if (x === 0) return;
+    b.forEach((y, j) => {
+      out[i + j] += x * y;
+    });
+  });
+  return out;
+};
+
+// Σ_{x ≥ K} (a·b)[x] without building a·b
+const tailOfProduct = (a, b, K) => {
+  const tail = Array(b.length + 1).fill(0);
+  for (let y = b.length - 1; y >= 0; y--) tail[y] = tail[y + 1] + b[y];
+  let total = 0;
+  a.forEach((x, i) => {
+    if (x !== 0) total += x * tail[Math.min(b.length, Math.max(0, K - i))];
+  });
+  return total;
+};
+
+const choose = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+};
+
+// Independent per-class laws [[P(0 movers), P(1), ...], ...] -> joint outcomes
+const productOutcomes = (laws) => {
+  const outcomes = [];
+  const walk = (i, prob, movers) => {
+    if (i === laws.length) {
+      if (prob > 0) outcomes.push({ movers, prob });
+      return;
+    }
+    laws[i].forEach((pk, k) => walk(i + 1, prob * pk, [...movers, k]));
+  };
+  walk(0, 1, []);
+  return outcomes;
+};
+
+// Outcomes of one class: [{ movers, poly }], poly in z = messages its receivers got
+const classOutcomes = (count, n, p, moves, budget) => {
+  if (count === 0) return [{ movers: 0, poly: [1] }];
+  if (!moves) return [{ movers: 0, poly: binomialRow(count * (n - 1), p) }];
+  const same = binomialRow(count - 1, p);
+  const other = binomialRow(n - count, p);
+  // Heard a different value (z-terms with at least one such message) or not
+  const change = multiply([0, ...other.slice(1)], same, budget);
+  const stay = same.map((x) => x * other[0]);
+  const changePowers = [[1]];
+  const stayPowers = [[1]];
+  for (let k = 1; k <= count; k++) {
+    changePowers.push(multiply(changePowers[k - 1], change, budget));
+    stayPowers.push(multiply(stayPowers[k - 1], stay, budget));
+  }
+  return changePowers.map((_, k) => ({
+    movers: k,
+    poly: multiply(changePowers[k], stayPowers[count - k], budget).map((x) => x * choose(count, k))
+  }));
+};
+
+const atLeastKLaw = (counts, { n, p, K, moves }, budget) => {
+  const accepted = binomialRow(n * (n - 1), p).slice(K).reduce((sum, x) => sum + x, 0);
+  if (!(accepted > 0)) return null;
+  const laws = counts.map((count, idx) => classOutcomes(count, n, p, moves[idx], budget));
+  if (budget.work > MAX_WORK) return null;
+  const outcomes = [];
+  const walk = (i, poly, movers) => {
+    if (i === laws.length - 1) {
+      laws[i].forEach(({ movers: last, poly: own }) => {
+        const prob = tailOfProduct(poly, own, K) / accepted;
+        if (prob > 0) outcomes.push({ movers: [...movers, last], prob });
+      });
+      return;
+    }
+    laws[i].forEach(({ movers: own, poly: ownPoly }) => walk(i + 1, multiply(poly, ownPoly, budget), [...movers, own]));
+  };
+  walk(0, [1], []);
+  return outcomes;
+};
+
+const everyReceiverLaw = (counts, { n, p }) => {
+  const q = 1 - p;
+  const heard = 1 - Math.pow(q, n - 1);
+  if (!(heard > 0)) return null;
+  return productOutcomes(counts.map((count) => {
+    const moveProb = (1 - Math.pow(q, n - count)) / heard;
+    return binomialRow(count, Math.min(1, moveProb));
+  }));
+};
+
+const everyPairLaw = (counts, { n, p }) => {
+  const q = 1 - p;
+  if (!(p > 0)) return null;
+  const s = (p * q) / (1 - q * q);
+  const outcomes = [];
+  let stayers = 0;
+  counts.forEach((count, i) => {
+    if (count === 0) return;
+    const missed = Math.pow(s, n - count);
+    for (let u = 1; u <= count; u++) {
+      const prob = choose(count, u) * Math.pow(missed, u) * Math.pow(1 - missed, count - u);
+      if (prob <= 0) continue;
+      stayers += prob;
+      outcomes.push({ movers: counts.map((other, j) => (j === i ? count - u : other)), prob });
+    }
+  });
+  outcomes.push({ movers: [...counts], prob: Math.max(0, 1 - stayers) });
+  return outcomes;
+};
+
+// Strongly connected graphs per n as [{ links: [[from, to], ...] }], built once
+const connectedGraphs = new Map();
+const stronglyConnectedGraphs = (n) => {
+  if (connectedGraphs.has(n)) return connectedGraphs.get(n);
+  const pairs = [];
+  for (let from = 0; from < n; from++) {
+    for (let to = 0; to < n; to++) {
+      if (from !== to) pairs.push([from, to]);
+    }
+  }
+  const reachesAll = (links, forward) => {
+    const seen = new Set([0]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      links.forEach(([from, to]) => {
+        const [a, b] = forward ? [from, to] : [to, from];
+        if (seen.has(a) && !seen.has(b)) {
+          seen.add(b);
+          grew = true;
+        }
+      });
+    }
+    return seen.size === n;
+  };
+  const graphs = [];
+  for (let mask = 0; mask < (1 << pairs.length); mask++) {
+    const links = pairs.filter((_, idx) => mask & (1 << idx));
+    if (links.length >= n && reachesAll(links, true) && reachesAll(links, false)) graphs.push({ links });
+  }
+  connectedGraphs.set(n, graphs);
+  return graphs;
+};
+
+const connectedLaw = (counts, { n, p }) => {
+  if (n > CONNECTED_MAX_PROCESSES || !(p > 0)) return null;
+  const M = n * (n - 1);
+  // Processes labelled by class in order: the first counts[0] are class 0, ...
+  const classOf = counts.flatMap((count, idx) => Array(count).fill(idx));
+  const law = new Map();
+  let accepted = 0;
+  stronglyConnectedGraphs(n).forEach(({ links }) => {
+    const prob = Math.pow(p, links.length) * Math.pow(1 - p, M - links.length);
+    const moved = new Set(links.filter(([from, to]) => classOf[from] !== classOf[to]).map(([, to]) => to));
+    const movers = counts.map(() => 0);
+    moved.forEach((process) => {
+      movers[classOf[process]] += 1;
+    });
+    const key = movers.join(',');
+    const existing = law.get(key);
+    if (existing) existing.prob += prob;
+    else law.set(key, { movers, prob });
+    accepted += prob;
+  });
+  if (!(accepted > 0)) return null;
+  return Array.from(law.values()).map(({ movers, prob }) => ({ movers, prob: prob / accepted }));
+};
+
+// Broadcasters per class given at least `minimum` of them; a class moves when another one broadcast
+const broadcastLaw = (counts, { n, p, minimum }) => {
+  const row = binomialRow(n, p);
+  const accepted = row.slice(Math.max(0, minimum)).reduce((sum, x) => sum + x, 0);
+  if (minimum > n || !(accepted > 0)) return null;
+  const outcomes = [];
+  const walk = (i, weight, broadcasters) => {
+    if (i === counts.length) {
+      const total = broadcasters.reduce((sum, b) => sum + b, 0);
+      if (total < minimum) return;
+      const prob = (weight * Math.pow(p, total) * Math.pow(1 - p, n - total)) / accepted;
+      if (prob <= 0) return;
+      outcomes.push({
+        movers: counts.map((count, idx) => (total - broadcasters[idx] > 0 ? count : 0)),
+        prob
+      });
+      return;
+    }
+    for (let b = 0; b <= counts[i]; b++) walk(i + 1, weight * choose(counts[i], b), [...broadcasters, b]);
+  };
+  walk(0, 1, []);
+  return outcomes;
+};
+
+// Classes sit at the sorted values of `positions`; returns the rescaled counts and the range factor
+const rescale = (counts, positions) => {
+  const present = positions.filter((_, idx) => counts[idx] > 0);
+  const lo = present[0];
+  const range = present[present.length - 1] - lo;
+  if (present.length < 2 || range <= 0) return null;
+  const next = positions.map(() => 0);
+  counts.forEach((count, idx) => {
+    if (count === 0) return;
+    const value = (positions[idx] - lo) / range;
+    const target = positions.findIndex((position) => Math.abs(position - value) < 1e-12);
+    next[target] += count;
+  });
+  return { counts: next, range };
+};
+
+const outcomeLaw = (counts, setup, budget) => {
+  const { eventId, broadcast, n, K } = setup;
+  if (broadcast) return broadcastLaw(counts, { ...setup, minimum: minimumBroadcasters(eventId, n, K) });
+  switch (eventId) {
+    case 'every-receiver':
+      return everyReceiverLaw(counts, setup);
+    case 'every-pair':
+      return everyPairLaw(counts, setup);
+    case 'connected':
+      return connectedLaw(counts, setup);
+    default:
+      return atLeastKLaw(counts, setup, budget);
+  }
+};
+
+const stepRound = (states, setup, budget) => {
+  const { algorithm, positions, meeting } = setup;
+  const moveTo = (idx) => (algorithm === 'AMP' ? meeting : positions.length - 1 - idx);
+  const moves = positions.map((_, idx) => moveTo(idx) !== idx);
+  const next = new Map();
+  let expected = 0;
+
+  for (const { counts, weight } of states.values()) {
+    const outcomes = outcomeLaw(counts, { ...setup, moves }, budget);
+    if (!outcomes || budget.work > MAX_WORK) return null;
+    outcomes.forEach(({ movers, prob }) => {
+      const updated = [...counts];
+      movers.forEach((count, idx) => {
+        if (!moves[idx]) return;
+        updated[idx] -= count;
+        updated[moveTo(idx)] += count;
+      });
+      const rescaled = rescale(updated, positions);
+      if (!rescaled) return;
+      const key = rescaled.counts.join(',');
+      const contribution = weight * prob * rescaled.range;
+      const existing = next.get(key);
+      if (existing) existing.weight += contribution;
+      else next.set(key, { counts: rescaled.counts, weight: contribution });
+      expected += contribution;
+    });
+  }
+  return { states: next, expected };
+};
+
+// E[D] after every round (index 0 = initial discrepancy) with every round
+// conditioned on the event (at least minK delivered messages by default).
+// Null outside AMP/FV, when the inputs take more than two distinct values, or
+// for connected graphs past CONNECTED_MAX_PROCESSES.
+export const conditionedDiscrepancyByRound = ({
+  p,
+  algorithm = 'auto',
+  initialValues,
+  meetingPoint = 0.5,
+  rounds = 1,
+  minK = 1,
+  pSchedule = null,
+  event,
+  broadcast = false
+}) => {
+  if (!Array.isArray(initialValues) || initialValues.length < 2) return null;
+  if (!initialValues.every((value) => Number.isFinite(value))) return null;
+  const n = initialValues.length;
+  const distinct = Array.from(new Set(initialValues)).sort((a, b) => a - b);
+  if (distinct.length > 2) return null;
+  const schedule = normalizeProbabilitySchedule(pSchedule);
+  const { id: eventId, broadcastOnly } = resolveConditioningEvent(event);
+  const K = eventId === 'k-senders'
+    ? Math.max(1, Math.floor(minK))
+    : Math.min(n * (n - 1), Math.max(1, Math.floor(minK)));
+
+  const byRound = [distinct[distinct.length - 1] - distinct[0]];
+  const budget = { work: 0 };
+  let states = null;
+  for (let r = 1; r <= rounds; r++) {
+    const roundP = Number(scheduledProbability(schedule, p, r));
+    if (!Number.isFinite(roundP) || roundP < 0 || roundP > 1) return null;
+    const algo = resolveAlgorithmId(algorithm, roundP);
+    if (!CONDITIONED_ALGORITHMS.includes(algo)) return null;
+    const positions = algo === 'AMP'
+      ? Array.from(new Set([0, meetingPoint, 1])).sort((a, b) => a - b)
+      : [0, 1];
+    if (!states) {
+      // Inputs at the bottom and top of the initial range
+      const counts = positions.map((position) => (position === 0
+        ? initialValues.filter((value) => value === distinct[0]).length
+        : position === 1 ? initialValues.filter((value) => value === distinct[1]).length : 0));
+      states = new Map();
+      if (distinct.length === 2) states.set(counts.join(','), { counts, weight: byRound[0] });
+    } else if (states.size > 0 && states.values().next().value.counts.length !== positions.length) {
+      // 'auto' switched between AMP and FV. FV only has a law for two values,
+      // so a switch with processes still at the meeting point is out of reach
+      const remapped = new Map();
+      for (const { counts, weight } of states.values()) {
+        if (positions.length < counts.length && counts.slice(1, -1).some((count) => count > 0)) return null;
+        const moved = positions.map((position) => (position === 0
+          ? counts[0]
+          : position === 1 ? counts[counts.length - 1] : 0));
+        remapped.set(moved.join(','), { counts: moved, weight });
+      }
+      states = remapped;
+    }
+    const result = stepRound(states, {
+      n,
+      p: roundP,
+      K,
+      eventId,
+      broadcast: broadcast || Boolean(broadcastOnly),
+      algorithm: algo,
+      positions,
+      meeting: positions.indexOf(meetingPoint)
+    }, budget);
+    if (!result) return null;
+    states = result.states;
+    byRound.push(result.expected);
+  }
+  return byRound;
+};
+
+export const conditionedExpectedDiscrepancy = (config) => {
+  const byRound = conditionedDiscrepancyByRound(config);
+  return byRound ? byRound[byRound.length - 1] : null;
+};
@@ -0,0 +1,458 @@
+// Exact expected discrepancy by enumerating delivery patterns (small n).
+// Instead of a hand-derived formula, every delivery pattern of a round is
+// weighted by its probability and pushed through the algorithm's own decide()
+// from the registry, exactly as simulateRound would. Rounds are chained over
+// the distribution of reachable states, so multi-round values are exact too.
+//
+//   standard / guaranteed   all 2^(n(n-1)) link patterns. Links are independent,
+//                           so each receiver's 2^(n-1) incoming patterns are
+//                           enumerated separately and the joint law is their
+//                           product. Guaranteed replaces the all-lost pattern
+//                           by one uniformly forced link, as simulateRound does.
+//   process-dependent       all 2^n sender patterns (broadcast)
+//   receiver-dependent      each receiver hears everybody or nobody, independently
+//   k-of-n                  every sender fails or reaches one of the C(n-1, k)
+//                           receiver sets, (1 + C(n-1, k))^n joint patterns
+//
+// Decisions that call random() (FV picking among different values) are
+// averaged over RANDOM_GRID equally spaced draws, which is exact for uniform
+// choices among up to 6 candidates.
+//
+// The same enumeration runs over two kinds of weights: numbers for a fixed p,
+// or polynomials in p with rational coefficients (exactDiscrepancyPolynomial).
+
+import { getAlgorithm, resolveAlgorithmId } from '../algorithms/registry.js';
+import { getDeliveryParams, partialBroadcastSize, resolveDeliveryModel } from '../delivery/registry.js';
+import { normalizeProbabilitySchedule, scheduledProbability } from '../delivery/schedule.js';
+import {
+  ONE_POLYNOMIAL,
+  ZERO_POLYNOMIAL,
+  addPolynomials,
+  constantPolynomial,
+  isZeroPolynomial,
+  linkPolynomial,
+  multiplyPolynomials,
+  polynomialFromNumber
+} from './polynomial.js';
+
+export const EXACT_MAX_PROCESSES = 5;
+export const EXACT_DELIVERY_MODES = ['standard', 'guaranteed', 'process-dependent', 'receiver-dependent', 'k-of-n'];
+
+const RANDOM_GRID = 60;
+// Past these sizes the state space is too large to evaluate interactively
+const MAX_STATES = 4096;
+const MAX_WORK = 2e5;
+
+// Weight arithmetic: plain numbers for one p, exact polynomials for symbolic output
+const numericWeights = (p) => ({
+  zero: 0,
+  one: 1,
+  fraction: (num, den) => num / den,
+  add: (a, b) => a + b,
+  mul: (a, b) => a * b,
+  links: (delivered, lost) => Math.pow(p, delivered) * Math.pow(1 - p, lost),
+  isZero: (w) => w === 0,
+  negligible: (w) => w <= 1e-15,
+  fromValue: (x) => x
+});
+
+const polynomialWeights = {
+  zero: ZERO_POLYNOMIAL,
+  one: ONE_POLYNOMIAL,
+  fraction: constantPolynomial,
+  add: addPolynomials,
+  mul: multiplyPolynomials,
+  links: linkPolynomial,
+  isZero: isZeroPolynomial,
+  negligible: isZeroPolynomial,
+  fromValue: polynomialFromNumber
+};
+
+const stateKey = (values, known) =>
+  known ? `${values.join(',')}|${known.map((set) => set.join(',')).join('/')}` : values.join(',');
+
+const addTo = (map, key, entry, weight, arith) => {
+  const existing = map.get(key);
+  if (existing) existing.prob = arith.add(existing.prob, weight);
+  else map.set(key, { ...entry, prob: weight });
+};
+
+// Outcome law of process i for one incoming sender set (ascending sender order)
+const decideOutcomes = (definition, ctx, arith) => {
+  const { index, values, known, senders, originalValues, leaderIndex, meetingPoint, options } = ctx;
+  const received = senders.map((j) => values[j]);
+  const myValue = values[index];
+  let nextKnown = null;
+  if (known) {
+    const set = new Set(known[index]);
+    received.forEach((value) => set.add(value));
+    if (definition.requires.originalValues) set.add(originalValues[index]);
+    nextKnown = Array.from(set).sort((a, b) => a - b);
+  }
+
+  const run = (random) => definition.decide({
+    index,
+    myValue,
+    received,
+    senders,
+    knownValues: nextKnown ? new Set(nextKnown) : null,
+    leaderIndex,
+    leaderMessage: definition.requires.leader && senders.includes(leaderIndex)
+      ? { value: values[leaderIndex] }
+      : null,
+    meetingPoint,
+    processCount: values.length,
+    random,
+    options
+  });
+
+  let calls = 0;
+  const probe = run(() => {
+    calls += 1;
+    return 0.5;
+  });
+  if (calls === 0) return [{ value: probe, known: nextKnown, weight: arith.one }];
+
+  const counts = new Map();
+  for (let k = 0; k < RANDOM_GRID; k++) {
+    const draw = (k + 0.5) / RANDOM_GRID;
+    const value = run(() => draw);
+    const key = String(value);
+    counts.set(key, { value, count: (counts.get(key)?.count || 0) + 1 });
+  }
+  return Array.from(counts.values()).map(({ value, count }) => ({
+    value,
+    known: nextKnown,
+    weight: arith.fraction(count, RANDOM_GRID)
+  }));
+};
+
+// Cartesian product of per-process outcome laws, accumulated into `next`
+const combine = (laws, weight, next, budget, arith) => {
+  const size = laws.reduce((product, law) => product * law.length, 1);
+  budget.work += size;
+  if (budget.work > MAX_WORK) return;
+  const n = laws.length;
+  const values = Array(n);
+  const known = laws[0][0].known ? Array(n) : null;
+  const walk = (i, prob) => {
+    if (i === n) {
+      addTo(next, stateKey(values, known), { values: [...values], known: known ? [...known] : null }, prob, arith);
+      return;
+    }
+    laws[i].forEach((outcome) => {
+      values[i] = outcome.value;
+      if (known) known[i] = outcome.known;
+      walk(i + 1, arith.mul(prob, outcome.weight));
+    });
+  };
+  walk(0, weight);
+};
+
+// Merge the outcomes of several incoming patterns of one process into one law
+const mergeLaw = (entries, arith) => {
+  const merged = new Map();
+  entries.forEach(({ outcomes, weight }) => {
+    if (arith.isZero(weight)) return;
+    outcomes.forEach((outcome) => {
+      const key = outcome.known ? `${outcome.value}|${outcome.known.join(',')}` : String(outcome.value);
+      addTo(merged, key, { value: outcome.value, known: outcome.known }, arith.mul(weight, outcome.weight), arith);
+    });
+  });
+  return Array.from(merged.values()).map(({ value, known, prob }) => ({ value, known, weight: prob }));
+};
+
+const sendersOf = (mask, receiver, n) => {
+  const senders = [];
+  for (let j = 0; j < n; j++) {
+    if (j !== receiver && (mask & (1 << j))) senders.push(j);
+  }
+  return senders;
+};
+
+// Every k-subset of the processes other than `sender`
+const receiverSets = (sender, n, k) => {
+  const sets = [];
+  const walk = (start, chosen) => {
+    if (chosen.length === k) {
+      sets.push(chosen);
+      return;
+    }
+    for (let j = start; j < n; j++) {
+      if (j !== sender) walk(j + 1, [...chosen, j]);
+    }
+  };
+  walk(0, []);
+  return sets;
+};
+
+const popcount = (mask) => {
+  let count = 0;
+  for (let m = mask; m; m >>= 1) count += m & 1;
+  return count;
+};
+
+// Known-value sets only enter the state when decide() actually reads them (MIN does,
+// RECURSIVE AMP only declares them), otherwise they would split identical states
+const readsKnownValues = (definition, values) => {
+  let read = false;
+  const ctx = {
+    index: 0,
+    myValue: values[0],
+    received: values.slice(1),
+    senders: values.slice(1).map((_, idx) => idx + 1),
+    leaderIndex: 0,
+    leaderMessage: null,
+    meetingPoint: 0.5,
+    processCount: values.length,
+    random: () => 0.5,
+    options: {}
+  };
+  Object.defineProperty(ctx, 'knownValues', {
+    enumerable: true,
+    get: () => {
+      read = true;
+      return new Set(values);
+    }
+  });
+  definition.decide(ctx);
+  return read;
+};
+
+const discrepancyOf = (values) => Math.max(...values) - Math.min(...values);
+
+// One round applied to every state of the current law
+const stepRound = (states, setup, budget) => {
+  const { n, arith, modeId, definition, holdValues, finalRound, partialSize } = setup;
+  const next = new Map();
+  // Every state needs at least n·2^(n-1) decisions; bail out before starting a round that cannot finish
+  if (budget.work + states.size * n * (1 << (n - 1)) > MAX_WORK) return null;
+
+  for (const state of states.values()) {
+    const outcomesFor = (index, senders) => {
+      if (!definition) return [{ value: state.values[index], known: null, weight: arith.one }];
+      budget.work += 1;
+      return decideOutcomes(definition, { ...setup.ctx, index, senders, values: state.values, known: state.known }, arith)
+        .map((outcome) => (holdValues && !finalRound ? { ...outcome, value: state.values[index] } : outcome));
+    };
+
+    if (modeId === 'process-dependent') {
+      for (let mask = 0; mask < (1 << n); mask++) {
+        const k = popcount(mask);
+        const weight = arith.mul(state.prob, arith.links(k, n - k));
+        if (arith.isZero(weight)) continue;
+        const laws = Array.from({ length: n }, (_, i) => outcomesFor(i, sendersOf(mask, i, n)));
+        combine(laws, weight, next, budget, arith);
+      }
+    } else if (modeId === 'k-of-n') {
+      const choices = Array.from({ length: n }, (_, sender) => receiverSets(sender, n, partialSize));
+      const share = arith.fraction(1, choices[0].length);
+      const incoming = Array.from({ length: n }, () => []);
+      const cache = new Map();
+      const lawOf = (i) => {
+        const key = `${i}|${incoming[i].join(',')}`;
+        if (!cache.has(key)) cache.set(key, outcomesFor(i, [...incoming[i]].sort((a, b) => a - b)));
+        return cache.get(key);
+      };
+      const walk = (sender, weight) => {
+        if (budget.work > MAX_WORK) return;
+        if (sender === n) {
+          combine(Array.from({ length: n }, (_, i) => lawOf(i)), weight, next, budget, arith);
+          return;
+        }
+        walk(sender + 1, arith.mul(weight, arith.links(0, 1)));
+        const through = arith.mul(weight, arith.mul(arith.links(1, 0), share));
+        if (arith.isZero(through)) return;
+        choices[sender].forEach((receivers) => {
+          receivers.forEach((to) => incoming[to].push(sender));
+          walk(sender + 1, through);
+          receivers.forEach((to) => incoming[to].pop());
+        });
+      };
+      walk(0, state.prob);
+    } else if (modeId === 'receiver-dependent') {
+      const all = (1 << n) - 1;
+      const laws = Array.from({ length: n }, (_, i) => mergeLaw([
+        { outcomes: outcomesFor(i, sendersOf(all, i, n)), weight: arith.links(1, 0) },
+        { outcomes: outcomesFor(i, []), weight: arith.links(0, 1) }
+      ], arith));
+      combine(laws, state.prob, next, budget, arith);
+    } else {
+      // Incoming patterns per receiver: 2^(n-1) masks over the other processes
+      const incoming = Array.from({ length: n }, (_, i) => {
+        const entries = [];
+        for (let mask = 0; mask < (1 << n); mask++) {
+          if (mask & (1 << i)) continue;
+          const k = popcount(mask);
+          entries.push({ mask, outcomes: outcomesFor(i, sendersOf(mask, i, n)), weight: arith.links(k, n - 1 - k) });
+        }
+        return entries;
+      });
+      combine(incoming.map((entries) => mergeLaw(entries, arith)), state.prob, next, budget, arith);
+
+      if (modeId === 'guaranteed') {
+        // Nothing arrived (probability q^(n(n-1))): one link is forced uniformly instead
+        const silent = arith.mul(state.prob, arith.links(0, n * (n - 1)));
+        if (!arith.isZero(silent)) {
+          const idle = incoming.map((entries) => entries.find((entry) => entry.mask === 0).outcomes);
+          combine(idle, arith.mul(silent, arith.fraction(-1, 1)), next, budget, arith);
+          const perLink = arith.mul(silent, arith.fraction(1, n * (n - 1)));
+          for (let from = 0; from < n; from++) {
+            for (let to = 0; to < n; to++) {
+              if (from === to) continue;
+              const laws = idle.map((outcomes, i) => (i === to ? outcomesFor(i, [from]) : outcomes));
+              combine(laws, perLink, next, budget, arith);
+            }
+          }
+        }
+      }
+    }
+    if (budget.work > MAX_WORK) return null;
+  }
+
+  // Drop states that cancelled out (guaranteed subtracts the all-lost pattern)
+  for (const [key, state] of next) {
+    if (arith.negligible(state.prob)) next.delete(key);
+  }
+  return next.size > MAX_STATES ? null : next;
+};
+
+const expectation = (states, arith) => {
+  let total = arith.zero;
+  for (const state of states.values()) {
+    total = arith.add(total, arith.mul(state.prob, arith.fromValue(discrepancyOf(state.values))));
+  }
+  return total;
+};
+
+const checkSetup = (initialValues, deliveryMode, deliveryParams) => {
+  const n = Array.isArray(initialValues) ? initialValues.length : 0;
+  if (n < 2 || n > EXACT_MAX_PROCESSES) return null;
+  if (!initialValues.every((value) => Number.isFinite(value))) return null;
+  const modeId = resolveDeliveryModel(deliveryMode).id;
+  if (!EXACT_DELIVERY_MODES.includes(modeId)) return null;
+  return { n, modeId, partialSize: partialBroadcastSize(getDeliveryParams('k-of-n', deliveryParams), n) };
+};
+
+// Chains the rounds; roundSetup(r) gives that round's weights and algorithm id
+const enumerateRounds = ({ algorithm, initialValues, rounds, meetingPoint, leaderIndex }, { n, modeId, partialSize }, roundSetup) => {
+  const baseDefinition = getAlgorithm(algorithm);
+  // SWEEP runs two broadcast phases per sweep, like runExperiment
+  const steps = algorithm === 'SWEEP' ? rounds * 2 : rounds;
+  const tracksKnown = Boolean(baseDefinition?.requires.knownValues && baseDefinition.decide) &&
+    readsKnownValues(baseDefinition, initialValues);
+
+  const first = roundSetup(1).arith;
+  let states = new Map();
+  const known = tracksKnown ? initialValues.map((value) => [value]) : null;
+  states.set(stateKey(initialValues, known), { values: [...initialValues], known, prob: first.one });
+
+  const byRound = [first.fromValue(discrepancyOf(initialValues))];
+  const budget = { work: 0 };
+  for (let r = 1; r <= steps; r++) {
+    const { arith, algo } = roundSetup(r);
+    const definition = getAlgorithm(algo);
+    const { constraints = {} } = definition || {};
+    const canDecide = Boolean(definition?.decide) &&
+      (constraints.processCount == null || constraints.processCount === n);
+    if (definition && !definition.decide) return null;
+
+    states = stepRound(states, {
+      n,
+      arith,
+      modeId,
+      partialSize,
+      definition: canDecide ? definition : null,
+      // MIN keeps its value until the last round, then takes the minimum it knows
+      holdValues: algo === 'MIN',
+      finalRound: r === steps,
+      ctx: {
+        originalValues: initialValues,
+        leaderIndex: Math.max(0, Math.min(n - 1, leaderIndex)),
+        meetingPoint,
+        options: { sweepPhase: algorithm === 'SWEEP' ? (r - 1) % 2 : undefined }
+      }
+    }, budget);
+    if (!states) return null;
+    byRound.push(expectation(states, arith));
+  }
+  return byRound;
+};
+
+// E[D] after every round (index 0 = initial discrepancy), or null when the
+// configuration is outside the evaluator (n > 5, other delivery models, too many states)
+export const exactDiscrepancyByRound = ({
+  p,
+  algorithm = 'auto',
+  initialValues,
+  rounds = 1,
+  deliveryMode = 'standard',
+  meetingPoint = 0.5,
+  leaderIndex = 0,
+  pSchedule = null,
+  deliveryParams = {}
+}) => {
+  const setup = checkSetup(initialValues, deliveryMode, deliveryParams);
+  if (!setup) return null;
+  const schedule = normalizeProbabilitySchedule(pSchedule);
+  return enumerateRounds({ algorithm, initialValues, rounds, meetingPoint, leaderIndex }, setup, (r) => {
+    const roundP = Number(scheduledProbability(schedule, p, r));
+    return { arith: numericWeights(roundP), algo: resolveAlgorithmId(algorithm, roundP) };
+  });
+};
+
+export const exactExpectedDiscrepancy = (config) => {
+  const byRound = exactDiscrepancyByRound(config);
+  return byRound ? byRound[byRound.length - 1] : null;
+};
+
+// Where resolve() switches algorithm inside [0, 1] ('auto' switches at p = 1/2)
+const RESOLVE_GRID = 200;
+const resolvedPieces = (algorithm) => {
+  const entry = getAlgorithm(algorithm);
+  if (typeof entry?.resolve !== 'function') return [{ algorithm, from: 0, to: 1, includesTo: true }];
+  const pieces = [{ algorithm: entry.resolve(0), from: 0 }];
+  for (let k = 1; k <= RESOLVE_GRID; k++) {
+    const id = entry.resolve(k / RESOLVE_GRID);
+    const last = pieces[pieces.length - 1];
+    if (id === last.algorithm) continue;
+    let lo = (k - 1) / RESOLVE_GRID;
+    let hi = k / RESOLVE_GRID;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (entry.resolve(mid) === last.algorithm) lo = mid;
+      else hi = mid;
+    }
+    last.to = Math.round(lo * 1e9) / 1e9;
+    pieces.push({ algorithm: id, from: last.to });
+  }
+  pieces[pieces.length - 1].to = 1;
+  // Whether each boundary belongs to the piece on its left
+  return pieces.map((piece) => ({ ...piece, includesTo: entry.resolve(piece.to) === piece.algorithm }));
+};
+
+// E[D] after the last round as exact polynomials in p, one per algorithm that
+// 'auto'-style entries resolve to: [{ algorithm, from, to, includesTo, polynomial }].
+// Round-dependent p schedules are not polynomial in p and return null.
+export const exactDiscrepancyPolynomial = ({
+  algorithm = 'auto',
+  initialValues,
+  rounds = 1,
+  deliveryMode = 'standard',
+  meetingPoint = 0.5,
+  leaderIndex = 0,
+  pSchedule = null,
+  deliveryParams = {}
+}) => {
+  const setup = checkSetup(initialValues, deliveryMode, deliveryParams);
+  if (!setup || normalizeProbabilitySchedule(pSchedule)) return null;
+  const pieces = resolvedPieces(algorithm);
+  const results = [];
+  for (const piece of pieces) {
+    const byRound = enumerateRounds({ algorithm: piece.algorithm, initialValues, rounds, meetingPoint, leaderIndex }, setup,
+      () => ({ arith: polynomialWeights, algo: piece.algorithm }));
+    if (!byRound) return null;
+    results.push({ ...piece, polynomial: byRound[byRound.length - 1] });
+  }
+  return results;
+};
@@ -0,0 +1,149 @@
+// Polynomials in p with exact rational coefficients.
+// A polynomial is { den, coeffs }: coeffs[k] / den is the coefficient of p^k,
+// with BigInt integers kept reduced (gcd 1, den > 0, no trailing zeros).
+
+const ZERO = 0n;
+const ONE = 1n;
+
+const abs = (x) => (x < ZERO ? -x : x);
+
+const gcd = (a, b) => {
+  let x = abs(a);
+  let y = abs(b);
+  while (y) [x, y] = [y, x % y];
+  return x;
+};
+
+const normalize = (coeffs, den) => {
+  let end = coeffs.length;
+  while (end > 0 && coeffs[end - 1] === ZERO) end -= 1;
+  const trimmed = coeffs.slice(0, end);
+  if (trimmed.length === 0) return { den: ONE, coeffs: [] };
+  let g = den < ZERO ? -den : den;
+  for (const c of trimmed) {
+    if (g === ONE) break;
+    g = gcd(g, c);
+  }
+  const sign = den < ZERO ? -ONE : ONE;
+  return { den: (den * sign) / g, coeffs: trimmed.map((c) => (c * sign) / g) };
+};
+
+export const constantPolynomial = (num, den = 1) => normalize([BigInt(num)], BigInt(den));
+
+export const ZERO_POLYNOMIAL = constantPolynomial(0);
+export const ONE_POLYNOMIAL = constantPolynomial(1);
+
+export const isZeroPolynomial = (poly) => poly.coeffs.length === 0;
+
+export const addPolynomials = (a, b) => {
+  if (isZeroPolynomial(a)) return b;
+  if (isZeroPolynomial(b)) return a;
+  const g = gcd(a.den, b.den);
+  const fa = b.den / g;
+  const fb = a.den / g;
+  const length = Math.max(a.coeffs.length, b.coeffs.length);
+  const coeffs = Array.from({ length }, (_, k) => (a.coeffs[k] ?? ZERO) * fa + (b.coeffs[k] ?? ZERO) * fb);
+  return normalize(coeffs, a.den * fa);
+};
+
+export const multiplyPolynomials = (a, b) => {
+  if (isZeroPolynomial(a) || isZeroPolynomial(b)) return ZERO_POLYNOMIAL;
+  const coeffs = Array(a.coeffs.length + b.coeffs.length - 1).fill(ZERO);
+  a.coeffs.forEach((x, i) => {
+    if (x === ZERO) return;
+    b.coeffs.forEach((y, j) => {
+      coeffs[i + j] += x * y;
+    });
+  });
+  return normalize(coeffs, a.den * b.den);
+};
+
+const binomialBig = (n, k) => {
+  let result = ONE;
+  for (let i = 1; i <= k; i++) result = (result * BigInt(n - i + 1)) / BigInt(i);
+  return result;
+};
+
+const linkCache = new Map();
+
+// p^k · (1 - p)^m
+export const linkPolynomial = (k, m) => {
+  const key = `${k},${m}`;
+  if (!linkCache.has(key)) {
+    const coeffs = Array(k + m + 1).fill(ZERO);
+    for (let j = 0; j <= m; j++) {
+      coeffs[k + j] = (j % 2 === 0 ? ONE : -ONE) * binomialBig(m, j);
+    }
+    linkCache.set(key, normalize(coeffs, ONE));
+  }
+  return linkCache.get(key);
+};
+
+// Simplest fraction that reproduces a double (continued fractions), so that
+// 0.3 becomes 3/10 rather than its 54-bit binary expansion
+export const rationalFromNumber = (x, maxDen = 1e9) => {
+  if (!Number.isFinite(x)) return null;
+  const sign = x < 0 ? -1 : 1;
+  let rest = Math.abs(x);
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  for (let i = 0; i < 64; i++) {
+    const a = Math.floor(rest);
+    [h0, h1] = [h1, a * h1 + h0];
+    [k0, k1] = [k1, a * k1 + k0];
+    if (k1 > maxDen) return { num: BigInt(Math.round(sign * h0)), den: BigInt(k0) };
+    if (Math.abs(h1 / k1 - Math.abs(x)) <= 1e-12 * Math.max(1, Math.abs(x))) break;
+    const frac = rest - a;
+    if (frac === 0) break;
+    rest = 1 / frac;
+  }
+  return { num: BigInt(sign * h1), den: BigInt(k1) };
+};
+
+export const polynomialFromNumber = (x) => {
+  const { num, den } = rationalFromNumber(x);
+  return normalize([num], den);
+};
+
+export const evaluatePolynomial = (poly, p) => {
+  let total = 0;
+  for (let k = poly.coeffs.length - 1; k >= 0; k--) total = total * p + Number(poly.coeffs[k]);
+  return total / Number(poly.den);
+};
+
+// Reduced rational coefficients, lowest power first
+export const polynomialCoefficients = (poly) => poly.coeffs.map((c) => {
+  const g = gcd(c, poly.den) || ONE;
+  return { num: c / g, den: poly.den / g };
+});
+
+const SUPERSCRIPTS = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+const power = (variable, k, format) => {
+  if (k === 0) return '';
+  if (k === 1) return variable;
+  return format === 'latex'
+    ? `${variable}^{${k}}`
+    : `${variable}${String(k).split('').map((digit) => SUPERSCRIPTS[digit]).join('')}`;
+};
+
+// "1 - 2p + 4p² - 4p³ + p⁴" (text) or "1 - 2p + 4p^{2} - 4p^{3} + p^{4}" (latex)
+export const formatPolynomial = (poly, { format = 'text', variable = 'p' } = {}) => {
+  const terms = polynomialCoefficients(poly)
+    .map((coefficient, k) => ({ ...coefficient, k }))
+    .filter(({ num }) => num !== ZERO);
+  if (terms.length === 0) return '0';
+
+  return terms.map(({ num, den, k }, idx) => {
+    const negative = num < ZERO;
+    const magnitude = abs(num);
+    const sign = idx === 0 ? (negative ? '-' : '') : (negative ? ' - ' : ' + ');
+    const unit = magnitude === ONE && den === ONE && k > 0;
+    let coefficient = '';
+    if (!unit) {
+      if (den === ONE) coefficient = String(magnitude);
+      else coefficient = format === 'latex' ? `\\frac{${magnitude}}{${den}}` : `${magnitude}/${den}`;
+    }
+    const separator = coefficient && k > 0 && format !== 'latex' && den !== ONE ? '·' : '';
+    return `${sign}${coefficient}${separator}${power(variable, k, format)}`;
+  }).join('');
+};
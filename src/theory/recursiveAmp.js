@@ -0,0 +1,175 @@
+// Multi-round RECURSIVE AMP theory for n processes and any initial values.
+// The rule new = a·own + (1 - a)·avg(received) commutes with shifting and
+// scaling every value and with relabelling the processes, so a state only
+// matters through its shape: the sorted values rescaled to [0, 1]. The law is
+// pushed round by round over shapes, each carrying E[range · 1{shape}], and
+// E[D] after a round is the sum of those weights. States that already agree
+// stay in agreement and are dropped.
+//
+//   standard            receivers are independent: each one's 2^(n-1) incoming
+//                       patterns give its own law, the state law is their product
+//   process-dependent   the 2^n broadcaster sets decide every process at once
+//
+// Two processes have the closed form in closedForms.js; this covers n > 2 for as
+// many rounds as the number of shapes stays small.
+
+import { resolveDeliveryModel } from '../delivery/registry.js';
+
+const SHAPE_MODES = ['standard', 'process-dependent'];
+// Shapes closer than this are merged (values are rounded before keying)
+const KEY_PRECISION = 1e12;
+const AGREEMENT = 1e-12;
+const MAX_SHAPES = 20000;
+// Work counts value updates (n per outcome)
+const MAX_WORK = 1e6;
+
+const decide = (own, received, a) => (received.length === 0
+  ? own
+  : a * own + (1 - a) * (received.reduce((sum, value) => sum + value, 0) / received.length));
+
+// Rescales `values` to a sorted shape in [0, 1]; null when every value agrees
+const toShape = (values) => {
+  const lo = Math.min(...values);
+  const range = Math.max(...values) - lo;
+  if (range <= AGREEMENT) return null;
+  const shape = values.map((value) => Math.round(((value - lo) / range) * KEY_PRECISION) / KEY_PRECISION)
+    .sort((x, y) => x - y);
+  return { shape, range, key: shape.join(',') };
+};
+
+// Adds the state to `map` and returns its contribution to E[D]
+const addShape = (map, values, weight) => {
+  if (weight === 0) return 0;
+  const next = toShape(values);
+  if (!next) return 0;
+  const existing = map.get(next.key);
+  if (existing) existing.weight += weight * next.range;
+  else map.set(next.key, { shape: next.shape, weight: weight * next.range });
+  return weight * next.range;
+};
+
+const sendersOf = (mask, receiver, n) => {
+  const senders = [];
+  for (let j = 0; j < n; j++) {
+    if (j !== receiver && (mask & (1 << j))) senders.push(j);
+  }
+  return senders;
+};
+
+const linkWeight = (p, delivered, lost) => Math.pow(p, delivered) * Math.pow(1 - p, lost);
+
+// Law of one receiver's next value: [{ value, prob }]
+const receiverLaw = (shape, i, p, a) => {
+  const n = shape.length;
+  const law = new Map();
+  for (let mask = 0; mask < (1 << n); mask++) {
+    if (mask & (1 << i)) continue;
+    const senders = sendersOf(mask, i, n);
+    const value = decide(shape[i], senders.map((j) => shape[j]), a);
+    const key = Math.round(value * KEY_PRECISION);
+    const prob = linkWeight(p, senders.length, n - 1 - senders.length);
+    const existing = law.get(key);
+    if (existing) existing.prob += prob;
+    else law.set(key, { value, prob });
+  }
+  return Array.from(law.values()).filter(({ prob }) => prob > 0);
+};
+
+// E[max - min] of independent receivers: ∫ 1 - P(all ≤ x) - P(all > x) dx
+const expectedRange = (laws) => {
+  const cuts = Array.from(new Set(laws.flatMap((law) => law.map(({ value }) => value)))).sort((x, y) => x - y);
+  let total = 0;
+  for (let k = 0; k + 1 < cuts.length; k++) {
+    let allBelow = 1;
+    let allAbove = 1;
+    laws.forEach((law) => {
+      const below = law.reduce((sum, { value, prob }) => (value <= cuts[k] ? sum + prob : sum), 0);
+      allBelow *= below;
+      allAbove *= 1 - below;
+    });
+    total += (cuts[k + 1] - cuts[k]) * (1 - allBelow - allAbove);
+  }
+  return total;
+};
+
+// The last round only needs E[range], which the receiver laws give directly;
+// earlier rounds expand their product into the next shapes
+const standardStep = (shape, weight, p, a, next, budget, last) => {
+  const n = shape.length;
+  const laws = shape.map((_, i) => receiverLaw(shape, i, p, a));
+  if (last) {
+    budget.work += n * n << n;
+    return weight * expectedRange(laws);
+  }
+  budget.work += n * laws.reduce((product, law) => product * law.length, 1);
+  if (budget.work > MAX_WORK) return 0;
+  const values = Array(n);
+  let expected = 0;
+  const walk = (i, prob) => {
+    if (i === n) {
+      expected += addShape(next, values, weight * prob);
+      return;
+    }
+    laws[i].forEach(({ value, prob: pi }) => {
+      values[i] = value;
+      walk(i + 1, prob * pi);
+    });
+  };
+  walk(0, 1);
+  return expected;
+};
+
+const broadcastStep = (shape, weight, p, a, next, budget) => {
+  const n = shape.length;
+  budget.work += n * n << n;
+  let expected = 0;
+  for (let mask = 0; mask < (1 << n); mask++) {
+    let broadcasters = 0;
+    for (let m = mask; m; m >>= 1) broadcasters += m & 1;
+    const values = shape.map((own, i) => decide(own, sendersOf(mask, i, n).map((j) => shape[j]), a));
+    expected += addShape(next, values, weight * linkWeight(p, broadcasters, n - broadcasters));
+  }
+  return expected;
+};
+
+// E[D] after every round (index 0 = initial discrepancy), or null for other
+// delivery models or when the number of shapes grows past what is worth computing
+export const recursiveAmpDiscrepancyByRound = ({
+  p,
+  initialValues,
+  meetingPoint = 0.5,
+  deliveryMode = 'standard',
+  rounds = 1
+}) => {
+  if (!Array.isArray(initialValues) || initialValues.length < 2) return null;
+  if (!initialValues.every((value) => Number.isFinite(value))) return null;
+  const modeId = resolveDeliveryModel(deliveryMode).id;
+  if (!SHAPE_MODES.includes(modeId)) return null;
+  const prob = Number(p);
+  const a = Number(meetingPoint);
+  if (!Number.isFinite(prob) || prob < 0 || prob > 1 || !Number.isFinite(a)) return null;
+
+  let shapes = new Map();
+  addShape(shapes, initialValues, 1);
+  const byRound = [Math.max(...initialValues) - Math.min(...initialValues)];
+  const budget = { work: 0 };
+  const step = modeId === 'process-dependent' ? broadcastStep : standardStep;
+
+  for (let r = 1; r <= rounds; r++) {
+    const next = new Map();
+    let expected = 0;
+    for (const { shape, weight } of shapes.values()) {
+      expected += step(shape, weight, prob, a, next, budget, r === rounds);
+      if (budget.work > MAX_WORK) return null;
+    }
+    if (next.size > MAX_SHAPES) return null;
+    shapes = next;
+    byRound.push(expected);
+  }
+  return byRound;
+};
+
+export const recursiveAmpExpectedDiscrepancy = (config) => {
+  const byRound = recursiveAmpDiscrepancyByRound(config);
+  return byRound ? byRound[byRound.length - 1] : null;
+};
@@ -0,0 +1,305 @@
+// Multi-round AMP / FV / COURTEOUS theory for n processes with binary inputs.
+// None of these rules looks at who sent what, only at how many processes hold
+// each value, so the state of the system is how many processes hold 0, 1 and
+// (AMP) the meeting point a. The law of those counts is pushed round by round:
+//
+//   standard            every process changes independently (its incoming
+//                       links are its own coins)
+//   process-dependent   the number of broadcasters in each class decides
+//                       every process at once
+//   guaranteed          standard with the all-lost pattern (q^(n(n-1))) replaced
+//                       by one uniformly forced link, as simulateRound does
+//   receiver-dependent  every process independently hears everybody (p) or
+//                       nobody (q), so it changes with p times its p = 1 chance
+//   k-of-n              (AMP / FV) senders are added one at a time, keeping how
+//                       many processes of each class some other class has
+//                       reached; a sender that got through hits the unreached
+//                       ones of its k receivers hypergeometrically
+//
+// AMP moves a process that heard another value to a, FV to the value it heard.
+// COURTEOUS takes the majority of what it heard plus its own value and flips
+// on a tie. Values never leave {0, 1, a}, so the chain is exact for any number
+// of rounds.
+
+import { getDeliveryParams, partialBroadcastSize, resolveDeliveryModel } from '../delivery/registry.js';
+
+const CHAIN_ALGORITHMS = ['AMP', 'FV', 'COURTEOUS'];
+const CHAIN_MODES = ['standard', 'process-dependent', 'guaranteed', 'receiver-dependent', 'k-of-n'];
+// O(n^4) per AMP round: past this the curve is not worth computing interactively
+const MAX_WORK = 5e7;
+
+// Bin(count, prob) probabilities, k = 0..count
+export const binomialRow = (count, prob) => {
+  const row = [];
+  let coefficient = 1;
+  for (let k = 0; k <= count; k++) {
+    row.push(coefficient * Math.pow(prob, k) * Math.pow(1 - prob, count - k));
+    coefficient = (coefficient * (count - k)) / (k + 1);
+  }
+  return row;
+};
+
+const addTo = (map, counts, weight) => {
+  if (weight === 0) return;
+  const key = counts.join(',');
+  const existing = map.get(key);
+  if (existing) existing.prob += weight;
+  else map.set(key, { counts, prob: weight });
+};
+
+// AMP / FV: a process changes as soon as it hears one of the d processes
+// holding another value
+const heardOther = (counts, idx, p) => 1 - Math.pow(1 - p, counts.reduce((a, b) => a + b, 0) - counts[idx]);
+
+// COURTEOUS: a process of class v hears s ~ Bin(c_v - 1, p) equal values and
+// d ~ Bin(c_other, p) different ones, and changes when d ≥ 1 + s (tie included)
+const outvoted = (counts, idx, p) => {
+  const same = binomialRow(counts[idx] - 1, p);
+  const other = binomialRow(counts[1 - idx], p);
+  let total = 0;
+  same.forEach((ps, s) => {
+    for (let d = s + 1; d < other.length; d++) total += ps * other[d];
+  });
+  return total;
+};
+
+// Distinct values the chain can visit, the class a process moves to after
+// hearing class `heard`, and the chance that a process of a class changes
+const classesFor = (algorithm, meetingPoint) => {
+  if (algorithm === 'FV') return { values: [0, 1], moveTo: (from, heard) => heard, changeProb: heardOther };
+  if (algorithm === 'COURTEOUS') {
+    return { values: [0, 1], moveTo: (from, heard) => heard, changeProb: outvoted, broadcast: courteousBroadcastStep };
+  }
+  const values = Array.from(new Set([0, 1, meetingPoint]));
+  const meeting = values.indexOf(meetingPoint);
+  return { values, moveTo: () => meeting, changeProb: heardOther };
+};
+
+const discrepancyOf = (counts, values) => {
+  const present = values.filter((_, idx) => counts[idx] > 0);
+  return present.length > 0 ? Math.max(...present) - Math.min(...present) : 0;
+};
+
+const standardStep = (counts, prob, p, classes, next, budget) => {
+  const n = counts.reduce((a, b) => a + b, 0);
+  // Classes that can actually leave (FV and COURTEOUS go to the other value; AMP's meeting-point class stays put)
+  const movers = counts
+    .map((count, idx) => ({ idx, count, to: classes.moveTo(idx, 1 - idx) }))
+    .filter(({ idx, count, to }) => count > 0 && count < n && to !== idx);
+  const rows = movers.map(({ idx, count }) => binomialRow(count, classes.changeProb(counts, idx, p)));
+
+  const walk = (i, current, weight) => {
+    if (i === movers.length) {
+      budget.work += 1;
+      addTo(next, current, weight);
+      return;
+    }
+    const { idx, to } = movers[i];
+    rows[i].forEach((pk, k) => {
+      if (pk === 0) return;
+      const updated = [...current];
+      updated[idx] -= k;
+      updated[to] += k;
+      walk(i + 1, updated, weight * pk);
+    });
+  };
+  walk(0, counts, prob);
+};
+
+const broadcastStep = (counts, prob, p, classes, next) => {
+  const q = 1 - p;
+  const k = counts.length;
+  for (let mask = 0; mask < (1 << k); mask++) {
+    let weight = prob;
+    for (let j = 0; j < k; j++) {
+      const some = 1 - Math.pow(q, counts[j]);
+      weight *= (mask & (1 << j)) ? some : 1 - some;
+    }
+    if (weight === 0) continue;
+    const updated = [...counts];
+    counts.forEach((count, i) => {
+      if (count === 0) return;
+      // Class i hears another class when any other class broadcast
+      const heard = counts.findIndex((_, j) => j !== i && (mask & (1 << j)));
+      if (heard < 0) return;
+      const to = classes.moveTo(i, heard);
+      updated[i] -= count;
+      updated[to] += count;
+    });
+    addTo(next, updated, weight);
+  }
+};
+
+// COURTEOUS under broadcast: with b_v broadcasters in class v, a broadcaster of
+// class v changes when b_other ≥ b_v and a silent one when b_other ≥ b_v + 1
+function courteousBroadcastStep(counts, prob, p, classes, next) {
+  const rows = counts.map((count) => binomialRow(count, p));
+  rows[0].forEach((p0, b0) => {
+    rows[1].forEach((p1, b1) => {
+      const weight = prob * p0 * p1;
+      if (weight === 0) return;
+      const broadcasts = [b0, b1];
+      const changed = broadcasts.map((b, v) => {
+        const other = broadcasts[1 - v];
+        return (other >= b ? b : 0) + (other >= b + 1 ? counts[v] - b : 0);
+      });
+      addTo(next, [counts[0] - changed[0] + changed[1], counts[1] - changed[1] + changed[0]], weight);
+    });
+  });
+}
+
+const choose = (n, k) => {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+};
+
+// k-of-n for AMP / FV: law of how many processes of each movable class hear
+// another class, then everyone who did moves
+const partialBroadcastStep = (counts, prob, p, classes, k, next, budget) => {
+  const n = counts.reduce((a, b) => a + b, 0);
+  const movable = counts
+    .map((count, idx) => ({ idx, count, to: classes.moveTo(idx, 1 - idx) }))
+    .filter(({ idx, count, to }) => count > 0 && count < n && to !== idx);
+  const total = choose(n - 1, k);
+  // reached[i] = processes of movable[i] already reached by some other class
+  let law = new Map([[movable.map(() => 0).join(','), { reached: movable.map(() => 0), prob }]]);
+  counts.forEach((senders, sendClass) => {
+    const targets = movable.map(({ idx }, i) => (idx === sendClass ? -1 : i)).filter((i) => i >= 0);
+    for (let s = 0; s < senders && targets.length > 0; s++) {
+      const after = new Map();
+      const add = (reached, weight) => {
+        if (weight === 0) return;
+        const key = reached.join(',');
+        const existing = after.get(key);
+        if (existing) existing.prob += weight;
+        else after.set(key, { reached, prob: weight });
+      };
+      for (const { reached, prob: weight } of law.values()) {
+        add(reached, weight * (1 - p));
+        const unreached = targets.map((i) => movable[i].count - reached[i]);
+        const rest = n - 1 - unreached.reduce((a, b) => a + b, 0);
+        // Hits on the unreached of each target class (at most two of them)
+        const walk = (t, hits, ways) => {
+          if (t === targets.length) {
+            const used = hits.reduce((a, b) => a + b, 0);
+            const share = ways * choose(rest, k - used) / total;
+            if (share === 0) return;
+            const updated = [...reached];
+            targets.forEach((i, idx) => {
+              updated[i] += hits[idx];
+            });
+            budget.work += 1;
+            add(updated, weight * p * share);
+            return;
+          }
+          for (let x = 0; x <= Math.min(unreached[t], k); x++) walk(t + 1, [...hits, x], ways * choose(unreached[t], x));
+        };
+        walk(0, [], 1);
+      }
+      law = after;
+    }
+  });
+  for (const { reached, prob: weight } of law.values()) {
+    const updated = [...counts];
+    movable.forEach(({ idx, to }, i) => {
+      updated[idx] -= reached[i];
+      updated[to] += reached[i];
+    });
+    addTo(next, updated, weight);
+  }
+};
+
+// One forced link (uniform ordered pair) applied to `counts`
+const forcedStep = (counts, prob, classes, next) => {
+  const n = counts.reduce((a, b) => a + b, 0);
+  const pairs = n * (n - 1);
+  let same = 0;
+  counts.forEach((receivers, v) => {
+    counts.forEach((senders, w) => {
+      if (v === w) {
+        same += receivers * (receivers - 1);
+        return;
+      }
+      const to = classes.moveTo(v, w);
+      if (receivers === 0 || senders === 0) return;
+      if (to === v) {
+        same += receivers * senders;
+        return;
+      }
+      const updated = [...counts];
+      updated[v] -= 1;
+      updated[to] += 1;
+      addTo(next, updated, prob * (receivers * senders) / pairs);
+    });
+  });
+  addTo(next, counts, prob * same / pairs);
+};
+
+// E[D] after every round (index 0 = initial discrepancy) for `zeros` processes
+// at 0 and n - zeros at 1, or null outside the algorithms and modes above
+export const valueCountDiscrepancyByRound = ({
+  p,
+  n,
+  zeros,
+  algorithm,
+  meetingPoint = 0.5,
+  deliveryMode = 'standard',
+  deliveryParams = {},
+  rounds = 1
+}) => {
+  if (!CHAIN_ALGORITHMS.includes(algorithm)) return null;
+  if (!Number.isInteger(n) || n < 2 || !Number.isInteger(zeros) || zeros < 0 || zeros > n) return null;
+  const modeId = resolveDeliveryModel(deliveryMode).id;
+  if (!CHAIN_MODES.includes(modeId)) return null;
+  const prob = Number(p);
+  if (!Number.isFinite(prob) || prob < 0 || prob > 1) return null;
+
+  // The majority rule is not a "heard another value" rule: no k-of-n chain for COURTEOUS
+  if (modeId === 'k-of-n' && algorithm === 'COURTEOUS') return null;
+
+  const classes = classesFor(algorithm, meetingPoint);
+  const k = partialBroadcastSize(getDeliveryParams('k-of-n', deliveryParams), n);
+  // Hearing everybody is the p = 1 case of each rule
+  const allOrNothing = { ...classes, changeProb: (counts, idx) => prob * classes.changeProb(counts, idx, 1) };
+  const initial = classes.values.map((value) => (value === 0 ? zeros : value === 1 ? n - zeros : 0));
+  let states = new Map([[initial.join(','), { counts: initial, prob: 1 }]]);
+  const byRound = [discrepancyOf(initial, classes.values)];
+  const silent = Math.pow(1 - prob, n * (n - 1));
+  const budget = { work: 0 };
+
+  for (let r = 1; r <= rounds; r++) {
+    const next = new Map();
+    for (const state of states.values()) {
+      if (modeId === 'process-dependent') {
+        (classes.broadcast || broadcastStep)(state.counts, state.prob, prob, classes, next);
+      } else if (modeId === 'receiver-dependent') {
+        standardStep(state.counts, state.prob, prob, allOrNothing, next, budget);
+      } else if (modeId === 'k-of-n') {
+        partialBroadcastStep(state.counts, state.prob, prob, classes, k, next, budget);
+      } else {
+        standardStep(state.counts, state.prob, prob, classes, next, budget);
+        if (modeId === 'guaranteed' && silent > 0) {
+          // All-lost pattern: nobody changed; replace it by one forced link
+          addTo(next, state.counts, -state.prob * silent);
+          forcedStep(state.counts, state.prob * silent, classes, next);
+        }
+      }
+      if (budget.work > MAX_WORK) return null;
+    }
+    for (const [key, state] of next) {
+      if (state.prob <= 0) next.delete(key);
+    }
+    states = next;
+    let expected = 0;
+    for (const state of states.values()) expected += state.prob * discrepancyOf(state.counts, classes.values);
+    byRound.push(expected);
+  }
+  return byRound;
+};
+
+export const valueCountExpectedDiscrepancy = (config) => {
+  const byRound = valueCountDiscrepancyByRound(config);
+  return byRound ? byRound[byRound.length - 1] : null;
+};
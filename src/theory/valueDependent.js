@@ -0,0 +1,69 @@
+// PREF0, PREF1 and SWEEP under value-dependent loss (binary asymmetric channel):
+// a message carrying v arrives with p_v = p·f_v, independently per link.
+//
+// Under PREF_v the preferred value is sticky, so the state is just the number
+// h of processes holding v. Each of the n - h others hears at least one of the
+// h holders with probability 1 - (1 - p_v)^h and then switches, so
+//   h' = h + Bin(n - h, 1 - (1 - p_v)^h).
+// SWEEP alternates a PREF0 and a PREF1 phase per sweep. Values are binary, so
+// E[D] = P(the processes still disagree after the last phase).
+
+import { getDeliveryParams, valueDeliveryProbability } from '../delivery/registry.js';
+import { binomialRow } from './valueCounts.js';
+
+const PHASES = {
+  PREF0: [0],
+  PREF1: [1],
+  SWEEP: [0, 1]
+};
+
+// One phase preferring `preferred` applied to a distribution over #zeros
+const preferenceStep = (distribution, n, preferred, deliveryProb) => {
+  const next = new Array(n + 1).fill(0);
+  distribution.forEach((weight, zeros) => {
+    if (weight === 0) return;
+    const holders = preferred === 0 ? zeros : n - zeros;
+    if (holders === 0 || holders === n) {
+      next[zeros] += weight;
+      return;
+    }
+    const hearProb = 1 - Math.pow(1 - deliveryProb, holders);
+    binomialRow(n - holders, hearProb).forEach((prob, switched) => {
+      const nextZeros = preferred === 0 ? zeros + switched : zeros - switched;
+      next[nextZeros] += weight * prob;
+    });
+  });
+  return next;
+};
+
+// E[D] after the last round, or null outside PREF0 / PREF1 / SWEEP or with non-binary inputs.
+// For SWEEP a round is one full sweep (PREF0 then PREF1), as in runExperiment.
+export const valueDependentPreferenceDiscrepancy = ({
+  p,
+  initialValues,
+  algorithm,
+  rounds = 1,
+  deliveryParams = {}
+}) => {
+  const phases = PHASES[algorithm];
+  if (!phases || !Number.isFinite(p) || p < 0 || p > 1) return null;
+  if (!Array.isArray(initialValues) || initialValues.length < 2) return null;
+  if (!initialValues.every((value) => value === 0 || value === 1)) return null;
+  if (!Number.isInteger(rounds) || rounds < 0) return null;
+
+  const n = initialValues.length;
+  const params = getDeliveryParams('value-dependent', deliveryParams);
+  const deliveryProbs = [
+    valueDeliveryProbability(params, p, 0),
+    valueDeliveryProbability(params, p, 1)
+  ];
+
+  let distribution = new Array(n + 1).fill(0);
+  distribution[initialValues.filter((value) => value === 0).length] = 1;
+  for (let round = 0; round < rounds; round++) {
+    phases.forEach((preferred) => {
+      distribution = preferenceStep(distribution, n, preferred, deliveryProbs[preferred]);
+    });
+  }
+  return 1 - distribution[0] - distribution[n];
+};
@@ -10,3 +10,6 @@ export const getProcessColor = (index) => {
 export const ALICE_COLOR = "#3498db";
 export const BOB_COLOR = "#e67e22";
 export const CHARLIE_COLOR = "#2ecc71";
+
+// Processes that are down in a round (crash / crash-recovery)
+export const CRASHED_COLOR = "#9ca3af";
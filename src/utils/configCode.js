@@ -0,0 +1,36 @@
+// Configuration codes: the JSON of a run's settings (see handleGenerateConfig in
+// ApproximateLVL) as URL-safe base64. Works in the browser and in Node, which
+// lacks btoa/atob before v16.
+
+const toBase64 = (text) => (typeof btoa === 'function'
+  ? btoa(text)
+  : Buffer.from(text, 'latin1').toString('base64'));
+
+const fromBase64 = (base64) => (typeof atob === 'function'
+  ? atob(base64)
+  : Buffer.from(base64, 'base64').toString('latin1'));
+
+const base64ToBase64Url = (str) =>
+  str.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const base64UrlToBase64 = (str) => {
+  let s = str.replace(/-/g, "+").replace(/_/g, "/");
+  const pad = s.length % 4;
+  if (pad) s += "=".repeat(4 - pad);
+  return s;
+};
+
+export function encodeConfigCode(cfg) {
+  const json = JSON.stringify(cfg);
+  return base64ToBase64Url(toBase64(json));
+}
+
+// Parsed configuration, or null when the code is not valid
+export function decodeConfigCode(code) {
+  try {
+    const json = fromBase64(base64UrlToBase64(String(code).trim()));
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,21 @@
+// Diagnostics sink for the engine and its theory helpers.
+// The browser keeps the console; headless runs (src/cli) point it at stderr or
+// silence it so stdout stays free for results.
+
+const SILENT = { log() {}, info() {}, warn() {}, error() {} };
+
+let sink = typeof console !== 'undefined' ? console : SILENT;
+
+// Replace the sink; null silences every message. Returns the previous sink.
+export const setLogSink = (next) => {
+  const previous = sink;
+  sink = next || SILENT;
+  return previous;
+};
+
+export const engineLog = {
+  log: (...args) => sink.log?.(...args),
+  info: (...args) => sink.info?.(...args),
+  warn: (...args) => sink.warn?.(...args),
+  error: (...args) => sink.error?.(...args)
+};
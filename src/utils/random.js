@@ -0,0 +1,48 @@
+// Seedable random sources for reproducible simulation runs
+
+const UINT32 = 0x100000000;
+
+// Coerce user input (number or numeric string) into an unsigned 32-bit seed.
+// Returns null when the value cannot be used as a seed.
+export const normalizeSeed = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'string' ? Number(value.trim()) : Number(value);
+  if (!Number.isFinite(num)) return null;
+  return Math.floor(Math.abs(num)) % UINT32;
+};
+
+// Fresh seed for runs where the user did not pick one.
+export const generateSeed = () => Math.floor(Math.random() * UINT32);
+
+// Mix a base seed with integer coordinates (repetition, p index, ...) so that
+// every repetition of a sweep gets its own independent, replayable stream.
+export const deriveSeed = (baseSeed, ...parts) => {
+  let h = (normalizeSeed(baseSeed) ?? 0) ^ 0x9e3779b9;
+  parts.forEach((part) => {
+    h = Math.imul(h ^ ((Number(part) || 0) >>> 0), 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+  });
+  return h >>> 0;
+};
+
+// mulberry32: small, fast and good enough for Monte Carlo coin flips.
+// The returned function behaves like Math.random and exposes its seed.
+export const createRng = (seed) => {
+  const initial = normalizeSeed(seed) ?? generateSeed();
+  let state = initial;
+  const rng = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  };
+  rng.seed = initial;
+  return rng;
+};
+
+// Pick the random source for a single round: an explicit rng from the caller,
+// otherwise the global (unseeded) Math.random.
+export const resolveRandom = (options) =>
+  (options && typeof options.rng === 'function') ? options.rng : Math.random;
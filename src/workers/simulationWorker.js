@@ -0,0 +1,14 @@
+// Web Worker entry: runs one simulation task per message (see tasks.js).
+//   in:  { id, task }
+//   out: { id, result } or { id, error }
+
+import { runTask } from './tasks.js';
+
+self.onmessage = ({ data }) => {
+  const { id, task } = data;
+  try {
+    self.postMessage({ id, result: runTask(task) });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,470 @@
+// Simulation tasks shared by the worker pool and the main thread.
+// Every task is plain, structured-cloneable data: { kind, ...inputs }. runTask
+// returns plain data too, so the same call works inside a Web Worker
+// (simulationWorker.js) and inline as the pool's fallback.
+//
+//   range   repetitions [fromRep, toRep) of one (p, mode, algorithm) cell of
+//           the p-range sweep; seeds come from the run's base seed, so the
+//           split across workers does not change any result
+//   policy  one (sequence, p) point of Policy Search
+
+import { SimulationEngine } from '../SimulationEngine.js';
+import { getAlgorithm } from '../algorithms/registry.js';
+import { DEFAULT_CONDITIONING_EVENT, resolveConditioningEvent } from '../delivery/conditioning.js';
+import { isUniformLinkMatrix } from '../delivery/linkMatrix.js';
+import { scheduledProbability } from '../delivery/schedule.js';
+import { getCorrectIndices, normalizeByzantineConfig } from '../faults/byzantine.js';
+import { twoProcessChannel } from '../theory/asymmetricChannel.js';
+import { EXACT_MAX_PROCESSES } from '../theory/exact.js';
+
+export function resolveMeetingPoint(actualAlgo, customMP, dimensions) {
+
+  if (actualAlgo === 'RECURSIVE AMP') {
+    let alpha;
+    if (Array.isArray(customMP) && customMP.length > 0) alpha = Number(customMP[0]);
+    else alpha = Number(customMP);
+    if (!Number.isFinite(alpha)) alpha = 0.5;
+    return Math.max(0, Math.min(1, alpha));
+  }
+
+  // AMP (y similares) -> vector de longitud = dimensions
+  if (Array.isArray(customMP) && customMP.length === dimensions) {
+    return customMP.map(v => {
+      const x = Number(v);
+      return Number.isFinite(x) ? Math.max(0, Math.min(1, x)) : 0.5;
+    });
+  }
+
+
+  const num = Number(customMP);
+  if (Number.isFinite(num)) {
+    const v = Math.max(0, Math.min(1, num));
+    return Array(dimensions).fill(v);
+  }
+
+  // default seguro
+  return Array(dimensions).fill(0.5);
+}
+
+// Ejecuta una repetición del barrido de p con la configuración capturada al iniciar.
+// Se usa tanto en runRangeExperiments como para reproducir una repetición guardada.
+export function runRangeRepetition(config, p, actualAlgo, mode, seed) {
+  if (config.dimensionMode === 'barycentric') {
+    const mpEff = resolveMeetingPoint(actualAlgo, config.customMeetingPoint, config.dimensions);
+    return SimulationEngine.barycentric.runBarycentricExperiment(
+      config.initialValues,
+      p,
+      config.rounds,
+      actualAlgo,
+      mpEff,
+      config.distanceMetric,
+      {
+        leaderIndex: config.leaderIndex,
+        seed,
+        linkMatrix: config.linkMatrix,
+        topology: config.topology,
+        pSchedule: config.pSchedule,
+        checkInvariants: config.checkInvariants
+      }
+    );
+  }
+
+  // El muestreador condicionado (≥K) no modela fallos bizantinos, caídas, retardos ni
+  // topologías: con ellos, guaranteed usa la entrega forzada de runExperiment
+  const plainNetwork = config.byzantine.length === 0 && config.crashes.length === 0 && !config.delay && !config.topology;
+  if (mode === 'guaranteed' && plainNetwork) {
+    // Simulación condicionada binaria (=K mensajes)
+    const mpUsed = (config.initialValues.length === 2 && actualAlgo === "AMP") ? 0.5 : config.meetingPoint;
+    return SimulationEngine.runKConditionedExperiment(
+      config.initialValues,
+      p,
+      config.rounds,
+      actualAlgo,
+      mpUsed,
+      config.conditionedK,
+      {
+        seed,
+        linkMatrix: config.linkMatrix,
+        pSchedule: config.pSchedule,
+        broadcast: config.conditionedBroadcast,
+        event: config.conditioningEvent,
+        checkInvariants: config.checkInvariants
+      }
+    );
+  }
+
+  // Modo estándar / process-dependent / canales con estado (Gilbert–Elliott)
+  return SimulationEngine.runNProcessExperiment(
+    config.initialValues,
+    p,
+    config.rounds,
+    actualAlgo,
+    config.meetingPoint,
+    mode,
+    {
+      leaderIndex: config.leaderIndex,
+      seed,
+      deliveryParams: config.deliveryParams?.[mode],
+      linkMatrix: config.linkMatrix,
+      topology: config.topology,
+      pSchedule: config.pSchedule,
+      delay: config.delay,
+      byzantine: config.byzantine,
+      crashes: config.crashes,
+      checkInvariants: config.checkInvariants
+    }
+  );
+}
+
+// E[D] of a two-process cell over the link matrix's asymmetric channel
+// (theory/asymmetricChannel.js). Guaranteed follows the ≥1-message sampler,
+// which the range runs with meeting point 0.5 for AMP.
+function twoProcessChannelTheory(config, p, actualAlgo, mode) {
+  const guaranteed = mode === 'guaranteed';
+  const channel = twoProcessChannel({
+    p,
+    linkMatrix: config.linkMatrix,
+    initialValues: config.initialValues,
+    meetingPoint: guaranteed && actualAlgo === "AMP" ? 0.5 : config.meetingPoint
+  });
+  if (!channel) return null;
+  if (guaranteed) {
+    const atLeastOne = Math.floor(config.conditionedK ?? 1) <= 1 &&
+      resolveConditioningEvent(config.conditioningEvent).id === DEFAULT_CONDITIONING_EVENT;
+    return atLeastOne ? SimulationEngine.calculateTheoreticalConditioned(p, actualAlgo, config.rounds, channel) : null;
+  }
+  return mode === 'standard' || mode === 'process-dependent'
+    ? SimulationEngine.calculateExpectedDiscrepancyMultiRound(p, config.rounds, actualAlgo, null, channel)
+    : null;
+}
+
+// Closed-form and exact E[D] for one range cell, as shown next to the sweep.
+// config is the range configuration runRangeRepetition takes; either value is
+// null where no formula covers the cell.
+export function rangeCellTheory(config, p, actualAlgo, mode) {
+  const { dimensionMode, dimensions, initialValues, rounds, meetingPoint, leaderIndex, linkMatrix, pSchedule } = config;
+  const n = initialValues.length;
+  const uniformLinks = isUniformLinkMatrix(linkMatrix);
+  const exactApplies = dimensionMode === 'binary' && n <= EXACT_MAX_PROCESSES && uniformLinks &&
+    !config.topology && config.byzantine.length === 0 && config.crashes.length === 0 && !config.delay;
+
+  // Teoría (los protocolos registrados con theory() tienen prioridad)
+  let theoretical = SimulationEngine.algorithms.theory(actualAlgo, p, {
+    n,
+    m: initialValues.filter((value) => value === 0).length,
+    meetingPoint,
+    initialValues,
+    deliveryMode: mode,
+    rounds,
+    dimensionMode,
+    linkMatrix,
+    pSchedule
+  });
+  if (config.topology || config.byzantine.length > 0 || config.crashes.length > 0 || config.delay) {
+    // Las fórmulas cerradas suponen el grafo completo, procesos correctos y vivos,
+    // y mensajes que llegan en la ronda en que se envían
+    theoretical = null;
+  } else if (!uniformLinks) {
+    // Con p distinto por enlace solo está el canal asimétrico de dos procesos
+    theoretical = dimensionMode === 'binary' && n === 2 && !pSchedule
+      ? twoProcessChannelTheory(config, p, actualAlgo, mode)
+      : null;
+  } else if (pSchedule) {
+    // p por ronda: la cadena condicionada de AMP/FV (cualquier n) o el producto
+    // de factores de AMP/FV con 2 procesos
+    if (dimensionMode === 'binary' && mode === 'guaranteed') {
+      theoretical = SimulationEngine.calculateConditionedDiscrepancyNProcesses(
+        p,
+        actualAlgo,
+        initialValues,
+        rounds,
+        n === 2 && actualAlgo === "AMP" ? 0.5 : meetingPoint,
+        config.conditionedK,
+        pSchedule,
+        { event: config.conditioningEvent, broadcast: config.conditionedBroadcast }
+      );
+    } else if (dimensionMode !== 'binary' || n !== 2) {
+      theoretical = null;
+    } else {
+      theoretical = SimulationEngine.calculateExpectedDiscrepancy(p, actualAlgo, rounds, mode, pSchedule);
+    }
+  } else if (theoretical !== undefined) {
+    theoretical = Number.isFinite(theoretical) ? theoretical : null;
+  } else if (dimensionMode === 'binary') {
+    if (actualAlgo === "COURTEOUS") {
+      // Cadena exacta sobre los conteos de 0 y 1 (todas las rondas). Guaranteed queda
+      // fuera: el rango lo condiciona con el muestreador ≥K, no con un enlace forzado
+      theoretical = mode === 'guaranteed'
+        ? null
+        : SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+            p,
+            n,
+            initialValues.filter((value) => value === 0).length,
+            "COURTEOUS",
+            meetingPoint,
+            initialValues,
+            mode,
+            rounds,
+            { deliveryParams: config.deliveryParams?.[mode] }
+          );
+    } else if (actualAlgo === "SWEEP") {
+      theoretical = SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+        p,
+        n,
+        initialValues.filter((value) => value === 0).length,
+        actualAlgo,
+        meetingPoint,
+        initialValues,
+        mode,
+        rounds,
+        { deliveryParams: config.deliveryParams?.[mode] }
+      );
+    } else if ((actualAlgo === "PREF1" || actualAlgo === "PREF0") && ['process-dependent', 'receiver-dependent', 'k-of-n', 'value-dependent'].includes(mode)) {
+      theoretical = SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+        p,
+        n,
+        initialValues.filter((value) => value === 0).length,
+        actualAlgo,
+        meetingPoint,
+        initialValues,
+        mode,
+        rounds,
+        { deliveryParams: config.deliveryParams?.[mode] }
+      );
+    } else if (actualAlgo === "PREF1" || actualAlgo === "PREF0") {
+      theoretical = null;
+    } else if (["LEADER", "MIN", "RECURSIVE AMP"].includes(actualAlgo)) {
+      // Fórmulas cerradas para cualquier n (theory/closedForms.js, theory/recursiveAmp.js)
+      theoretical = mode === 'guaranteed'
+        ? null
+        : SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+            p,
+            n,
+            initialValues.filter((value) => value === 0).length,
+            actualAlgo,
+            meetingPoint,
+            initialValues,
+            mode,
+            rounds,
+            { leaderIndex }
+          );
+    } else if (mode === 'guaranteed') {
+      // Cada ronda condicionada al evento elegido (≥K mensajes por defecto), como el
+      // muestreador. Con n = 2 el rango usa punto de encuentro 0.5 para AMP
+      theoretical = actualAlgo === "AMP" || actualAlgo === "FV"
+        ? SimulationEngine.calculateConditionedDiscrepancyNProcesses(
+            p,
+            actualAlgo,
+            initialValues,
+            rounds,
+            n === 2 && actualAlgo === "AMP" ? 0.5 : meetingPoint,
+            config.conditionedK,
+            null,
+            { event: config.conditioningEvent, broadcast: config.conditionedBroadcast }
+          )
+        : null;
+    } else if (n === 2) {
+      theoretical = SimulationEngine.calculateExpectedDiscrepancy(p, actualAlgo, rounds, mode);
+    } else if ((actualAlgo === "AMP" || actualAlgo === "FV") && mode !== 'guaranteed') {
+      // n procesos: cadena exacta sobre los conteos de valores, todas las rondas
+      theoretical = SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+        p,
+        n,
+        initialValues.filter((value) => value === 0).length,
+        actualAlgo,
+        meetingPoint,
+        initialValues,
+        mode,
+        rounds,
+        { deliveryParams: config.deliveryParams?.[mode] }
+      );
+    } else {
+      // Las fórmulas de calculateExpectedDiscrepancy son de 2 procesos
+      theoretical = null;
+    }
+  } else {
+    theoretical = dimensions === 2
+      ? SimulationEngine.calculateExpectedDiscrepancy(p, actualAlgo, rounds, mode)
+      : null;
+  }
+
+  // Enumeración exacta para n chico. Guaranteed queda fuera: el rango condiciona
+  // con el muestreador ≥K, no con el enlace forzado que modela la enumeración.
+  const exactTheoretical = exactApplies && mode !== 'guaranteed'
+    ? SimulationEngine.calculateExactDiscrepancy(p, actualAlgo, initialValues, rounds, mode, meetingPoint, {
+        leaderIndex,
+        pSchedule
+      })
+    : null;
+  if (theoretical === null || theoretical === undefined) theoretical = exactTheoretical;
+
+  return { theoretical, exactTheoretical };
+}
+
+export const calculateDiscrepancy = (values) => {
+  if (!Array.isArray(values) || values.length === 0) return 0;
+  let maxDisc = 0;
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      maxDisc = Math.max(maxDisc, Math.abs(values[i] - values[j]));
+    }
+  }
+  return maxDisc;
+};
+
+export const computeMajorityValue = (values) => {
+  const ints = values.map((v) => Math.round(v));
+  if (ints.length === 0) return 0;
+  const counts = {};
+  ints.forEach((v) => {
+    counts[v] = (counts[v] || 0) + 1;
+  });
+  const entries = Object.entries(counts);
+  entries.sort((a, b) => b[1] - a[1] || Number(a[0]) - Number(b[0]));
+  return parseInt(entries[0][0], 10);
+};
+
+// One Policy Search point: `sampleCount` runs of `sequence` at p.
+// streamSeed fixes the coin flips of every repetition at this (sequence, p) point.
+// settings: { schedule, fallbackMeetingPoint, leaderIndex, deliveryParams, linkMatrix, topology, byzantine, delay }
+export const runPolicyAtP = ({
+  sequence,
+  baseValues,
+  p,
+  mode,
+  validityCriterion,
+  majorityValue,
+  sampleCount,
+  streamSeed = null,
+  settings
+}) => {
+  const { schedule, fallbackMeetingPoint, leaderIndex, deliveryParams, linkMatrix, topology, byzantine, delay } = settings;
+  let successCount = 0;
+  let discrepancySum = 0;
+  let consensusRoundsSum = 0;
+  let consensusHits = 0;
+
+  // Con procesos bizantinos, consenso, validez y discrepancia solo cuentan a los correctos
+  const faulty = normalizeByzantineConfig(byzantine, baseValues.length);
+  const correctIndices = getCorrectIndices(faulty, baseValues.length);
+  const correctOf = (vals) => correctIndices.map((idx) => vals[idx]);
+  const correctBase = correctOf(baseValues);
+  const referenceMajority = faulty ? computeMajorityValue(correctBase) : majorityValue;
+
+  for (let rep = 0; rep < sampleCount; rep++) {
+    const rng = SimulationEngine.random.createRng(
+      streamSeed == null ? null : SimulationEngine.random.deriveSeed(streamSeed, rep)
+    );
+    const originalValues = [...baseValues];
+    let values = [...baseValues];
+    let knownValuesSets = null;
+    let channelState = null;
+    let inFlight = [];
+    let consensusRound = null;
+    let lastDisc = calculateDiscrepancy(correctOf(values));
+
+    sequence.forEach((rule, idx) => {
+      const currentRound = idx + 1;
+      const beforeRound = [...values];
+      const result = SimulationEngine.simulateRound(
+        values,
+        scheduledProbability(schedule, p, currentRound),
+        rule.algorithm,
+        rule.meetingPoint ?? fallbackMeetingPoint,
+        knownValuesSets,
+        originalValues,
+        mode,
+        {
+          leaderIndex: rule.leaderIndex ?? leaderIndex,
+          rng,
+          deliveryParams: deliveryParams[mode],
+          channelState,
+          linkMatrix,
+          topology,
+          byzantine,
+          delay,
+          round: currentRound,
+          inFlight
+        }
+      );
+
+      values = result.newValues;
+      channelState = result.channelState;
+      inFlight = result.inFlight || [];
+      if ((rule.algorithm === 'MIN' || rule.algorithm === 'RECURSIVE AMP') && Array.isArray(result.knownValuesSets)) {
+        knownValuesSets = result.knownValuesSets.map((set) => new Set(set));
+      } else {
+        knownValuesSets = null;
+      }
+
+      if (rule.algorithm === 'MIN' && currentRound < sequence.length) {
+        values = beforeRound;
+        lastDisc = calculateDiscrepancy(correctOf(values));
+      } else {
+        lastDisc = typeof result.discrepancy === 'number'
+          ? result.discrepancy
+          : calculateDiscrepancy(correctOf(values));
+      }
+
+      const correctNow = correctOf(values);
+      if (consensusRound === null && correctNow.every((v) => Math.abs(v - correctNow[0]) < 1e-6)) {
+        consensusRound = currentRound;
+      }
+    });
+
+    const finalCorrect = correctOf(values);
+    const isConsensus = finalCorrect.every((v) => Math.abs(v - finalCorrect[0]) < 1e-6);
+    const consensusValue = Math.round(finalCorrect[0]);
+    const validByCriterion = validityCriterion === 'majority'
+      ? consensusValue === referenceMajority
+      : correctBase.some((v) => Math.round(v) === consensusValue);
+    const correctConsensus = isConsensus && validByCriterion;
+
+    if (correctConsensus) {
+      successCount += 1;
+      if (consensusRound != null) {
+        consensusRoundsSum += consensusRound;
+        consensusHits += 1;
+      }
+    }
+    discrepancySum += lastDisc;
+  }
+
+  return {
+    successRate: successCount / sampleCount,
+    avgDiscrepancy: discrepancySum / sampleCount,
+    avgConsensusRound: consensusHits > 0 ? consensusRoundsSum / consensusHits : null
+  };
+};
+
+// Range cell: histories of repetitions [fromRep, toRep), seeded as the sequential loop did
+const runRangeCell = ({ config, p, actualAlgo, mode, fromRep, toRep, seedPath }) => {
+  const histories = [];
+  for (let rep = fromRep; rep < toRep; rep++) {
+    const seed = SimulationEngine.random.deriveSeed(config.baseSeed, rep, ...seedPath);
+    histories.push(runRangeRepetition(config, p, actualAlgo, mode, seed));
+  }
+  return { histories };
+};
+
+// A worker only knows the algorithms registered when it loaded this module, and
+// simulateRound keeps every value for an unknown id. Throwing instead makes the
+// pool run the task inline, where a rule registered at runtime exists.
+const requireAlgorithms = (ids) => {
+  const missing = Array.from(new Set(ids)).filter((id) => !getAlgorithm(id));
+  if (missing.length > 0) {
+    throw new Error(`Unknown algorithm(s) ${missing.map((id) => `"${id}"`).join(', ')}`);
+  }
+};
+
+export const runTask = (task) => {
+  if (task.kind === 'range') {
+    requireAlgorithms([task.actualAlgo]);
+    return runRangeCell(task);
+  }
+  if (task.kind === 'policy') {
+    requireAlgorithms(task.sequence.map((rule) => rule.algorithm));
+    return runPolicyAtP(task);
+  }
+  throw new Error(`Unknown simulation task "${task.kind}"`);
+};
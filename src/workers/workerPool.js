@@ -0,0 +1,192 @@
+// Pool of simulation Web Workers, sized to navigator.hardwareConcurrency.
+//
+//   const job = getSimulationPool().run(tasks, { onResult(result, index, task) });
+//   job.cancel();                      // drops queued tasks, stops busy workers
+//   const { cancelled } = await job.done;
+//
+// Tasks are the plain objects of tasks.js and start in array order, so callers
+// control which results arrive first. Without Worker support (Node, old
+// browsers), or when a worker fails to load, tasks run inline on the calling
+// thread, one per macrotask. A caller-supplied createWorker returns any object
+// with the Worker surface (postMessage, onmessage, onerror, terminate); the
+// CLI uses it for worker_threads. A task a worker rejects is retried inline as
+// well: runTask throws for an algorithm id the worker's registry lacks (one
+// registered at runtime on the main thread only).
+
+import { runTask } from './tasks.js';
+
+export const defaultPoolSize = () => {
+  const cores = typeof navigator !== 'undefined' ? Number(navigator.hardwareConcurrency) : NaN;
+  return Number.isInteger(cores) && cores > 0 ? cores : 2;
+};
+
+const workersSupported = () => typeof Worker !== 'undefined';
+
+const spawnSimulationWorker = () =>
+  new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+
+const nextMacrotask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+export const createSimulationPool = ({ size = defaultPoolSize(), createWorker = spawnSimulationWorker } = {}) => {
+  const slots = Array.from({ length: Math.max(1, size) }, () => ({ worker: null, current: null }));
+  const queue = [];
+  let inline = createWorker === spawnSimulationWorker && !workersSupported();
+  let inlineLoop = null;
+  let messageId = 0;
+
+  const finishTask = (item, result) => {
+    const { job } = item;
+    if (job.cancelled || job.failed) return;
+    try {
+      job.onResult?.(result, item.index, item.task);
+    } catch (error) {
+      failJob(job, error);
+      return;
+    }
+    job.remaining -= 1;
+    if (job.remaining === 0) job.resolve({ cancelled: false });
+  };
+
+  const runInline = (item) => {
+    if (item.job.cancelled || item.job.failed) return;
+    let result;
+    try {
+      result = runTask(item.task);
+    } catch (error) {
+      failJob(item.job, error);
+      return;
+    }
+    finishTask(item, result);
+  };
+
+  const startInlineLoop = () => {
+    if (inlineLoop) return;
+    inlineLoop = (async () => {
+      while (queue.length > 0) {
+        runInline(queue.shift());
+        await nextMacrotask();
+      }
+      inlineLoop = null;
+    })();
+  };
+
+  const stopSlot = (slot) => {
+    slot.worker?.terminate();
+    slot.worker = null;
+    slot.current = null;
+  };
+
+  const switchToInline = () => {
+    inline = true;
+    slots.forEach((slot) => {
+      if (slot.current) queue.unshift(slot.current);
+      stopSlot(slot);
+    });
+    startInlineLoop();
+  };
+
+  const attachWorker = (slot) => {
+    let worker;
+    try {
+      worker = createWorker();
+    } catch {
+      return null;
+    }
+    worker.onmessage = ({ data }) => {
+      const item = slot.current;
+      if (!item || data.id !== item.id) return;
+      slot.current = null;
+      if (data.error !== undefined) runInline(item);
+      else finishTask(item, data.result);
+      dispatch();
+    };
+    // Error de carga del worker (p. ej. sin soporte de módulos): todo pasa al hilo principal
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      switchToInline();
+    };
+    slot.worker = worker;
+    return worker;
+  };
+
+  function dispatch() {
+    if (inline) {
+      startInlineLoop();
+      return;
+    }
+    for (const slot of slots) {
+      if (slot.current || queue.length === 0) continue;
+      const worker = slot.worker || attachWorker(slot);
+      if (!worker) {
+        switchToInline();
+        return;
+      }
+      const item = queue.shift();
+      item.id = ++messageId;
+      slot.current = item;
+      worker.postMessage({ id: item.id, task: item.task });
+    }
+  }
+
+  function failJob(job, error) {
+    if (job.failed || job.cancelled) return;
+    job.failed = true;
+    dropJob(job);
+    job.reject(error instanceof Error ? error : new Error(String(error)));
+  }
+
+  // Saca de la cola las tareas del trabajo y detiene los workers que corren alguna
+  function dropJob(job) {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].job === job) queue.splice(i, 1);
+    }
+    slots.forEach((slot) => {
+      if (slot.current?.job === job) stopSlot(slot);
+    });
+    dispatch();
+  }
+
+  const run = (tasks, { onResult } = {}) => {
+    const job = { onResult, remaining: tasks.length, cancelled: false, failed: false };
+    const done = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    if (tasks.length === 0) {
+      job.resolve({ cancelled: false });
+    } else {
+      tasks.forEach((task, index) => queue.push({ job, task, index }));
+      dispatch();
+    }
+    return {
+      done,
+      cancel: () => {
+        if (job.cancelled || job.failed || job.remaining === 0) return;
+        job.cancelled = true;
+        dropJob(job);
+        job.resolve({ cancelled: true });
+      }
+    };
+  };
+
+  const terminate = () => {
+    queue.length = 0;
+    slots.forEach(stopSlot);
+  };
+
+  return {
+    get size() {
+      return inline ? 1 : slots.length;
+    },
+    run,
+    terminate
+  };
+};
+
+let sharedPool = null;
+
+// Pool shared by the range sweep and Policy Search; workers start on first use
+export const getSimulationPool = () => {
+  if (!sharedPool) sharedPool = createSimulationPool();
+  return sharedPool;
+};
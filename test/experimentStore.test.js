@@ -0,0 +1,85 @@
+// Experiment library helpers (src/storage/experimentStore.js). IndexedDB itself
+// only exists in the browser; here the store must report that it is unavailable.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DB_VERSION,
+  compactExperiment,
+  createExperimentStore,
+  estimateStorage,
+  experimentId,
+  experimentSize,
+  resultVariance
+} from '../src/storage/experimentStore.js';
+
+const rangeExperiment = () => ({
+  type: 'range',
+  parameters: { processCount: 2, algorithm: 'AMP', rounds: 1 },
+  results: [
+    { p: 0.2, discrepancy: 0.5, theoretical: 0.8, samples: 4, discrepancies: [0, 1, 0, 1] },
+    { p: 0.8, discrepancy: 0.25, theoretical: 0.2, samples: 4, discrepancies: [0, 0, 1, 0] }
+  ],
+  metadata: { id: '42', name: 'AMP sweep', createdAt: '2024-01-01T00:00:00.000Z' }
+});
+
+test('compaction drops per-repetition discrepancies and keeps what the charts read', () => {
+  const experiment = rangeExperiment();
+  const compacted = compactExperiment(experiment);
+
+  assert.notEqual(compacted, experiment);
+  assert.equal(experiment.results[0].discrepancies.length, 4);
+  compacted.results.forEach((result, index) => {
+    const original = experiment.results[index];
+    assert.equal(result.discrepancies, null);
+    assert.equal(result.p, original.p);
+    assert.equal(result.discrepancy, original.discrepancy);
+    assert.equal(result.samples, original.samples);
+  });
+  assert.ok(Math.abs(compacted.results[0].std - 0.5) < 1e-12);
+  assert.equal(compacted.metadata.compacted, true);
+  assert.equal(compacted.metadata.name, 'AMP sweep');
+
+  const large = rangeExperiment();
+  large.results[0].discrepancies = Array.from({ length: 500 }, (_, rep) => (rep % 3) / 2);
+  assert.ok(experimentSize(compactExperiment(large)) < experimentSize(large) / 2);
+});
+
+test('comparison statistics of a compacted run match the full run', () => {
+  // Same per-result variance and CV as ExperimentComparison and the range table
+  const summarize = (experiment) => experiment.results.map((result) => {
+    const variance = resultVariance(result);
+    const stdDev = Math.sqrt(variance ?? 0);
+    return { variance, stdDev, cv: (stdDev / Math.abs(result.discrepancy)) * 100 };
+  });
+  const experiment = rangeExperiment();
+  const full = summarize(experiment);
+  const compacted = summarize(compactExperiment(experiment));
+
+  assert.deepEqual(full.map((row) => row.variance), [0.25, 0.1875]);
+  compacted.forEach((row, index) => {
+    Object.keys(row).forEach((key) => assert.ok(Math.abs(row[key] - full[index][key]) < 1e-12, key));
+  });
+
+  const single = { ...rangeExperiment(), results: [{ p: 0.5, discrepancy: 1, samples: 1, discrepancies: [1] }] };
+  assert.equal(resultVariance(single.results[0]), null);
+  assert.equal(resultVariance(compactExperiment(single).results[0]), null);
+  assert.equal(resultVariance({ p: 0.5, discrepancy: 1 }), null);
+});
+
+test('compacting a compacted run returns it unchanged', () => {
+  const compacted = compactExperiment(rangeExperiment());
+  assert.equal(compactExperiment(compacted), compacted);
+});
+
+test('sizes are UTF-8 bytes of the JSON', () => {
+  assert.equal(experimentSize({ name: 'é' }), JSON.stringify({ name: 'é' }).length + 1);
+  assert.equal(experimentId(rangeExperiment()), '42');
+  assert.equal(experimentId({}), null);
+});
+
+test('without IndexedDB or the Storage API the library stays in memory', async () => {
+  assert.equal(createExperimentStore({ indexedDB: undefined }), null);
+  assert.equal(await estimateStorage(), null);
+  assert.ok(DB_VERSION >= 1);
+});
@@ -0,0 +1,69 @@
+// Shared helpers for the engine test suite (run with `npm test`, i.e. node --test).
+
+import assert from 'node:assert/strict';
+import { SimulationEngine } from '../src/SimulationEngine.js';
+import { setLogSink } from '../src/utils/log.js';
+
+// Los avisos del motor (MIN con valores negativos, etc.) no ensucian la salida TAP
+setLogSink(null);
+
+export { SimulationEngine };
+
+// Link matrix with factor 1 on the listed [from, to] links and 0 elsewhere, so
+// at p = 1 exactly those messages arrive: a hand-picked delivery pattern
+export const deliveryPattern = (n, links) => {
+  const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0)));
+  links.forEach(([from, to]) => {
+    matrix[from][to] = 1;
+  });
+  return matrix;
+};
+
+export const allLinks = (n) => {
+  const links = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j) links.push([i, j]);
+    }
+  }
+  return links;
+};
+
+// One round of `algorithm` where only `links` deliver
+export const roundWithPattern = (values, algorithm, links, { meetingPoint = 0.5, seed = 1, ...options } = {}) =>
+  SimulationEngine.simulateRound(
+    values,
+    1,
+    algorithm,
+    meetingPoint,
+    null,
+    values,
+    'standard',
+    { rng: SimulationEngine.random.createRng(seed), linkMatrix: deliveryPattern(values.length, links), ...options }
+  );
+
+// Final discrepancies of `repetitions` seeded runs; run(seed) returns a history
+export const sampleFinalDiscrepancies = (run, repetitions, baseSeed) =>
+  Array.from({ length: repetitions }, (_, rep) => {
+    const history = run(SimulationEngine.random.deriveSeed(baseSeed, rep));
+    return history[history.length - 1].discrepancy;
+  });
+
+// Z for a two-sided bound: with fixed seeds the suite is deterministic, and a
+// correct formula lands outside it with probability ~6e-5
+export const CONFIDENCE_Z = 4;
+
+// The sample mean of a discrepancy in [0, 1] must be within Z standard errors of
+// the theory. D² ≤ D bounds the variance by E[D](1 - E[D]), which keeps the test
+// meaningful when every sample is 0 or the theory is tiny.
+export const assertMeanWithinBound = (samples, expected, label = '') => {
+  const n = samples.length;
+  const mean = samples.reduce((sum, x) => sum + x, 0) / n;
+  const sampleVariance = samples.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / Math.max(1, n - 1);
+  const sd = Math.max(Math.sqrt(sampleVariance), Math.sqrt(Math.max(0, expected * (1 - expected))));
+  const halfWidth = CONFIDENCE_Z * sd / Math.sqrt(n) + 1e-9;
+  assert.ok(
+    Math.abs(mean - expected) <= halfWidth,
+    `${label} Monte Carlo mean ${mean.toFixed(5)} vs theory ${expected.toFixed(5)} (±${halfWidth.toFixed(5)}, n=${n})`
+  );
+};
@@ -0,0 +1,66 @@
+// Regression snapshots of the shape of runExperiment histories: entry count,
+// keys and value types per round. Values and array lengths are left out and
+// every link delivers (p = 1), so changing the random stream does not break
+// them, but renaming, dropping or retyping a field does.
+// UPDATE_SNAPSHOTS=1 npm test rewrites test/snapshots/history-shapes.json.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { SimulationEngine } from './helpers.js';
+
+const SNAPSHOT_FILE = new URL('./snapshots/history-shapes.json', import.meta.url);
+
+// Estructura sin valores: tipos y claves ordenadas; los arrays guardan la unión de las
+// formas de sus elementos (p. ej. mensajes con y sin `late`)
+const shapeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) {
+    const elements = [];
+    value.forEach((element) => {
+      const shape = shapeOf(element);
+      if (!elements.some((known) => JSON.stringify(known) === JSON.stringify(shape))) elements.push(shape);
+    });
+    return { array: elements };
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, shapeOf(value[key])]));
+  }
+  return typeof value;
+};
+
+const CASES = [
+  { name: 'AMP two processes', values: [0, 1], algorithm: 'AMP', mode: 'standard' },
+  { name: 'FV guaranteed', values: [0, 1], algorithm: 'FV', mode: 'guaranteed' },
+  { name: 'COURTEOUS broadcast', values: [0, 1, 1], algorithm: 'COURTEOUS', mode: 'process-dependent' },
+  { name: 'MIN known values', values: [0.2, 0.9, 0.5], algorithm: 'MIN', mode: 'standard' },
+  { name: 'LEADER', values: [0, 1, 1], algorithm: 'LEADER', mode: 'standard', options: { leaderIndex: 1 } },
+  { name: 'RECURSIVE AMP', values: [0, 0.5, 1], algorithm: 'RECURSIVE AMP', mode: 'standard' },
+  { name: 'SWEEP phases', values: [0, 1, 1], algorithm: 'SWEEP', mode: 'process-dependent' },
+  { name: 'k-of-n broadcast', values: [0, 1, 1, 0], algorithm: 'AMP', mode: 'k-of-n' },
+  { name: 'Byzantine process', values: [0, 1, 1, 0], algorithm: 'FV', mode: 'standard', options: { byzantine: [{ index: 3, behaviour: 'equivocate' }] } },
+  { name: 'Crashed process', values: [0, 1, 1], algorithm: 'AMP', mode: 'standard', options: { crashes: [{ index: 2, round: 1 }] } },
+  { name: 'Delayed messages', values: [0, 1, 1], algorithm: 'FV', mode: 'standard', options: { delay: { type: 'fixed', rounds: 1, lateMessages: 'deliver' } } }
+];
+
+const describeHistory = ({ values, algorithm, mode, options = {} }) => {
+  const history = SimulationEngine.runExperiment(values, 1, 2, algorithm, 0.5, mode, { seed: 2024, ...options });
+  return {
+    seed: typeof history.seed,
+    length: history.length,
+    rounds: history.map((entry) => shapeOf(entry))
+  };
+};
+
+test('runExperiment history shapes match the snapshot', () => {
+  const actual = Object.fromEntries(CASES.map((entry) => [entry.name, describeHistory(entry)]));
+
+  if (process.env.UPDATE_SNAPSHOTS || !existsSync(SNAPSHOT_FILE)) {
+    mkdirSync(new URL('./snapshots/', import.meta.url), { recursive: true });
+    writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+
+  const expected = JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+  assert.deepEqual(actual, expected);
+});
@@ -0,0 +1,217 @@
+// Invariant checker (src/algorithms/invariants.js): the built-in rules keep
+// their guarantees, and deliberately broken rules are flagged.
+
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine, roundWithPattern, allLinks } from './helpers.js';
+import { unregisterAlgorithm } from '../src/algorithms/registry.js';
+import { setLogSink } from '../src/utils/log.js';
+import { checkRoundInvariants } from '../src/algorithms/invariants.js';
+
+const invariantsOf = (result) => (result.invariantViolations || []).map((v) => v.invariant);
+
+const violationsOf = (history) => history.flatMap((entry) => entry.invariantViolations || []);
+
+const BROKEN = [];
+const registerBroken = (definition) => {
+  SimulationEngine.algorithms.register({ listed: false, ...definition }, { replace: true });
+  BROKEN.push(definition.id);
+};
+after(() => BROKEN.forEach((id) => unregisterAlgorithm(id)));
+
+describe('built-in algorithms', () => {
+  test('binary inputs never violate an invariant, with faults and delays', () => {
+    const algorithms = SimulationEngine.algorithms.list({ includeUnlisted: true }).map((entry) => entry.id);
+    const faults = [
+      {},
+      { crashes: [{ index: 0, round: 1 }] },
+      { byzantine: [{ index: 1, behaviour: 'equivocate' }] },
+      { delay: { type: 'fixed', rounds: 1, lateMessages: 'deliver' } }
+    ];
+    algorithms.forEach((algorithm) => {
+      ['standard', 'process-dependent', 'guaranteed'].forEach((mode) => {
+        faults.forEach((options, index) => {
+          for (let seed = 1; seed <= 5; seed++) {
+            const history = SimulationEngine.runExperiment([0, 1, 1], 0.6, 3, algorithm, 0.5, mode, {
+              seed: SimulationEngine.random.deriveSeed(seed, index),
+              checkInvariants: true,
+              ...options
+            });
+            assert.deepEqual(violationsOf(history), [], `${algorithm} ${mode} ${JSON.stringify(options)}`);
+          }
+        });
+      });
+    });
+  });
+
+  test('rules that average or copy values keep every invariant on real-valued inputs', () => {
+    ['RECURSIVE AMP', 'MIN', 'FV', 'LEADER'].forEach((algorithm) => {
+      for (let seed = 1; seed <= 10; seed++) {
+        const history = SimulationEngine.runExperiment([0.1, 0.45, 0.9, 0.3], 0.5, 4, algorithm, 0.3, 'standard', {
+          seed,
+          checkInvariants: true
+        });
+        assert.deepEqual(violationsOf(history), [], algorithm);
+      }
+    });
+  });
+
+  test('AMP with a meeting point outside the values heard breaks validity', () => {
+    const result = roundWithPattern([0.2, 0.4], 'AMP', allLinks(2), { meetingPoint: 0.9, checkInvariants: true });
+    assert.deepEqual(invariantsOf(result), ['validity', 'validity']);
+  });
+
+  test('binary-only rules are not held to validity on other inputs', () => {
+    const result = roundWithPattern([0.2, 0.4, 0.6], 'PREF1', allLinks(3), { checkInvariants: true });
+    assert.deepEqual(invariantsOf(result), []);
+  });
+});
+
+describe('broken rules', () => {
+  test('leaving the hull and spreading the values', () => {
+    registerBroken({
+      id: 'TEST OVERSHOOT',
+      guarantees: { nonIncreasingDiscrepancy: true },
+      decide: ({ index, myValue, received }) => (received.length > 0 ? (index === 0 ? -1 : 2) : myValue)
+    });
+    const result = roundWithPattern([0, 1], 'TEST OVERSHOOT', allLinks(2), { checkInvariants: true });
+    assert.deepEqual(invariantsOf(result), ['validity', 'validity', 'discrepancy']);
+    assert.deepEqual(result.invariantViolations.map((v) => v.process), [0, 1, null]);
+  });
+
+  test('discrepancy is only checked when promised', () => {
+    registerBroken({
+      id: 'TEST SPREAD',
+      decide: ({ index, myValue, received }) => (received.length > 0 ? (index === 0 ? 0 : 1) : myValue)
+    });
+    const result = roundWithPattern([0.4, 0.6], 'TEST SPREAD', allLinks(2), { checkInvariants: true });
+    assert.deepEqual(invariantsOf(result), ['validity', 'validity']);
+  });
+
+  test('a binary rule that answers 1/2', () => {
+    registerBroken({
+      id: 'TEST HALF',
+      constraints: { binaryOnly: true },
+      guarantees: { validity: false },
+      decide: ({ myValue, received }) => (received.length > 0 ? 0.5 : myValue)
+    });
+    const result = roundWithPattern([0, 1, 1], 'TEST HALF', [[0, 1]], { checkInvariants: true });
+    assert.deepEqual(invariantsOf(result), ['binary']);
+    assert.equal(result.invariantViolations[0].process, 1);
+  });
+
+  test('a known-value set that shrinks', () => {
+    registerBroken({
+      id: 'TEST FORGET',
+      requires: { knownValues: true },
+      decide: ({ myValue, knownValues }) => {
+        knownValues.clear();
+        knownValues.add(myValue);
+        return myValue;
+      }
+    });
+    const result = roundWithPattern([0.2, 0.7], 'TEST FORGET', [], { checkInvariants: true });
+    assert.deepEqual(invariantsOf(result), []);
+    const second = SimulationEngine.simulateRound([0.2, 0.7], 1, 'TEST FORGET', 0.5, [[0.2, 0.9], [0.7]], null, 'standard', {
+      rng: SimulationEngine.random.createRng(1),
+      checkInvariants: true
+    });
+    assert.deepEqual(invariantsOf(second), ['known-values']);
+    assert.equal(second.invariantViolations[0].process, 0);
+  });
+
+  test('vectors are checked against the convex hull of what was heard', () => {
+    registerBroken({
+      id: 'TEST VECTOR',
+      constraints: { dimensionModes: ['barycentric'] },
+      decideVector: ({ myValue }) => myValue.map((x) => x + 1)
+    });
+    const result = SimulationEngine.multidimensional.simulateMultiDimensionalRound(
+      [[1, 0, 0], [0, 1, 0]], 1, 'TEST VECTOR', null, 'euclidean', { checkInvariants: true }
+    );
+    assert.deepEqual(invariantsOf(result), ['validity', 'validity']);
+
+    // Coordinate-wise maximum: inside the bounding box, outside the hull
+    registerBroken({
+      id: 'TEST BOX CORNER',
+      constraints: { dimensionModes: ['barycentric'] },
+      decideVector: ({ myValue, received }) => myValue.map((x, d) => Math.max(x, ...received.map((v) => v[d])))
+    });
+    const corner = SimulationEngine.multidimensional.simulateMultiDimensionalRound(
+      [[1, 0, 0], [0, 1, 0]], 1, 'TEST BOX CORNER', null, 'euclidean', { checkInvariants: true }
+    );
+    assert.deepEqual(corner.newValues, [[1, 1, 0], [1, 1, 0]]);
+    assert.deepEqual(invariantsOf(corner), ['validity', 'validity']);
+  });
+
+  test('the hull test in the plane, with collinear and repeated points', () => {
+    const validity = (value, seen) => invariantsOf({
+      invariantViolations: checkRoundInvariants({ definition: null, values: [value], newValues: [value], seen: [seen], checked: [0] })
+    });
+    const triangle = [[0, 0], [1, 0], [0, 1]];
+    [[0.2, 0.3], [0.5, 0.5], [0, 0], [0.5, 0]].forEach((value) => assert.deepEqual(validity(value, triangle), [], `${value}`));
+    [[0.8, 0.8], [-0.01, 0.5]].forEach((value) => assert.deepEqual(validity(value, triangle), ['validity'], `${value}`));
+
+    const line = [[0, 0], [1, 1], [2, 2], [1, 1]];
+    assert.deepEqual(validity([1.5, 1.5], line), []);
+    assert.deepEqual(validity([1, 0], line), ['validity']);
+    assert.deepEqual(validity([0.3, 0.3], [[0.3, 0.3]]), []);
+    assert.deepEqual(validity([0.3, 0.31], [[0.3, 0.3]]), ['validity']);
+  });
+});
+
+describe('reporting', () => {
+  test('violations are stored per round only when checking', () => {
+    const checked = SimulationEngine.runExperiment([0.2, 0.4], 1, 2, 'AMP', 0.9, 'standard', { seed: 1, checkInvariants: true });
+    assert.equal(checked[1].invariantViolations.length, 2);
+    assert.deepEqual(checked[2].invariantViolations, []);
+
+    const plain = SimulationEngine.runExperiment([0.2, 0.4], 1, 2, 'AMP', 0.9, 'standard', { seed: 1 });
+    assert.ok(plain.every((entry) => !('invariantViolations' in entry)));
+  });
+
+  test('rounds conditioned on delivery are checked too', () => {
+    // Meeting point relative to the range: 1.5 lands past the largest value
+    [
+      { values: [0.2, 0.4], minK: 1 },
+      { values: [0.2, 0.4, 0.3], minK: 2 },
+      { values: [0.2, 0.4, 0.3], minK: 6 }
+    ].forEach(({ values, minK }) => {
+      const broken = SimulationEngine.runKConditionedExperiment(values, 0.5, 2, 'AMP', 1.5, minK, { seed: 4, checkInvariants: true });
+      assert.ok(broken.slice(1).every((entry) => Array.isArray(entry.invariantViolations)));
+      assert.ok(violationsOf(broken).some((v) => v.invariant === 'validity'), `n=${values.length} K=${minK}`);
+
+      const sound = SimulationEngine.runKConditionedExperiment(values, 0.5, 2, 'AMP', 0.5, minK, { seed: 4, checkInvariants: true });
+      assert.deepEqual(violationsOf(sound), []);
+
+      const plain = SimulationEngine.runKConditionedExperiment(values, 0.5, 2, 'AMP', 1.5, minK, { seed: 4 });
+      assert.ok(plain.every((entry) => !('invariantViolations' in entry)));
+    });
+  });
+
+  test('multi-dimensional histories record the violations', () => {
+    const history = SimulationEngine.multidimensional.runMultiDimensionalExperiment(
+      [[0.2, 0.8], [0.6, 0.4], [0.5, 0.5]], 0.7, 3, 'FV', null, 'euclidean', { seed: 3, checkInvariants: true }
+    );
+    assert.ok(history.slice(1).every((entry) => Array.isArray(entry.invariantViolations)));
+    assert.deepEqual(violationsOf(history), []);
+  });
+
+  test('setEnabled turns checking on for every round and warns through the log sink', () => {
+    const warnings = [];
+    const previousSink = setLogSink({ log() {}, info() {}, warn: (message) => warnings.push(message), error() {} });
+    const previous = SimulationEngine.invariants.setEnabled(true);
+    try {
+      const result = roundWithPattern([0.2, 0.4], 'AMP', [[0, 1]], { meetingPoint: 0.9 });
+      assert.deepEqual(invariantsOf(result), ['validity', 'discrepancy']);
+      assert.equal(warnings.length, 2);
+      assert.match(warnings[0], /"validity" violated by AMP/);
+
+      const optedOut = roundWithPattern([0.2, 0.4], 'AMP', [[0, 1]], { meetingPoint: 0.9, checkInvariants: false });
+      assert.equal(optedOut.invariantViolations, undefined);
+    } finally {
+      SimulationEngine.invariants.setEnabled(previous);
+      setLogSink(previousSink);
+    }
+  });
+});
@@ -0,0 +1,146 @@
+// One round of each algorithm on hand-picked delivery patterns (p = 1 and a
+// 0/1 link matrix, so exactly the listed messages arrive).
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine, allLinks, roundWithPattern } from './helpers.js';
+
+describe('AMP', () => {
+  test('a process that hears a different value moves to the meeting point', () => {
+    const { newValues, discrepancy } = roundWithPattern([0, 1], 'AMP', [[0, 1]], { meetingPoint: 0.3 });
+    assert.deepEqual(newValues, [0, 0.3]);
+    assert.equal(discrepancy, 0.3);
+  });
+
+  test('both processes meet when both messages arrive', () => {
+    const { newValues, discrepancy } = roundWithPattern([0, 1], 'AMP', allLinks(2), { meetingPoint: 0.3 });
+    assert.deepEqual(newValues, [0.3, 0.3]);
+    assert.equal(discrepancy, 0);
+  });
+
+  test('hearing only equal values keeps the own value', () => {
+    const { newValues } = roundWithPattern([0, 0, 1], 'AMP', [[0, 1]]);
+    assert.deepEqual(newValues, [0, 0, 1]);
+  });
+});
+
+describe('FV', () => {
+  test('processes swap values when both messages arrive', () => {
+    const { newValues, discrepancy } = roundWithPattern([0, 1], 'FV', allLinks(2));
+    assert.deepEqual(newValues, [1, 0]);
+    assert.equal(discrepancy, 1);
+  });
+
+  test('a single message makes the receiver adopt the sender value', () => {
+    const { newValues, discrepancy } = roundWithPattern([0, 1], 'FV', [[1, 0]]);
+    assert.deepEqual(newValues, [1, 1]);
+    assert.equal(discrepancy, 0);
+  });
+
+  test('with several different values the receiver picks one of them', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const { newValues } = roundWithPattern([0, 1, 2], 'FV', [[1, 0], [2, 0]], { seed });
+      assert.ok([1, 2].includes(newValues[0]));
+      assert.deepEqual(newValues.slice(1), [1, 2]);
+    }
+  });
+});
+
+describe('RECURSIVE AMP', () => {
+  test('moves to a·own + (1 - a)·average of the received values', () => {
+    const { newValues } = roundWithPattern([0, 1, 1], 'RECURSIVE AMP', allLinks(3), { meetingPoint: 0.5 });
+    assert.deepEqual(newValues, [0.5, 0.75, 0.75]);
+  });
+});
+
+describe('MIN', () => {
+  test('takes the minimum of the known values', () => {
+    const { newValues, knownValuesSets } = roundWithPattern([0.2, 0.9, 0.5], 'MIN', [[0, 1]]);
+    assert.deepEqual(newValues, [0.2, 0.2, 0.5]);
+    assert.deepEqual(knownValuesSets.map((known) => [...known].sort()), [[0.2], [0.2, 0.9], [0.5]]);
+  });
+});
+
+describe('LEADER', () => {
+  test('followers adopt the leader value only when its message arrives', () => {
+    const { newValues } = roundWithPattern([0, 1, 0], 'LEADER', [[1, 0], [2, 1]], { leaderIndex: 1 });
+    assert.deepEqual(newValues, [1, 1, 0]);
+  });
+});
+
+describe('COURTEOUS', () => {
+  test('a tie between own value and the heard one flips', () => {
+    const { newValues } = roundWithPattern([0, 1], 'COURTEOUS', allLinks(2));
+    assert.deepEqual(newValues, [1, 0]);
+  });
+
+  test('a strict majority of heard values (with own) wins', () => {
+    const { newValues } = roundWithPattern([0, 0, 1], 'COURTEOUS', allLinks(3));
+    assert.deepEqual(newValues, [0, 0, 0]);
+  });
+
+  test('hearing nothing keeps the own value', () => {
+    const { newValues } = roundWithPattern([0, 1, 1], 'COURTEOUS', []);
+    assert.deepEqual(newValues, [0, 1, 1]);
+  });
+});
+
+describe('PREF0 / PREF1 / SWEEP', () => {
+  test('PREF1 decides 1 once a 1 is known', () => {
+    const { newValues } = roundWithPattern([0, 0, 1], 'PREF1', [[2, 0]]);
+    assert.deepEqual(newValues, [1, 0, 1]);
+  });
+
+  test('PREF0 decides 0 once a 0 is known', () => {
+    const { newValues } = roundWithPattern([1, 1, 0], 'PREF0', [[2, 0]]);
+    assert.deepEqual(newValues, [0, 1, 0]);
+  });
+
+  test('SWEEP follows PREF0 in phase 0 and PREF1 in phase 1', () => {
+    const phase0 = roundWithPattern([1, 1, 0], 'SWEEP', [[2, 0]], { sweepPhase: 0 });
+    assert.deepEqual(phase0.newValues, [0, 1, 0]);
+    const phase1 = roundWithPattern([0, 0, 1], 'SWEEP', [[2, 0]], { sweepPhase: 1 });
+    assert.deepEqual(phase1.newValues, [1, 0, 1]);
+  });
+});
+
+describe('three-process algorithms', () => {
+  test('SELFISH keeps its value after one message and takes the majority after two', () => {
+    assert.deepEqual(roundWithPattern([0, 1, 1], 'SELFISH', [[1, 0]]).newValues, [0, 1, 1]);
+    assert.deepEqual(roundWithPattern([0, 1, 1], 'SELFISH', allLinks(3)).newValues, [1, 1, 1]);
+  });
+
+  test('CYCLIC adopts a single message only from its cyclic predecessor', () => {
+    assert.deepEqual(roundWithPattern([0, 1, 1], 'CYCLIC', [[0, 1]]).newValues, [0, 0, 1]);
+    assert.deepEqual(roundWithPattern([0, 1, 0], 'CYCLIC', [[2, 1]]).newValues, [0, 1, 0]);
+  });
+
+  test('BIASED0 decides 0 once a 0 is known', () => {
+    assert.deepEqual(roundWithPattern([1, 1, 0], 'BIASED0', [[2, 0]]).newValues, [0, 1, 0]);
+  });
+
+  test('they keep their values outside n = 3', () => {
+    assert.deepEqual(roundWithPattern([0, 1], 'BIASED0', allLinks(2)).newValues, [0, 1]);
+  });
+});
+
+describe('delivery', () => {
+  test('with no messages every algorithm keeps its values', () => {
+    const algorithms = SimulationEngine.algorithms.list({ includeUnlisted: true }).map((entry) => entry.id);
+    algorithms.forEach((algorithm) => {
+      const values = algorithm === 'MIN' || algorithm === 'RECURSIVE AMP' ? [0.1, 0.6, 0.9] : [0, 1, 1];
+      const { newValues } = roundWithPattern(values, algorithm, []);
+      assert.deepEqual(newValues, values, algorithm);
+    });
+  });
+
+  test('guaranteed delivery forces exactly one message when none arrives', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const result = SimulationEngine.simulateRound([0, 1, 1], 0, 'FV', 0.5, null, null, 'guaranteed', {
+        rng: SimulationEngine.random.createRng(seed)
+      });
+      assert.equal(result.wasConditioned, true);
+      assert.equal(result.messageDelivery.length, 1);
+    }
+  });
+});
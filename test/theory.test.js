@@ -0,0 +1,218 @@
+// Seeded Monte Carlo against every closed form that returns a value: the mean
+// final discrepancy must fall within the confidence bound of helpers.js.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine, assertMeanWithinBound, sampleFinalDiscrepancies } from './helpers.js';
+import { buildLinkMatrix } from '../src/delivery/linkMatrix.js';
+import { rangeCellTheory, runRangeRepetition } from '../src/workers/tasks.js';
+
+const REPETITIONS = 2000;
+const CLOSED_FORM_MODES = ['standard', 'process-dependent', 'receiver-dependent', 'k-of-n', 'value-dependent'];
+
+describe('calculateExpectedDiscrepancy (two processes)', () => {
+  for (const algorithm of ['AMP', 'FV']) {
+    for (const mode of ['standard', 'process-dependent', 'receiver-dependent', 'k-of-n']) {
+      for (const p of [0.3, 0.7]) {
+        for (const rounds of [1, 3]) {
+          const theory = SimulationEngine.calculateExpectedDiscrepancy(p, algorithm, rounds, mode);
+          if (theory == null) continue;
+          test(`${algorithm} ${mode} p=${p} rounds=${rounds}`, () => {
+            const samples = sampleFinalDiscrepancies(
+              (seed) => SimulationEngine.runExperiment([0, 1], p, rounds, algorithm, 0.5, mode, { seed }),
+              REPETITIONS,
+              SimulationEngine.random.deriveSeed(11, p * 100, rounds)
+            );
+            assertMeanWithinBound(samples, theory);
+          });
+        }
+      }
+    }
+  }
+});
+
+describe('calculateExpectedDiscrepancyNProcesses', () => {
+  const initialValues = [0, 1, 1, 0, 1];
+  const zeros = initialValues.filter((value) => value === 0).length;
+  const algorithms = ['AMP', 'FV', 'COURTEOUS', 'PREF0', 'PREF1', 'SWEEP', 'LEADER', 'MIN', 'RECURSIVE AMP'];
+
+  for (const algorithm of algorithms) {
+    for (const mode of CLOSED_FORM_MODES) {
+      for (const p of [0.4, 0.75]) {
+        for (const rounds of [1, 2]) {
+          const theory = SimulationEngine.calculateExpectedDiscrepancyNProcesses(
+            p, initialValues.length, zeros, algorithm, 0.5, initialValues, mode, rounds
+          );
+          if (theory == null) continue;
+          test(`${algorithm} ${mode} n=${initialValues.length} p=${p} rounds=${rounds}`, () => {
+            const samples = sampleFinalDiscrepancies(
+              (seed) => SimulationEngine.runExperiment(initialValues, p, rounds, algorithm, 0.5, mode, { seed }),
+              REPETITIONS,
+              SimulationEngine.random.deriveSeed(12, p * 100, rounds)
+            );
+            assertMeanWithinBound(samples, theory);
+          });
+        }
+      }
+    }
+  }
+
+  test('SWEEP is q^(k n) under broadcast', () => {
+    [
+      { k: 1, n: 3, p: 0.5 },
+      { k: 2, n: 3, p: 0.5 },
+      { k: 1, n: 3, p: 0.7 }
+    ].forEach(({ k, n, p }) => {
+      const values = Array(n - 1).fill(0).concat([1]);
+      const theory = SimulationEngine.calculateExpectedDiscrepancyNProcesses(p, n, n - 1, 'SWEEP', 0.5, values, 'process-dependent', k);
+      assert.ok(Math.abs(theory - Math.pow(1 - p, k * n)) < 1e-12);
+    });
+  });
+
+  test('SWEEP has no closed form with independent links', () => {
+    ['standard', 'receiver-dependent', 'k-of-n'].forEach((mode) => {
+      const theory = SimulationEngine.calculateExpectedDiscrepancyNProcesses(0.5, 3, 2, 'SWEEP', 0.5, [0, 0, 1], mode, 1);
+      assert.equal(theory, null, mode);
+    });
+  });
+});
+
+describe('calculateTheoreticalConditionedDiscrepancy (at least one message)', () => {
+  test('Theorem 4 values and the 1/3 maximum', () => {
+    [
+      { p: 0.5, expected: 1 / 3 },
+      { p: 0.3, expected: 0.09 / 0.51 },
+      { p: 0.7, expected: 0.21 / 0.91 }
+    ].forEach(({ p, expected }) => {
+      assert.ok(Math.abs(SimulationEngine.calculateTheoreticalConditionedDiscrepancy(p, 'auto', 1) - expected) < 1e-9);
+    });
+    let max = 0;
+    for (let i = 1; i < 100; i++) {
+      max = Math.max(max, SimulationEngine.calculateTheoreticalConditionedDiscrepancy(i / 100, 'auto', 1));
+    }
+    assert.ok(Math.abs(max - 1 / 3) < 1e-3);
+  });
+
+  for (const algorithm of ['AMP', 'FV']) {
+    for (const p of [0.2, 0.5, 0.8]) {
+      for (const rounds of [1, 2]) {
+        const theory = SimulationEngine.calculateTheoreticalConditionedDiscrepancy(p, algorithm, rounds);
+        if (theory == null) continue;
+        test(`${algorithm} p=${p} rounds=${rounds}`, () => {
+          const samples = sampleFinalDiscrepancies(
+            (seed) => SimulationEngine.runKConditionedExperiment([0, 1], p, rounds, algorithm, 0.5, 1, { seed }),
+            REPETITIONS,
+            SimulationEngine.random.deriveSeed(13, p * 100, rounds)
+          );
+          assertMeanWithinBound(samples, theory);
+        });
+      }
+    }
+  }
+});
+
+describe('runMultipleExperiments theory for three processes', () => {
+  for (const algorithm of ['AMP', 'FV']) {
+    for (const mode of ['standard', 'process-dependent']) {
+      for (const p of [0.3, 0.5, 0.75]) {
+        for (const rounds of [1, 3]) {
+          test(`${algorithm} ${mode} [0,1,1] p=${p} rounds=${rounds}`, () => {
+            const result = SimulationEngine.runMultipleExperiments([0, 1, 1], p, rounds, REPETITIONS, algorithm, 0.5, mode, {
+              seed: SimulationEngine.random.deriveSeed(17, p * 100, rounds)
+            });
+            assert.ok(Math.abs(result.theoretical - result.exactTheoretical) < 1e-9, `${result.theoretical} vs ${result.exactTheoretical}`);
+            assertMeanWithinBound(result.allValues, result.theoretical);
+          });
+        }
+      }
+    }
+  }
+});
+
+describe('runMultipleExperiments theory for rules without a closed form', () => {
+  for (const algorithm of ['SELFISH', 'CYCLIC', 'BIASED0']) {
+    for (const initialValues of [[0, 0, 1], [0, 0, 1, 1]]) {
+      for (const rounds of [1, 3]) {
+        test(`${algorithm} n=${initialValues.length} p=0.35 rounds=${rounds} is the exact enumeration`, () => {
+          const result = SimulationEngine.runMultipleExperiments(initialValues, 0.35, rounds, REPETITIONS, algorithm, 0.5, 'standard', {
+            seed: SimulationEngine.random.deriveSeed(15, initialValues.length, rounds)
+          });
+          const exact = SimulationEngine.calculateExactDiscrepancy(0.35, algorithm, initialValues, rounds, 'standard');
+          assert.equal(result.theoretical, exact);
+          assert.equal(result.exactTheoretical, exact);
+          assertMeanWithinBound(result.allValues, exact);
+        });
+      }
+    }
+  }
+
+  test('no theory outside the enumeration', () => {
+    const result = SimulationEngine.runMultipleExperiments([0, 0, 1], 0.35, 1, 20, 'SELFISH', 0.5, 'standard', {
+      seed: 1,
+      linkMatrix: [[1, 0.2, 0.3], [0.4, 1, 0.5], [0.6, 0.7, 1]]
+    });
+    assert.equal(result.theoretical, null);
+    assert.equal(
+      SimulationEngine.calculateExpectedDiscrepancyNProcesses(0.35, 6, 3, 'CYCLIC', 0.5, [0, 0, 0, 1, 1, 1], 'standard', 1),
+      null
+    );
+  });
+});
+
+describe('asymmetric two-process channel from the link matrix', () => {
+  const linkMatrix = buildLinkMatrix('asymmetric', 2, { forward: 1, backward: 0.3 });
+  const rangeConfig = (initialValues, rounds) => ({
+    dimensionMode: 'binary',
+    dimensions: 1,
+    initialValues,
+    rounds,
+    meetingPoint: 0.3,
+    leaderIndex: 0,
+    linkMatrix,
+    pSchedule: null,
+    byzantine: [],
+    crashes: [],
+    delay: null,
+    topology: null,
+    conditionedK: 1,
+    deliveryParams: {}
+  });
+
+  for (const initialValues of [[0, 1], [1, 0]]) {
+    for (const mode of ['standard', 'guaranteed']) {
+      for (const algorithm of ['AMP', 'FV']) {
+        test(`${algorithm} ${mode} from ${initialValues.join('')} p=0.6 rounds=2`, () => {
+          const config = rangeConfig(initialValues, 2);
+          const { theoretical } = rangeCellTheory(config, 0.6, algorithm, mode);
+          assert.ok(Number.isFinite(theoretical));
+          const samples = sampleFinalDiscrepancies(
+            (seed) => runRangeRepetition(config, 0.6, algorithm, mode, seed),
+            REPETITIONS,
+            SimulationEngine.random.deriveSeed(16, initialValues[0], algorithm === 'AMP' ? 1 : 2)
+          );
+          assertMeanWithinBound(samples, theoretical);
+          if (mode === 'standard') {
+            const result = SimulationEngine.runMultipleExperiments(initialValues, 0.6, 2, 10, algorithm, 0.3, mode, { seed: 1, linkMatrix });
+            assert.equal(result.theoretical, theoretical);
+          }
+        });
+      }
+    }
+  }
+});
+
+describe('courteousFormula (one broadcast round)', () => {
+  for (const [zeros, ones] of [[1, 1], [2, 1], [2, 2], [3, 2]]) {
+    for (const p of [0.3, 0.6]) {
+      test(`${zeros} zeros, ${ones} ones, p=${p}`, () => {
+        const initialValues = [...Array(zeros).fill(0), ...Array(ones).fill(1)];
+        const samples = sampleFinalDiscrepancies(
+          (seed) => SimulationEngine.runExperiment(initialValues, p, 1, 'COURTEOUS', 0.5, 'process-dependent', { seed }),
+          REPETITIONS,
+          SimulationEngine.random.deriveSeed(14, p * 100, zeros, ones)
+        );
+        assertMeanWithinBound(samples, SimulationEngine.courteousFormula(p, zeros, ones));
+      });
+    }
+  }
+});
@@ -0,0 +1,89 @@
+// Worker pool (src/workers/workerPool.js): a worker that lacks an algorithm
+// registered at runtime hands the task back, and the pool runs it inline.
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationEngine } from './helpers.js';
+import { getAlgorithm, registerAlgorithm, unregisterAlgorithm } from '../src/algorithms/registry.js';
+import { runTask } from '../src/workers/tasks.js';
+import { createSimulationPool } from '../src/workers/workerPool.js';
+
+const RUNTIME_RULE = {
+  id: 'TEST RUNTIME MIDPOINT',
+  listed: false,
+  decide: ({ myValue, received }) => (received.length > 0 ? 0.5 : myValue)
+};
+SimulationEngine.algorithms.register(RUNTIME_RULE, { replace: true });
+after(() => unregisterAlgorithm(RUNTIME_RULE.id));
+
+const rangeTask = {
+  kind: 'range',
+  config: {
+    dimensionMode: 'binary',
+    initialValues: [0, 1],
+    rounds: 1,
+    meetingPoint: 0.5,
+    leaderIndex: 0,
+    baseSeed: 9,
+    deliveryParams: {},
+    linkMatrix: null,
+    topology: null,
+    pSchedule: null,
+    delay: null,
+    byzantine: [],
+    crashes: []
+  },
+  p: 1,
+  actualAlgo: RUNTIME_RULE.id,
+  mode: 'standard',
+  fromRep: 0,
+  toRep: 3,
+  seedPath: [0]
+};
+
+// Worker that loaded the registry before the rule existed: the rule is hidden
+// while it runs the task, as in a real worker's own copy of the registry
+const staleWorker = () => {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage({ id, task }) {
+      setTimeout(() => {
+        const hidden = getAlgorithm(RUNTIME_RULE.id);
+        unregisterAlgorithm(RUNTIME_RULE.id);
+        let reply;
+        try {
+          reply = { id, result: runTask(task) };
+        } catch (error) {
+          reply = { id, error: error.message };
+        } finally {
+          registerAlgorithm(hidden);
+        }
+        worker.onmessage({ data: reply });
+      }, 0);
+    },
+    terminate() {}
+  };
+  return worker;
+};
+
+test('runTask rejects algorithm ids the registry does not know', () => {
+  assert.throws(() => runTask({ ...rangeTask, actualAlgo: 'NOPE' }), /Unknown algorithm\(s\) "NOPE"/);
+  assert.throws(
+    () => runTask({ kind: 'policy', sequence: [{ algorithm: 'AMP' }, { algorithm: 'NOPE' }] }),
+    /"NOPE"/
+  );
+});
+
+test('a rule registered at runtime runs inline instead of keeping the values', async () => {
+  const pool = createSimulationPool({ size: 2, createWorker: staleWorker });
+  const results = [];
+  const job = pool.run([rangeTask], { onResult: (result) => results.push(result) });
+  await job.done;
+  pool.terminate();
+
+  assert.equal(results.length, 1);
+  results[0].histories.forEach((history) => {
+    assert.deepEqual(history[history.length - 1].values, [0.5, 0.5]);
+  });
+});